@@ -3,7 +3,7 @@
  * Writes commands to bot_data_store that the bot polls.
  *
  * GET  /api/control — Read current bot status and last command.
- * POST /api/control — Send command: { command: 'kill' | 'restart' | 'pause' | 'resume' }
+ * POST /api/control — Send command: { command: 'kill' | 'restart' | 'pause' | 'resume' | 'relink' | 'retry-outbox' }
  */
 const { getClient } = require('./_lib/supabase');
 const { auth } = require('./_lib/auth');
@@ -41,7 +41,7 @@ module.exports = async (req, res) => {
 
     if (req.method === 'POST') {
       const { command } = req.body || {};
-      const validCommands = ['kill', 'restart', 'pause', 'resume', 'relink'];
+      const validCommands = ['kill', 'restart', 'pause', 'resume', 'relink', 'retry-outbox'];
 
       if (!validCommands.includes(command)) {
         return res.status(400).json({ error: `Invalid command. Valid: ${validCommands.join(', ')}` });
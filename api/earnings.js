@@ -1,14 +1,40 @@
 /**
  * GET /api/earnings — Revenue summary (today, this month, all time).
+ * ?view=receivables — who still owes money and deposits waiting for a refund.
  */
 const { getClient } = require('./_lib/supabase');
 const { auth } = require('./_lib/auth');
+const { FIELDS } = require('../src/supabase/schemas/agreements');
+const { LEDGER_STATUSES, summarize } = require('../src/utils/receivables');
+
+const PAGE = 1000;
+
+// Every open or completed agreement, paged past the 1000-row limit
+async function ledgerRows(supabase) {
+  let rows = [];
+  for (let offset = 0; ; offset += PAGE) {
+    const { data, error } = await supabase
+      .from('agreements')
+      .select(FIELDS.LEDGER)
+      .in('status', LEDGER_STATUSES)
+      .order('date_start', { ascending: true })
+      .range(offset, offset + PAGE - 1);
+    if (error) throw error;
+    rows = rows.concat(data || []);
+    if (!data || data.length < PAGE) return rows;
+  }
+}
 
 module.exports = async (req, res) => {
   if (!auth(req, res)) return;
 
   try {
     const supabase = getClient();
+
+    if ((req.query.view || '').toLowerCase() === 'receivables') {
+      return res.json(summarize(await ledgerRows(supabase)));
+    }
+
     const today = new Date().toISOString().split('T')[0];
     const monthStart = today.slice(0, 7) + '-01';
 
@@ -0,0 +1,64 @@
+/**
+ * GET /api/outbox — Outbound message queue from bot.
+ * Reads from bot_data_store key 'outbox' (written by src/channels/outbox.js).
+ * Query params:
+ *   ?status=failed  — filter by status (queued/failed/sent)
+ *   ?phone=60...    — filter by recipient
+ *   ?limit=50       — max items to return (default 50)
+ */
+const { getClient } = require('./_lib/supabase');
+const { auth } = require('./_lib/auth');
+
+module.exports = async (req, res) => {
+  if (!auth(req, res)) return;
+
+  try {
+    const supabase = getClient();
+    const limit = Math.min(parseInt(req.query?.limit) || 50, 200);
+    const statusFilter = req.query?.status || null;
+    const phoneFilter = req.query?.phone || null;
+
+    const { data, error } = await supabase
+      .from('bot_data_store')
+      .select('value, updated_at')
+      .eq('key', 'outbox')
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    let items = Array.isArray(data?.value?.items) ? data.value.items : [];
+
+    // 'sending' is just a queued message mid-attempt
+    if (statusFilter) {
+      items = items.filter(i => (i.status === 'sending' ? 'queued' : i.status) === statusFilter);
+    }
+    if (phoneFilter) {
+      items = items.filter(i => i.to && i.to.includes(phoneFilter));
+    }
+
+    // Newest first, no media payloads
+    items = items.slice().reverse().slice(0, limit).map(i => ({
+      id: i.id,
+      to: (i.to || '').replace(/@.*/, ''),
+      kind: i.payload?.kind || 'text',
+      preview: i.payload?.kind === 'text' ? (i.payload.text || '').slice(0, 200) : (i.payload?.caption || i.payload?.filename || ''),
+      source: i.source,
+      status: i.status,
+      attempts: i.attempts,
+      error: i.error,
+      ack: i.ack,
+      createdAt: i.createdAt,
+      sentAt: i.sentAt,
+      failedAt: i.failedAt || null,
+    }));
+
+    res.json({
+      stats: data?.value?.stats || null,
+      lastUpdate: data?.updated_at || null,
+      total: items.length,
+      items,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
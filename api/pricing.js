@@ -1,8 +1,36 @@
 /**
  * GET /api/pricing — Pricing and delivery zones from bot_data_store.
+ * GET /api/pricing?plate=VNH3600&start=2026-03-06&end=2026-03-09[&delivery=KLIA][&collect=1]
+ *   — itemised quote for one car (same engine the bot uses).
  */
 const { getClient } = require('./_lib/supabase');
 const { auth } = require('./_lib/auth');
+const pricingEngine = require('../src/brain/pricing');
+const policies = require('../src/brain/policies');
+
+async function quote(supabase, { plate, start, end, delivery, collect }) {
+  const { data: car, error } = await supabase
+    .from('cars')
+    .select('*')
+    .ilike('plate_number', plate)
+    .maybeSingle();
+  if (error) throw error;
+  if (!car) return { status: 404, body: { error: `Car not found: ${plate}` } };
+
+  if (!start || !end) {
+    return { status: 200, body: { plate: car.plate_number, rates: pricingEngine.ratesFor(car) } };
+  }
+
+  const zone = delivery ? policies.getDeliveryFee(delivery) : null;
+  const result = pricingEngine.quote(car, start, end, {
+    deliveryFee: zone ? zone.fee : 0,
+    deliveryLabel: zone ? `Delivery (${delivery})` : null,
+    collectionFee: zone && collect ? zone.fee : 0,
+    collectionLabel: zone ? `Collection (${delivery})` : null,
+  });
+  if (result.error) return { status: 400, body: result };
+  return { status: 200, body: result };
+}
 
 module.exports = async (req, res) => {
   if (!auth(req, res)) return;
@@ -10,6 +38,11 @@ module.exports = async (req, res) => {
   try {
     const supabase = getClient();
 
+    if (req.query.plate) {
+      const { status, body } = await quote(supabase, req.query);
+      return res.status(status).json(body);
+    }
+
     const { data, error } = await supabase
       .from('bot_data_store')
       .select('key, value')
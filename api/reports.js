@@ -1,9 +1,11 @@
 /**
  * GET /api/reports — Generate reports from Supabase data.
- * Query params: ?type=summary|fleet|expiring|overdue|earnings
+ * Query params: ?type=summary|fleet|by-time|by-contact|available|overdue
  */
 const { getClient } = require('./_lib/supabase');
 const { auth } = require('./_lib/auth');
+const pricingEngine = require('../src/brain/pricing');
+const { formatMYT } = require('../src/utils/time');
 
 module.exports = async (req, res) => {
   if (!auth(req, res)) return;
@@ -140,6 +142,25 @@ module.exports = async (req, res) => {
         break;
       }
 
+      case 'overdue': {
+        // Past the return time (date_end's time, or the default return time)
+        const carByPlate = {};
+        (cars || []).forEach(c => { carByPlate[(c.plate_number || '').toUpperCase()] = c; });
+        const overdue = active
+          .map(a => ({ a, fee: pricingEngine.lateFee(a, carByPlate[(a.plate_number || '').toUpperCase()] || null) }))
+          .filter(({ fee }) => fee.minutesLate > 0);
+        const totalFees = overdue.reduce((sum, { fee }) => sum + fee.amount, 0);
+
+        report = `=== OVERDUE RETURNS (${overdue.length}) ===\n\n`;
+        overdue.forEach(({ a, fee }) => {
+          const late = fee.hours >= 24 ? `${Math.floor(fee.hours / 24)}d ${fee.hours % 24}h` : `${fee.hours}h`;
+          report += `  ${a.plate_number} | ${a.customer_name} | ${a.mobile || ''}\n`;
+          report += `    due ${formatMYT(fee.dueAt, 'datetime')} | ${late} late | RM${fee.amount} (${fee.label})\n`;
+        });
+        report += `\nLate fees outstanding: RM${totalFees}\n`;
+        break;
+      }
+
       case 'available': {
         const available = (cars || []).filter(c => c.status === 'available');
         report = `=== AVAILABLE CARS (${available.length}) ===\n\n`;
@@ -150,7 +171,7 @@ module.exports = async (req, res) => {
       }
 
       default:
-        report = 'Unknown report type. Use: summary, fleet, by-time, by-contact, available';
+        report = 'Unknown report type. Use: summary, fleet, by-time, by-contact, available, overdue';
     }
 
     res.json({ type, report, generated: new Date().toISOString() });
@@ -5,8 +5,9 @@
  * during conversation, so it can give accurate answers.
  */
 
-const { fleetService, agreementsService, dataStoreService, syncEngine } = require('../supabase/services');
+const { fleetService, agreementsService, dataStoreService, availabilityService, syncEngine } = require('../supabase/services');
 const policies = require('../brain/policies');
+const pricingEngine = require('../brain/pricing');
 const { todayMYT, daysBetween } = require('../utils/time');
 const { colorName } = require('../utils/validators');
 
@@ -17,7 +18,7 @@ const TOOLS = [
     type: 'function',
     function: {
       name: 'get_available_cars',
-      description: 'Get list of currently available cars for rental. Returns car models, categories, and daily rates. Do NOT include car plates when responding to customers.',
+      description: 'Get cars available for rental, today or for a date range. Returns car models, categories, and daily rates. Pass date_start/date_end whenever the customer mentions dates — a car free today may be booked later. Do NOT include car plates when responding to customers.',
       parameters: {
         type: 'object',
         properties: {
@@ -25,6 +26,8 @@ const TOOLS = [
             type: 'string',
             description: 'Filter by category: economy, compact, suv, premium, mpv. Leave empty for all.',
           },
+          date_start: { type: 'string', description: 'Rental start date YYYY-MM-DD (default: today)' },
+          date_end: { type: 'string', description: 'Rental end date YYYY-MM-DD (default: same as start)' },
         },
       },
     },
@@ -33,8 +36,17 @@ const TOOLS = [
     type: 'function',
     function: {
       name: 'get_pricing',
-      description: 'Get rental pricing for all car categories. Returns daily, 3-day, weekly, and monthly rates.',
-      parameters: { type: 'object', properties: {} },
+      description: 'Get rental pricing. With no arguments returns the category rate card. With a car (car_name, or plate for admins) returns that car\'s own rates; add date_start/date_end for an itemised quote (weekday discounts, promo, deposit, delivery fee). Always quote a specific car when the customer has picked one.',
+      parameters: {
+        type: 'object',
+        properties: {
+          car_name: { type: 'string', description: 'Car model, e.g. "Perodua Bezza"' },
+          plate: { type: 'string', description: 'Plate number (admin only)' },
+          date_start: { type: 'string', description: 'Rental start date YYYY-MM-DD' },
+          date_end: { type: 'string', description: 'Return date YYYY-MM-DD' },
+          delivery_location: { type: 'string', description: 'Delivery area, adds the delivery fee (e.g. KLIA, Nilai)' },
+        },
+      },
     },
   },
   {
@@ -90,10 +102,23 @@ const TOOLS = [
     type: 'function',
     function: {
       name: 'get_overdue_rentals',
-      description: 'Get all overdue rentals (past end date but not returned).',
+      description: 'Get all overdue rentals (past end date but not returned) with the late fee owed so far.',
       parameters: { type: 'object', properties: {} },
     },
   },
+  {
+    type: 'function',
+    function: {
+      name: 'get_outstanding_payments',
+      description: 'Get customers who still owe money (total_price minus paid) and completed rentals whose deposit has not been refunded yet, with totals.',
+      parameters: {
+        type: 'object',
+        properties: {
+          view: { type: 'string', description: 'owing, deposits, or all (default all)' },
+        },
+      },
+    },
+  },
   {
     type: 'function',
     function: {
@@ -534,6 +559,29 @@ const TOOLS = [
       },
     },
   },
+  {
+    type: 'function',
+    function: {
+      name: 'set_customer_tax_details',
+      description: 'Save a customer\'s e-invoice (LHDN MyInvois) buyer details: TIN, IC/passport/BRN, billing name, email, address. Use when admin gives a customer\'s tax or company details for their e-invoice.',
+      parameters: {
+        type: 'object',
+        properties: {
+          phone: { type: 'string', description: 'Customer phone number' },
+          tin: { type: 'string', description: 'Tax Identification Number, e.g. IG12345678901 or C1234567890' },
+          idType: { type: 'string', description: 'NRIC, PASSPORT, BRN (company registration) or ARMY' },
+          idValue: { type: 'string', description: 'The IC / passport / registration number' },
+          name: { type: 'string', description: 'Name or company name to bill' },
+          email: { type: 'string', description: 'Email for the e-invoice' },
+          line: { type: 'string', description: 'Address line' },
+          city: { type: 'string', description: 'City' },
+          postcode: { type: 'string', description: 'Postcode' },
+          state: { type: 'string', description: 'State code 01-16 (e.g. 05 Negeri Sembilan, 10 Selangor, 14 KL)' },
+        },
+        required: ['phone'],
+      },
+    },
+  },
   {
     type: 'function',
     function: {
@@ -571,11 +619,14 @@ const TOOLS = [
     type: 'function',
     function: {
       name: 'create_document',
-      description: 'Generate a formatted business document (WhatsApp-ready text). Types: invoice, receipt, quotation, agreement, payment_reminder, notice, custom. Use when asked to create invoices, receipts, quotations, or any business document.',
+      description: 'Generate a business document as a PDF on the JRV letterhead and send it on WhatsApp (to the requester, or to sendTo). Types: invoice, receipt, quotation, agreement, payment_reminder, notice, custom. Use when asked to create invoices, receipts, quotations, rental agreements or any business document. Pass agreementId to fill customer, car, dates and amounts from a booking. Numbers are INV/RCP/QUO/AGR/NTC/DOC-<year>-<seq>; regenerating for the same booking or docNumber keeps the number.',
       parameters: {
         type: 'object',
         properties: {
           type: { type: 'string', description: 'Document type: invoice, receipt, quotation, agreement, payment_reminder, notice, custom' },
+          agreementId: { type: 'string', description: 'Agreement ID to fill the document from (details given here override it)' },
+          sendTo: { type: 'string', description: 'Phone to send the PDF to, e.g. the customer. Default: the requester' },
+          docNumber: { type: 'string', description: 'Existing document number to regenerate (e.g. INV-2026-00123) — keeps the number' },
           customerName: { type: 'string', description: 'Customer name' },
           phone: { type: 'string', description: 'Customer phone' },
           carName: { type: 'string', description: 'Car name/model' },
@@ -697,18 +748,16 @@ const TOOLS = [
 ];
 
 // ─── Tool Executor ───────────────────────────────────────
-// isAdmin context is passed through to control sensitive data exposure.
+// isAdmin context is passed through to control sensitive data exposure;
+// phone is the sender, for tools that reply with a file.
 
-async function executeTool(name, args, { isAdmin = false } = {}) {
+async function executeTool(name, args, { isAdmin = false, phone = null } = {}) {
   switch (name) {
     case 'get_available_cars': {
-      const { validateFleetStatus } = require('../utils/validators');
-      const [cars, agreements] = await Promise.all([
-        fleetService.getAllCars(),
-        agreementsService.getActiveAgreements(),
-      ]);
-      const { validated } = validateFleetStatus(cars, agreements);
-      let available = validated.filter(c => (c._validatedStatus || c.status) === 'available');
+      const start = args.date_start || todayMYT();
+      const end = args.date_end || start;
+      if (end < start) return { error: 'date_end must be on or after date_start' };
+      let available = await availabilityService.getAvailableCars(start, end);
       if (args.category) {
         available = available.filter(c => (c.body_type || '').toLowerCase() === args.category.toLowerCase());
       }
@@ -725,8 +774,33 @@ async function executeTool(name, args, { isAdmin = false } = {}) {
       });
     }
 
-    case 'get_pricing':
-      return policies.pricing;
+    case 'get_pricing': {
+      if (!args.car_name && !args.plate) return policies.pricing;
+
+      let car = null;
+      if (args.plate && isAdmin) {
+        car = await fleetService.getCarByPlate(args.plate);
+      } else if (args.car_name) {
+        const q = args.car_name.toLowerCase();
+        const cars = await fleetService.getAllCars();
+        car = cars.find(c => (c._carName || '').toLowerCase().includes(q))
+          || cars.find(c => (c.body_type || '').toLowerCase() === q);
+      }
+      if (!car) return { error: `Car not found: ${args.plate || args.car_name}` };
+
+      if (!args.date_start || !args.date_end) {
+        return { car_name: car._carName || car.body_type, ...pricingEngine.ratesFor(car) };
+      }
+
+      const delivery = args.delivery_location ? policies.getDeliveryFee(args.delivery_location) : null;
+      const quote = pricingEngine.quote(car, args.date_start, args.date_end, {
+        deliveryFee: delivery ? delivery.fee : 0,
+        deliveryLabel: delivery ? `Delivery (${args.delivery_location})` : null,
+      });
+      if (!isAdmin) delete quote.plate;
+      if (args.delivery_location && !delivery) quote.note = `Unknown delivery area "${args.delivery_location}" — fee not included`;
+      return quote;
+    }
 
     case 'get_delivery_fee': {
       const fee = policies.getDeliveryFee(args.location);
@@ -784,14 +858,55 @@ async function executeTool(name, args, { isAdmin = false } = {}) {
 
     case 'get_overdue_rentals': {
       if (!isAdmin) return { error: 'Overdue rentals list is only available to admin users.' };
-      const overdue = await agreementsService.getOverdueAgreements();
-      return overdue.map(a => ({
-        customer_name: a.customer_name,
-        mobile: a.mobile,
-        plate_number: a.plate_number,
-        date_end: a.date_end,
-        days_overdue: daysBetween((a.date_end || '').slice(0, 10), todayMYT()),
-      }));
+      const [overdue, cars] = await Promise.all([
+        agreementsService.getOverdueAgreements(),
+        fleetService.getAllCars(),
+      ]);
+      return overdue.map(a => {
+        const fee = pricingEngine.lateFee(a, cars.find(c => (c.plate_number || '').toUpperCase() === (a.plate_number || '').toUpperCase()) || null);
+        return {
+          customer_name: a.customer_name,
+          mobile: a.mobile,
+          plate_number: a.plate_number,
+          date_end: a.date_end,
+          days_overdue: daysBetween((a.date_end || '').slice(0, 10), todayMYT()),
+          late_fee: fee.amount,
+          late_fee_basis: fee.label,
+        };
+      });
+    }
+
+    case 'get_outstanding_payments': {
+      if (!isAdmin) return { error: 'Outstanding payments are only available to admin users.' };
+      const ledger = await agreementsService.getLedger();
+      const view = (args.view || 'all').toLowerCase();
+      const result = {};
+      if (view !== 'deposits') {
+        result.total_outstanding = ledger.totalOutstanding;
+        result.owing = ledger.receivables.map(a => ({
+          customer_name: a.customer_name,
+          mobile: a.mobile,
+          plate_number: a.plate_number,
+          date_start: a.date_start,
+          date_end: a.date_end,
+          status: a.status,
+          total_price: a.total_price,
+          paid: a.paid,
+          outstanding: a.outstanding,
+        }));
+      }
+      if (view !== 'owing') {
+        result.total_deposits = ledger.totalDeposits;
+        result.deposits_to_refund = ledger.deposits.map(a => ({
+          customer_name: a.customer_name,
+          mobile: a.mobile,
+          plate_number: a.plate_number,
+          returned: (a.date_end || '').slice(0, 10),
+          days_since_return: a.daysSinceReturn,
+          deposit: a.deposit,
+        }));
+      }
+      return result;
     }
 
     case 'get_fleet_status': {
@@ -853,13 +968,10 @@ async function executeTool(name, args, { isAdmin = false } = {}) {
     case 'get_jrv_location': {
       const locationService = require('../utils/location');
       return {
-        name: 'JRV Car Rental',
-        branches: [
-          '195, Jalan S2 B14, Seremban 2, 70300 Seremban, Negeri Sembilan',
-          'Lot 12071, Jalan Sungai Ujong, Taman Ast, 70200 Seremban, Negeri Sembilan',
-        ],
+        name: policies.business.name,
+        branches: policies.business.branches,
         mapsLink: locationService.jrvLocation(),
-        website: 'https://jrvservices.co',
+        website: policies.business.website,
       };
     }
 
@@ -958,7 +1070,7 @@ async function executeTool(name, args, { isAdmin = false } = {}) {
         customerProfiles: stats.profileStats || { totalProfiles: 0 },
         tasks: stats.taskStats || { pending: 0 },
         workflows: stats.workflowStats || { customWorkflows: 0 },
-        documents: stats.docStats || { documentsGenerated: 0 },
+        documents: stats.docStats || { documentsIssued: 0 },
         webSearch: require('../utils/web-search').getStats(),
         switchCmd: '/switch <kimi|groq> [model]',
       };
@@ -1204,6 +1316,19 @@ async function executeTool(name, args, { isAdmin = false } = {}) {
       return { added: true, phone: args.phone, note: args.note };
     }
 
+    case 'set_customer_tax_details': {
+      if (!isAdmin) return { error: 'Only admin can set e-invoice details.' };
+      const profiles = require('../brain/customer-profiles');
+      const { phone: customerPhone, line, city, postcode, state, ...details } = args;
+      if (details.idType) details.idType = details.idType.toUpperCase();
+      if (details.tin) details.tin = details.tin.replace(/\s+/g, '').toUpperCase();
+      const saved = await profiles.setTaxDetails(customerPhone.replace(/\D/g, ''), {
+        ...details,
+        address: { line, city, postcode, state },
+      });
+      return { saved: true, phone: customerPhone, einvoice: saved };
+    }
+
     case 'tag_customer': {
       if (!isAdmin) return { error: 'Only admin can tag customers.' };
       const profiles = require('../brain/customer-profiles');
@@ -1234,8 +1359,27 @@ async function executeTool(name, args, { isAdmin = false } = {}) {
     case 'create_document': {
       if (!isAdmin) return { error: 'Only admin can generate documents.' };
       const docs = require('../brain/documents');
-      const result = await docs.generate(args.type, args);
-      return result;
+      const { sendTo, ...data } = args;
+      let doc;
+      try {
+        doc = await docs.generatePdf(args.type, data, { issuer: phone });
+      } catch (err) {
+        return { error: err.message };
+      }
+      if (doc.error) return doc;
+      const to = sendTo ? sendTo.replace(/\D/g, '') : phone;
+      const sent = to ? await docs.sendPdf(to, doc, `${doc.pdf.title} ${doc.docNumber || ''}`.trim()) : false;
+      return {
+        type: doc.type,
+        docNumber: doc.docNumber,
+        pdf: doc.fileName,
+        url: doc.url,
+        sentTo: sent ? to : null,
+        einvoice: doc.einvoice
+          ? { ready: doc.einvoice.errors.length === 0, errors: doc.einvoice.errors, warnings: doc.einvoice.warnings }
+          : undefined,
+        content: doc.content,
+      };
     }
 
     // ─── Task Manager ───────────────────────────────────────
@@ -10,6 +10,17 @@ const customerProfiles = require('../brain/customer-profiles');
 const documents = require('../brain/documents');
 const taskManager = require('../brain/tasks');
 const workflows = require('../brain/workflows');
+const approvals = require('../brain/approvals');
+const waitlist = require('../brain/waitlist');
+const overduePlaybook = require('../brain/overdue-playbook');
+const expiryReminders = require('../brain/expiry-reminders');
+const notifications = require('../brain/notifications');
+const feedback = require('../brain/feedback');
+const campaigns = require('../brain/campaigns');
+const broadcasts = require('../brain/broadcasts');
+const paymentProofs = require('../brain/payment-proofs');
+const ledger = require('../brain/ledger');
+const einvoice = require('../brain/einvoice');
 const fs = require('fs');
 const path = require('path');
 
@@ -68,6 +79,17 @@ class AIRouter {
       documents.load(),
       taskManager.load(),
       workflows.load(),
+      approvals.load(),
+      waitlist.load(),
+      overduePlaybook.load(),
+      expiryReminders.load(),
+      feedback.load(),
+      campaigns.load(),
+      broadcasts.load(),
+      paymentProofs.load(),
+      ledger.load(),
+      einvoice.load(),
+      notifications.load(),
     ]);
 
     for (let i = 0; i < brainModules.length; i++) {
@@ -133,6 +155,7 @@ class AIRouter {
       isAdmin = false,
       systemPrompt = null,
       intent = null,
+      phone = null,
     } = options;
 
     this.stats.requests++;
@@ -175,7 +198,7 @@ class AIRouter {
         tools: needsTools ? TOOLS : null,
         toolExecutor: needsTools ? async (name, args) => {
           this.stats.toolCalls++;
-          return executeTool(name, args, { isAdmin });
+          return executeTool(name, args, { isAdmin, phone });
         } : null,
         isAdmin,
       });
@@ -309,6 +332,11 @@ class AIRouter {
     const kbContext = knowledge.buildKBContext();
     if (kbContext) parts.push('', kbContext);
 
+    if (!isAdmin) {
+      const reviews = feedback.buildTestimonialContext();
+      if (reviews) parts.push('', reviews);
+    }
+
     if (isAdmin) {
       const taskSummary = taskManager.buildSummary();
       if (taskSummary) parts.push('', taskSummary);
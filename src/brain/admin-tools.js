@@ -6,15 +6,18 @@
  * - Direct Supabase queries
  * - System configuration
  * - AI model switching
- * - Broadcast messages
- * - Data export
+ * - Broadcast messages (admins, or customer segments via broadcasts.js)
+ * - Data export (incl. MyInvois e-invoice batches)
  * - Reminder management for all users
  */
 
 const policies = require('./policies');
 const reminders = require('./reminders');
+const broadcasts = require('./broadcasts');
+const einvoice = require('./einvoice');
 const { syncEngine, dataStoreService, fleetService, agreementsService } = require('../supabase/services');
 const fileSafety = require('../utils/file-safety');
+const outbox = require('../channels/outbox');
 const cloudinary = require('../media/cloudinary');
 
 const BOSS_PHONE = '60138606455';
@@ -40,7 +43,7 @@ class AdminTools {
    * Parse and execute admin tool commands.
    * Format: /tool <command> [args]
    */
-  async execute(command, args, phone, name) {
+  async execute(command, args, phone, name, raw = '') {
     if (!this.isBoss(phone)) {
       return { error: 'Access denied. Boss-only command.' };
     }
@@ -51,10 +54,10 @@ class AdminTools {
         return this._generateSite(args);
 
       case 'broadcast':
-        return this._broadcast(args);
+        return this._broadcast(args, phone, raw);
 
       case 'export':
-        return this._exportData(args);
+        return this._exportData(args, phone);
 
       case 'config':
         return this._showConfig();
@@ -182,23 +185,31 @@ Requirements:
   }
 
   /**
-   * Broadcast message to all admins or specific groups.
+   * Broadcast message to all admins, or to a customer segment
+   * ("/tool broadcast preview|customers|list|cancel", see broadcasts.js).
+   * @param {string} raw - text after "/tool broadcast" with line breaks kept
    */
-  async _broadcast(args) {
+  async _broadcast(args, phone, raw) {
     if (args.length === 0) {
-      return { error: 'Usage: /tool broadcast <message>' };
+      return { error: 'Usage: /tool broadcast <message> (admins) or /tool broadcast customers (see /tool broadcast help)' };
+    }
+
+    const action = args[0].toLowerCase();
+    if (['customers', 'preview', 'list', 'cancel', 'help'].includes(action)) {
+      const rest = raw.replace(/^\S+[ \t]*/, '');
+      return { type: 'text', text: await broadcasts.handle(action, rest, phone) };
     }
 
     const message = args.join(' ');
     const sent = [];
 
     for (const admin of policies.admins.list) {
-      if (this.whatsapp && this.whatsapp.isConnected && this.whatsapp.isConnected()) {
-        try {
-          await this.whatsapp.sendText(`${admin.phone}@c.us`, `*Broadcast from Boss:*\n${message}`);
-          sent.push(admin.name);
-        } catch (err) {
-          console.error(`[AdminTools] Broadcast to ${admin.name} failed:`, err.message);
+      if (this.whatsapp) {
+        const item = await outbox.send(`${admin.phone}@c.us`, `*Broadcast from Boss:*\n${message}`, { source: 'broadcast' });
+        if (item.status === 'failed') {
+          console.error(`[AdminTools] Broadcast to ${admin.name} failed:`, item.error);
+        } else {
+          sent.push(item.status === 'sent' ? admin.name : `${admin.name} (queued)`);
         }
       } else {
         console.log(`[AdminTools → ${admin.name}] ${message}`);
@@ -210,12 +221,15 @@ Requirements:
   }
 
   /**
-   * Export data as formatted text.
+   * Export data as formatted text (einvoice: MyInvois files, see einvoice.js).
    */
-  async _exportData(args) {
+  async _exportData(args, phone) {
     const type = args[0] || 'all';
 
     switch (type) {
+      case 'einvoice':
+      case 'e-invoice':
+        return einvoice.exportMonth(args.slice(1).join(' '), phone);
       case 'cars':
       case 'fleet': {
         const cache = syncEngine.getCache();
@@ -920,7 +934,10 @@ Requirements:
       commands: {
         '/tool site <description>': 'Generate HTML site',
         '/tool broadcast <message>': 'Message all admins',
+        '/tool broadcast preview|customers': 'Customer segment broadcast (dry run / send)',
+        '/tool broadcast list|cancel <id>': 'Broadcast progress / stop one',
         '/tool export <cars|bookings|store|all>': 'Export data',
+        '/tool export einvoice [month]': 'MyInvois e-invoice files for the accountant',
         '/tool config': 'Show configuration',
         '/tool set <key> <value>': 'Change setting',
         '/tool switch <kimi|groq> [model]': 'Switch AI provider',
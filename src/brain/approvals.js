@@ -0,0 +1,185 @@
+/**
+ * Approvals — customer requests that need an admin yes/no over WhatsApp.
+ *
+ * A flow files a request (booking change, cancellation, ...). JARVIS sends the
+ * approver a summary with a short code, and the admin replies:
+ *   "approve K7Q2P"            → handler.onApprove(request, note)
+ *   "reject K7Q2P car is busy" → handler.onReject(request, reason)
+ * Handlers are registered per request type by the module that owns the flow;
+ * they apply the change and tell the customer.
+ *
+ * Storage: Supabase bot_data_store with key prefix "approval:"
+ */
+
+const { dataStoreService } = require('../supabase/services');
+const notifications = require('./notifications');
+const policies = require('./policies');
+
+const REPLY_PATTERN = /^(approve|approved|lulus|reject|rejected|tolak|decline)\s+#?([a-z0-9]{5})\b\s*(.*)$/i;
+
+class Approvals {
+  constructor() {
+    this._requests = new Map(); // id → request
+    this._handlers = {};        // type → { onApprove, onReject }
+    this._loaded = false;
+  }
+
+  async load() {
+    try {
+      const data = await dataStoreService.getByKeyPrefix('approval:');
+      for (const entry of data || []) {
+        const req = typeof entry.value === 'string' ? JSON.parse(entry.value) : entry.value;
+        if (req && req.status === 'pending') this._requests.set(req.id, req);
+      }
+      this._loaded = true;
+      console.log(`[Approvals] Loaded ${this._requests.size} pending requests`);
+    } catch (err) {
+      console.error('[Approvals] Failed to load:', err.message);
+      this._loaded = true;
+    }
+  }
+
+  /**
+   * Register what happens when a request type is approved or rejected.
+   * Both callbacks receive the stored request and whatever the admin wrote
+   * after the code (onReject: the reason; onApprove: usually empty).
+   * Each returns a short line for the admin who replied.
+   */
+  registerHandler(type, { onApprove, onReject }) {
+    this._handlers[type] = { onApprove, onReject };
+  }
+
+  /**
+   * File a request and message the approver.
+   * @param {object} opts - { type, phone, name, summary, payload, approver: 'superadmin'|'boss' }
+   */
+  async request({ type, phone, name, summary, payload = {}, approver = 'superadmin' }) {
+    const id = this._newId();
+    const req = {
+      id,
+      type,
+      phone,
+      name,
+      summary,
+      payload,
+      approver,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      resolvedAt: null,
+      resolvedBy: null,
+      note: null,
+    };
+
+    this._requests.set(id, req);
+    await dataStoreService.setValue(`approval:${id}`, req);
+
+    const text = `*🔔 APPROVAL NEEDED — ${id}*\n` +
+      `\`\`\`\n${summary}\n\`\`\`\n` +
+      `Customer: ${name || 'N/A'} (+${phone})\n\n` +
+      `Reply *approve ${id}* or *reject ${id} <reason>*`;
+
+    if (approver === 'boss') {
+      const boss = policies.admins.list.find(a => a.isBoss);
+      await notifications.sendToPhone(boss.phone, text);
+    } else {
+      await notifications.notifySuperadmin(text);
+    }
+
+    console.log(`[Approvals] ${id} filed: ${type} for ${phone}`);
+    return req;
+  }
+
+  /**
+   * Parse an admin message as an approve/reject reply.
+   * @returns {{ action: 'approve'|'reject', id: string, note: string }|null}
+   */
+  matchReply(text) {
+    const m = (text || '').trim().match(REPLY_PATTERN);
+    if (!m) return null;
+    const action = /^(approve|approved|lulus)$/i.test(m[1]) ? 'approve' : 'reject';
+    return { action, id: m[2].toUpperCase(), note: m[3].trim() };
+  }
+
+  /**
+   * Apply an admin's decision. Returns the reply text for the admin.
+   */
+  async resolve(id, action, adminPhone, note = '') {
+    const req = this._requests.get(id);
+    if (!req) return `*Approval ${id}*\n\`\`\`Not found or already handled.\`\`\``;
+
+    if (req.approver === 'boss') {
+      const admin = policies.getAdmin(adminPhone);
+      if (!admin || !admin.isBoss) return `*Approval ${id}*\n\`\`\`Only the boss can approve this request.\`\`\``;
+    }
+
+    const handler = this._handlers[req.type];
+    if (!handler) return `*Approval ${id}*\n\`\`\`No handler for "${req.type}". Handle manually.\`\`\``;
+
+    // Claim it first so a second admin replying at the same time is a no-op
+    this._requests.delete(id);
+
+    let result;
+    try {
+      result = action === 'approve'
+        ? await handler.onApprove(req, note)
+        : await handler.onReject(req, note);
+    } catch (err) {
+      this._requests.set(id, req);
+      console.error(`[Approvals] ${id} ${action} failed:`, err.message);
+      return `*Approval ${id} failed*\n\`\`\`${err.message}\`\`\`\nStill pending — try again or handle manually.`;
+    }
+
+    req.status = action === 'approve' ? 'approved' : 'rejected';
+    req.resolvedAt = new Date().toISOString();
+    req.resolvedBy = adminPhone;
+    req.note = note || null;
+    await dataStoreService.setValue(`approval:${id}`, req).catch(err =>
+      console.warn(`[Approvals] Failed to save ${id}:`, err.message)
+    );
+
+    console.log(`[Approvals] ${id} ${req.status} by ${adminPhone}`);
+    return `*${action === 'approve' ? '✅ Approved' : '❌ Rejected'} — ${id}*\n\`\`\`\n${result || req.summary}\n\`\`\``;
+  }
+
+  /**
+   * Pending requests, optionally filtered by type / payload fields.
+   */
+  listPending(filter = {}) {
+    return [...this._requests.values()].filter(req => {
+      if (filter.type && req.type !== filter.type) return false;
+      if (filter.phone && req.phone !== filter.phone) return false;
+      if (filter.agreementId && req.payload.agreementId !== filter.agreementId) return false;
+      return true;
+    });
+  }
+
+  /**
+   * WhatsApp summary of pending requests for /approvals.
+   */
+  formatPending() {
+    const pending = this.listPending();
+    if (pending.length === 0) return '*Pending Approvals*\n```None```';
+
+    let text = `*Pending Approvals (${pending.length})*\n\`\`\`\n`;
+    for (const req of pending) {
+      text += `${req.id} | ${req.type} | ${req.name || req.phone}\n`;
+      text += `  ${req.summary.split('\n')[0]}\n`;
+    }
+    text += `\`\`\`\nReply *approve <code>* or *reject <code> <reason>*`;
+    return text;
+  }
+
+  _newId() {
+    let id;
+    do {
+      id = Math.random().toString(36).slice(2, 7).toUpperCase().padEnd(5, '0');
+    } while (this._requests.has(id));
+    return id;
+  }
+
+  getStats() {
+    return { pending: this._requests.size };
+  }
+}
+
+module.exports = new Approvals();
@@ -2,27 +2,44 @@
  * Booking Creation Flow - Guided booking through JARVIS chat.
  *
  * Flow:
- * 1. Customer asks to book → Show available cars (no plates for customers)
+ * 1. Customer asks to book → Show available cars (no plates for customers),
+ *    filtered by any dates/type/seats/transmission in the opening message
  * 2. Customer picks car → Confirm car + show pricing
- * 3. Customer provides dates → Calculate total
+ * 3. Customer provides dates (skipped if already given) → Calculate total
  * 4. Collect name + phone
- * 5. Delivery/pickup option → pickup at office or delivery to location
+ * 5. Delivery/pickup option → pickup at office, delivery, or delivery +
+ *    collection. The location (typed address or WhatsApp pin) is matched to
+ *    a delivery zone and its fee added to the quote; collection costs the
+ *    same as delivery to that zone.
  * 6. Final confirmation → Assign plate internally
- * 7. Confirm booking → Notify Vir with plate + details, customer sees NO plate
+ * 7. Confirm booking → Save agreement (New, pending payment) + notify Vir
+ *    with plate + details, customer sees NO plate
  * 8. Show payment instructions + document requirements
  *
+ * When nothing (or nothing of the wanted type) is free, the customer can
+ * join the waitlist (see waitlist.js) instead of the lead being lost.
+ *
  * Plate assignment: car plate is assigned internally and sent to Vir.
  * Customer only learns the plate on pickup/delivery day.
  *
- * State machine per conversation, stored in conversation context.
+ * State machine per phone. Sessions are saved to bot_data_store under
+ * "booking_session:<phone>" after every step and restored at boot, so a
+ * restart or a customer replying hours later picks up where they stopped.
+ * Sessions idle for SESSION_TTL_MS expire; customers idle for NUDGE_AFTER_MS
+ * get one "continue where you left off?" message.
  */
 
 const policies = require('./policies');
+const pricing = require('./pricing');
 const notifications = require('./notifications');
 const customerFlows = require('./customer-flows');
-const { syncEngine, agreementsService, fleetService } = require('../supabase/services');
-const { validateFleetStatus, colorName } = require('../utils/validators');
-const { daysBetween, todayMYT } = require('../utils/time');
+const waitlist = require('./waitlist');
+const consent = require('./consent');
+const locationService = require('../utils/location');
+const { agreementsService, availabilityService, dataStoreService } = require('../supabase/services');
+const { agreements: agreementsSchema } = require('../supabase/schemas');
+const { colorName } = require('../utils/validators');
+const { daysBetween, addDays, todayMYT, parseDateRange, parseDateTimeRange } = require('../utils/time');
 
 const BOOKING_STATES = {
   IDLE: 'idle',
@@ -32,13 +49,35 @@ const BOOKING_STATES = {
   DELIVERY_OPTION: 'delivery_option',
   CONFIRMING: 'confirming',
   PAYMENT: 'payment',
+  WAITLIST_OFFER: 'waitlist_offer', // nothing free — offered the waitlist
   COMPLETED: 'completed',
 };
 
+const SESSION_PREFIX = 'booking_session:';
+const SESSION_TTL_MS = 48 * 60 * 60 * 1000;  // idle sessions are dropped after 2 days
+const NUDGE_AFTER_MS = 3 * 60 * 60 * 1000;   // one reminder after 3 hours idle
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+const RESUME_WORDS = ['continue', 'resume', 'teruskan', '继续'];
+// Replies the expiry reminders ask for (customer-flows.expiringRentalMessage) — left to the extension flow
+const EXTENSION_WORDS = ['extend', 'sambung', '延长'];
+const WAITLIST_WORDS = /\b(waitlist|wait list|senarai menunggu|tunggu)\b|候补|排队/i;
+
+// Customer wording → cars.body_type (EN/MS/ZH)
+const BODY_TYPE_KEYWORDS = [
+  { bodyType: 'MPV/Van', pattern: /\b(mpv|van|family car|kereta keluarga)\b|商务车|七人车/i },
+  { bodyType: 'SUV', pattern: /\b(suv|4x4|4wd)\b|越野/i },
+  { bodyType: 'Sedan', pattern: /\b(sedan|saloon)\b|轿车/i },
+  { bodyType: 'Hatchback', pattern: /\b(hatch|hatchback|kompak|compact)\b|两厢/i },
+  { bodyType: 'Sports', pattern: /\b(sports?\s*car|sport)\b|跑车/i },
+];
+
 class BookingFlow {
   constructor() {
     // Active booking sessions: phone → bookingData
     this.sessions = new Map();
+    this._saves = new Map(); // phone → pending write (keeps writes in order)
+    this._sweeper = null;
   }
 
   /**
@@ -46,50 +85,116 @@ class BookingFlow {
    */
   isActive(phone) {
     const session = this.sessions.get(phone);
-    return session && session.state !== BOOKING_STATES.IDLE && session.state !== BOOKING_STATES.COMPLETED;
+    if (session && this._isExpired(session)) {
+      this._end(phone);
+      return false;
+    }
+    return !!session && session.state !== BOOKING_STATES.IDLE && session.state !== BOOKING_STATES.COMPLETED;
   }
 
   /**
    * Start a new booking flow.
+   * The opening message may already carry dates, body type, seats or
+   * transmission ("any MPV for 12-15 Nov?") — those are applied as filters
+   * and their steps skipped.
+   * @param {object} opts - { start, end, plate } from a waitlist offer: the
+   *   dates are set and that car is selected straight away if still free
    */
-  async start(phone, name, isAdmin = false) {
+  async start(phone, name, isAdmin = false, openingText = '', opts = {}) {
+    const criteria = this._parseCriteria(openingText || '');
+
     this.sessions.set(phone, {
       state: BOOKING_STATES.SELECTING_CAR,
       phone,
       name,
       isAdmin,
+      criteria,
       selectedCar: null,
       startDate: null,
       endDate: null,
+      startTime: null,
+      endTime: null,
+      sameDayReturn: false,
+      pendingStart: null, // pickup date given without a return date yet
       customerName: name,
       customerPhone: phone,
       totalAmount: null,
       deliveryOption: null, // 'pickup' or 'delivery'
       deliveryLocation: null,
+      deliveryPin: null,    // { lat, lng } from a pin or geocoded address
+      deliveryZone: null,   // { zone, fee, label, distanceKm } — null = unknown area
+      collect: false,       // we also collect the car from the same place
       assignedPlate: null,
-      createdAt: new Date(),
+      bookingRef: this._newBookingRef(),
+      agreementId: null,
+      createdAt: new Date().toISOString(),
+      lastActivity: Date.now(),
+      nudgedAt: null,
     });
 
-    // Fetch fresh data (don't rely on cache which may be empty if sync failed)
-    const [allCars, activeAgreements] = await Promise.all([
-      fleetService.getAllCars(),
-      agreementsService.getActiveAgreements(),
-    ]);
-    const { validated } = validateFleetStatus(allCars, activeAgreements);
-    const available = validated.filter(c => (c._validatedStatus || c.status) === 'available');
+    const session = this.sessions.get(phone);
+    if (opts.start) this._applyDates(session, { start: opts.start, end: opts.end });
+    else if (criteria.dates) this._applyDates(session, criteria.dates);
+
+    let text = await this._listMatchingCars(session, `*Let's book a car!*`);
+    const offered = opts.plate ? session._availableCars.findIndex(c => c.plate_number === opts.plate) : -1;
+    if (offered >= 0) text = await this._handleCarSelection(session, String(offered + 1));
 
-    if (available.length === 0) {
-      this.sessions.delete(phone);
-      return '*Sorry*\n```No cars available right now. Please contact us at +60126565477.```';
+    this._persist(phone);
+    return text;
+  }
+
+  /**
+   * Show cars free for the session's window (or today) that fit its criteria.
+   * When nothing fits the filters, say so and show everything that is free.
+   */
+  async _listMatchingCars(session, heading) {
+    const { criteria, phone } = session;
+    // Fetch fresh data (don't rely on cache which may be empty if sync failed).
+    // Without dates the list is for today; the chosen car is re-checked once dates are given.
+    const start = session.startDate || todayMYT();
+    const end = session.endDate || start;
+    const free = await availabilityService.getAvailableCars(start, end, { phone });
+
+    const when = session.startDate ? `for ${start} → ${end}` : 'right now';
+    if (free.length === 0) {
+      session._availableCars = [];
+      session.state = BOOKING_STATES.WAITLIST_OFFER;
+      return `*Sorry*\n\`\`\`No cars available ${when}.\`\`\`\n\n` +
+        `Reply *"waitlist"* and we'll WhatsApp you as soon as one frees up, send other dates, or contact us at +60126565477.`;
     }
 
-    let text = `*Let's book a car!*\n\nHere's what's available:\n\n`;
+    const wanted = this._describeCriteria(criteria);
+    const matching = free.filter(car => this._matchesCriteria(car, criteria));
+    session.state = BOOKING_STATES.SELECTING_CAR;
+    session._wantedTaken = !!wanted && matching.length === 0;
+    let text = `${heading}\n\n`;
+    if (!wanted) {
+      text += `Here's what's available ${when}:\n\n`;
+    } else if (matching.length > 0) {
+      text += `*${wanted}* available ${when}:\n\n`;
+    } else {
+      text += `No *${wanted}* free ${when}, but these are:\n\n`;
+    }
 
-    // Number each car for selection
-    available.forEach((car, i) => {
-      const cat = car.body_type || 'economy';
-      const pricing = policies.getCategoryPricing(cat);
-      const rate = pricing ? pricing.daily : car.daily_price || 80;
+    const cars = matching.length > 0 ? matching : free;
+    text += this._formatCarList(cars, session.isAdmin);
+    if (!session.startDate) text += `\n_Tip: tell me your dates to see only cars free for them._`;
+    if (session._wantedTaken) text += `\n_Or reply *"waitlist"* to be told when a ${wanted} car frees up._`;
+
+    // Store available cars for reference
+    session._availableCars = cars;
+    return text;
+  }
+
+  /**
+   * Numbered car list for selection (no plates for customers).
+   */
+  _formatCarList(cars, isAdmin) {
+    let text = '';
+    cars.forEach((car, i) => {
+      const rates = pricing.ratesFor(car);
+      const rate = rates.promo || rates.daily;
 
       if (isAdmin) {
         text += `*${i + 1}.* ${car.plate_number} - ${car._carName || car.body_type || ''}`;
@@ -97,22 +202,21 @@ class BookingFlow {
         text += `*${i + 1}.* ${car._carName || car.body_type || ''}`;
       }
       if (car.color) text += ` (${colorName(car.color)})`;
-      text += ` — RM${rate}/day\n`;
+      text += ` — RM${rate}/day`;
+      if (rates.promo && rates.promoLabel) text += ` 🔥 ${rates.promoLabel}`;
+      text += `\n`;
     });
 
     text += `\nReply with the *number* to select a car.`;
     text += `\nOr type "cancel" to cancel booking.`;
-
-    // Store available cars for reference
-    this.sessions.get(phone)._availableCars = available;
-
     return text;
   }
 
   /**
    * Process a message within the booking flow.
+   * The session is saved after every step.
    */
-  process(phone, text, name) {
+  async process(phone, text, name) {
     const session = this.sessions.get(phone);
     if (!session) return null;
 
@@ -120,10 +224,22 @@ class BookingFlow {
 
     // Cancel at any point
     if (lower === 'cancel' || lower === 'batal' || lower === 'no' || lower === 'tak jadi') {
-      this.sessions.delete(phone);
+      this.cancel(phone);
       return '*Booking Cancelled*\n```No worries! Let us know if you change your mind.```';
     }
 
+    if (EXTENSION_WORDS.includes(lower)) return null;
+
+    session.lastActivity = Date.now();
+    const reply = RESUME_WORDS.includes(lower)
+      ? await this._resume(session)
+      : await this._route(session, text);
+
+    if (this.sessions.get(phone) === session) this._persist(phone);
+    return reply;
+  }
+
+  _route(session, text) {
     switch (session.state) {
       case BOOKING_STATES.SELECTING_CAR:
         return this._handleCarSelection(session, text);
@@ -143,6 +259,9 @@ class BookingFlow {
       case BOOKING_STATES.PAYMENT:
         return this._handlePayment(session, text);
 
+      case BOOKING_STATES.WAITLIST_OFFER:
+        return this._handleWaitlistOffer(session, text);
+
       default:
         return null;
     }
@@ -154,80 +273,174 @@ class BookingFlow {
     const num = parseInt(text.trim());
     const cars = session._availableCars;
 
+    if (session._wantedTaken && WAITLIST_WORDS.test(text)) return this._joinWaitlist(session);
+
     if (isNaN(num) || num < 1 || num > cars.length) {
+      // Not a number — maybe dates or a car type ("actually 7 seater, 3-5 Dec")
+      const refined = this._parseCriteria(text);
+      if (refined.dates || refined.bodyType || refined.seats || refined.transmission) {
+        return this._refineCriteria(session, refined);
+      }
       return `Please reply with a number between 1 and ${cars.length}.\nOr type "cancel" to stop.`;
     }
 
     const car = cars[num - 1];
     session.selectedCar = car;
+
+    // Dates already known (picked from the alternatives list) — go straight to the quote
+    if (session.startDate && session.endDate) {
+      return this._checkAndQuote(session);
+    }
+
     session.state = BOOKING_STATES.SELECTING_DATES;
 
-    const cat = car.body_type || 'economy';
-    const pricing = policies.getCategoryPricing(cat);
+    const rates = pricing.ratesFor(car);
 
     let text2 = `*Selected: ${car._carName || car.body_type || ''}*\n`;
-    if (pricing) {
-      text2 += `\`\`\`\n`;
-      text2 += `Daily:   RM${pricing.daily}\n`;
-      text2 += `3-Day:   RM${pricing.threeDays}\n`;
-      text2 += `Weekly:  RM${pricing.weekly}\n`;
-      text2 += `Monthly: RM${pricing.monthly}\n`;
-      text2 += `\`\`\`\n`;
-    }
+    text2 += `\`\`\`\n`;
+    text2 += `Daily:   RM${rates.daily}\n`;
+    if (rates.promo) text2 += `Promo:   RM${rates.promo}/day${rates.promoLabel ? ` (${rates.promoLabel})` : ''}\n`;
+    if (rates.threeDays) text2 += `3-Day:   RM${rates.threeDays}\n`;
+    if (rates.weekly) text2 += `Weekly:  RM${rates.weekly}\n`;
+    if (rates.monthly) text2 += `Monthly: RM${rates.monthly}\n`;
+    if (rates.weekdayDiscountPercent) text2 += `Mon–Thu: -${rates.weekdayDiscountPercent}%\n`;
+    text2 += `\`\`\`\n`;
     text2 += `\nPlease provide your rental dates:\n`;
     text2 += `Format: \`start date - end date\`\n`;
     text2 += `Example: \`2026-02-20 - 2026-02-25\`\n`;
-    text2 += `Or: \`tomorrow - 5 days\``;
+    text2 += `Or: \`tomorrow - 5 days\`, \`this Friday to Monday, pickup 9am\``;
 
     return text2;
   }
 
-  _handleDateSelection(session, text) {
-    const dates = this._parseDates(text);
+  async _handleDateSelection(session, text) {
+    // An earlier reply may have given only the pickup date ("from 12 Nov")
+    const range = parseDateTimeRange(text, session.pendingStart ? { start: session.pendingStart } : {});
 
-    if (!dates) {
-      return `*Could not parse dates*\n\`\`\`\nPlease use format:\n2026-02-20 - 2026-02-25\nor: tomorrow - 3 days\nor: today - next week\n\`\`\``;
+    if (!range) {
+      return `*Could not parse dates*\n\`\`\`\nPlease send dates like:\n2026-02-20 - 2026-02-25\ntomorrow - 3 days\nthis Friday to Monday\n12 hb sampai 15 hb\n下星期三到星期五\n\`\`\``;
     }
+    if (range.ambiguity) {
+      session.pendingStart = range.needs === 'end' ? range.start : null;
+      return `*${range.ambiguity}*`;
+    }
+
+    const error = this._applyDates(session, range);
+    if (error) return error;
+    return this._checkAndQuote(session);
+  }
 
-    session.startDate = dates.start;
-    session.endDate = dates.end;
+  /**
+   * Put a parsed range on the session. A same-day (hourly) rental is booked
+   * and charged as one day, with the return time kept.
+   * @returns {string|null} error to show, or null
+   */
+  _applyDates(session, range) {
+    let end = range.end;
+    const sameDay = end === range.start && !!range.hours;
+    if (sameDay) end = addDays(range.start, 1);
 
-    const days = daysBetween(dates.start, dates.end);
-    if (days <= 0) {
+    if (daysBetween(range.start, end) <= 0) {
       return `End date must be after start date. Please try again.`;
     }
+    if (range.start < todayMYT()) {
+      return `Start date can't be in the past. Please try again.`;
+    }
 
-    const cat = session.selectedCar.body_type || 'economy';
-    const pricing = policies.getCategoryPricing(cat);
-    const dailyRate = pricing ? pricing.daily : session.selectedCar.daily_price || 80;
-
-    // Calculate best rate
-    let total;
-    if (days >= 30 && pricing) {
-      const months = Math.floor(days / 30);
-      const remainDays = days % 30;
-      total = months * pricing.monthly + remainDays * dailyRate;
-    } else if (days >= 7 && pricing) {
-      const weeks = Math.floor(days / 7);
-      const remainDays = days % 7;
-      total = weeks * pricing.weekly + remainDays * dailyRate;
-    } else if (days >= 3 && pricing) {
-      const sets = Math.floor(days / 3);
-      const remainDays = days % 3;
-      total = sets * pricing.threeDays + remainDays * dailyRate;
-    } else {
-      total = days * dailyRate;
+    session.startDate = range.start;
+    session.endDate = end;
+    session.startTime = range.startTime || null;
+    session.endTime = range.endTime || null;
+    session.sameDayReturn = sameDay;
+    session.pendingStart = null;
+    return null;
+  }
+
+  _timesLabel(session) {
+    const parts = [];
+    if (session.startTime) parts.push(`Pickup ${session.startTime}`);
+    if (session.endTime) parts.push(`Return ${session.sameDayReturn ? 'same day ' : ''}${session.endTime}`);
+    return parts.join(', ');
+  }
+
+  async _refineCriteria(session, refined) {
+    if (refined.dates) {
+      const error = this._applyDates(session, refined.dates);
+      if (error) return error;
     }
+    for (const key of ['bodyType', 'seats', 'transmission']) {
+      if (refined[key]) session.criteria[key] = refined[key];
+    }
+    return this._listMatchingCars(session, '*Updated*');
+  }
+
+  // ─── Waitlist ──────────────────────────────────────────
 
-    session.totalAmount = total;
+  /**
+   * Nothing was free: join the waitlist, or try other dates / car types.
+   */
+  async _handleWaitlistOffer(session, text) {
+    const joining = WAITLIST_WORDS.test(text);
+    const refined = this._parseCriteria(text);
+
+    if (refined.dates || refined.bodyType || refined.seats || refined.transmission) {
+      session.wantsWaitlist = session.wantsWaitlist || joining;
+      const reply = await this._refineCriteria(session, refined);
+      // Still nothing for the new dates and they already asked to wait
+      const stillTaken = session.state === BOOKING_STATES.WAITLIST_OFFER || session._wantedTaken;
+      if (session.wantsWaitlist && session.startDate && stillTaken) return this._joinWaitlist(session);
+      return reply;
+    }
+
+    if (joining) return this._joinWaitlist(session);
+    return `Reply *"waitlist"* to wait for a car, send other dates, or type "cancel" to stop.`;
+  }
+
+  async _joinWaitlist(session) {
+    if (!session.startDate) {
+      session.wantsWaitlist = true;
+      session.state = BOOKING_STATES.WAITLIST_OFFER;
+      return `*Which dates do you need?*\n\`\`\`\ne.g. 12-15 Nov\ntomorrow 3 days\n\`\`\``;
+    }
+
+    const { entry, position } = await waitlist.join({
+      phone: session.phone,
+      name: session.customerName,
+      criteria: session.criteria,
+      start: session.startDate,
+      end: session.endDate,
+    });
+    this._end(session.phone);
+
+    return `*You're on the waitlist (#${position})*\n\`\`\`\n` +
+      `Car: ${this._describeCriteria(entry.criteria) || 'Any car'}\n` +
+      `Period: ${entry.start} → ${entry.end}\n` +
+      `\`\`\`\n\n` +
+      `We'll WhatsApp you as soon as a car frees up and hold it for you for a couple of hours.\n` +
+      `Reply *"leave waitlist"* to be removed.`;
+  }
+
+  /**
+   * Check the selected car is free for the session's dates, hold it, and quote.
+   * If it's taken, offer the cars that are free for those dates instead.
+   */
+  async _checkAndQuote(session) {
+    const car = session.selectedCar;
+    const check = await availabilityService.isCarAvailable(car.plate_number, session.startDate, session.endDate, { phone: session.phone });
+    if (!check.available) {
+      return this._offerAlternatives(session, `*Sorry, ${car._carName || car.body_type || 'that car'} is not available for ${session.startDate} → ${session.endDate}.*`);
+    }
+    availabilityService.hold(car.plate_number, session.phone, session.startDate, session.endDate);
+
+    const quote = this._quote(session);
     session.state = BOOKING_STATES.COLLECTING_INFO;
 
     let response = `*Booking Summary*\n\`\`\`\n`;
-    response += `Car: ${session.selectedCar._carName || session.selectedCar.body_type || ''}\n`;
-    response += `From: ${dates.start}\n`;
-    response += `To:   ${dates.end}\n`;
-    response += `Days: ${days}\n`;
-    response += `Total: RM${total}\n`;
+    response += `Car: ${quote.carName}\n`;
+    response += `From: ${quote.startDate}${session.startTime ? ` ${session.startTime}` : ''}\n`;
+    response += `To:   ${session.sameDayReturn ? `${quote.startDate} ${session.endTime}` : `${quote.endDate}${session.endTime ? ` ${session.endTime}` : ''}`}\n`;
+    response += `Days: ${quote.days}${session.sameDayReturn ? ' (same-day return, charged as 1 day)' : ''}\n\n`;
+    response += pricing.formatQuote(quote) + `\n`;
     response += `\`\`\`\n\n`;
     response += `Please confirm your details:\n`;
     response += `*Name:* ${session.customerName || '(please provide)'}\n\n`;
@@ -236,6 +449,49 @@ class BookingFlow {
     return response;
   }
 
+  /**
+   * (Re)price the session from the selected car, dates and delivery/collection fees.
+   */
+  _quote(session) {
+    const quote = pricing.quote(session.selectedCar, session.startDate, session.endDate, {
+      deliveryFee: session.deliveryFee,
+      deliveryLabel: session.deliveryFee ? 'Delivery' : null,
+      collectionFee: session.collectionFee,
+      collectionLabel: session.collectionFee ? 'Collection' : null,
+    });
+    session.quote = quote;
+    session.totalAmount = quote.total;
+    return quote;
+  }
+
+  /**
+   * List cars free for the session's dates (same body type first).
+   * With none free, ask for other dates instead.
+   */
+  async _offerAlternatives(session, intro) {
+    const { startDate, endDate } = session;
+    const cars = await availabilityService.getAvailableCars(startDate, endDate, { phone: session.phone });
+
+    if (cars.length === 0) {
+      session.startDate = null;
+      session.endDate = null;
+      session.state = BOOKING_STATES.SELECTING_DATES;
+      return `${intro}\n\`\`\`No cars are free for those dates.\`\`\`\n\nPlease try different dates, or type "cancel" to stop.`;
+    }
+
+    // Cars that fit the customer's filters first, then the same body type
+    const bodyType = session.selectedCar?.body_type;
+    const rank = car => (this._matchesCriteria(car, session.criteria || {}) ? 2 : 0) + (car.body_type === bodyType ? 1 : 0);
+    cars.sort((a, b) => rank(b) - rank(a));
+
+    session.selectedCar = null;
+    session._availableCars = cars;
+    session._wantedTaken = false;
+    session.state = BOOKING_STATES.SELECTING_CAR;
+
+    return `${intro}\n\nFree for ${startDate} → ${endDate}:\n\n` + this._formatCarList(cars, session.isAdmin);
+  }
+
   _handleInfoCollection(session, text) {
     const lower = text.toLowerCase().trim();
 
@@ -255,30 +511,29 @@ class BookingFlow {
     text += `*1.* Pickup from our office (FREE)\n`;
     text += `    📍 Seremban 2 / Seremban\n`;
     text += `*2.* Delivery to your location\n`;
-    text += `    (Delivery fee depends on distance)\n`;
-    text += `\nReply *1* or *2*.`;
+    text += `    (you return the car to our office)\n`;
+    text += `*3.* Delivery + collection\n`;
+    text += `    (we collect the car from the same place)\n`;
+    text += `\n_Delivery/collection fees depend on distance._\n`;
+    text += `Reply *1*, *2* or *3*.`;
     return text;
   }
 
-  _handleDeliveryOption(session, text) {
+  async _handleDeliveryOption(session, text) {
     const lower = text.toLowerCase().trim();
 
-    if (lower === '1' || /pickup|ambil|self.?collect|office/i.test(lower)) {
-      session.deliveryOption = 'pickup';
-      session.deliveryLocation = 'JRV Office, Seremban 2';
-      session.state = BOOKING_STATES.CONFIRMING;
-      return this._showFinalConfirmation(session);
-    }
-
-    if (lower === '2' || /deliver|hantar|send|location/i.test(lower)) {
+    // Checked before pickup: "hantar dan ambil balik" also contains "ambil"
+    const collect = lower === '3' || (/collect|ambil balik|ambil semula|取回|收车/i.test(lower) && !/self.?collect/i.test(lower));
+    if (lower === '2' || collect || /deliver|hantar|send|location|送车/i.test(lower)) {
       session.deliveryOption = 'delivery';
+      session.collect = collect;
       session.state = BOOKING_STATES.CONFIRMING;
 
-      let response = `*Delivery selected*\n\n`;
+      let response = `*${collect ? 'Delivery + collection' : 'Delivery'} selected*\n\n`;
       response += `Please share your delivery location:\n`;
       response += `- Send a *location pin* 📍\n`;
       response += `- Or type the address/area name\n\n`;
-      response += `_Delivery fees:_\n\`\`\`\n`;
+      response += `_Delivery fees${collect ? ' (each way)' : ''}:_\n\`\`\`\n`;
       for (const zone of Object.values(policies.deliveryZones || {})) {
         response += `${zone.areas?.join('/') || zone.name}: ${zone.fee === 0 ? 'FREE' : 'RM' + zone.fee}\n`;
       }
@@ -287,10 +542,20 @@ class BookingFlow {
       return response;
     }
 
-    // If they typed an address/location directly (not 1 or 2), treat as delivery location
+    if (lower === '1' || /pickup|ambil|self.?collect|office/i.test(lower)) {
+      session.deliveryOption = 'pickup';
+      session.deliveryLocation = 'JRV Office, Seremban 2';
+      session.deliveryPin = null;
+      session.deliveryZone = null;
+      session.collect = false;
+      session.state = BOOKING_STATES.CONFIRMING;
+      return this._showFinalConfirmation(session);
+    }
+
+    // If they typed an address/location directly (not 1/2/3), treat as delivery location
     if (lower !== 'skip') {
       session.deliveryOption = 'delivery';
-      session.deliveryLocation = text.trim();
+      await this._setDeliveryLocation(session, { text });
       session.state = BOOKING_STATES.CONFIRMING;
       return this._showFinalConfirmation(session);
     }
@@ -302,11 +567,74 @@ class BookingFlow {
     return this._showFinalConfirmation(session);
   }
 
+  /**
+   * A WhatsApp location pin sent during a booking. Taken as the delivery
+   * location while the customer is choosing how to get the car or confirming.
+   * @param {object} pin - { lat, lng, address }
+   * @returns {string|null} reply, or null when the booking isn't at that step
+   */
+  async handleLocation(phone, pin) {
+    if (!this.isActive(phone)) return null;
+    const session = this.sessions.get(phone);
+    const atDelivery = session.state === BOOKING_STATES.DELIVERY_OPTION || session.state === BOOKING_STATES.CONFIRMING;
+    if (!atDelivery || session._commit) return null;
+
+    session.lastActivity = Date.now();
+    session.deliveryOption = 'delivery';
+    await this._setDeliveryLocation(session, pin);
+    session.state = BOOKING_STATES.CONFIRMING;
+
+    const reply = this._showFinalConfirmation(session);
+    this._persist(phone);
+    return reply;
+  }
+
+  /**
+   * Resolve a delivery location to a zone. Pins are matched by distance;
+   * typed text is matched to zone area names first, then geocoded.
+   * An address nobody can place leaves the zone unknown (staff confirm the fee).
+   */
+  async _setDeliveryLocation(session, { text, lat, lng, address }) {
+    let zone = null;
+
+    if (lat && lng) {
+      const geo = await locationService.reverseGeocode(lat, lng);
+      const area = [...new Set([geo.area, geo.city].filter(Boolean))].join(', ');
+      session.deliveryLocation = address || area || `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+      session.deliveryPin = { lat, lng };
+      zone = locationService.matchDeliveryZone(lat, lng);
+    } else {
+      session.deliveryLocation = text.trim();
+      session.deliveryPin = null;
+      const known = policies.getDeliveryFee(text);
+      if (known) {
+        zone = { zone: null, fee: known.fee, label: known.label, distanceKm: null };
+      } else {
+        const hit = await locationService.geocode(text);
+        if (hit) {
+          session.deliveryPin = { lat: hit.lat, lng: hit.lng };
+          zone = locationService.matchDeliveryZone(hit.lat, hit.lng);
+        }
+      }
+    }
+
+    session.deliveryZone = zone
+      ? { zone: zone.zone, fee: zone.fee, label: zone.label, distanceKm: zone.distanceKm ?? null }
+      : null;
+  }
+
   _showFinalConfirmation(session) {
     const carName = session.selectedCar._carName || session.selectedCar.body_type || '';
-    const deliveryLabel = session.deliveryOption === 'pickup'
-      ? 'Pickup: Seremban 2 (FREE)'
-      : `Delivery: ${session.deliveryLocation || 'TBD'}`;
+    const delivery = session.deliveryOption === 'delivery';
+    const deliveryLabel = delivery
+      ? `Delivery: ${session.deliveryLocation || 'TBD'}${session.collect ? '\nCollection: same place' : ''}`
+      : 'Pickup: Seremban 2 (FREE)';
+
+    // Known zones are priced now; unknown locations are confirmed by staff
+    const zone = delivery ? session.deliveryZone : null;
+    session.deliveryFee = zone ? zone.fee : 0;
+    session.collectionFee = zone && session.collect ? zone.fee : 0;
+    const quote = this._quote(session);
 
     let text = `*Final Confirmation*\n\`\`\`\n`;
     text += `Customer: ${session.customerName}\n`;
@@ -314,19 +642,23 @@ class BookingFlow {
     text += `Car: ${carName}\n`;
     text += `Period: ${session.startDate} → ${session.endDate}\n`;
     text += `${deliveryLabel}\n`;
-    text += `Total: RM${session.totalAmount}\n`;
-    text += `\`\`\`\n\n`;
+    if (zone) text += `Zone: ${zone.label}${zone.distanceKm != null ? ` (~${zone.distanceKm}km)` : ''}\n`;
+    text += `\n`;
+    text += pricing.formatQuote(quote) + `\n`;
+    text += `\`\`\`\n`;
+    if (delivery && !zone) text += `_Delivery fee will be confirmed by our team._\n`;
+    text += `\n`;
     text += `Reply *"confirm"* to proceed to payment.\n`;
     text += `Reply *"cancel"* to cancel.`;
     return text;
   }
 
-  _handleConfirmation(session, text) {
+  async _handleConfirmation(session, text) {
     const lower = text.toLowerCase().trim();
 
     // If in delivery state and they provide a location before confirming
     if (session.deliveryOption === 'delivery' && !session.deliveryLocation && lower !== 'confirm' && lower !== 'yes' && lower !== 'ya' && lower !== 'ok' && lower !== 'proceed' && lower !== 'skip') {
-      session.deliveryLocation = text.trim();
+      await this._setDeliveryLocation(session, { text });
       return this._showFinalConfirmation(session);
     }
 
@@ -336,38 +668,66 @@ class BookingFlow {
     }
 
     if (lower === 'confirm' || lower === 'yes' || lower === 'ya' || lower === 'ok' || lower === 'proceed') {
-      session.state = BOOKING_STATES.PAYMENT;
+      // A repeated "confirm" (double tap, or sent while the first is still
+      // saving) must not create a second agreement row.
+      if (session._commit) {
+        const prior = await session._commit;
+        if (prior.failed) return `*Sorry, we couldn't save your booking just now.*\n\nPlease reply *"confirm"* again in a moment, or *"cancel"* to cancel.`;
+        if (prior.unavailable) return `Please pick a car from the list above.`;
+        if (!prior.agreement) return `*Booking received*\n\`\`\`Ref: ${session.bookingRef}\`\`\`\n\nOur team will confirm it and send payment details shortly.`;
+        return `*Booking already confirmed*\n\`\`\`Ref: ${session.bookingRef}\`\`\`\n\nOur team will contact you shortly.`;
+      }
+
+      session._commit = this._commitBooking(session).catch(err => {
+        console.error(`[Booking] Confirming ${session.bookingRef} failed:`, err.message);
+        return { agreement: null, failed: true };
+      });
+      const result = await session._commit;
+
+      // e.g. Supabase unreachable during the availability re-check — still
+      // CONFIRMING, so the next "confirm" starts a fresh attempt
+      if (result.failed) {
+        session._commit = null;
+        return `*Sorry, we couldn't save your booking just now.*\n\nPlease reply *"confirm"* again in a moment, or *"cancel"* to cancel.`;
+      }
+
+      // Someone else booked the car while this customer was filling in details
+      if (result.unavailable) {
+        session._commit = null;
+        const carName = session.selectedCar._carName || session.selectedCar.body_type || 'that car';
+        return this._offerAlternatives(session, `*Sorry, ${carName} was just booked for those dates.*`);
+      }
 
-      // Internally assign the plate number
-      const assignedPlate = session.selectedCar.plate_number;
-      session.assignedPlate = assignedPlate;
       const carName = session.selectedCar._carName || session.selectedCar.body_type || '';
-      const deliveryLabel = session.deliveryOption === 'pickup'
-        ? 'Pickup at Seremban 2'
-        : `Delivery to ${session.deliveryLocation || 'TBD'}`;
-
-      // Notify Vir with FULL details including assigned plate
-      const bookingData = {
-        customer_name: session.customerName,
-        mobile: session.phone,
-        plate_number: assignedPlate,
-        car_type: carName,
-        date_start: session.startDate,
-        date_end: session.endDate,
-        total_price: session.totalAmount,
-        delivery: deliveryLabel,
-      };
-      notifications.onNewBooking(bookingData).catch(() => {});
+      const deliveryLabel = this._deliveryLabel(session);
+
+      // Not saved — Vir has the details to key in by hand, so nothing is
+      // confirmed and no payment is asked for yet
+      if (!result.agreement) {
+        session.state = BOOKING_STATES.COMPLETED;
+        let response = `*Booking received*\n\`\`\`\n`;
+        response += `Ref: ${session.bookingRef}\n`;
+        response += `Car: ${carName}\n`;
+        response += `Period: ${session.startDate} → ${session.endDate}\n`;
+        response += `${deliveryLabel}\n`;
+        response += `\`\`\`\n\n`;
+        response += `Our team will confirm your booking and send payment details shortly. Please don't pay until then.`;
+        return response;
+      }
+
+      session.state = BOOKING_STATES.PAYMENT;
 
       // Customer response — NO plate number, car details shared on pickup/delivery
       let response = `*Booking Confirmed!*\n\`\`\`\n`;
+      response += `Ref: ${session.bookingRef}\n`;
       response += `Car: ${carName}\n`;
       response += `Period: ${session.startDate} → ${session.endDate}\n`;
       response += `${deliveryLabel}\n`;
       response += `Total: RM${session.totalAmount}\n`;
+      if (session.quote?.deposit) response += `Deposit: RM${session.quote.deposit} (refundable)\n`;
       response += `\`\`\`\n\n`;
       response += `*Vehicle details (plate number) will be shared on ${session.deliveryOption === 'pickup' ? 'pickup' : 'delivery'} day.*\n\n`;
-      response += customerFlows.paymentInstructions(session.totalAmount);
+      response += customerFlows.paymentInstructions(session.quote ? session.quote.payable : session.totalAmount);
       response += `\n\n*Required documents:*\n`;
       response += `1. IC / Passport\n2. Driving License\n3. Utility Bill\n\n`;
       response += `Our team will confirm your booking shortly!`;
@@ -381,70 +741,289 @@ class BookingFlow {
     return `Reply *"confirm"* to proceed or *"cancel"* to cancel.`;
   }
 
+  _deliveryLabel(session) {
+    return session.deliveryOption === 'pickup'
+      ? 'Pickup at Seremban 2'
+      : `Delivery to ${session.deliveryLocation || 'TBD'}${session.collect ? ' + collection' : ''}`;
+  }
+
+  /**
+   * Fee line for staff, e.g. "Delivery RM50 + Collection RM50 (~32km)".
+   */
+  _deliveryFeesLabel(session) {
+    if (session.deliveryOption !== 'delivery') return null;
+    const zone = session.deliveryZone;
+    if (!zone) return 'Delivery fee TBD (unknown area)';
+    const fee = amount => (amount === 0 ? 'FREE' : `RM${amount}`);
+    let label = `Delivery ${fee(zone.fee)}`;
+    if (session.collect) label += ` + Collection ${fee(zone.fee)}`;
+    if (zone.distanceKm != null) label += ` (~${zone.distanceKm}km)`;
+    return label;
+  }
+
+  /**
+   * Write the confirmed booking to the agreements table and notify Vir.
+   * Re-checks availability first (holds expire, and another chat may have won).
+   * Saved as status New with booking_payment "Pending Payment"; the session's
+   * bookingRef is stamped into remarks so retries never insert twice.
+   * A failed insert still notifies Vir so staff can key it in manually.
+   * Throws when the availability re-check fails (nothing saved or sent).
+   * @returns {{ agreement: object|null, unavailable?: boolean }}
+   */
+  async _commitBooking(session) {
+    const car = session.selectedCar;
+    const check = await availabilityService.isCarAvailable(car.plate_number, session.startDate, session.endDate, { phone: session.phone });
+    if (!check.available) return { agreement: null, unavailable: true };
+
+    // Internally assign the plate number
+    session.assignedPlate = car.plate_number;
+    const carName = car._carName || car.body_type || '';
+    const deliveryLabel = this._deliveryLabel(session);
+    const times = this._timesLabel(session);
+    const fees = this._deliveryFeesLabel(session);
+
+    const row = {
+      car_id: car.id || null,
+      catalog_id: car.catalog_id || null,
+      plate_number: session.assignedPlate,
+      car_type: carName,
+      customer_name: session.customerName,
+      mobile: session.phone,
+      date_start: session.startDate,
+      date_end: session.endDate,
+      booking_duration_days: daysBetween(session.startDate, session.endDate),
+      total_price: session.totalAmount,
+      deposit_price: session.quote ? session.quote.deposit : 0,
+      remarks: `[${session.bookingRef}] WhatsApp booking — ${agreementsSchema.PENDING_PAYMENT.toUpperCase()} | ${deliveryLabel}${fees ? ` | ${fees}` : ''}${times ? ` | ${times}` : ''}`,
+    };
+
+    let agreement = null;
+    try {
+      agreement = await agreementsService.createAgreement(row, session.bookingRef);
+      session.agreementId = agreement.id;
+      console.log(`[Booking] Saved agreement ${agreement.id} (${session.bookingRef}) for ${session.phone}`);
+    } catch (err) {
+      console.error(`[Booking] Failed to save agreement ${session.bookingRef}:`, err.message);
+    }
+    availabilityService.releaseHolds(session.phone);
+
+    // Notify Vir with FULL details including assigned plate
+    notifications.onNewBooking({
+      ...row,
+      id: agreement ? agreement.id : null,
+      bookingRef: session.bookingRef,
+      delivery: deliveryLabel,
+      deliveryFees: fees,
+      mapsLink: session.deliveryPin ? locationService.mapsLink(session.deliveryPin.lat, session.deliveryPin.lng) : null,
+    }).catch(() => {});
+
+    return { agreement };
+  }
+
   _handlePayment(session, text) {
     // If they send payment confirmation
     session.state = BOOKING_STATES.COMPLETED;
-    this.sessions.delete(session.phone);
+    this._end(session.phone);
     return `*Thank you!*\n\`\`\`Payment will be verified by our team.\`\`\`\n\nYou'll receive confirmation once verified.`;
   }
 
-  // ─── Date Parsing ──────────────────────────────────────
+  // ─── Search Criteria ───────────────────────────────────
 
-  _parseDates(text) {
-    const today = todayMYT();
-    const now = new Date();
+  /**
+   * Pull booking filters out of free text.
+   * @returns {{ dates: {start, end, startTime, endTime, hours}|null, bodyType: string|null, seats: number|null, transmission: string|null }}
+   */
+  _parseCriteria(text) {
+    const criteria = { dates: null, bodyType: null, seats: null, transmission: null };
+    if (!text) return criteria;
 
-    // "2026-02-20 - 2026-02-25" or "20/02/2026 - 25/02/2026"
-    const rangeMatch = text.match(/(\d{4}-\d{2}-\d{2})\s*[-–to]+\s*(\d{4}-\d{2}-\d{2})/);
-    if (rangeMatch) {
-      return { start: rangeMatch[1], end: rangeMatch[2] };
-    }
+    const dates = parseDateRange(text);
+    if (dates && (daysBetween(dates.start, dates.end) > 0 || dates.hours)) criteria.dates = dates;
 
-    // "dd/mm/yyyy - dd/mm/yyyy"
-    const slashMatch = text.match(/(\d{1,2})[/.](\d{1,2})[/.](\d{4})\s*[-–to]+\s*(\d{1,2})[/.](\d{1,2})[/.](\d{4})/);
-    if (slashMatch) {
-      const start = `${slashMatch[3]}-${slashMatch[2].padStart(2, '0')}-${slashMatch[1].padStart(2, '0')}`;
-      const end = `${slashMatch[6]}-${slashMatch[5].padStart(2, '0')}-${slashMatch[4].padStart(2, '0')}`;
-      return { start, end };
-    }
+    const type = BODY_TYPE_KEYWORDS.find(k => k.pattern.test(text));
+    if (type) criteria.bodyType = type.bodyType;
 
-    // "tomorrow - X days" or "today - X days"
-    const relativeDays = text.match(/(?:tomorrow|today|esok|hari ini)\s*[-–to]+\s*(\d+)\s*(?:days?|hari)/i);
-    if (relativeDays) {
-      const startOffset = /tomorrow|esok/i.test(text) ? 1 : 0;
-      const days = parseInt(relativeDays[1]);
-      const start = new Date(now);
-      start.setDate(start.getDate() + startOffset);
-      const end = new Date(start);
-      end.setDate(end.getDate() + days);
+    const seats = text.match(/(\d{1,2})\s*-?\s*(?:seaters?|seats?|tempat duduk|orang|pax|人座|座)/i);
+    if (seats) criteria.seats = parseInt(seats[1]);
 
-      return {
-        start: start.toISOString().split('T')[0],
-        end: end.toISOString().split('T')[0],
-      };
-    }
+    if (/\b(auto|automatic|automatik)\b|自动/i.test(text)) criteria.transmission = 'auto';
+    else if (/\bmanual\b|手动/i.test(text)) criteria.transmission = 'manual';
 
-    // "X days" (assume starting today)
-    const justDays = text.match(/(\d+)\s*(?:days?|hari|malam)/i);
-    if (justDays) {
-      const days = parseInt(justDays[1]);
-      const start = new Date(now);
-      const end = new Date(now);
-      end.setDate(end.getDate() + days);
-      return {
-        start: start.toISOString().split('T')[0],
-        end: end.toISOString().split('T')[0],
-      };
-    }
+    return criteria;
+  }
 
-    return null;
+  _matchesCriteria(car, criteria) {
+    if (criteria.bodyType && (car.body_type || '').toLowerCase() !== criteria.bodyType.toLowerCase()) return false;
+    // Unknown seat count / transmission doesn't rule a car out
+    if (criteria.seats && car.seats && car.seats < criteria.seats) return false;
+    if (criteria.transmission && car.transmission && !car.transmission.toLowerCase().startsWith(criteria.transmission)) return false;
+    return true;
+  }
+
+  _describeCriteria(criteria) {
+    const parts = [];
+    if (criteria.bodyType) parts.push(criteria.bodyType);
+    if (criteria.seats) parts.push(`${criteria.seats}+ seats`);
+    if (criteria.transmission) parts.push(criteria.transmission === 'auto' ? 'Auto' : 'Manual');
+    return parts.join(', ');
+  }
+
+  _newBookingRef() {
+    return `WA-${Date.now().toString(36).toUpperCase()}`;
   }
 
   /**
    * Cancel booking for a phone.
    */
   cancel(phone) {
+    this._end(phone);
+    availabilityService.releaseHolds(phone);
+  }
+
+  // ─── Resume / Persistence ──────────────────────────────
+
+  /**
+   * Repeat the current step after a break ("continue", or a nudge reply).
+   * Holds don't survive a restart and expire anyway, so once a car and dates
+   * are chosen the car is re-checked first.
+   */
+  async _resume(session) {
+    const heading = `*Welcome back!*`;
+    const car = session.selectedCar;
+
+    if (session.state === BOOKING_STATES.SELECTING_CAR || !car) {
+      return this._listMatchingCars(session, heading);
+    }
+    if (session.state === BOOKING_STATES.SELECTING_DATES || !session.startDate) {
+      return `${heading}\n\nYou picked *${car._carName || car.body_type || 'a car'}*. Please send your rental dates:\n` +
+        `Example: \`2026-02-20 - 2026-02-25\`\nOr: \`tomorrow - 5 days\``;
+    }
+    if (session.state === BOOKING_STATES.COLLECTING_INFO) {
+      return this._checkAndQuote(session);
+    }
+
+    const check = await availabilityService.isCarAvailable(car.plate_number, session.startDate, session.endDate, { phone: session.phone });
+    if (!check.available) {
+      return this._offerAlternatives(session, `${heading} Sorry, ${car._carName || car.body_type || 'that car'} has been booked for ${session.startDate} → ${session.endDate} since.`);
+    }
+    availabilityService.hold(car.plate_number, session.phone, session.startDate, session.endDate);
+
+    if (session.state === BOOKING_STATES.DELIVERY_OPTION) {
+      return `${heading}\n\n` + this._showDeliveryOptions(session);
+    }
+    if (session.deliveryOption === 'delivery' && !session.deliveryLocation) {
+      return `${heading}\n\nPlease share your delivery location (pin 📍 or area name), or reply *"skip"*.`;
+    }
+    return this._showFinalConfirmation(session);
+  }
+
+  _isExpired(session) {
+    return Date.now() - (session.lastActivity || 0) > SESSION_TTL_MS;
+  }
+
+  /**
+   * Drop a session from memory and storage.
+   */
+  _end(phone) {
     this.sessions.delete(phone);
+    this._persist(phone);
+  }
+
+  /**
+   * Save (or clear) a phone's session. Writes for one phone run in order so
+   * a slow write can't overwrite a newer step.
+   */
+  _persist(phone) {
+    const prev = this._saves.get(phone) || Promise.resolve();
+    const next = prev.then(() => {
+      const session = this.sessions.get(phone);
+      const value = session && session.state !== BOOKING_STATES.COMPLETED
+        ? this._serialize(session)
+        : { deleted: true, deletedAt: new Date().toISOString() };
+      return dataStoreService.setValue(`${SESSION_PREFIX}${phone}`, value);
+    }).catch(err => console.warn(`[Booking] Failed to save session for ${phone}:`, err.message));
+
+    this._saves.set(phone, next);
+    next.then(() => { if (this._saves.get(phone) === next) this._saves.delete(phone); });
+    return next;
+  }
+
+  _serialize(session) {
+    // _commit is an in-flight promise; everything else is plain data
+    const { _commit, ...data } = session;
+    return data;
+  }
+
+  /**
+   * Load saved sessions at boot. Expired and finished ones are skipped.
+   */
+  async restore() {
+    try {
+      const rows = await dataStoreService.getByKeyPrefix(SESSION_PREFIX);
+      let restored = 0;
+      for (const row of rows) {
+        const session = typeof row.value === 'string' ? JSON.parse(row.value) : row.value;
+        if (!session || session.deleted || !session.phone) continue;
+        if (session.state === BOOKING_STATES.COMPLETED || this._isExpired(session)) {
+          this._end(session.phone);
+          continue;
+        }
+        this.sessions.set(session.phone, session);
+        restored++;
+      }
+      console.log(`[Booking] Restored ${restored} booking sessions`);
+    } catch (err) {
+      console.error('[Booking] Failed to restore sessions:', err.message);
+    }
+  }
+
+  /**
+   * Expire idle sessions and nudge customers who stopped halfway.
+   * Admin sessions and customers who opted out of reminders are never
+   * nudged. Each session is nudged once.
+   */
+  async nudgeAbandoned() {
+    const now = Date.now();
+    for (const [phone, session] of [...this.sessions]) {
+      if (this._isExpired(session)) {
+        this._end(phone);
+        continue;
+      }
+      if (session.isAdmin || session.nudgedAt || !this.isActive(phone)) continue;
+      if (!consent.allows(phone, 'reminders')) continue;
+      if (session.state === BOOKING_STATES.WAITLIST_OFFER) continue;
+      if (now - (session.lastActivity || 0) < NUDGE_AFTER_MS) continue;
+
+      const car = session.selectedCar;
+      let text = `*Still want that car?*\n\`\`\`\n`;
+      text += car ? `Car: ${car._carName || car.body_type || 'Car'}\n` : `You were choosing a car.\n`;
+      if (session.startDate) text += `Period: ${session.startDate} → ${session.endDate}\n`;
+      if (session.quote && !session.quote.error) text += `Quote: RM${session.quote.total}\n`;
+      text += `\`\`\`\n\n`;
+      text += `Reply *"continue"* to pick up where you left off, or *"cancel"* to drop it.`;
+
+      const sent = await notifications.sendToPhone(phone, text);
+      if (sent) {
+        session.nudgedAt = new Date().toISOString();
+        this._persist(phone);
+        console.log(`[Booking] Nudged ${phone} (${session.bookingRef}, ${session.state})`);
+      }
+    }
+  }
+
+  /**
+   * Run nudgeAbandoned() periodically (idempotent).
+   */
+  startSweeper() {
+    if (this._sweeper) return;
+    this._sweeper = setInterval(() => {
+      this.nudgeAbandoned().catch(err => console.error('[Booking] Abandoned-booking sweep failed:', err.message));
+    }, SWEEP_INTERVAL_MS);
+  }
+
+  stopSweeper() {
+    if (this._sweeper) clearInterval(this._sweeper);
+    this._sweeper = null;
   }
 
   /**
@@ -0,0 +1,301 @@
+/**
+ * Broadcasts — one-off announcements to a customer segment (holiday
+ * closures, raya promos). Boss only, through /tool broadcast:
+ *
+ *   /tool broadcast preview            dry run: count, opt-outs, sample
+ *   segment: not active, tag vip       segments.js terms ("all" for everyone)
+ *   message: Hi {name}! We're closed 30 Mar – 2 Apr for Raya ...
+ *   at: 2026-03-28 09:00               optional, default now
+ *
+ *   /tool broadcast customers          same lines — schedules / starts it
+ *   /tool broadcast list               progress of recent broadcasts
+ *   /tool broadcast cancel <id>
+ *
+ * Recipients are fixed when the broadcast starts. Each message is
+ * personalised ({name}, {lastCar}, {rentals}), re-checked for consent right
+ * before it goes, and paced by the shared bulk throttle, so a big list takes
+ * hours. The boss gets progress updates at 25/50/75% and when it's done.
+ * Customers who opted out of marketing (consent.js) are skipped.
+ *
+ * Storage: bot_data_store "broadcast:<id>"
+ */
+
+const consent = require('./consent');
+const segments = require('./segments');
+const notifications = require('./notifications');
+const { dataStoreService } = require('../supabase/services');
+const outbox = require('../channels/outbox');
+const bulkThrottle = require('../channels/bulk-throttle');
+const { formatMYT, mytDateTime, parseTimeOfDay } = require('../utils/time');
+
+const BROADCAST_PREFIX = 'broadcast:';
+const TICK_MS = 30 * 1000;
+const PROGRESS_STEPS = [25, 50, 75];
+const KEEP_DONE = 20;
+const FOOTER = '\n\n_Reply STOP PROMO to stop these messages._';
+
+class Broadcasts {
+  constructor() {
+    this._broadcasts = new Map(); // id → broadcast
+    this._timer = null;
+    this._running = false;
+  }
+
+  async load() {
+    try {
+      const rows = await dataStoreService.getByKeyPrefix(BROADCAST_PREFIX);
+      for (const row of rows || []) {
+        const b = typeof row.value === 'string' ? JSON.parse(row.value) : row.value;
+        if (b && b.id) this._broadcasts.set(b.id, b);
+      }
+      this._prune();
+      const open = [...this._broadcasts.values()].filter(b => b.status === 'scheduled' || b.status === 'sending').length;
+      console.log(`[Broadcasts] Loaded ${this._broadcasts.size} broadcasts (${open} open)`);
+    } catch (err) {
+      console.error('[Broadcasts] Failed to load:', err.message);
+    }
+  }
+
+  // ─── Runner ─────────────────────────────────────────────
+
+  startRunner() {
+    if (this._timer) return;
+    this._timer = setInterval(() => {
+      this.tick().catch(err => console.error('[Broadcasts] Tick failed:', err.message));
+    }, TICK_MS);
+  }
+
+  stopRunner() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Start broadcasts whose time has come, then send at most one message.
+   */
+  async tick() {
+    if (this._running) return;
+    this._running = true;
+    try {
+      for (const b of this._broadcasts.values()) {
+        if (b.status === 'scheduled' && Date.now() >= new Date(b.at).getTime()) await this._begin(b);
+      }
+      await this._sendNext();
+    } finally {
+      this._running = false;
+    }
+  }
+
+  async _begin(b) {
+    const recipients = await this._recipients(b.segment);
+    b.queue = recipients.map(c => c.phone);
+    b.total = b.queue.length;
+    b.status = b.total ? 'sending' : 'done';
+    b.startedAt = new Date().toISOString();
+    if (!b.total) b.doneAt = b.startedAt;
+    await this._save(b);
+    console.log(`[Broadcasts] ${b.id} started: ${b.total} recipients`);
+    await this._tellBoss(b, b.total
+      ? `*Broadcast ${b.id} started*\n\`\`\`Sending to ${b.total} customers, ${bulkThrottle.describe()} (~${bulkThrottle.estimateMinutes(b.total)} min of sending).\nCancel: /tool broadcast cancel ${b.id}\`\`\``
+      : `*Broadcast ${b.id}*\n\`\`\`No customers match "${segments.describe(b.segment)}" any more — nothing sent.\`\`\``);
+  }
+
+  async _sendNext() {
+    const b = [...this._broadcasts.values()].find(x => x.status === 'sending');
+    if (!b || !bulkThrottle.ready()) return;
+
+    const phone = b.queue.shift();
+    const customer = phone && (await segments.customers()).find(c => c.phone === phone);
+    if (!customer || !consent.allows(phone, 'marketing')) {
+      b.skipped++;
+    } else {
+      const text = segments.render(b.template, customer) + FOOTER;
+      const item = await outbox.send(`${phone}@c.us`, text, { source: `broadcast:${b.id}` });
+      if (item && item.status === 'failed') b.failed++;
+      else b.sent++;
+      bulkThrottle.sent();
+    }
+
+    const done = b.total - b.queue.length;
+    const pct = Math.floor(done / b.total * 100);
+    const step = PROGRESS_STEPS.filter(p => pct >= p).pop();
+
+    if (b.queue.length === 0) {
+      b.status = 'done';
+      b.doneAt = new Date().toISOString();
+      await this._save(b);
+      console.log(`[Broadcasts] ${b.id} done: ${b.sent} sent, ${b.skipped} skipped, ${b.failed} failed`);
+      await this._tellBoss(b, `*Broadcast ${b.id} done*\n\`\`\`\n${this._counts(b)}\n\`\`\``);
+      this._prune();
+      return;
+    }
+
+    const report = step && step > b.progress;
+    if (report) b.progress = step;
+    await this._save(b);
+    if (report) await this._tellBoss(b, `*Broadcast ${b.id}: ${step}%*\n\`\`\`\n${this._counts(b)}\nLeft: ${b.queue.length}\n\`\`\``);
+  }
+
+  /**
+   * Who a segment reaches now, minus anyone who opted out of marketing.
+   */
+  async _recipients(terms) {
+    return (await segments.match(terms)).filter(c => consent.allows(c.phone, 'marketing'));
+  }
+
+  // ─── Tool command ───────────────────────────────────────
+
+  /**
+   * /tool broadcast preview|customers|list|cancel.
+   * @param {string} action
+   * @param {string} rest - text after the action (id, or the definition lines)
+   * @param {string} phone - boss phone (gets progress updates)
+   */
+  async handle(action, rest, phone) {
+    switch (action) {
+      case 'list':
+        return this.formatList();
+
+      case 'cancel': {
+        const b = this._broadcasts.get((rest || '').trim().toUpperCase());
+        if (!b) return `*Broadcasts*\n\`\`\`No broadcast "${(rest || '').trim()}". /tool broadcast list\`\`\``;
+        if (b.status === 'done' || b.status === 'cancelled') return `*Broadcast ${b.id}*\n\`\`\`Already ${b.status}.\`\`\``;
+        b.status = 'cancelled';
+        b.doneAt = new Date().toISOString();
+        await this._save(b);
+        return `*Broadcast ${b.id} cancelled*\n\`\`\`\n${this._counts(b)}\nNot sent: ${b.queue?.length ?? 'all'}\n\`\`\``;
+      }
+
+      case 'preview':
+      case 'customers': {
+        const def = this._parseDefinition(rest);
+        if (def.error) return `*Broadcast*\n\`\`\`${def.error}\`\`\`\n\n${this.usage()}`;
+        const preview = await this._preview(def);
+        if (action === 'preview') return preview + `\n\nSend: same message with */tool broadcast customers*`;
+        return this._create(def, phone, preview);
+      }
+
+      default:
+        return this.usage();
+    }
+  }
+
+  usage() {
+    return `*Customer broadcast*\n\`\`\`\n/tool broadcast preview\nsegment: not active, tag vip\nmessage: Hi {name}! ...\nat: 2026-03-28 09:00   (optional)\n\n` +
+      `/tool broadcast customers   (same lines, sends)\n/tool broadcast list\n/tool broadcast cancel <id>\n\n` +
+      `Segment: all, active, not active, rentals>=2,\nlast>90d, spent>=1000, car alza, tag vip,\nnot tag blacklist, search <text>\n` +
+      `Placeholders: {name} {lastCar} {rentals}\n\`\`\``;
+  }
+
+  _parseDefinition(text) {
+    const fields = {};
+    let current = null;
+    for (const line of (text || '').split('\n')) {
+      const m = line.match(/^\s*(segment|to|message|at)\s*:\s*(.*)$/i);
+      if (m) {
+        current = m[1].toLowerCase() === 'to' ? 'segment' : m[1].toLowerCase();
+        fields[current] = m[2];
+      } else if (current === 'message') {
+        fields.message += `\n${line}`; // multi-line message
+      }
+    }
+    if (!fields.message || !fields.message.trim()) return { error: 'A "message:" line is required.' };
+    if (!fields.segment || !fields.segment.trim()) return { error: 'A "segment:" line is required ("segment: all" for everyone).' };
+
+    const segment = segments.parse(fields.segment);
+    if (segment.error) return { error: `Segment: ${segment.error}` };
+
+    let at = new Date();
+    if (fields.at && fields.at.trim() && !/^now$/i.test(fields.at.trim())) {
+      const m = fields.at.trim().match(/^(\d{4}-\d{2}-\d{2})\s+(.+)$/);
+      const time = m && parseTimeOfDay(m[2]);
+      if (!time) return { error: `Bad time "${fields.at.trim()}" — use YYYY-MM-DD HH:MM` };
+      at = mytDateTime(m[1], time);
+      if (at.getTime() < Date.now()) return { error: `${formatMYT(at, 'datetime')} is in the past` };
+    }
+    return { segment: segment.terms, template: fields.message.trim(), at };
+  }
+
+  async _preview(def) {
+    const matches = await segments.match(def.segment);
+    const recipients = matches.filter(c => consent.allows(c.phone, 'marketing'));
+    const sample = recipients[0] || { name: 'Ali', lastCar: 'Perodua Bezza', rentals: 2 };
+    return `*Broadcast preview*\n\`\`\`\n` +
+      `Segment: ${segments.describe(def.segment)}\n` +
+      `Match: ${matches.length}\n` +
+      `Opted out: ${matches.length - recipients.length}\n` +
+      `Will send: ${recipients.length} (~${bulkThrottle.estimateMinutes(recipients.length)} min of sending)\n` +
+      `When: ${def.at.getTime() > Date.now() + 60000 ? formatMYT(def.at, 'datetime') : 'now'}\n` +
+      (recipients.length ? `e.g. ${recipients.slice(0, 5).map(c => c.name || `+${c.phone}`).join(', ')}\n` : '') +
+      `\`\`\`\n\n*Sample:*\n${segments.render(def.template, sample)}${FOOTER}`;
+  }
+
+  async _create(def, phone, preview) {
+    const b = {
+      id: Date.now().toString(36).slice(-5).toUpperCase(),
+      segment: def.segment,
+      template: def.template,
+      at: def.at.toISOString(),
+      status: 'scheduled',
+      createdBy: phone,
+      createdAt: new Date().toISOString(),
+      queue: null,
+      total: null,
+      sent: 0,
+      skipped: 0,
+      failed: 0,
+      progress: 0,
+      startedAt: null,
+      doneAt: null,
+    };
+    this._broadcasts.set(b.id, b);
+    await this._save(b);
+    console.log(`[Broadcasts] ${b.id} scheduled for ${b.at} by ${phone}`);
+    const when = def.at.getTime() > Date.now() + 60000 ? `Scheduled for ${formatMYT(b.at, 'datetime')}.` : 'Starting within a minute.';
+    return `${preview}\n\n*Broadcast ${b.id} created* — ${when}\nCancel: */tool broadcast cancel ${b.id}*`;
+  }
+
+  formatList() {
+    const list = [...this._broadcasts.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt)).slice(0, 10);
+    if (list.length === 0) return '*Broadcasts*\n```None yet. /tool broadcast preview to start.```';
+    return `*Broadcasts*\n\`\`\`\n` + list.map(b => {
+      const head = `${b.id} [${b.status}] ${segments.describe(b.segment)}`;
+      if (b.status === 'scheduled') return `${head}\n  at ${formatMYT(b.at, 'datetime')}`;
+      return `${head}\n  ${this._counts(b).replace(/\n/g, ', ')}${b.status === 'sending' ? `, left ${b.queue.length}` : ''}`;
+    }).join('\n') + `\n\`\`\``;
+  }
+
+  // ─── Internal ───────────────────────────────────────────
+
+  _counts(b) {
+    return `Sent: ${b.sent}/${b.total ?? 0}\nSkipped: ${b.skipped}\nFailed: ${b.failed}`;
+  }
+
+  async _tellBoss(b, text) {
+    if (!b.createdBy) return;
+    await notifications.sendToPhone(b.createdBy, text, 'broadcast').catch(err =>
+      console.warn(`[Broadcasts] Progress update for ${b.id} failed:`, err.message)
+    );
+  }
+
+  // Keep the latest finished broadcasts; older ones are dropped from memory
+  _prune() {
+    const finished = [...this._broadcasts.values()]
+      .filter(b => b.status === 'done' || b.status === 'cancelled')
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    for (const b of finished.slice(KEEP_DONE)) this._broadcasts.delete(b.id);
+  }
+
+  _save(b) {
+    return dataStoreService.setValue(`${BROADCAST_PREFIX}${b.id}`, b).catch(err =>
+      console.warn(`[Broadcasts] Failed to save ${b.id}:`, err.message)
+    );
+  }
+
+  getStats() {
+    const list = [...this._broadcasts.values()];
+    return { broadcasts: list.length, sending: list.filter(b => b.status === 'sending').length };
+  }
+}
+
+module.exports = new Broadcasts();
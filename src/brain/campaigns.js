@@ -0,0 +1,400 @@
+/**
+ * Campaigns — win-back and re-engagement messages to past renters.
+ *
+ * The boss defines a campaign in chat:
+ *   /campaign new winback
+ *   segment: rentals>=2, last>90d, not tag blacklist
+ *   message: Hi {name}! It's been a while since your {lastCar} ...
+ *   schedule: daily 10:00            (or "now", "once 2026-11-01 10:00")
+ * then previews it (/campaign preview winback) and starts it.
+ *
+ * Segment terms are those of segments.js (rentals, last, spent, car, tag,
+ * search). Only past renters are included, never anyone with a rental still
+ * open. Placeholders: {name} (first name), {lastCar}, {rentals}.
+ *
+ * Each customer gets a campaign once. Daily campaigns pick up customers who
+ * newly match. Sending is paced by the shared bulk throttle (about one a
+ * minute, daytime only, daily cap) and goes through the outbox. Customers who opted out of marketing (consent.js) are skipped,
+ * and every message says how to opt out.
+ *
+ * Replies within REPLY_DAYS and bookings created within CONVERSION_DAYS of
+ * the message are counted per campaign (/campaign report <name>).
+ *
+ * Storage: bot_data_store "campaign:<name>"
+ */
+
+const customerProfiles = require('./customer-profiles');
+const consent = require('./consent');
+const segments = require('./segments');
+const { agreementsService, dataStoreService } = require('../supabase/services');
+const outbox = require('../channels/outbox');
+const bulkThrottle = require('../channels/bulk-throttle');
+const { todayMYT, mytDateTime, formatMYT, parseTimeOfDay } = require('../utils/time');
+
+const CAMPAIGN_PREFIX = 'campaign:';
+const TICK_MS = 30 * 1000;
+const CONVERSION_CHECK_MS = 60 * 60 * 1000;
+const REPLY_DAYS = 14;
+const CONVERSION_DAYS = 30;
+
+const FOOTER = '\n\n_Reply STOP PROMO to stop promotions._';
+
+class Campaigns {
+  constructor() {
+    this._campaigns = new Map(); // name → campaign
+    this._timer = null;
+    this._lastConversionCheck = 0;
+    this._running = false;
+  }
+
+  async load() {
+    try {
+      const rows = await dataStoreService.getByKeyPrefix(CAMPAIGN_PREFIX);
+      for (const row of rows || []) {
+        const campaign = typeof row.value === 'string' ? JSON.parse(row.value) : row.value;
+        if (campaign && campaign.status !== 'deleted') this._campaigns.set(campaign.name, campaign);
+      }
+      console.log(`[Campaigns] Loaded ${this._campaigns.size} campaigns`);
+    } catch (err) {
+      console.error('[Campaigns] Failed to load:', err.message);
+    }
+  }
+
+  // ─── Runner ─────────────────────────────────────────────
+
+  startRunner() {
+    if (this._timer) return;
+    this._timer = setInterval(() => {
+      this.tick().catch(err => console.error('[Campaigns] Tick failed:', err.message));
+    }, TICK_MS);
+  }
+
+  stopRunner() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Queue due campaigns, send at most one message, and now and then
+   * look for bookings from people we messaged.
+   */
+  async tick() {
+    if (this._running) return;
+    this._running = true;
+    try {
+      for (const campaign of this._campaigns.values()) {
+        if (campaign.status === 'running' && this._isDue(campaign)) await this._enqueue(campaign);
+      }
+      await this._sendNext();
+      if (Date.now() - this._lastConversionCheck > CONVERSION_CHECK_MS) await this.checkConversions();
+    } finally {
+      this._running = false;
+    }
+  }
+
+  _isDue(campaign) {
+    const { schedule } = campaign;
+    if (schedule.type === 'now') return !campaign.lastRunDate;
+    if (schedule.type === 'once') return !campaign.lastRunDate && Date.now() >= new Date(schedule.at).getTime();
+    // daily
+    const today = todayMYT();
+    return campaign.lastRunDate !== today && Date.now() >= mytDateTime(today, schedule.time).getTime();
+  }
+
+  async _enqueue(campaign) {
+    const matches = await this.match(campaign.segment);
+    const queued = new Set(campaign.queue);
+    const fresh = matches.filter(c => !campaign.recipients[c.phone] && !queued.has(c.phone));
+    campaign.queue.push(...fresh.map(c => c.phone));
+    campaign.lastRunDate = todayMYT();
+    await this._save(campaign);
+    console.log(`[Campaigns] ${campaign.name}: queued ${fresh.length} (${matches.length} match)`);
+  }
+
+  async _sendNext() {
+    if (!bulkThrottle.ready()) return;
+
+    const campaign = [...this._campaigns.values()].find(c => c.status === 'running' && c.queue.length > 0);
+    if (!campaign) {
+      this._finishOneOffs();
+      return;
+    }
+
+    const phone = campaign.queue.shift();
+    const customer = (await this.match(campaign.segment)).find(c => c.phone === phone);
+    if (!customer || !consent.allows(phone, 'marketing')) {
+      // No longer matches (booked, tagged) or opted out since queueing
+      await this._save(campaign);
+      return;
+    }
+
+    const text = segments.render(campaign.template, customer) + FOOTER;
+    const item = await outbox.send(`${phone}@c.us`, text, { source: `campaign:${campaign.name}` });
+    campaign.recipients[phone] = {
+      name: customer.name,
+      sentAt: new Date().toISOString(),
+      status: item ? item.status : 'logged',
+      repliedAt: null,
+      convertedAt: null,
+      agreementId: null,
+      amount: 0,
+    };
+    await this._save(campaign);
+
+    bulkThrottle.sent();
+    console.log(`[Campaigns] ${campaign.name} → ${phone} (${campaign.queue.length} left)`);
+  }
+
+  // One-off campaigns are done once their queue is empty
+  _finishOneOffs() {
+    for (const campaign of this._campaigns.values()) {
+      if (campaign.status === 'running' && campaign.schedule.type !== 'daily' && campaign.lastRunDate && campaign.queue.length === 0) {
+        campaign.status = 'done';
+        campaign.doneAt = new Date().toISOString();
+        this._save(campaign);
+        console.log(`[Campaigns] ${campaign.name} done`);
+      }
+    }
+  }
+
+  // ─── Segments ───────────────────────────────────────────
+
+  /**
+   * Past renters matching the segment terms (never ones with an open rental
+   * or who opted out of marketing).
+   */
+  async match(terms) {
+    return (await segments.match(terms)).filter(c =>
+      c.rentals > 0 && !c.active && consent.allows(c.phone, 'marketing')
+    );
+  }
+
+  /**
+   * "now" | "once 2026-11-01 10:00" | "daily 10:00" → schedule, or { error }.
+   */
+  parseSchedule(text) {
+    const t = (text || 'now').trim().toLowerCase();
+    if (t === 'now') return { type: 'now' };
+    const daily = t.match(/^daily\s+(.+)$/);
+    if (daily) {
+      const time = parseTimeOfDay(daily[1]);
+      return time ? { type: 'daily', time } : { error: `Bad time "${daily[1]}"` };
+    }
+    const once = t.match(/^once\s+(\d{4}-\d{2}-\d{2})\s+(.+)$/);
+    if (once) {
+      const time = parseTimeOfDay(once[2]);
+      return time ? { type: 'once', at: mytDateTime(once[1], time).toISOString() } : { error: `Bad time "${once[2]}"` };
+    }
+    return { error: 'Schedule must be "now", "once YYYY-MM-DD HH:MM" or "daily HH:MM"' };
+  }
+
+  _describeSchedule(schedule) {
+    if (schedule.type === 'daily') return `daily ${schedule.time}`;
+    if (schedule.type === 'once') return `once ${formatMYT(schedule.at, 'datetime')}`;
+    return 'now';
+  }
+
+  // ─── Replies & conversions ──────────────────────────────
+
+  /**
+   * A customer wrote in — counts as a reply to campaigns sent in the last
+   * REPLY_DAYS. (STOP is handled by consent.js before this.)
+   */
+  async recordReply(phone) {
+    for (const c of this._campaigns.values()) {
+      const r = c.recipients[phone];
+      if (!r || r.repliedAt || Date.now() - new Date(r.sentAt).getTime() > REPLY_DAYS * 86400000) continue;
+      r.repliedAt = new Date().toISOString();
+      await this._save(c);
+    }
+  }
+
+  /**
+   * Mark recipients who booked within CONVERSION_DAYS of the message.
+   */
+  async checkConversions() {
+    this._lastConversionCheck = Date.now();
+    const cutoff = Date.now() - CONVERSION_DAYS * 86400000;
+    const open = [];
+    for (const c of this._campaigns.values()) {
+      for (const [phone, r] of Object.entries(c.recipients)) {
+        if (!r.convertedAt && new Date(r.sentAt).getTime() > cutoff) open.push({ c, phone, r });
+      }
+    }
+    if (open.length === 0) return 0;
+
+    const since = open.reduce((min, o) => (o.r.sentAt < min ? o.r.sentAt : min), open[0].r.sentAt);
+    const created = await agreementsService.getAgreementsCreatedSince(since);
+    const changed = new Set();
+    for (const o of open) {
+      const booking = created.find(a => segments.phone(a.mobile) === o.phone && a.created_at >= o.r.sentAt);
+      if (!booking) continue;
+      Object.assign(o.r, { convertedAt: booking.created_at, agreementId: booking.id, amount: parseFloat(booking.total_price) || 0 });
+      changed.add(o.c);
+    }
+    for (const c of changed) await this._save(c);
+    return changed.size;
+  }
+
+  // ─── Chat command ───────────────────────────────────────
+
+  /**
+   * /campaign (boss only). Lines after the first carry segment/message/schedule.
+   *   /campaign                         list
+   *   /campaign new <name> + lines      create (draft) or replace
+   *   /campaign preview <name>          matching count + sample message
+   *   /campaign start|pause|delete <name>
+   *   /campaign report <name>           sent / replied / converted / opted out
+   */
+  async handleCommand(text) {
+    const [first, ...lines] = (text || '').split('\n');
+    const [action = '', rawName = ''] = first.trim().split(/\s+/);
+    const name = rawName.toLowerCase();
+    const campaign = this._campaigns.get(name);
+    const usage = `*Campaigns*\n\`\`\`\n/campaign new <name>\nsegment: rentals>=2, last>90d, not tag blacklist\nmessage: Hi {name}! ... {lastCar} ...\nschedule: now | once YYYY-MM-DD HH:MM | daily HH:MM\n\n/campaign preview <name>\n/campaign start|pause|delete <name>\n/campaign report <name>\n\`\`\``;
+
+    switch (action.toLowerCase()) {
+      case '':
+        return this.formatList();
+
+      case 'new':
+        if (!/^[a-z0-9_-]+$/.test(name)) return usage;
+        return this._create(name, lines);
+
+      case 'preview':
+        if (!campaign) return this._notFound(name);
+        return this.preview(campaign);
+
+      case 'start':
+        if (!campaign) return this._notFound(name);
+        if (campaign.status === 'done') return `*Campaign ${name}*\n\`\`\`Already finished — create a new one to send again.\`\`\``;
+        campaign.status = 'running';
+        await this._save(campaign);
+        return `*Campaign ${name} started*\n\`\`\`Schedule: ${this._describeSchedule(campaign.schedule)}\nSends ${bulkThrottle.describe()}.\`\`\``;
+
+      case 'pause':
+        if (!campaign) return this._notFound(name);
+        campaign.status = 'paused';
+        await this._save(campaign);
+        return `*Campaign ${name} paused*\n\`\`\`${campaign.queue.length} still queued. Resume: /campaign start ${name}\`\`\``;
+
+      case 'delete':
+        if (!campaign) return this._notFound(name);
+        campaign.status = 'deleted';
+        await this._save(campaign);
+        this._campaigns.delete(name);
+        return `*Campaign ${name} deleted*`;
+
+      case 'report':
+        if (!campaign) return this._notFound(name);
+        await this.checkConversions().catch(err => console.warn('[Campaigns] Conversion check failed:', err.message));
+        return this.formatReport(campaign);
+
+      default:
+        return usage;
+    }
+  }
+
+  async _create(name, lines) {
+    const fields = {};
+    let current = null;
+    for (const line of lines) {
+      const m = line.match(/^\s*(segment|message|schedule)\s*:\s*(.*)$/i);
+      if (m) {
+        current = m[1].toLowerCase();
+        fields[current] = m[2];
+      } else if (current === 'message') {
+        fields.message += `\n${line}`; // multi-line message
+      }
+    }
+    if (!fields.message || !fields.message.trim()) return `*Campaign ${name}*\n\`\`\`A "message:" line is required.\`\`\``;
+
+    const segment = segments.parse(fields.segment);
+    if (segment.error) return `*Campaign ${name}*\n\`\`\`Segment: ${segment.error}\`\`\``;
+    const schedule = this.parseSchedule(fields.schedule);
+    if (schedule.error) return `*Campaign ${name}*\n\`\`\`${schedule.error}\`\`\``;
+
+    const campaign = {
+      name,
+      segment: segment.terms,
+      template: fields.message.trim(),
+      schedule,
+      status: 'draft',
+      queue: [],
+      recipients: {},
+      lastRunDate: null,
+      createdAt: new Date().toISOString(),
+    };
+    this._campaigns.set(name, campaign);
+    await this._save(campaign);
+    return (await this.preview(campaign)) + `\n\nStart: */campaign start ${name}*`;
+  }
+
+  async preview(campaign) {
+    const matches = (await this.match(campaign.segment)).filter(c => !campaign.recipients[c.phone]);
+    const sample = matches[0] || { name: 'Ali', lastCar: 'Perodua Bezza', rentals: 2 };
+    return `*Campaign ${campaign.name} (${campaign.status})*\n\`\`\`\n` +
+      `Segment: ${segments.describe(campaign.segment)}\n` +
+      `Schedule: ${this._describeSchedule(campaign.schedule)}\n` +
+      `Would message: ${matches.length} customers\n` +
+      (matches.length ? `e.g. ${matches.slice(0, 5).map(c => c.name).join(', ')}\n` : '') +
+      `\`\`\`\n\n*Sample:*\n${segments.render(campaign.template, sample)}${FOOTER}`;
+  }
+
+  formatList() {
+    const list = [...this._campaigns.values()];
+    if (list.length === 0) return '*Campaigns*\n```None yet. /campaign new <name> to create one.```';
+    return `*Campaigns (${list.length})*\n\`\`\`\n` + list.map(c => {
+      const s = this._stats(c);
+      return `${c.name} [${c.status}] ${this._describeSchedule(c.schedule)}\n  ${segments.describe(c.segment)}\n  Sent ${s.sent}, replied ${s.replied}, booked ${s.converted}, queued ${c.queue.length}`;
+    }).join('\n') + `\n\`\`\``;
+  }
+
+  formatReport(campaign) {
+    const s = this._stats(campaign);
+    const pct = n => (s.sent ? ` (${Math.round(n / s.sent * 100)}%)` : '');
+    const booked = Object.entries(campaign.recipients).filter(([, r]) => r.convertedAt);
+    return `*Campaign ${campaign.name} — report*\n\`\`\`\n` +
+      `Status: ${campaign.status}\n` +
+      `Sent: ${s.sent}\n` +
+      `Replied: ${s.replied}${pct(s.replied)}\n` +
+      `Booked: ${s.converted}${pct(s.converted)} — RM${s.revenue}\n` +
+      `Opted out: ${s.optedOut}\n` +
+      `Queued: ${campaign.queue.length}\n` +
+      (booked.length ? `\n${booked.slice(0, 10).map(([phone, r]) => `${r.name || phone} RM${r.amount}`).join('\n')}\n` : '') +
+      `\`\`\``;
+  }
+
+  _stats(campaign) {
+    const rs = Object.values(campaign.recipients);
+    return {
+      sent: rs.length,
+      replied: rs.filter(r => r.repliedAt).length,
+      converted: rs.filter(r => r.convertedAt).length,
+      revenue: rs.reduce((sum, r) => sum + (r.amount || 0), 0),
+      optedOut: Object.entries(campaign.recipients).filter(([phone, r]) => {
+        const marketing = customerProfiles.peek(phone)?.consent?.marketing;
+        return marketing && marketing.allowed === false && marketing.at > r.sentAt;
+      }).length,
+    };
+  }
+
+  _notFound(name) {
+    return `*Campaigns*\n\`\`\`No campaign "${name}". /campaign to list.\`\`\``;
+  }
+
+  // ─── Internal ───────────────────────────────────────────
+
+  _save(campaign) {
+    return dataStoreService.setValue(`${CAMPAIGN_PREFIX}${campaign.name}`, campaign).catch(err =>
+      console.warn(`[Campaigns] Failed to save ${campaign.name}:`, err.message)
+    );
+  }
+
+  getStats() {
+    const list = [...this._campaigns.values()];
+    return { campaigns: list.length, running: list.filter(c => c.status === 'running').length };
+  }
+}
+
+module.exports = new Campaigns();
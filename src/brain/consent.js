@@ -0,0 +1,106 @@
+/**
+ * Consent — who may receive proactive messages, per channel.
+ *
+ * Channels:
+ *   marketing — campaigns, promotions, feedback requests
+ *   reminders — return reminders, booking follow-ups, reminders set by staff
+ *   voice     — voice notes (text still goes out if reminders are allowed)
+ *
+ * Customers are opted in until they reply STOP / BERHENTI / 停止 (all
+ * channels) or e.g. "STOP PROMO", "BERHENTI SUARA", "停止提醒" (one channel);
+ * START / MULA / 开始 opts back in. Keywords are detected by intent-reader.js.
+ * Replies to the customer's own messages and messages about an overdue car
+ * are not affected.
+ *
+ * Every proactive sender calls allows(phone, channel) before sending.
+ * Admins see who opted out with /optouts.
+ *
+ * Storage: on the customer profile (profile.consent[channel] = { allowed, at, by })
+ */
+
+const customerProfiles = require('./customer-profiles');
+const { formatMYT } = require('../utils/time');
+
+const CHANNELS = {
+  marketing: 'Promotions, campaigns and feedback requests',
+  reminders: 'Return reminders and follow-ups',
+  voice: 'Voice notes',
+};
+
+const LABELS = {
+  en: { marketing: 'promotions', reminders: 'reminders', voice: 'voice notes' },
+  ms: { marketing: 'promosi', reminders: 'peringatan', voice: 'nota suara' },
+  zh: { marketing: '促销信息', reminders: '提醒', voice: '语音消息' },
+};
+
+const TEXT = {
+  stopped: {
+    en: (what) => `*Unsubscribed*\n\`\`\`You won't get ${what} from us any more.\`\`\`\n\nReplies to your messages still work. Reply *START* anytime to turn them back on.`,
+    ms: (what) => `*Berhenti langganan*\n\`\`\`Anda tidak akan menerima ${what} lagi.\`\`\`\n\nKami masih membalas mesej anda. Balas *MULA* bila-bila masa untuk aktifkan semula.`,
+    zh: (what) => `*已退订*\n\`\`\`您将不再收到${what}。\`\`\`\n\n我们仍会回复您的消息。随时回复 *开始* 重新开启。`,
+  },
+  started: {
+    en: (what) => `*Subscribed*\n\`\`\`You'll get ${what} from us again.\`\`\`\n\nReply *STOP* anytime to opt out.`,
+    ms: (what) => `*Langganan aktif*\n\`\`\`Anda akan menerima ${what} semula.\`\`\`\n\nBalas *BERHENTI* bila-bila masa untuk berhenti.`,
+    zh: (what) => `*已订阅*\n\`\`\`您将重新收到${what}。\`\`\`\n\n随时回复 *停止* 退订。`,
+  },
+};
+
+class Consent {
+  /**
+   * May we message this customer on this channel unprompted?
+   */
+  allows(phone, channel) {
+    if (!CHANNELS[channel]) throw new Error(`Unknown consent channel "${channel}"`);
+    return customerProfiles.hasConsent(phone, channel);
+  }
+
+  /**
+   * Apply a STOP/START keyword (intent-reader readConsent result).
+   * @returns {string|null} confirmation, or null for START when nothing was opted out
+   */
+  async apply(phone, { allowed, channels, language }, by = 'customer') {
+    const targets = channels || Object.keys(CHANNELS);
+    const changed = targets.filter(ch => this.allows(phone, ch) !== allowed);
+    if (allowed && changed.length === 0) return null; // plain "start" — let the bot answer it
+
+    for (const ch of changed) await customerProfiles.setConsent(phone, ch, allowed, by);
+    console.log(`[Consent] ${phone} ${allowed ? 'opted in to' : 'opted out of'} ${targets.join(', ')}`);
+
+    const lang = [language, customerProfiles.getLanguage(phone)].find(l => TEXT.stopped[l]) || 'en';
+    const labels = LABELS[lang];
+    const what = channels
+      ? targets.map(ch => labels[ch]).join(', ')
+      : Object.values(labels).join(lang === 'zh' ? '、' : ', ');
+    return TEXT[allowed ? 'started' : 'stopped'][lang](what);
+  }
+
+  /**
+   * /optouts — customers who opted out of anything, newest first.
+   */
+  formatOptOuts() {
+    const rows = customerProfiles.listOptOuts()
+      .map(p => {
+        const off = Object.entries(p.consent).filter(([, c]) => c.allowed === false);
+        const latest = off.reduce((max, [, c]) => (c.at > max ? c.at : max), '');
+        return { ...p, off, latest };
+      })
+      .sort((a, b) => b.latest.localeCompare(a.latest));
+
+    if (rows.length === 0) return '*Opt-outs*\n```No customers have opted out.```';
+
+    const counts = Object.keys(CHANNELS).map(ch => `${ch} ${rows.filter(r => r.off.some(([c]) => c === ch)).length}`);
+    let text = `*Opt-outs (${rows.length})*\n\`\`\`\n${counts.join(' | ')}\n\n`;
+    for (const r of rows.slice(0, 30)) {
+      text += `${r.name || 'Unknown'} +${r.phone}\n`;
+      for (const [ch, c] of r.off) {
+        text += `  ${ch}: ${formatMYT(c.at, 'datetime')}${c.by !== 'customer' ? ` (by ${c.by})` : ''}\n`;
+      }
+    }
+    if (rows.length > 30) text += `... and ${rows.length - 30} more\n`;
+    return text + '```';
+  }
+}
+
+module.exports = new Consent();
+module.exports.CHANNELS = CHANNELS;
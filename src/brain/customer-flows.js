@@ -217,26 +217,67 @@ class CustomerFlows {
   }
 
   /**
-   * Expiring rental message (sent to customer proactively).
+   * Expiring rental reminder (sent to customer proactively, see expiry-reminders.js).
+   * @param {object} agreement
+   * @param {object} details - { hoursLeft, dueAt, extension: { days, total }|null, returnInfo: { collect, location, map } }
+   * @param {string} language - 'en' | 'ms' | 'zh' | 'ta'
    */
-  expiringRentalMessage(agreement, daysLeft, language = 'en') {
+  expiringRentalMessage(agreement, details = {}, language = 'en') {
+    const { hoursLeft = 0, dueAt, extension = null, returnInfo = {} } = details;
+    const days = Math.round(hoursLeft / 24);
+    const hours = Math.max(1, Math.round(hoursLeft));
+    const due = formatMYT(dueAt || agreement.date_end, 'datetime');
+    const name = agreement.customer_name || '';
+
     let text;
     if (language === 'ms') {
+      const left = hoursLeft >= 24 ? `${days} hari` : `${hours} jam`;
       text = `*Sewa Anda Hampir Tamat*\n\n`;
-      text += `Hai ${agreement.customer_name}!\n`;
-      text += `\`\`\`\nKereta anda perlu dipulang dalam ${daysLeft} hari (${(agreement.date_end || agreement.end_date || '').slice(0, 10)}).\`\`\`\n\n`;
-      text += `Adakah anda ingin:\n`;
-      text += `1. Sambung sewa (extension)\n`;
-      text += `2. Pulang kereta\n\n`;
-      text += `Sila maklumkan. Terima kasih!`;
+      text += `Hai ${name}!\n`;
+      text += `\`\`\`\n`;
+      text += `Kereta: ${agreement.plate_number || agreement.car_type || ''}\n`;
+      text += `Pulang: ${due} (dalam ${left})\n`;
+      text += returnInfo.collect ? `Kami ambil kereta di: ${returnInfo.location}\n` : `Pulang ke: ${returnInfo.location || 'JRV Office, Seremban 2'}\n`;
+      if (extension) text += `Sambung ${extension.days} hari: RM${extension.total}\n`;
+      text += `\`\`\`\n`;
+      if (returnInfo.map) text += `Lokasi: ${returnInfo.map}\n`;
+      text += `\nBalas *"sambung"* untuk sambung sewa, atau pulangkan kereta tepat pada masa. Caj lewat dikenakan selepas ${policies.lateFee.graceMinutes} minit.`;
+    } else if (language === 'zh') {
+      const left = hoursLeft >= 24 ? `${days}天` : `${hours}小时`;
+      text = `*您的租期即将结束*\n\n`;
+      text += `${name} 您好！\n`;
+      text += `\`\`\`\n`;
+      text += `车辆: ${agreement.plate_number || agreement.car_type || ''}\n`;
+      text += `还车时间: ${due}（还有${left}）\n`;
+      text += returnInfo.collect ? `我们会到这里取车: ${returnInfo.location}\n` : `还车地点: ${returnInfo.location || 'JRV Office, Seremban 2'}\n`;
+      if (extension) text += `延长${extension.days}天: RM${extension.total}\n`;
+      text += `\`\`\`\n`;
+      if (returnInfo.map) text += `地图: ${returnInfo.map}\n`;
+      text += `\n回复 *"延长"* 即可延长租期，或请准时还车。超过${policies.lateFee.graceMinutes}分钟将收取逾期费。`;
+    } else if (language === 'ta') {
+      const left = hoursLeft >= 24 ? `${days} நாள்` : `${hours} மணி நேரம்`;
+      text = `*உங்கள் வாடகை விரைவில் முடிவடைகிறது*\n\n`;
+      text += `வணக்கம் ${name}!\n`;
+      text += `\`\`\`\n`;
+      text += `கார்: ${agreement.plate_number || agreement.car_type || ''}\n`;
+      text += `திருப்பி ஒப்படைக்க: ${due} (இன்னும் ${left})\n`;
+      text += returnInfo.collect ? `காரை நாங்கள் இங்கே எடுத்துக்கொள்வோம்: ${returnInfo.location}\n` : `ஒப்படைக்கும் இடம்: ${returnInfo.location || 'JRV Office, Seremban 2'}\n`;
+      if (extension) text += `${extension.days} நாள் நீட்டிப்பு: RM${extension.total}\n`;
+      text += `\`\`\`\n`;
+      if (returnInfo.map) text += `வரைபடம்: ${returnInfo.map}\n`;
+      text += `\nவாடகையை நீட்டிக்க *"extend"* என பதில் அனுப்பவும், அல்லது காரை சரியான நேரத்தில் ஒப்படைக்கவும். ${policies.lateFee.graceMinutes} நிமிடங்களுக்குப் பிறகு தாமதக் கட்டணம் விதிக்கப்படும்.`;
     } else {
-      text = `*Your Rental is Expiring*\n\n`;
-      text += `Hi ${agreement.customer_name}!\n`;
-      text += `\`\`\`\nYour car is due back in ${daysLeft} day(s) (${(agreement.date_end || agreement.end_date || '').slice(0, 10)}).\`\`\`\n\n`;
-      text += `Would you like to:\n`;
-      text += `1. Extend your rental\n`;
-      text += `2. Return the car\n\n`;
-      text += `Please let us know. Thank you!`;
+      const left = hoursLeft >= 24 ? `${days} day(s)` : `${hours} hour(s)`;
+      text = `*Your Rental Ends Soon*\n\n`;
+      text += `Hi ${name}!\n`;
+      text += `\`\`\`\n`;
+      text += `Car: ${agreement.plate_number || agreement.car_type || ''}\n`;
+      text += `Return: ${due} (in ${left})\n`;
+      text += returnInfo.collect ? `We collect the car from: ${returnInfo.location}\n` : `Return to: ${returnInfo.location || 'JRV Office, Seremban 2'}\n`;
+      if (extension) text += `Extend ${extension.days} day: RM${extension.total}\n`;
+      text += `\`\`\`\n`;
+      if (returnInfo.map) text += `Map: ${returnInfo.map}\n`;
+      text += `\nReply *"extend"* to extend your rental, or return the car on time. Late returns: ${policies.extension.lateReturn}.`;
     }
     return text;
   }
@@ -245,21 +286,9 @@ class CustomerFlows {
    * Cancellation confirmation.
    */
   cancellationInfo(agreement, language = 'en') {
-    const startDate = new Date(agreement.date_start || agreement.start_date);
-    const now = new Date();
-    const hoursUntilStart = (startDate - now) / (1000 * 60 * 60);
-
-    let fee = 0;
-    let feeNote = '';
-    if (hoursUntilStart < 24 && hoursUntilStart > 0) {
-      fee = 50;
-      feeNote = 'Late cancellation fee: RM50';
-    } else if (hoursUntilStart <= 0) {
-      fee = policies.getCategoryPricing(agreement.body_type || 'economy')?.daily || 80;
-      feeNote = `No-show: Full day charge RM${fee}`;
-    } else {
-      feeNote = 'No refund on cancellations. :)';
-    }
+    const dailyRate = policies.getCategoryPricing(agreement.body_type || 'economy')?.daily || 80;
+    const { fee, note } = policies.getCancellationFee(agreement, dailyRate);
+    const feeNote = fee === 0 ? 'No refund on cancellations. :)' : note;
 
     let text = `*Cancellation*\n`;
     text += `\`\`\`\n`;
@@ -267,6 +296,7 @@ class CustomerFlows {
     text += `${feeNote}\n`;
     text += `\`\`\`\n`;
     text += `\n${policies.cancellation.note}`;
+    text += `\n\nReply *"manage booking"* to request a cancellation or date change.`;
     return text;
   }
 }
@@ -127,6 +127,24 @@ class CustomerProfiles {
     this._dirty.add(phone);
   }
 
+  /**
+   * Record a post-rental rating (see feedback.js).
+   */
+  recordFeedback(phone, { agreementId, rating, comment }) {
+    const profile = this.get(phone);
+
+    if (!profile.feedback) profile.feedback = [];
+    profile.feedback.push({ agreementId, rating, comment, date: new Date().toISOString() });
+
+    // Keep last 20 ratings
+    if (profile.feedback.length > 20) {
+      profile.feedback = profile.feedback.slice(-20);
+    }
+
+    profile.avgRating = Math.round(profile.feedback.reduce((sum, f) => sum + f.rating, 0) / profile.feedback.length * 10) / 10;
+    this._dirty.add(phone);
+  }
+
   /**
    * Add an admin note to a customer's profile.
    */
@@ -178,6 +196,70 @@ class CustomerProfiles {
     return profile;
   }
 
+  /**
+   * Buyer details for e-invoices (see einvoice.js): tin, idType
+   * (NRIC/PASSPORT/BRN/ARMY), idValue, name, email, address { line, city,
+   * postcode, state }. Merged into what is already there.
+   */
+  async setTaxDetails(phone, details) {
+    const profile = this.get(phone);
+    const clean = Object.fromEntries(Object.entries(details).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+    profile.einvoice = {
+      ...(profile.einvoice || {}),
+      ...clean,
+      address: { ...((profile.einvoice || {}).address || {}), ...(clean.address || {}) },
+      updatedAt: new Date().toISOString(),
+    };
+    await this._saveProfile(phone);
+    console.log(`[Profiles] E-invoice details set for ${phone}`);
+    return profile.einvoice;
+  }
+
+  /**
+   * Profile or null — unlike get(), doesn't create one.
+   */
+  peek(phone) {
+    return this._profiles.get(phone) || null;
+  }
+
+  /**
+   * Consent for proactive messages on a channel (see consent.js).
+   * Customers are opted in until they say otherwise. Agreement mobiles
+   * ("012…") are matched to WhatsApp numbers ("6012…").
+   */
+  hasConsent(phone, channel) {
+    const profile = this._profiles.get(phone) || this._profiles.get(String(phone).replace(/^0/, '60'));
+    return profile?.consent?.[channel]?.allowed !== false;
+  }
+
+  async setConsent(phone, channel, allowed, by = 'customer') {
+    const profile = this.get(phone);
+    profile.consent = { ...(profile.consent || {}), [channel]: { allowed, at: new Date().toISOString(), by } };
+    await this._saveProfile(phone);
+  }
+
+  /**
+   * Profiles that opted out of at least one channel.
+   * @returns {Array<{ phone, name, consent }>}
+   */
+  listOptOuts() {
+    const result = [];
+    for (const [phone, profile] of this._profiles) {
+      if (Object.values(profile.consent || {}).some(c => c.allowed === false)) {
+        result.push({ phone, name: profile.name, consent: profile.consent });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Preferred language ('en', 'ms', 'zh', 'ta') or null if unknown.
+   * Doesn't create a profile.
+   */
+  getLanguage(phone) {
+    return this._profiles.get(phone)?.preferredLang || null;
+  }
+
   /**
    * Get a customer summary for the AI system prompt.
    * Returns only relevant info, not the full profile.
@@ -193,6 +275,9 @@ class CustomerProfiles {
     if (p.preferredLang) parts.push(`Language: ${p.preferredLang}`);
     if (p.preferredCarType) parts.push(`Prefers: ${p.preferredCarType}`);
     if (p.totalBookings) parts.push(`Bookings: ${p.totalBookings}`);
+    if (p.avgRating) parts.push(`Rating given: ${p.avgRating}/5`);
+    const optedOut = Object.entries(p.consent || {}).filter(([, c]) => c.allowed === false).map(([ch]) => ch);
+    if (optedOut.length) parts.push(`Opted out of: ${optedOut.join(', ')}`);
     if (p.interactions > 5) parts.push(`Interactions: ${p.interactions}`);
 
     // Latest admin notes
@@ -6,25 +6,63 @@
  *   - Rental agreements (summary)
  *   - Quotations
  *   - Payment reminders
- *   - Custom letters / notices
+ *   - Custom letters / notices (incl. late-return charge notices)
  *
- * All output as WhatsApp-formatted text (no PDF generation needed).
+ * Every document comes back as WhatsApp-formatted text plus a `pdf` spec;
+ * generatePdf() renders that on the JRV letterhead (pdf-renderer.js),
+ * archives it to Cloudinary jrv/documents and, for a rental agreement
+ * generated from an agreement row, links it on agreement_url. sendPdf()
+ * delivers the file as a WhatsApp document through the outbox.
  * Templates stored in Supabase for admin customization.
  *
+ * Numbering: one sequence per type and year (INV-2026-00123). The counter
+ * is bumped with a compare-and-set in bot_data_store before the number is
+ * used, so restarts never repeat a number. Regenerating a document reuses
+ * its number: pass docNumber, or the same agreementId again (receipts also
+ * match on amount). Payment reminders and notices without charges are not
+ * numbered.
+ *
+ * Registry: every numbered document is recorded (type, customer, amount,
+ * issuer, PDF url). Admin: /docs, /docs <number>, /docs find <name>,
+ * /docs void <number> <reason>. A void number stays in the registry and is
+ * never reissued. Invoices also keep their lines and come back with a
+ * MyInvois e-invoice payload (einvoice.js).
+ *
  * Usage:
  *   Boss: "Generate invoice for Ali, Proton X50, 5 days at RM120/day"
- *   JARVIS → calls create_document tool → returns formatted document
+ *   JARVIS → calls create_document tool → PDF sent to the boss (or sendTo)
  *
- * Storage: Templates in "doc_template:" prefix
+ * Storage: Templates in "doc_template:" prefix, counters "doc_counter:<PREFIX>-<year>",
+ *          registry "doc:<number>"
  */
 
-const { dataStoreService } = require('../supabase/services');
+const { agreementsService, dataStoreService, fleetService } = require('../supabase/services');
+const pricing = require('./pricing');
+const policies = require('./policies');
+const outbox = require('../channels/outbox');
+const cloudinary = require('../media/cloudinary');
+const pdfRenderer = require('../media/pdf-renderer');
 const { todayMYT, formatMYT } = require('../utils/time');
 
+const TYPES = ['invoice', 'receipt', 'quotation', 'agreement', 'payment_reminder', 'notice', 'custom'];
+const NUMBER_PREFIX = {
+  invoice: 'INV',
+  receipt: 'RCP',
+  quotation: 'QUO',
+  agreement: 'AGR',
+  notice: 'NTC',
+  custom: 'DOC',
+};
+const REGISTRY_PREFIX = 'doc:';
+const LIST_MAX = 15;
+
+const PAYMENT_LINES = ['Maybank: 1122-5988-3838 (JRV GLOBAL SERVICES)', 'Or scan QR / cash on delivery'];
+
 class DocumentGenerator {
   constructor() {
     this._templates = {};
-    this._counter = 0; // Document number counter
+    this._registry = new Map(); // number → record
+    this._numbering = Promise.resolve(); // serialises counter bumps
     this._loaded = false;
   }
 
@@ -38,12 +76,14 @@ class DocumentGenerator {
           ? JSON.parse(entry.value) : entry.value;
       }
 
-      // Load counter
-      const counter = await dataStoreService.getByKey('doc_counter');
-      this._counter = (typeof counter === 'number' ? counter : 0);
+      const rows = await dataStoreService.getByKeyPrefix(REGISTRY_PREFIX);
+      for (const row of rows || []) {
+        const record = typeof row.value === 'string' ? JSON.parse(row.value) : row.value;
+        if (record && record.number) this._registry.set(record.number, record);
+      }
 
       this._loaded = true;
-      console.log(`[Docs] Loaded ${Object.keys(this._templates).length} templates, counter: ${this._counter}`);
+      console.log(`[Docs] Loaded ${Object.keys(this._templates).length} templates, ${this._registry.size} issued documents`);
     } catch (err) {
       console.error('[Docs] Failed to load:', err.message);
       this._loaded = true;
@@ -52,26 +92,134 @@ class DocumentGenerator {
 
   /**
    * Generate a document. Returns WhatsApp-formatted text.
+   * @param {object} opts - { issuer } phone of whoever asked for it
    */
-  async generate(type, data) {
-    this._counter++;
-    const docNum = `JRV-${String(this._counter).padStart(5, '0')}`;
+  async generate(type, data, { issuer = null } = {}) {
+    if (!TYPES.includes(type)) {
+      return { error: `Unknown document type: ${type}. Available: ${TYPES.join(', ')}` };
+    }
 
-    // Save counter
-    try { await dataStoreService.setValue('doc_counter', this._counter); } catch (e) { /* non-critical */ }
+    const numbered = await this._numberFor(type, data);
+    if (numbered.error) return numbered;
+    const doc = await this._build(type, numbered.docNum, data);
+    if (numbered.docNum) await this._record(doc, data, issuer, numbered.existing);
+    if (type === 'invoice') {
+      const einvoice = require('./einvoice'); // lazy — einvoice reads this registry
+      const { json, xml, errors, warnings } = einvoice.build(this._registry.get(doc.docNumber));
+      doc.einvoice = { json, xml, errors, warnings };
+    }
+    return doc;
+  }
 
+  async _build(type, docNum, data) {
     switch (type) {
       case 'invoice': return this._invoice(docNum, data);
       case 'receipt': return this._receipt(docNum, data);
-      case 'quotation': return this._quotation(docNum, data);
+      case 'quotation': return this._quotation(docNum, await this._withQuote(data));
       case 'agreement': return this._agreement(docNum, data);
       case 'payment_reminder': return this._paymentReminder(data);
-      case 'notice': return this._notice(data);
+      case 'notice': return this._notice(docNum, data);
       case 'custom': return this._custom(docNum, data);
-      default: return { error: `Unknown document type: ${type}. Available: invoice, receipt, quotation, agreement, payment_reminder, notice, custom` };
     }
   }
 
+  /**
+   * Generate a document and render it to PDF.
+   * With data.agreementId the customer, car, dates and amounts are filled
+   * from that agreement (anything passed in data wins).
+   * @returns {Promise<object>} the document plus { pdfPath, fileName, url }
+   */
+  async generatePdf(type, data = {}, opts = {}) {
+    if (data.agreementId) data = { ...(await this._agreementData(data.agreementId, type)), ...data };
+    const doc = await this.generate(type, data, opts);
+    if (doc.error) return doc;
+    return this.renderPdf(doc, { agreementId: data.agreementId });
+  }
+
+  /**
+   * Render an already generated document to PDF and archive it.
+   * Only a rental agreement is written to the agreement's agreement_url, so
+   * invoices and notices never replace the agreement itself.
+   */
+  async renderPdf(doc, { agreementId = null } = {}) {
+    const fileName = doc.docNumber || `${doc.type}_${todayMYT()}_${Date.now().toString(36)}`;
+    const pdfPath = await pdfRenderer.render(doc.pdf, fileName);
+    const result = { ...doc, pdfPath, fileName: `${fileName}.pdf`, url: null };
+
+    if (cloudinary.isAvailable()) {
+      try {
+        const upload = await cloudinary.uploadRaw(pdfPath, 'jrv/documents');
+        result.url = upload.secureUrl;
+      } catch (err) {
+        console.warn(`[Docs] PDF upload failed for ${fileName}:`, err.message);
+      }
+    }
+
+    if (result.url && this._registry.has(doc.docNumber)) {
+      await this._save({ ...this._registry.get(doc.docNumber), url: result.url });
+    }
+    if (result.url && agreementId && doc.type === 'agreement') {
+      await agreementsService.updateAgreement(agreementId, { agreement_url: result.url })
+        .catch(err => console.warn(`[Docs] agreement_url update failed for ${agreementId}:`, err.message));
+    }
+
+    console.log(`[Docs] PDF ${result.fileName}${result.url ? ' archived' : ''}`);
+    return result;
+  }
+
+  /**
+   * Send a rendered PDF as a WhatsApp document (whatsapp.sendDocument via the outbox).
+   * @returns {Promise<boolean>}
+   */
+  async sendPdf(phone, doc, caption = '') {
+    if (!doc.pdfPath) return false;
+    const item = await outbox.send(phone, {
+      kind: 'file', path: doc.pdfPath, asDocument: true, filename: doc.fileName, caption,
+    }, { source: 'document' });
+    return !!item && item.status !== 'failed';
+  }
+
+  /**
+   * Late-return charge notice for an agreement, as a 'notice' document.
+   * @param {object} agreement - agreements row
+   * @param {object} opts - { car, returnedAt, issuer } (car looked up by plate if omitted; returnedAt defaults to now)
+   * @returns {{ type, docNumber, content, fee }} fee is pricing.lateFee()'s result
+   */
+  async lateFeeNotice(agreement, { car, returnedAt, issuer = null } = {}) {
+    if (car === undefined) {
+      car = await fleetService.getCarByPlate(agreement.plate_number).catch(() => null);
+    }
+    const fee = pricing.lateFee(agreement, car, returnedAt);
+    const stillOut = !returnedAt;
+    const returnedLine = stillOut ? 'Not returned yet' : formatMYT(fee.returnedAt, 'datetime');
+
+    const doc = await this.generate('notice', {
+      agreementId: agreement.id,
+      customerName: agreement.customer_name,
+      phone: agreement.mobile,
+      title: 'Late Return Charge',
+      body: [
+        `Dear ${agreement.customer_name || 'Customer'},`,
+        '',
+        `Car ${agreement.plate_number} was due back on ${formatMYT(fee.dueAt, 'datetime')}.`,
+        stillOut
+          ? `It has not been returned yet, so late charges apply and keep adding up until it is (${policies.extension.lateReturn}).`
+          : `It was returned on ${returnedLine}, so late charges apply (${policies.extension.lateReturn}).`,
+        '',
+        `_Kereta dipulangkan lewat — caj lewat dikenakan seperti di bawah._`,
+      ].join('\n'),
+      lines: [
+        { label: 'Due back', text: formatMYT(fee.dueAt, 'datetime') },
+        { label: 'Returned', text: returnedLine },
+        { label: fee.label, amount: fee.amount },
+      ],
+      action: fee.amount > 0
+        ? `Please pay RM ${fee.amount.toFixed(2)} to Maybank 1122-5988-3838 (JRV GLOBAL SERVICES) and send the payment proof here.`
+        : null,
+    }, { issuer });
+    return { ...doc, fee };
+  }
+
   /**
    * Save a custom template.
    */
@@ -87,25 +235,211 @@ class DocumentGenerator {
    */
   listTemplates() {
     return {
-      builtin: ['invoice', 'receipt', 'quotation', 'agreement', 'payment_reminder', 'notice', 'custom'],
+      builtin: TYPES,
       custom: Object.keys(this._templates),
     };
   }
 
+  // ─── Numbering & registry ─────────────────────────────
+
+  /**
+   * The number for this document: its existing one when it is being
+   * regenerated, else the next in its type/year sequence.
+   * @returns {Promise<{ docNum: string|null, existing?: object, error?: string }>}
+   */
+  async _numberFor(type, d) {
+    const prefix = NUMBER_PREFIX[type];
+    if (!prefix || (type === 'notice' && !(d.lines || []).length)) return { docNum: null };
+
+    if (d.docNumber) {
+      const existing = this._registry.get(String(d.docNumber).trim().toUpperCase());
+      if (!existing) return { error: `No document ${d.docNumber} in the registry.` };
+      if (existing.type !== type) return { error: `${existing.number} is a ${existing.type}, not a ${type}.` };
+      if (existing.status === 'void') return { error: `${existing.number} was voided — generate a new one.` };
+      return { docNum: existing.number, existing };
+    }
+
+    if (d.agreementId) {
+      const existing = this._find(r =>
+        r.status !== 'void' && r.type === type && r.agreementId === String(d.agreementId) &&
+        (type !== 'receipt' || r.amount === (Number(d.amount) || 0)) &&
+        ((type !== 'notice' && type !== 'custom') || r.title === (d.title || null)));
+      if (existing) return { docNum: existing.number, existing };
+    }
+
+    const series = `${prefix}-${todayMYT().slice(0, 4)}`;
+    const next = this._numbering.then(() => dataStoreService.incrementCounter(`doc_counter:${series}`));
+    this._numbering = next.catch(() => {});
+    return { docNum: `${series}-${String(await next).padStart(5, '0')}` };
+  }
+
+  async _record(doc, d, issuer, existing) {
+    const total = ((doc.pdf && doc.pdf.totals) || []).find(t => t.bold);
+    const admin = issuer ? policies.getAdmin(issuer) : null;
+    const now = new Date().toISOString();
+    await this._save({
+      issuedAt: now,
+      issuer: admin ? admin.name : issuer,
+      status: 'issued',
+      revisions: 0,
+      ...existing,
+      number: doc.docNumber,
+      type: doc.type,
+      title: d.title || null,
+      customer: d.customerName || (existing && existing.customer) || null,
+      phone: d.phone || (existing && existing.phone) || null,
+      agreementId: d.agreementId ? String(d.agreementId) : (existing && existing.agreementId) || null,
+      amount: total ? total.amount : null,
+      ...(doc.type === 'invoice' ? { lines: doc.pdf.items } : {}),
+      ...(existing ? { revisions: (existing.revisions || 0) + 1, updatedAt: now } : {}),
+    });
+  }
+
+  /**
+   * Registry records, optionally of one type (void ones included).
+   */
+  getIssued(type = null) {
+    return [...this._registry.values()].filter(r => !type || r.type === type);
+  }
+
+  // ─── /docs ─────────────────────────────────────────────
+
+  async handleCommand(args, adminPhone) {
+    const [action, ...rest] = (args || '').trim().split(/\s+/);
+    switch ((action || '').toLowerCase()) {
+      case '':
+        return this.formatRecent();
+      case 'find':
+        return this.formatSearch(rest.join(' '));
+      case 'void':
+        return this.voidDocument(rest[0], rest.slice(1).join(' '), adminPhone);
+      case 'help':
+        return `*Documents*\n\`\`\`\n` +
+          `/docs                         Latest issued\n` +
+          `/docs <number>                One document\n` +
+          `/docs find <name|phone>       Search\n` +
+          `/docs void <number> <reason>  Void a document\n` +
+          `\`\`\``;
+      default:
+        return this.formatDocument(action);
+    }
+  }
+
+  formatRecent() {
+    const records = [...this._registry.values()].sort((a, b) => b.issuedAt.localeCompare(a.issuedAt));
+    if (records.length === 0) return `*Documents*\n\`\`\`No documents issued yet.\`\`\``;
+    return `*📄 Documents (${records.length})*\n\`\`\`\n` +
+      records.slice(0, LIST_MAX).map(r => this._line(r)).join('\n') +
+      `\n\`\`\`\n_/docs <number> for details, /docs help for more._`;
+  }
+
+  formatSearch(query) {
+    const q = (query || '').trim().toLowerCase();
+    if (!q) return `*Documents*\n\`\`\`Usage: /docs find <name|phone|agreement id>\`\`\``;
+    const digits = q.replace(/\D/g, '');
+    const matches = [...this._registry.values()]
+      .filter(r => (r.customer || '').toLowerCase().includes(q) ||
+        (digits.length >= 4 && (r.phone || '').replace(/\D/g, '').includes(digits)) ||
+        r.agreementId === query.trim())
+      .sort((a, b) => b.issuedAt.localeCompare(a.issuedAt));
+    if (matches.length === 0) return `*Documents*\n\`\`\`Nothing issued for "${query}".\`\`\``;
+    return `*📄 Documents for "${query}" (${matches.length})*\n\`\`\`\n` +
+      matches.slice(0, LIST_MAX).map(r => this._line(r)).join('\n') + `\n\`\`\``;
+  }
+
+  formatDocument(number) {
+    const r = this._registry.get(String(number || '').toUpperCase());
+    if (!r) return `*Documents*\n\`\`\`No document ${number}. Try /docs find <name>.\`\`\``;
+    return `*📄 ${r.number}*${r.status === 'void' ? ' — VOID' : ''}\n\`\`\`\n` +
+      `Type: ${r.type}${r.title ? ` (${r.title})` : ''}\n` +
+      `Customer: ${r.customer || 'N/A'}${r.phone ? ` (${r.phone})` : ''}\n` +
+      `${r.amount !== null ? `Amount: RM${r.amount.toFixed(2)}\n` : ''}` +
+      `${r.agreementId ? `Agreement: ${r.agreementId}\n` : ''}` +
+      `Issued: ${r.issuedAt.slice(0, 10)} by ${r.issuer || 'JARVIS'}\n` +
+      `${r.revisions ? `Regenerated: ${r.revisions}x, last ${r.updatedAt.slice(0, 10)}\n` : ''}` +
+      `${r.status === 'void' ? `Voided: ${r.voidedAt.slice(0, 10)} by ${r.voidedBy} — ${r.voidReason}\n` : ''}` +
+      `\`\`\`` +
+      `${r.url ? `\n${r.url}` : ''}`;
+  }
+
+  /**
+   * Void an issued document. The number stays taken so the sequence has no gaps.
+   */
+  async voidDocument(number, reason, adminPhone) {
+    const r = this._registry.get(String(number || '').toUpperCase());
+    if (!r) return `*Documents*\n\`\`\`Usage: /docs void <number> <reason>\`\`\``;
+    if (r.status === 'void') return `*Documents*\n\`\`\`${r.number} is already void.\`\`\``;
+    if (!reason || !reason.trim()) return `*Documents*\n\`\`\`Give a reason: /docs void ${r.number} <reason>\`\`\``;
+
+    const admin = policies.getAdmin(adminPhone);
+    await this._save({
+      ...r,
+      status: 'void',
+      voidReason: reason.trim(),
+      voidedBy: admin ? admin.name : adminPhone,
+      voidedAt: new Date().toISOString(),
+    });
+    console.log(`[Docs] ${r.number} voided by ${adminPhone}: ${reason.trim()}`);
+    return `*${r.number} voided* ✅\n\`\`\`\n${r.type} | ${r.customer || 'N/A'}${r.amount !== null ? ` | RM${r.amount.toFixed(2)}` : ''}\nReason: ${reason.trim()}\n\`\`\``;
+  }
+
+  _line(r) {
+    return `${r.number}${r.status === 'void' ? ' VOID' : ''} | ${r.customer || 'N/A'}` +
+      `${r.amount !== null ? ` | RM${r.amount.toFixed(2)}` : ''} | ${r.issuedAt.slice(0, 10)}`;
+  }
+
+  _find(predicate) {
+    for (const record of this._registry.values()) {
+      if (predicate(record)) return record;
+    }
+    return null;
+  }
+
+  async _save(record) {
+    this._registry.set(record.number, record);
+    await dataStoreService.setValue(`${REGISTRY_PREFIX}${record.number}`, record)
+      .catch(err => console.warn(`[Docs] Failed to save ${record.number}:`, err.message));
+  }
+
   // ─── Built-in Generators ──────────────────────────────
 
   _invoice(docNum, d) {
     const today = todayMYT();
     const days = d.days || 1;
     const rate = d.rate || d.dailyRate || 0;
-    const subtotal = days * rate;
+    // A booking's own total (see _agreementData) — its per-day rate is rounded
+    const subtotal = d.total ? Math.round(d.total * 100) / 100 : days * rate;
     const delivery = d.deliveryFee || 0;
+    const late = d.lateFee || 0;
     const deposit = d.deposit || 0;
-    const total = subtotal + delivery;
+    const total = subtotal + delivery + late;
 
     return {
       type: 'invoice',
       docNumber: docNum,
+      pdf: {
+        title: 'Invoice',
+        docNumber: docNum,
+        date: today,
+        details: [
+          ['Customer', d.customerName || 'N/A'],
+          ['Phone', d.phone],
+          ['Car', d.carName || d.car],
+          ['Plate', d.plate],
+          ['Period', `${d.startDate || today} — ${d.endDate || 'TBD'}`],
+          ['Duration', `${days} day${days > 1 ? 's' : ''}`],
+        ],
+        items: [
+          { description: `Rental (${days} day${days > 1 ? 's' : ''} × RM${rate})`, amount: subtotal },
+          delivery > 0 ? { description: 'Delivery fee', amount: delivery } : null,
+          late > 0 ? { description: d.lateFeeLabel || 'Late return', amount: late } : null,
+        ].filter(Boolean),
+        totals: [
+          { label: 'TOTAL', amount: total, bold: true },
+          deposit > 0 ? { label: 'Deposit (refundable)', amount: deposit } : null,
+        ].filter(Boolean),
+        sections: [{ heading: 'Payment', lines: PAYMENT_LINES }],
+      },
       content: [
         `*🧾 INVOICE — ${docNum}*`,
         `Date: ${today}`,
@@ -120,6 +454,7 @@ class DocumentGenerator {
         '```',
         `Rental (${days}d × RM${rate})    RM ${subtotal.toFixed(2)}`,
         delivery > 0 ? `Delivery fee            RM ${delivery.toFixed(2)}` : null,
+        late > 0 ? `${(d.lateFeeLabel || 'Late return').padEnd(24)}RM ${late.toFixed(2)}` : null,
         `─────────────────────────────`,
         `TOTAL                   RM ${total.toFixed(2)}`,
         deposit > 0 ? `Deposit (refundable)    RM ${deposit.toFixed(2)}` : null,
@@ -140,6 +475,19 @@ class DocumentGenerator {
     return {
       type: 'receipt',
       docNumber: docNum,
+      pdf: {
+        title: 'Payment Receipt',
+        docNumber: docNum,
+        date: today,
+        details: [
+          ['Received from', d.customerName || 'N/A'],
+          ['Method', d.paymentMethod || 'Bank Transfer'],
+          ['Reference', d.reference],
+        ],
+        items: [{ description: d.description || 'Car rental', amount: d.amount || 0 }],
+        totals: [{ label: 'AMOUNT PAID', amount: d.amount || 0, bold: true }],
+        sections: [{ lines: ['Thank you for your payment!'] }],
+      },
       content: [
         `*✅ PAYMENT RECEIPT — ${docNum}*`,
         `Date: ${today}`,
@@ -157,25 +505,113 @@ class DocumentGenerator {
     };
   }
 
+  /**
+   * Document fields from an agreement row (only the ones it has).
+   * "amount" is what was paid on a receipt and what is still owed on a reminder.
+   * "total" is the booking price; an invoice bills it as is rather than days × rate.
+   */
+  async _agreementData(agreementId, type) {
+    const a = await agreementsService.getAgreementById(agreementId);
+    if (!a) throw new Error(`Agreement ${agreementId} not found`);
+    const start = a.date_start ? a.date_start.slice(0, 10) : null;
+    const end = a.date_end ? a.date_end.slice(0, 10) : null;
+    const days = start && end ? Math.max(1, Math.round((new Date(end) - new Date(start)) / 86400000)) : null;
+    const total = Number(a.total_price) || null;
+    const fields = {
+      customerName: a.customer_name,
+      phone: a.mobile,
+      carName: a.car_type,
+      plate: a.plate_number,
+      startDate: start,
+      endDate: end,
+      days,
+      total,
+      rate: total && days ? Math.round((total / days) * 100) / 100 : null,
+      deposit: Number(a.deposit_price) || null,
+      amount: type === 'receipt' ? Number(a.paid) || null
+        : type === 'payment_reminder' ? Math.max((total || 0) - (Number(a.paid) || 0), 0) || null
+          : null,
+    };
+    return Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== null && v !== undefined && v !== ''));
+  }
+
+  /**
+   * Attach a pricing-engine quote when the request names a car and dates
+   * (and doesn't already list its own items).
+   */
+  async _withQuote(d) {
+    if (d.items || !d.startDate || !d.endDate || !(d.plate || d.carName)) return d;
+    try {
+      let car = d.plate ? await fleetService.getCarByPlate(d.plate) : null;
+      if (!car) {
+        const q = (d.carName || '').toLowerCase();
+        const cars = await fleetService.getAllCars();
+        car = cars.find(c => (c._carName || '').toLowerCase().includes(q));
+      }
+      if (!car) return d;
+      const quote = pricing.quote(car, d.startDate.slice(0, 10), d.endDate.slice(0, 10), { deliveryFee: d.deliveryFee });
+      return quote.error ? d : { ...d, carName: quote.carName || d.carName, quote };
+    } catch (err) {
+      console.warn('[Docs] Quote lookup failed:', err.message);
+      return d;
+    }
+  }
+
   _quotation(docNum, d) {
     const today = todayMYT();
-    const items = d.items || [{ desc: `${d.carName || 'Car'} rental`, days: d.days || 1, rate: d.rate || 0 }];
 
     let total = 0;
-    const lines = items.map(item => {
-      const lineTotal = (item.days || 1) * (item.rate || 0);
-      total += lineTotal;
-      return `${item.desc} (${item.days}d × RM${item.rate})  RM ${lineTotal.toFixed(2)}`;
-    });
+    let lines;
+    let pdfItems;
+    if (d.quote) {
+      // Itemised from the car's own rates
+      lines = [`${d.carName} ${d.quote.startDate} → ${d.quote.endDate} (${d.quote.days}d)`];
+      pdfItems = [];
+      for (const item of d.quote.lines) {
+        lines.push(`${item.label.padEnd(28)} RM ${item.amount.toFixed(2)}`);
+        pdfItems.push({ description: item.label, amount: item.amount });
+      }
+      total = d.quote.total;
+    } else {
+      const items = d.items || [{ desc: `${d.carName || 'Car'} rental`, days: d.days || 1, rate: d.rate || 0 }];
+      pdfItems = [];
+      lines = items.map(item => {
+        const lineTotal = (item.days || 1) * (item.rate || 0);
+        total += lineTotal;
+        pdfItems.push({ description: `${item.desc} (${item.days}d × RM${item.rate})`, amount: lineTotal });
+        return `${item.desc} (${item.days}d × RM${item.rate})  RM ${lineTotal.toFixed(2)}`;
+      });
 
-    if (d.deliveryFee) {
-      total += d.deliveryFee;
-      lines.push(`Delivery fee                 RM ${d.deliveryFee.toFixed(2)}`);
+      if (d.deliveryFee) {
+        total += d.deliveryFee;
+        lines.push(`Delivery fee                 RM ${d.deliveryFee.toFixed(2)}`);
+        pdfItems.push({ description: 'Delivery fee', amount: d.deliveryFee });
+      }
     }
 
     return {
       type: 'quotation',
       docNumber: docNum,
+      pdf: {
+        title: 'Quotation',
+        docNumber: docNum,
+        date: today,
+        details: [
+          ['Customer', d.customerName || 'N/A'],
+          ['Car', d.carName],
+          ['Period', d.quote ? `${d.quote.startDate} — ${d.quote.endDate} (${d.quote.days} days)` : null],
+          ['Valid for', `${d.validDays || 7} days`],
+        ],
+        items: pdfItems,
+        totals: [
+          { label: 'TOTAL', amount: total, bold: true },
+          d.quote && d.quote.deposit ? { label: 'Deposit (refundable)', amount: d.quote.deposit } : null,
+        ].filter(Boolean),
+        sections: [
+          d.notes ? { heading: 'Notes', lines: [d.notes] } : null,
+          { lines: ['Prices subject to availability.'] },
+        ].filter(Boolean),
+      },
       content: [
         `*📋 QUOTATION — ${docNum}*`,
         `Date: ${today}`,
@@ -187,6 +623,7 @@ class DocumentGenerator {
         ...lines,
         `─────────────────────────────`,
         `TOTAL              RM ${total.toFixed(2)}`,
+        d.quote && d.quote.deposit ? `Deposit (refundable) RM ${d.quote.deposit.toFixed(2)}` : null,
         '```',
         '',
         d.notes ? `*Notes:* ${d.notes}` : null,
@@ -199,9 +636,37 @@ class DocumentGenerator {
 
   _agreement(docNum, d) {
     const today = todayMYT();
+    const terms = [
+      'Fuel: Return at same level as received',
+      'Mileage: Unlimited within Peninsular Malaysia',
+      'Insurance: Basic coverage included',
+      `Late return: ${policies.lateFee.graceMinutes} min grace, then ${policies.extension.lateReturn}`,
+      'Cancellation: Free 24hrs before, 50% after',
+    ];
     return {
       type: 'agreement',
       docNumber: docNum,
+      pdf: {
+        title: 'Rental Agreement',
+        docNumber: docNum,
+        date: today,
+        details: [
+          ['Renter', d.customerName || 'N/A'],
+          ['IC/Passport', d.icNumber || 'On file'],
+          ['Phone', d.phone || 'N/A'],
+          ['Vehicle', d.carName || 'N/A'],
+          ['Plate', d.plate || 'N/A'],
+          ['Period', `${d.startDate || today} — ${d.endDate || 'TBD'}`],
+          ['Rate', `RM${d.rate || 0}/day`],
+        ],
+        items: [{ description: `Rental of ${d.carName || d.plate || 'vehicle'}`, amount: d.total || 0 }],
+        totals: [
+          { label: 'TOTAL', amount: d.total || 0, bold: true },
+          { label: 'Deposit (refundable)', amount: d.deposit || 0 },
+        ],
+        sections: [{ heading: 'Terms', lines: terms.map(t => `- ${t}`) }],
+        signatures: ['Renter', `For ${policies.business.name}`],
+      },
       content: [
         `*📄 RENTAL AGREEMENT SUMMARY — ${docNum}*`,
         `Date: ${today}`,
@@ -218,11 +683,7 @@ class DocumentGenerator {
         `*Deposit:* RM ${(d.deposit || 0).toFixed(2)}`,
         '',
         '*Terms:*',
-        '• Fuel: Return at same level as received',
-        '• Mileage: Unlimited within Peninsular Malaysia',
-        '• Insurance: Basic coverage included',
-        '• Late return: RM50 per additional day',
-        '• Cancellation: Free 24hrs before, 50% after',
+        ...terms.map(t => `• ${t}`),
         '',
         `_Full terms at office. Contact: +60126565477_`,
       ].join('\n'),
@@ -232,6 +693,21 @@ class DocumentGenerator {
   _paymentReminder(d) {
     return {
       type: 'payment_reminder',
+      pdf: {
+        title: 'Payment Reminder',
+        date: todayMYT(),
+        details: [
+          ['Customer', d.customerName || 'N/A'],
+          ['Car', d.carName],
+          ['Due', d.dueDate],
+        ],
+        items: d.amount ? [{ description: 'Outstanding rental payment', amount: d.amount }] : [],
+        totals: d.amount ? [{ label: 'OUTSTANDING', amount: d.amount, bold: true }] : [],
+        sections: [
+          { heading: 'Payment', lines: [PAYMENT_LINES[0]] },
+          { lines: ['Please send payment proof after transfer. Thank you!'] },
+        ],
+      },
       content: [
         `Assalamualaikum ${d.customerName || ''} 🙏`,
         '',
@@ -252,14 +728,41 @@ class DocumentGenerator {
     };
   }
 
-  _notice(d) {
+  _notice(docNum, d) {
+    // Optional charges block: [{ label, amount }] or [{ label, text }]
+    const charges = d.lines || [];
+    const total = charges.reduce((sum, l) => sum + (l.amount || 0), 0);
+    const block = charges.length ? [
+      '```',
+      ...charges.map(l => `${l.label.padEnd(24)}${l.amount !== undefined ? `RM ${l.amount.toFixed(2)}` : l.text}`),
+      charges.some(l => l.amount !== undefined) ? `─────────────────────────────` : null,
+      charges.some(l => l.amount !== undefined) ? `${'TOTAL'.padEnd(24)}RM ${total.toFixed(2)}` : null,
+      '```',
+      '',
+    ] : [];
+
+    const hasAmounts = charges.some(l => l.amount !== undefined);
     return {
       type: 'notice',
+      docNumber: charges.length ? docNum : undefined,
+      pdf: {
+        title: d.title || 'Notice',
+        docNumber: charges.length ? docNum : undefined,
+        date: todayMYT(),
+        body: (d.body || d.content || '').split('\n'),
+        items: charges.map(l => ({ description: l.label, amount: l.amount !== undefined ? l.amount : l.text })),
+        totals: hasAmounts ? [{ label: 'TOTAL', amount: total, bold: true }] : [],
+        sections: [
+          d.action ? { heading: 'Action required', lines: [d.action] } : null,
+          d.deadline ? { heading: 'Deadline', lines: [d.deadline] } : null,
+        ].filter(Boolean),
+      },
       content: [
-        `*📢 ${(d.title || 'Notice').toUpperCase()}*`,
+        `*📢 ${(d.title || 'Notice').toUpperCase()}*${charges.length ? ` — ${docNum}` : ''}`,
         '',
         d.body || d.content || '',
         '',
+        ...block,
         d.action ? `*Action required:* ${d.action}` : null,
         d.deadline ? `*Deadline:* ${d.deadline}` : null,
         '',
@@ -278,13 +781,24 @@ class DocumentGenerator {
       }
       content = content.replace(/\{\{docNumber\}\}/g, docNum);
       content = content.replace(/\{\{date\}\}/g, todayMYT());
-      return { type: 'custom', docNumber: docNum, content };
+      return {
+        type: 'custom',
+        docNumber: docNum,
+        pdf: { title: this._templates[d.template].name || d.template, docNumber: docNum, date: todayMYT(), body: content.split('\n') },
+        content,
+      };
     }
 
     // Freeform document
     return {
       type: 'custom',
       docNumber: docNum,
+      pdf: {
+        title: d.title || 'Document',
+        docNumber: docNum,
+        date: todayMYT(),
+        body: (d.body || d.content || '(No content provided)').split('\n'),
+      },
       content: [
         d.title ? `*${d.title}* — ${docNum}` : `*Document ${docNum}*`,
         `Date: ${todayMYT()}`,
@@ -298,7 +812,8 @@ class DocumentGenerator {
 
   getStats() {
     return {
-      documentsGenerated: this._counter,
+      documentsIssued: this._registry.size,
+      voided: [...this._registry.values()].filter(r => r.status === 'void').length,
       customTemplates: Object.keys(this._templates).length,
     };
   }
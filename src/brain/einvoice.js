@@ -0,0 +1,431 @@
+/**
+ * E-Invoice — LHDN MyInvois payloads for issued invoices.
+ *
+ * Every invoice in the document registry (documents.js) can be turned into
+ * a MyInvois v1.0 document, as the UBL JSON MyInvois takes and as UBL 2.1
+ * XML, from the same fields:
+ *   supplier   policies.einvoice (TIN, BRN, SST, MSIC) + policies.business
+ *   buyer      the customer profile's einvoice details (setTaxDetails),
+ *              else the general public TIN EI00000000010
+ *   lines      the invoice lines; tax is taken out of the line amounts
+ *              with policies.einvoice.taxType / taxRate
+ *
+ * Each document is checked against the MyInvois field rules before it is
+ * written (mandatory fields, lengths, code lists, totals adding up), so an
+ * invalid one is reported here instead of rejected by LHDN. Documents are
+ * not signed — v1.0 doesn't need it.
+ *
+ * Boss: /tool export einvoice <month> → generated/einvoice/<YYYY-MM>/ gets
+ * <number>.json + .xml per valid invoice and submission-<YYYY-MM>.json in the
+ * MyInvois submit format (base64 document + SHA-256, max 100 per file),
+ * which is also sent on WhatsApp for the accountant. Void invoices are left out.
+ *
+ * Storage: supplier details in bot_data_store key "einvoice"
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const policies = require('./policies');
+const documents = require('./documents');
+const customerProfiles = require('./customer-profiles');
+const outbox = require('../channels/outbox');
+const { dataStoreService } = require('../supabase/services');
+const { parseMonth, toMYT } = require('../utils/time');
+
+const GENERAL_PUBLIC_TIN = 'EI00000000010';
+const BATCH_MAX = 100; // MyInvois documents per submission
+
+const NS = {
+  invoice: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+  cac: 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+  cbc: 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2',
+};
+
+// ─── MyInvois field rules ──────────────────────────────────
+
+const TIN = /^[A-Z]{1,2}\d{9,13}$/;
+const PHONE = /^(\+?\d{8,19}|NA)$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const STATE_CODES = ['01', '02', '03', '04', '05', '06', '07', '08', '09', '10', '11', '12', '13', '14', '15', '16', '17'];
+const ID_TYPES = ['NRIC', 'PASSPORT', 'BRN', 'ARMY'];
+const TAX_TYPES = ['01', '02', '03', '04', '05', '06'];
+
+// [field, rule] — hint says where to fix it
+const RULES = [
+  ['number', { required: true, max: 50 }],
+  ['issueDate', { required: true, pattern: /^\d{4}-\d{2}-\d{2}$/ }],
+  ['issueTime', { required: true, pattern: /^\d{2}:\d{2}:\d{2}Z$/ }],
+  ['supplier.name', { required: true, max: 300 }],
+  ['supplier.tin', { required: true, pattern: TIN, hint: 'supplierTin in bot_data_store "einvoice"' }],
+  ['supplier.idValue', { required: true, max: 20, hint: 'supplierBrn in bot_data_store "einvoice"' }],
+  ['supplier.sst', { required: true, max: 35 }],
+  ['supplier.ttx', { required: true, max: 17 }],
+  ['supplier.msic', { required: true, pattern: /^\d{5}$/ }],
+  ['supplier.activity', { required: true, max: 300 }],
+  ['supplier.phone', { required: true, pattern: PHONE }],
+  ['supplier.email', { pattern: EMAIL }],
+  ['supplier.address.line', { required: true, max: 150 }],
+  ['supplier.address.city', { required: true, max: 50 }],
+  ['supplier.address.postcode', { max: 50 }],
+  ['supplier.address.state', { required: true, oneOf: STATE_CODES }],
+  ['buyer.name', { required: true, max: 300 }],
+  ['buyer.tin', { required: true, pattern: TIN, hint: 'set_customer_tax_details' }],
+  ['buyer.idType', { required: true, oneOf: ID_TYPES, hint: 'set_customer_tax_details' }],
+  ['buyer.idValue', { required: true, max: 20, hint: 'set_customer_tax_details' }],
+  ['buyer.phone', { required: true, pattern: PHONE, hint: 'no phone on the invoice' }],
+  ['buyer.email', { pattern: EMAIL }],
+  ['buyer.address.line', { required: true, max: 150 }],
+  ['buyer.address.city', { required: true, max: 50 }],
+  ['buyer.address.postcode', { max: 50 }],
+  ['buyer.address.state', { required: true, oneOf: STATE_CODES }],
+  ['taxType', { required: true, oneOf: TAX_TYPES }],
+];
+
+class EInvoice {
+  constructor() {
+    this.outDir = path.join(config.paths.generated, 'einvoice');
+  }
+
+  async load() {
+    try {
+      const stored = await dataStoreService.getByKey('einvoice');
+      if (stored) policies.updateFromStore([{ key: 'einvoice', value: stored }]);
+      console.log(`[EInvoice] Supplier TIN ${policies.einvoice.supplierTin ? 'set' : 'not set'}`);
+    } catch (err) {
+      console.error('[EInvoice] Failed to load:', err.message);
+    }
+  }
+
+  /**
+   * MyInvois payloads for one registry record.
+   * @returns {{ invoice: object, json: object, xml: string, errors: string[], warnings: string[] }}
+   */
+  build(record) {
+    const invoice = this._invoice(record);
+    const { errors, warnings } = this.validate(invoice);
+    const json = this._ubl(invoice);
+    return { invoice, json, xml: this._xml(json), errors, warnings };
+  }
+
+  /**
+   * Check an invoice model against the MyInvois field rules.
+   * @returns {{ errors: string[], warnings: string[] }}
+   */
+  validate(inv) {
+    const errors = [];
+    const warnings = [];
+
+    for (const [field, rule] of RULES) {
+      const value = field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), inv);
+      const hint = rule.hint ? ` (${rule.hint})` : '';
+      if (value === undefined || value === null || value === '') {
+        if (rule.required) errors.push(`${field} missing${hint}`);
+        continue;
+      }
+      const text = String(value);
+      if (rule.max && text.length > rule.max) errors.push(`${field} longer than ${rule.max}`);
+      if (rule.pattern && !rule.pattern.test(text)) errors.push(`${field} "${text}" invalid${hint}`);
+      if (rule.oneOf && !rule.oneOf.includes(text)) errors.push(`${field} "${text}" not one of ${rule.oneOf.join('/')}`);
+    }
+
+    if (inv.lines.length === 0) errors.push('no invoice lines');
+    inv.lines.forEach((line, i) => {
+      const n = i + 1;
+      if (!line.description || line.description.length > 300) errors.push(`line ${n} description missing or longer than 300`);
+      if (!/^\d{3}$/.test(line.classification)) errors.push(`line ${n} classification "${line.classification}" invalid`);
+      if (!(line.amount >= 0)) errors.push(`line ${n} amount invalid`);
+      if (this._round(line.taxable + line.tax) !== line.amount) errors.push(`line ${n} taxable + tax ≠ amount`);
+    });
+
+    const t = inv.totals;
+    const sum = key => this._round(inv.lines.reduce((s, l) => s + l[key], 0));
+    if (t.lineExtension !== sum('taxable') || t.tax !== sum('tax')) errors.push('totals do not match the lines');
+    if (this._round(t.taxExclusive + t.tax) !== t.taxInclusive || t.payable !== t.taxInclusive) errors.push('totals do not add up');
+    if (t.payable <= 0) errors.push('total is RM0');
+
+    if (inv.taxType !== '06' && !(inv.taxRate > 0)) errors.push(`taxType ${inv.taxType} needs a taxRate`);
+    if (inv.taxType !== '06' && inv.supplier.sst === 'NA') warnings.push('tax charged but no SST number set');
+    if (inv.buyer.tin === GENERAL_PUBLIC_TIN) warnings.push('buyer has no TIN — general public TIN used');
+    const ageHours = (Date.now() - new Date(`${inv.issueDate}T${inv.issueTime}`).getTime()) / 3600000;
+    if (ageHours > 72) warnings.push('issued over 72h ago — MyInvois only accepts recent issue dates');
+
+    return { errors, warnings };
+  }
+
+  // ─── Export ─────────────────────────────────────────────
+
+  /**
+   * Write a month's invoices as MyInvois files and send the submission file(s).
+   * @param {string} monthText - "2026-10", "oct", "last month" (default: this month)
+   * @param {string} phone - who gets the files
+   * @returns {Promise<{ type: 'text', text: string }>}
+   */
+  async exportMonth(monthText, phone) {
+    const month = parseMonth(monthText);
+    if (!month) return { type: 'text', text: `*E-invoice export*\n\`\`\`Unknown month "${monthText}". Try 2026-10, oct or last month.\`\`\`` };
+
+    const records = documents.getIssued('invoice')
+      .filter(r => toMYT(r.issuedAt).toISOString().slice(0, 7) === month)
+      .sort((a, b) => a.number.localeCompare(b.number));
+    const voided = records.filter(r => r.status === 'void');
+    const built = records.filter(r => r.status !== 'void').map(r => this.build(r));
+    const valid = built.filter(b => b.errors.length === 0);
+    const invalid = built.filter(b => b.errors.length > 0);
+
+    if (built.length === 0) {
+      return { type: 'text', text: `*E-invoice export — ${month}*\n\`\`\`No invoices issued${voided.length ? ` (${voided.length} void)` : ''}.\`\`\`` };
+    }
+
+    const dir = path.join(this.outDir, month);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    for (const b of valid) {
+      fs.writeFileSync(path.join(dir, `${b.invoice.number}.json`), JSON.stringify(b.json, null, 2));
+      fs.writeFileSync(path.join(dir, `${b.invoice.number}.xml`), b.xml);
+    }
+
+    const batches = [];
+    for (let i = 0; i < valid.length; i += BATCH_MAX) batches.push(valid.slice(i, i + BATCH_MAX));
+    const files = batches.map((batch, i) => {
+      const name = `submission-${month}${batches.length > 1 ? `-${i + 1}` : ''}.json`;
+      fs.writeFileSync(path.join(dir, name), JSON.stringify({ documents: batch.map(b => this._submission(b)) }, null, 2));
+      return name;
+    });
+
+    for (const name of files) {
+      await outbox.send(phone, {
+        kind: 'file', path: path.join(dir, name), asDocument: true, filename: name,
+        caption: `MyInvois submission ${month}`,
+      }, { source: 'einvoice' });
+    }
+
+    const total = valid.reduce((s, b) => s + b.invoice.totals.payable, 0);
+    const warned = valid.filter(b => b.warnings.length > 0);
+    let text = `*🧾 E-invoice export — ${month}*\n\`\`\`\n`;
+    text += `Invoices: ${built.length}${voided.length ? ` (+${voided.length} void, left out)` : ''}\n`;
+    text += `Ready: ${valid.length} — RM${total.toFixed(2)}\n`;
+    if (invalid.length) text += `Invalid: ${invalid.length}\n`;
+    for (const b of invalid.slice(0, 10)) text += `  ${b.invoice.number}: ${b.errors.slice(0, 3).join('; ')}\n`;
+    if (warned.length) {
+      const counts = {};
+      for (const b of warned) for (const w of b.warnings) counts[w] = (counts[w] || 0) + 1;
+      text += `Warnings:\n${Object.entries(counts).map(([w, n]) => `  ${n}× ${w}`).join('\n')}\n`;
+    }
+    text += `Files: generated/einvoice/${month}/\n\`\`\``;
+    if (files.length) text += `\n_${files.join(', ')} sent above (JSON + XML per invoice on disk)._`;
+
+    console.log(`[EInvoice] Exported ${month}: ${valid.length} valid, ${invalid.length} invalid`);
+    return { type: 'text', text };
+  }
+
+  // ─── Model ──────────────────────────────────────────────
+
+  _invoice(record) {
+    const e = policies.einvoice;
+    const b = policies.business;
+    const issued = new Date(record.issuedAt);
+    const rate = e.taxType === '06' ? 0 : Number(e.taxRate) || 0;
+
+    const source = record.lines && record.lines.length
+      ? record.lines
+      : [{ description: 'Car rental', amount: record.amount || 0 }];
+    const lines = source.map(l => {
+      const amount = this._round(Number(l.amount) || 0);
+      const taxable = rate ? this._round(amount / (1 + rate / 100)) : amount;
+      return { description: l.description, classification: e.classification, amount, taxable, tax: this._round(amount - taxable) };
+    });
+    const lineExtension = this._round(lines.reduce((s, l) => s + l.taxable, 0));
+    const tax = this._round(lines.reduce((s, l) => s + l.tax, 0));
+
+    return {
+      number: record.number,
+      issueDate: issued.toISOString().slice(0, 10),
+      issueTime: `${issued.toISOString().slice(11, 19)}Z`,
+      taxType: e.taxType,
+      taxRate: rate,
+      supplier: {
+        name: b.company,
+        tin: e.supplierTin,
+        idType: 'BRN',
+        idValue: e.supplierBrn,
+        sst: e.sstNumber || 'NA',
+        ttx: e.tourismTaxNumber || 'NA',
+        msic: e.msicCode,
+        activity: e.activity,
+        phone: this._phone(b.whatsapp),
+        email: e.email,
+        address: e.address,
+      },
+      buyer: this._buyer(record),
+      lines,
+      totals: {
+        lineExtension,
+        taxExclusive: lineExtension,
+        tax,
+        taxInclusive: this._round(lineExtension + tax),
+        payable: this._round(lineExtension + tax),
+      },
+    };
+  }
+
+  _buyer(record) {
+    const phone = (record.phone || '').replace(/\D/g, '');
+    const profile = phone
+      ? customerProfiles.peek(phone) || customerProfiles.peek(phone.replace(/^0/, '60'))
+      : null;
+    const d = (profile && profile.einvoice) || {};
+    const address = d.address || {};
+    return {
+      name: d.name || record.customer || (profile && profile.name) || 'General Public',
+      tin: d.tin || GENERAL_PUBLIC_TIN,
+      idType: d.idType || (d.tin ? null : 'BRN'),
+      idValue: d.idValue || (d.tin ? null : 'NA'),
+      phone: phone ? this._phone(phone) : null,
+      email: d.email || null,
+      address: {
+        line: address.line || 'NA',
+        city: address.city || 'NA',
+        postcode: address.postcode || '',
+        state: address.state || '17',
+      },
+    };
+  }
+
+  // ─── UBL ────────────────────────────────────────────────
+
+  /**
+   * MyInvois UBL JSON: every element is an array, text in "_", attributes beside it.
+   * Keys are in UBL 2.1 order so _xml() can write them as they are.
+   */
+  _ubl(inv) {
+    const v = (value, attrs = {}) => [{ _: value, ...attrs }];
+    const money = n => v(n, { currencyID: 'MYR' });
+    const scheme = { schemeID: 'UN/ECE 5153', schemeAgencyID: '6' };
+    const taxCategory = () => [{ ID: v(inv.taxType), TaxScheme: [{ ID: v('OTH', scheme) }] }];
+    const party = (p, extra = {}) => [{
+      Party: [{
+        ...extra,
+        PartyIdentification: [
+          { ID: v(p.tin, { schemeID: 'TIN' }) },
+          { ID: v(p.idValue, { schemeID: p.idType }) },
+          ...(p.sst ? [{ ID: v(p.sst, { schemeID: 'SST' }) }, { ID: v(p.ttx, { schemeID: 'TTX' }) }] : []),
+        ],
+        PostalAddress: [{
+          CityName: v(p.address.city),
+          ...(p.address.postcode ? { PostalZone: v(p.address.postcode) } : {}),
+          CountrySubentityCode: v(p.address.state),
+          AddressLine: [{ Line: v(p.address.line) }],
+          Country: [{ IdentificationCode: v('MYS', { listID: 'ISO3166-1', listAgencyID: '6' }) }],
+        }],
+        PartyLegalEntity: [{ RegistrationName: v(p.name) }],
+        Contact: [{
+          Telephone: v(p.phone || 'NA'),
+          ...(p.email ? { ElectronicMail: v(p.email) } : {}),
+        }],
+      }],
+    }];
+
+    return {
+      _D: NS.invoice,
+      _A: NS.cac,
+      _B: NS.cbc,
+      Invoice: [{
+        ID: v(inv.number),
+        IssueDate: v(inv.issueDate),
+        IssueTime: v(inv.issueTime),
+        InvoiceTypeCode: v('01', { listVersionID: '1.0' }),
+        DocumentCurrencyCode: v('MYR'),
+        TaxCurrencyCode: v('MYR'),
+        AccountingSupplierParty: party(inv.supplier, {
+          IndustryClassificationCode: v(inv.supplier.msic, { name: inv.supplier.activity }),
+        }),
+        AccountingCustomerParty: party(inv.buyer),
+        TaxTotal: [{
+          TaxAmount: money(inv.totals.tax),
+          TaxSubtotal: [{ TaxableAmount: money(inv.totals.taxExclusive), TaxAmount: money(inv.totals.tax), TaxCategory: taxCategory() }],
+        }],
+        LegalMonetaryTotal: [{
+          LineExtensionAmount: money(inv.totals.lineExtension),
+          TaxExclusiveAmount: money(inv.totals.taxExclusive),
+          TaxInclusiveAmount: money(inv.totals.taxInclusive),
+          PayableAmount: money(inv.totals.payable),
+        }],
+        InvoiceLine: inv.lines.map((line, i) => ({
+          ID: v(String(i + 1)),
+          InvoicedQuantity: v(1, { unitCode: 'C62' }),
+          LineExtensionAmount: money(line.taxable),
+          TaxTotal: [{
+            TaxAmount: money(line.tax),
+            TaxSubtotal: [{
+              TaxableAmount: money(line.taxable),
+              TaxAmount: money(line.tax),
+              Percent: v(inv.taxRate),
+              TaxCategory: taxCategory(),
+            }],
+          }],
+          Item: [{
+            Description: v(line.description),
+            CommodityClassification: [{ ItemClassificationCode: v(line.classification, { listID: 'CLASS' }) }],
+          }],
+          Price: [{ PriceAmount: money(line.taxable) }],
+          ItemPriceExtension: [{ Amount: money(line.taxable) }],
+        })),
+      }],
+    };
+  }
+
+  /**
+   * UBL JSON → UBL 2.1 XML. Elements with a value are cbc, the rest cac.
+   */
+  _xml(json) {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `<Invoice xmlns="${NS.invoice}" xmlns:cac="${NS.cac}" xmlns:cbc="${NS.cbc}">\n` +
+      this._xmlChildren(json.Invoice[0], '  ') +
+      '</Invoice>\n';
+  }
+
+  _xmlChildren(node, indent) {
+    let out = '';
+    for (const [name, items] of Object.entries(node)) {
+      for (const item of items) {
+        const { _: value, ...rest } = item;
+        if (value !== undefined) {
+          const attrs = Object.entries(rest).map(([k, a]) => ` ${k}="${this._escape(a)}"`).join('');
+          out += `${indent}<cbc:${name}${attrs}>${this._escape(value)}</cbc:${name}>\n`;
+        } else {
+          out += `${indent}<cac:${name}>\n${this._xmlChildren(item, `${indent}  `)}${indent}</cac:${name}>\n`;
+        }
+      }
+    }
+    return out;
+  }
+
+  _submission(built) {
+    const document = JSON.stringify(built.json);
+    return {
+      format: 'JSON',
+      documentHash: crypto.createHash('sha256').update(document).digest('hex'),
+      codeNumber: built.invoice.number,
+      document: Buffer.from(document).toString('base64'),
+    };
+  }
+
+  // ─── Helpers ───────────────────────────────────────────
+
+  _phone(digits) {
+    const d = String(digits || '').replace(/\D/g, '');
+    if (!d) return null;
+    return `+${d.startsWith('0') ? `6${d}` : d}`;
+  }
+
+  _escape(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  _round(n) {
+    return Math.round(n * 100) / 100;
+  }
+}
+
+module.exports = new EInvoice();
@@ -0,0 +1,220 @@
+/**
+ * Expiry Reminders — tell customers their rental is ending, before the return time.
+ *
+ * Offsets come from policies.expiryReminders (hours before the return time,
+ * default 48h, 24h and 3h; an offset with voice: true also sends a voice note).
+ * Each reminder goes out in the customer's language (customerProfiles) with
+ * the return time, where to return the car (or where we collect it) and the
+ * price of extending one more day, when the car is free for it.
+ *
+ * Every offset is sent once; what was sent is stored per agreement so restarts
+ * don't repeat it. When the bot finds an agreement late (e.g. booked 10 hours
+ * before return) only the latest due reminder is sent. An extension (new
+ * date_end) restarts the schedule. Admins are alerted once per rental.
+ * Customers who opted out of reminders (consent.js) get nothing; admins are
+ * still alerted.
+ *
+ * Storage: bot_data_store "expiry:<agreementId>"
+ */
+
+const policies = require('./policies');
+const pricing = require('./pricing');
+const notifications = require('./notifications');
+const customerFlows = require('./customer-flows');
+const customerProfiles = require('./customer-profiles');
+const consent = require('./consent');
+const locationService = require('../utils/location');
+const { agreementsService, availabilityService, dataStoreService, fleetService } = require('../supabase/services');
+const { addDays } = require('../utils/time');
+const { waPhone } = require('../utils/phone');
+
+const STATE_PREFIX = 'expiry:';
+const LANGUAGES = ['en', 'ms', 'zh', 'ta'];
+
+class ExpiryReminders {
+  constructor() {
+    this._states = new Map(); // agreementId → state
+    this._loaded = false;
+  }
+
+  async load() {
+    try {
+      const [rows, config] = await Promise.all([
+        dataStoreService.getByKeyPrefix(STATE_PREFIX),
+        dataStoreService.getByKey('expiry_reminders'),
+      ]);
+      for (const row of rows || []) {
+        const state = typeof row.value === 'string' ? JSON.parse(row.value) : row.value;
+        if (state && !state.resolvedAt) this._states.set(String(state.agreementId), state);
+      }
+      if (config) policies.updateFromStore([{ key: 'expiry_reminders', value: config }]);
+      console.log(`[Expiry] Loaded ${this._states.size} rentals with reminders`);
+    } catch (err) {
+      console.error('[Expiry] Failed to load:', err.message);
+    }
+    this._loaded = true;
+  }
+
+  /**
+   * Send the reminders that are due for every rental ending soon.
+   * @param {object} opts - { caller } voice caller (optional)
+   */
+  async run({ caller = null } = {}) {
+    if (!this._loaded) await this.load();
+
+    const offsets = this._offsets();
+    if (offsets.length === 0) return;
+
+    const now = Date.now();
+    const daysAhead = Math.ceil(offsets[0].hoursBefore / 24) + 1;
+    const expiring = await agreementsService.getExpiringAgreements(daysAhead);
+    const seen = new Set();
+
+    for (const agreement of expiring) {
+      const dueAt = pricing.returnDueAt(agreement);
+      const hoursLeft = (dueAt.getTime() - now) / 3600000;
+      if (hoursLeft <= 0) continue; // overdue — the playbook takes over
+      seen.add(String(agreement.id));
+
+      let state = this._states.get(String(agreement.id));
+      if (!state || state.dueAt !== dueAt.toISOString()) {
+        state = this._newState(agreement, dueAt);
+        this._states.set(String(agreement.id), state);
+      }
+
+      await this._advance(state, agreement, offsets, hoursLeft, dueAt, caller).catch(err =>
+        console.error(`[Expiry] ${agreement.plate_number} reminder failed:`, err.message)
+      );
+    }
+
+    // Returned, extended past the window or cancelled since the last run
+    for (const [id, state] of this._states) {
+      if (seen.has(id)) continue;
+      state.resolvedAt = new Date().toISOString();
+      this._states.delete(id);
+      await this._save(state);
+    }
+  }
+
+  async _advance(state, agreement, offsets, hoursLeft, dueAt, caller) {
+    const reached = offsets.filter(o => hoursLeft <= o.hoursBefore);
+    const latest = reached[reached.length - 1];
+    if (!latest || state.sent[this._key(latest)]) return;
+
+    // Only the latest due reminder goes out; earlier unsent ones are skipped
+    for (const o of reached.slice(0, -1)) {
+      if (!state.sent[this._key(o)]) state.sent[this._key(o)] = { skipped: true, at: new Date().toISOString() };
+    }
+
+    const language = this._language(agreement.mobile);
+    const optedOut = !!agreement.mobile && !consent.allows(waPhone(agreement.mobile), 'reminders');
+    const sent = !optedOut && await this._send(agreement, latest, hoursLeft, dueAt, language, caller);
+    if (!sent && agreement.mobile && !optedOut) {
+      // e.g. WhatsApp disconnected — try again on the next run
+      await this._save(state);
+      console.warn(`[Expiry] ${agreement.plate_number} ${this._key(latest)} reminder not sent, will retry`);
+      return;
+    }
+
+    state.sent[this._key(latest)] = { at: new Date().toISOString(), ok: sent, language, ...(optedOut && { optedOut }) };
+    if (!state.adminNotified) {
+      await notifications.onExpiringRental(agreement, Math.ceil(hoursLeft / 24));
+      state.adminNotified = true;
+    }
+    await this._save(state);
+    console.log(`[Expiry] ${agreement.plate_number} ${this._key(latest)} reminder ${sent ? 'sent' : optedOut ? 'skipped (opted out)' : 'skipped (no phone)'} (${language})`);
+  }
+
+  async _send(agreement, offset, hoursLeft, dueAt, language, caller) {
+    const phone = waPhone(agreement.mobile);
+    if (!phone) return false;
+
+    const extension = await this._extensionQuote(agreement);
+    const text = customerFlows.expiringRentalMessage(agreement, {
+      hoursLeft, dueAt, extension, returnInfo: this._returnInfo(agreement),
+    }, language);
+
+    const sent = await notifications.sendToPhone(phone, text, 'expiry');
+    if (sent && offset.voice && caller) {
+      await caller.callExpiringCustomer(agreement, hoursLeft, language).catch(err =>
+        console.warn(`[Expiry] Voice reminder to ${phone} failed:`, err.message)
+      );
+    }
+    return sent;
+  }
+
+  /**
+   * Price of one more day, or null when the car is booked right after.
+   */
+  async _extensionQuote(agreement) {
+    try {
+      const end = (agreement.date_end || '').slice(0, 10);
+      const newEnd = addDays(end, 1);
+      const check = await availabilityService.isCarAvailable(agreement.plate_number, end, newEnd, {
+        phone: agreement.mobile,
+        excludeAgreementId: agreement.id,
+      });
+      if (!check.available) return null;
+
+      const car = await fleetService.getCarByPlate(agreement.plate_number);
+      const quote = pricing.quote(car || { _carName: agreement.car_type }, end, newEnd);
+      return quote.error ? null : { days: quote.days, total: quote.total };
+    } catch (err) {
+      console.warn(`[Expiry] Extension quote for ${agreement.plate_number} failed:`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Where the car goes back: our collection address from the booking
+   * remarks ("Delivery to X + collection"), else the office.
+   */
+  _returnInfo(agreement) {
+    const collect = (agreement.remarks || '').match(/Delivery to (.+?) \+ collection/);
+    if (collect) return { collect: true, location: collect[1] };
+    return { collect: false, location: 'JRV Office, Seremban 2', map: locationService.jrvLocation() };
+  }
+
+  _language(phone) {
+    const lang = customerProfiles.getLanguage(waPhone(phone));
+    return LANGUAGES.includes(lang) ? lang : 'en';
+  }
+
+  // ─── Internal ───────────────────────────────────────────
+
+  // Furthest first
+  _offsets() {
+    return [...(policies.expiryReminders.offsets || [])]
+      .filter(o => o.hoursBefore > 0)
+      .sort((a, b) => b.hoursBefore - a.hoursBefore);
+  }
+
+  _key(offset) {
+    return `${offset.hoursBefore}h`;
+  }
+
+  _newState(agreement, dueAt) {
+    return {
+      agreementId: agreement.id,
+      plate: agreement.plate_number,
+      phone: agreement.mobile || null,
+      dueAt: dueAt.toISOString(),
+      sent: {}, // "48h" → { at, ok, language } | { at, skipped }
+      adminNotified: false,
+      createdAt: new Date().toISOString(),
+      resolvedAt: null,
+    };
+  }
+
+  _save(state) {
+    return dataStoreService.setValue(`${STATE_PREFIX}${state.agreementId}`, state).catch(err =>
+      console.warn(`[Expiry] Failed to save ${state.agreementId}:`, err.message)
+    );
+  }
+
+  getStats() {
+    return { tracked: this._states.size };
+  }
+}
+
+module.exports = new ExpiryReminders();
@@ -0,0 +1,313 @@
+/**
+ * Feedback — post-rental rating, comment and testimonial collection.
+ *
+ * When the sync engine sees an agreement leave the active set and it is now
+ * Completed, the customer is asked (in their language) for a 1–5 rating:
+ *   "5 great car, easy pickup" → rating + comment in one go
+ *   "4"                        → asks for a short comment ("skip" to leave none)
+ *   "3 days ok?", "2 cars?"    → not a rating (a unit or question follows the digit)
+ *   rating ≤ LOW_SCORE         → apology, admins alerted (notify event "feedback")
+ *   rating ≥ HIGH_SCORE        → asks to share it; "yes" adds a testimonial
+ * Results are kept per agreement and on the customer profile. A request
+ * nobody answers lapses after ASK_WINDOW_MS (a rating already given is kept).
+ * Customers who opted out of marketing (consent.js) are not asked.
+ *
+ * Testimonials live under the bot_data_store "testimonial:" prefix (read by
+ * the website and dataStoreService.getTestimonials) and feed the customer
+ * system prompt through buildTestimonialContext().
+ *
+ * Storage: bot_data_store "feedback:<agreementId>", "testimonial:<agreementId>"
+ */
+
+const customerProfiles = require('./customer-profiles');
+const consent = require('./consent');
+const notifications = require('./notifications');
+const { agreementsService, dataStoreService, syncEngine } = require('../supabase/services');
+const agreementsSchema = require('../supabase/schemas/agreements');
+const { waPhone } = require('../utils/phone');
+
+const FEEDBACK_PREFIX = 'feedback:';
+const TESTIMONIAL_PREFIX = 'testimonial:';
+const ASK_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+const LOW_SCORE = 2;
+const HIGH_SCORE = 4;
+const PROMPT_TESTIMONIALS = 5;
+
+const RATING_PATTERN = /^\s*([1-5])\s*(\/\s*5|stars?|bintang|星|分)?(?=\s|[,.!:-]|$)[\s,.!:-]*([\s\S]*)$/i;
+// After a bare digit these mean a count or a question, not a score
+const UNIT_PATTERN = /^(?:(?:cars?|kereta|days?|hari|nights?|malam|hours?|hrs?|jam|weeks?|minggu|months?|bulan|pax|people|persons?|orang|seats?|units?|times?|kali|rm|km|am|pm)\b|[天日辆台个人位小时点号周月])/i;
+const QUESTION_PATTERN = /[?？吗呢]|^(?:what|when|where|which|who|why|how|can|could|is|are|do|does|any|apa|bila|mana|berapa|boleh|ada)\b/i;
+const STARS_PATTERN = /^\s*((?:⭐|★){1,5})\s*([\s\S]*)$/;
+const SKIP_PATTERN = /^(skip|no|nope|tak|tidak|tiada|none|nothing|不用|没有)\b/i;
+const YES_PATTERN = /^(yes|ya|ok|okay|sure|boleh|setuju|可以|好)\b/i;
+const NO_PATTERN = /^(no|tak|tidak|jangan|不要|不)\b/i;
+
+const TEXT = {
+  ask: {
+    en: (name, car) => `*How was your rental?* 🚗\n\`\`\`\nThanks for renting ${car} with JRV, ${name}!\n\`\`\`\n\nPlease rate us from *1* (poor) to *5* (excellent), with a short comment if you like — e.g. *5 smooth pickup, clean car*.`,
+    ms: (name, car) => `*Bagaimana sewa anda?* 🚗\n\`\`\`\nTerima kasih kerana menyewa ${car} dengan JRV, ${name}!\n\`\`\`\n\nSila beri penilaian *1* (teruk) hingga *5* (cemerlang), dengan komen ringkas jika mahu — cth. *5 kereta bersih, urusan mudah*.`,
+    zh: (name, car) => `*您的租车体验如何？* 🚗\n\`\`\`\n${name}，感谢您在JRV租用${car}！\n\`\`\`\n\n请给我们评分 *1*（差）到 *5*（非常好），也可以附上简短评语，例如 *5 车很干净，取车方便*。`,
+  },
+  askComment: {
+    en: r => `*Thanks for the ${r}/5!*\n\nAnything you'd like to tell us? Reply with a short comment, or *skip*.`,
+    ms: r => `*Terima kasih atas ${r}/5!*\n\nAda apa-apa komen? Balas dengan komen ringkas, atau *skip*.`,
+    zh: r => `*感谢您的 ${r}/5 评分！*\n\n有什么想告诉我们的吗？请回复简短评语，或回复 *skip*。`,
+  },
+  low: {
+    en: () => `*Sorry we let you down.*\n\nThank you for telling us — our team will contact you shortly to make it right.`,
+    ms: () => `*Maaf atas pengalaman anda.*\n\nTerima kasih kerana memaklumkan — pasukan kami akan menghubungi anda tidak lama lagi.`,
+    zh: () => `*很抱歉让您失望了。*\n\n感谢您的反馈，我们的团队会尽快与您联系。`,
+  },
+  askConsent: {
+    en: () => `*Thank you — that means a lot!* 🙏\n\nMay we share your review (first name only) on our website? Reply *yes* or *no*.`,
+    ms: () => `*Terima kasih — sangat dihargai!* 🙏\n\nBoleh kami kongsi ulasan anda (nama pertama sahaja) di laman web kami? Balas *ya* atau *tidak*.`,
+    zh: () => `*非常感谢您的好评！* 🙏\n\n我们可以在网站上分享您的评价吗（只显示名字）？请回复 *可以* 或 *不要*。`,
+  },
+  thanks: {
+    en: () => `*Thank you for your feedback!*\n\nSee you on your next trip. 🚗`,
+    ms: () => `*Terima kasih atas maklum balas anda!*\n\nJumpa lagi pada perjalanan seterusnya. 🚗`,
+    zh: () => `*感谢您的反馈！*\n\n期待下次再为您服务。🚗`,
+  },
+};
+
+class Feedback {
+  constructor() {
+    this._open = new Map();      // phone → open feedback (asked / comment / consent)
+    this._testimonials = [];     // { key, value } rows, newest first
+  }
+
+  async load() {
+    try {
+      const [rows, testimonials] = await Promise.all([
+        dataStoreService.getByKeyPrefix(FEEDBACK_PREFIX),
+        dataStoreService.getTestimonials(),
+      ]);
+      for (const row of rows || []) {
+        const fb = typeof row.value === 'string' ? JSON.parse(row.value) : row.value;
+        if (!fb || !['asked', 'comment', 'consent'].includes(fb.status)) continue;
+        this._open.set(fb.phone, fb);
+        if (this._lapsed(fb)) await this._lapse(fb);
+      }
+      this._testimonials = (testimonials || [])
+        .map(row => ({ key: row.key, value: typeof row.value === 'string' ? this._parse(row.value) : row.value }))
+        .sort((a, b) => String(b.value?.date || '').localeCompare(String(a.value?.date || '')));
+      console.log(`[Feedback] Loaded ${this._open.size} open requests, ${this._testimonials.length} testimonials`);
+    } catch (err) {
+      console.error('[Feedback] Failed to load:', err.message);
+    }
+
+    syncEngine.onAgreementsEnded(ended => this.onAgreementsEnded(ended));
+  }
+
+  // ─── Asking ─────────────────────────────────────────────
+
+  /**
+   * Called by the sync engine with agreements that left the active set.
+   * Only the ones now Completed get a feedback request.
+   */
+  async onAgreementsEnded(ended) {
+    for (const previous of ended) {
+      try {
+        const agreement = await agreementsService.getAgreementById(previous.id);
+        if (agreement && agreement.status === agreementsSchema.STATUS.COMPLETED) await this.request(agreement);
+      } catch (err) {
+        console.error(`[Feedback] Request for ${previous.id} failed:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Ask the customer of a completed agreement for a rating (once per agreement).
+   * @returns {object|null} the feedback record, null if not asked
+   */
+  async request(agreement) {
+    const phone = waPhone(agreement.mobile);
+    if (!phone || !consent.allows(phone, 'marketing')) return null;
+    if (await dataStoreService.getByKey(`${FEEDBACK_PREFIX}${agreement.id}`)) return null;
+
+    const language = this._language(phone);
+    const name = (agreement.customer_name || '').split(' ')[0] || 'there';
+    const fb = {
+      agreementId: agreement.id,
+      phone,
+      name: agreement.customer_name || null,
+      plate: agreement.plate_number || null,
+      carType: agreement.car_type || null,
+      language,
+      status: 'asked',
+      rating: null,
+      comment: null,
+      consent: null,
+      askedAt: new Date().toISOString(),
+      ratedAt: null,
+    };
+
+    const sent = await notifications.sendToPhone(phone, TEXT.ask[language](name, agreement.car_type || 'your car'), 'feedback');
+    if (!sent) return null;
+
+    // A newer rental replaces an unanswered request
+    this._open.set(phone, fb);
+    await this._save(fb);
+    console.log(`[Feedback] Asked ${phone} about ${agreement.plate_number} (${agreement.id})`);
+    return fb;
+  }
+
+  has(phone) {
+    const fb = this._open.get(phone);
+    if (fb && this._lapsed(fb)) {
+      this._lapse(fb).catch(err => console.warn(`[Feedback] Closing ${fb.agreementId} failed:`, err.message));
+      return false;
+    }
+    return !!fb;
+  }
+
+  /**
+   * A customer message while a feedback request is open.
+   * @returns {string|null} reply, or null when the message isn't feedback
+   */
+  async handleReply(phone, text) {
+    if (!this.has(phone)) return null;
+    const fb = this._open.get(phone);
+    const body = (text || '').trim();
+    const t = TEXT;
+
+    if (fb.status === 'asked') {
+      const rated = this._parseRating(body);
+      if (!rated) return null; // a question or something else — let JARVIS answer
+      fb.rating = rated.rating;
+      fb.comment = rated.comment || null;
+      fb.ratedAt = new Date().toISOString();
+      if (!fb.comment) {
+        fb.status = 'comment';
+        await this._save(fb);
+        return t.askComment[fb.language](fb.rating);
+      }
+      return this._rated(fb);
+    }
+
+    if (fb.status === 'comment') {
+      if (!SKIP_PATTERN.test(body)) fb.comment = body.slice(0, 500);
+      return this._rated(fb);
+    }
+
+    if (fb.status === 'consent') {
+      if (YES_PATTERN.test(body)) {
+        fb.consent = true;
+        await this._addTestimonial(fb);
+      } else if (NO_PATTERN.test(body)) {
+        fb.consent = false;
+      } else {
+        return null;
+      }
+      await this._close(fb, 'done');
+      return t.thanks[fb.language]();
+    }
+
+    return null;
+  }
+
+  /**
+   * Rating (and comment) complete: record it, then alert / ask consent / thank.
+   */
+  async _rated(fb) {
+    customerProfiles.recordFeedback(fb.phone, { agreementId: fb.agreementId, rating: fb.rating, comment: fb.comment });
+    console.log(`[Feedback] ${fb.phone} rated ${fb.plate} ${fb.rating}/5`);
+
+    if (fb.rating <= LOW_SCORE) {
+      await this._close(fb, 'done');
+      notifications.onLowFeedback(fb).catch(err => console.error('[Feedback] Low-score alert failed:', err.message));
+      return TEXT.low[fb.language]();
+    }
+
+    if (fb.rating >= HIGH_SCORE && fb.comment) {
+      fb.status = 'consent';
+      await this._save(fb);
+      return TEXT.askConsent[fb.language]();
+    }
+
+    await this._close(fb, 'done');
+    return TEXT.thanks[fb.language]();
+  }
+
+  _parseRating(body) {
+    const stars = body.match(STARS_PATTERN);
+    if (stars) return { rating: [...stars[1]].length, comment: stars[2].trim() };
+    const m = body.match(RATING_PATTERN);
+    if (!m) return null;
+    const comment = m[3].trim();
+    // "3 days ok?" — only a digit with a scale ("4/5", "4 stars") may be followed by anything
+    if (!m[2] && comment && (UNIT_PATTERN.test(comment) || QUESTION_PATTERN.test(comment))) return null;
+    return { rating: parseInt(m[1], 10), comment: comment.slice(0, 500) };
+  }
+
+  // ─── Testimonials ───────────────────────────────────────
+
+  async _addTestimonial(fb) {
+    const value = {
+      name: (fb.name || 'Customer').split(' ')[0],
+      rating: fb.rating,
+      comment: fb.comment,
+      car: fb.carType,
+      date: new Date().toISOString().slice(0, 10),
+      agreementId: fb.agreementId,
+      source: 'whatsapp',
+    };
+    const key = `${TESTIMONIAL_PREFIX}${fb.agreementId}`;
+    await dataStoreService.setValue(key, value);
+    this._testimonials = [{ key, value }, ...this._testimonials.filter(t => t.key !== key)];
+    console.log(`[Feedback] Testimonial added from ${fb.phone}`);
+  }
+
+  /**
+   * Recent testimonials for the customer system prompt.
+   */
+  buildTestimonialContext() {
+    const lines = this._testimonials
+      .map(t => t.value)
+      .filter(v => v && typeof v === 'object' && (v.comment || v.text))
+      .slice(0, PROMPT_TESTIMONIALS)
+      .map(v => `  ${v.rating ? `${v.rating}/5 ` : ''}"${String(v.comment || v.text).slice(0, 200)}" — ${v.name || 'Customer'}${v.car ? ` (${v.car})` : ''}`);
+    if (lines.length === 0) return null;
+    return ['CUSTOMER REVIEWS (real, share when asked about reviews or reliability):', ...lines].join('\n');
+  }
+
+  // ─── Internal ───────────────────────────────────────────
+
+  _language(phone) {
+    const lang = customerProfiles.getLanguage(phone);
+    return TEXT.ask[lang] ? lang : 'en';
+  }
+
+  _lapsed(fb) {
+    return Date.now() - new Date(fb.askedAt).getTime() > ASK_WINDOW_MS;
+  }
+
+  // No answer in time: keep a rating given without a comment, drop the rest
+  _lapse(fb) {
+    if (fb.status === 'comment') return this._rated(fb);
+    return this._close(fb, fb.status === 'asked' ? 'expired' : 'done');
+  }
+
+  async _close(fb, status) {
+    fb.status = status;
+    fb.closedAt = new Date().toISOString();
+    if (this._open.get(fb.phone) === fb) this._open.delete(fb.phone);
+    await this._save(fb);
+  }
+
+  _parse(value) {
+    try { return JSON.parse(value); } catch { return { text: value }; }
+  }
+
+  _save(fb) {
+    return dataStoreService.setValue(`${FEEDBACK_PREFIX}${fb.agreementId}`, fb).catch(err =>
+      console.warn(`[Feedback] Failed to save ${fb.agreementId}:`, err.message)
+    );
+  }
+
+  getStats() {
+    return { open: this._open.size, testimonials: this._testimonials.length };
+  }
+}
+
+module.exports = new Feedback();
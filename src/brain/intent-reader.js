@@ -22,6 +22,7 @@
  *   EMERGENCY        - Accident, breakdown, urgent
  *   CANCELLATION     - Wants to cancel booking
  *   DELIVERY         - Delivery/pickup location questions
+ *   CONSENT          - Opt out of / back into proactive messages (STOP, BERHENTI, 停止, START)
  *   GENERAL          - Everything else
  */
 
@@ -41,6 +42,7 @@ const INTENTS = {
   EMERGENCY: 'emergency',
   CANCELLATION: 'cancellation',
   DELIVERY: 'delivery',
+  CONSENT: 'consent',
   GENERAL: 'general',
 };
 
@@ -120,6 +122,7 @@ const INTENT_PATTERNS = {
       /\b(ada kereta|ada tak|kereta.*available|car.*available)\b/i, // "any car available?" (not just "available")
       /\bsewa\s*kereta/i,
       /\b(nak kereta|need\s+a?\s*car)\b/i,
+      /\b(any|ada|got)\s+(mpv|suv|sedan|hatchback|van|\d+\s*seater)\b/i,  // "any MPV for 12-15 Nov?"
       /^(reservation|booking)\b/i,                                 // Must start with it
       /租车|租用|有没有车/i,
     ],
@@ -180,6 +183,20 @@ const INTENT_PATTERNS = {
   },
 };
 
+// Opt-out / opt-in keywords — only when they are the whole message, so
+// "stop at Petronas first" is not an opt-out. An optional channel word
+// narrows it ("STOP PROMO", "BERHENTI SUARA", "停止提醒"); none means all.
+const CONSENT_WORDS = {
+  stop: { en: /^(stop|unsubscribe|opt[\s-]?out)$/i, ms: /^(berhenti|henti(kan)?)$/i, zh: /^(停止|退订|取消订阅)$/ },
+  start: { en: /^(start|subscribe|opt[\s-]?in)$/i, ms: /^(mula(kan)?|langgan)$/i, zh: /^(开始|订阅)$/ },
+};
+const CONSENT_CHANNELS = {
+  marketing: /^(promos?|promotions?|promosi|marketing|offers?|iklan|广告|促销|优惠)$/i,
+  reminders: /^(reminders?|peringatan|notis|提醒)$/i,
+  voice: /^(voice(\s*notes?)?|calls?|suara|panggilan|语音|电话)$/i,
+};
+const CONSENT_PATTERN = /^\s*(stop|unsubscribe|opt[\s-]?out|berhenti|henti(?:kan)?|start|subscribe|opt[\s-]?in|mula(?:kan)?|langgan|停止|退订|取消订阅|开始|订阅)\s*(all|semua|全部|[a-z]+(?:\s*notes?)?|[\u4e00-\u9fff]{2})?\s*[.!。！]*\s*$/i;
+
 class IntentReader {
   /**
    * Classify a message and return intent + priority.
@@ -212,6 +229,11 @@ class IntentReader {
       return { intent: INTENTS.GENERAL, priority: PRIORITY.LOW, confidence: 0, triggers: [] };
     }
 
+    const consent = this.readConsent(text);
+    if (consent) {
+      return { intent: INTENTS.CONSENT, priority: PRIORITY.LOW, confidence: 1.0, triggers: [text.trim().slice(0, 30)], consent };
+    }
+
     // Admin commands
     if (text.startsWith('/') && isAdmin) {
       return { intent: INTENTS.ADMIN_COMMAND, priority: PRIORITY.LOW, confidence: 1.0, triggers: [text.split(' ')[0]] };
@@ -257,6 +279,28 @@ class IntentReader {
     };
   }
 
+  /**
+   * Opt-out / opt-in keyword message → { allowed, channels, language }, else null.
+   * channels is null for "all".
+   */
+  readConsent(text) {
+    const m = (text || '').match(CONSENT_PATTERN);
+    if (!m) return null;
+
+    const word = m[1].toLowerCase();
+    const action = Object.keys(CONSENT_WORDS).find(a => Object.values(CONSENT_WORDS[a]).some(re => re.test(word)));
+    const language = Object.keys(CONSENT_WORDS[action]).find(l => CONSENT_WORDS[action][l].test(word));
+
+    let channels = null;
+    const target = (m[2] || '').trim();
+    if (target && !/^(all|semua|全部)$/i.test(target)) {
+      const channel = Object.keys(CONSENT_CHANNELS).find(c => CONSENT_CHANNELS[c].test(target));
+      if (!channel) return null; // "stop here", "start engine" — not about messages
+      channels = [channel];
+    }
+    return { allowed: action === 'start', channels, language };
+  }
+
   /**
    * Check if this message should be escalated to superadmin Vir.
    */
@@ -9,14 +9,26 @@ const policies = require('./policies');
 const notifications = require('./notifications');
 const customerFlows = require('./customer-flows');
 const bookingFlow = require('./booking-flow');
+const manageBooking = require('./manage-booking');
+const approvals = require('./approvals');
+const paymentProofs = require('./payment-proofs');
+const waitlist = require('./waitlist');
+const feedback = require('./feedback');
+const campaigns = require('./campaigns');
+const consent = require('./consent');
+const ledger = require('./ledger');
+const overduePlaybook = require('./overdue-playbook');
+const pricing = require('./pricing');
+const documents = require('./documents');
 const reminders = require('./reminders');
 const adminTools = require('./admin-tools');
 const jarvisVoice = require('../voice/jarvis-voice');
 const locationService = require('../utils/location');
 const customerProfiles = require('./customer-profiles');
 const workflows = require('./workflows');
-const { agreementsService, fleetService, syncEngine } = require('../supabase/services');
-const { validateFleetStatus, colorName } = require('../utils/validators');
+const { agreementsService, fleetService, availabilityService, syncEngine } = require('../supabase/services');
+const { colorName } = require('../utils/validators');
+const { todayMYT, mytDateTime, parseTimeOfDay } = require('../utils/time');
 
 /**
  * JARVIS Brain - The central orchestrator.
@@ -102,9 +114,23 @@ class JarvisBrain {
     const response = { text: null, voice: null, image: null, actions: [], intent: classification.intent };
 
     try {
-      // Check if in active booking flow
-      if (body && bookingFlow.isActive(phone)) {
-        const flowResult = bookingFlow.process(phone, body, name);
+      // STOP / BERHENTI / 停止 / START — ahead of any flow so it always works
+      if (!isAdmin && classification.consent) {
+        const consentReply = await consent.apply(phone, classification.consent);
+        if (consentReply) {
+          response.text = consentReply;
+          this.conversation.addMessage(phone, 'assistant', response.text);
+          notifications.onJarvisResponse(phone, name, body, response.text, classification).catch(err => console.warn('[JARVIS] Consent notification failed:', err.message));
+          return response;
+        }
+      }
+
+      // Check if in an active booking / manage-booking flow
+      const activeFlow = bookingFlow.isActive(phone) ? bookingFlow
+        : manageBooking.isActive(phone) ? manageBooking : null;
+      // Location pins skip this — _handleLocation hands them to the booking flow
+      if (body && activeFlow && !msg.location) {
+        const flowResult = await activeFlow.process(phone, body, name);
         if (flowResult) {
           response.text = flowResult;
           this.conversation.addMessage(phone, 'assistant', response.text);
@@ -159,10 +185,42 @@ class JarvisBrain {
     const conv = this.conversation.getOrCreate(phone);
     const lang = conv.language || 'en';
 
+    // --- Approval replies: "approve K7Q2P" / "reject K7Q2P reason" ---
+    if (isAdmin) {
+      const decision = approvals.matchReply(body);
+      if (decision) {
+        response.text = await approvals.resolve(decision.id, decision.action, phone, decision.note);
+        return;
+      }
+    }
+
     // --- Admin commands ---
     const command = this._parseCommand(body, isAdmin, isBoss);
     if (command) return this._handleCommand(command, msg, response, isAdmin, isBoss);
 
+    // --- Campaigns: count replies ---
+    if (!isAdmin) {
+      campaigns.recordReply(phone).catch(err => console.warn('[JARVIS] Campaign reply tracking failed:', err.message));
+    }
+
+    // --- Waitlist: "book"/"no" to a freed-car offer, "leave waitlist" ---
+    if (!isAdmin && waitlist.has(phone)) {
+      const reply = await waitlist.handleReply(phone, name || existingCustomer?.customer_name, body);
+      if (reply) {
+        response.text = reply;
+        return;
+      }
+    }
+
+    // --- Feedback: rating / comment / consent after a completed rental ---
+    if (!isAdmin && feedback.has(phone)) {
+      const reply = await feedback.handleReply(phone, body);
+      if (reply) {
+        response.text = reply;
+        return;
+      }
+    }
+
     // --- Reminder detection ---
     if (/remind\s*(me|us)?\s/i.test(body)) {
       const result = reminders.createFromText(body, phone, name);
@@ -204,7 +262,17 @@ class JarvisBrain {
       const isExplicitBookCmd = /^\/(book|tempah|sewa)/i.test(body);
       const isCustomerBookIntent = !isAdmin && /^(book|tempah|nak sewa|i want to (book|rent))/i.test(body);
       if (isExplicitBookCmd || isCustomerBookIntent) {
-        response.text = await bookingFlow.start(phone, name || existingCustomer?.customer_name, isAdmin);
+        response.text = await bookingFlow.start(phone, name || existingCustomer?.customer_name, isAdmin, body);
+        return;
+      }
+    }
+
+    // --- Manage existing booking (customers): change dates / cancel ---
+    if (!isAdmin && !manageBooking.isActive(phone) &&
+        /\b(manage|change|modify|reschedule)\s+(my\s+)?(booking|tempahan)\b|tukar\s+tarikh|ubah\s+tempahan|更改预订|改期/i.test(body)) {
+      const started = await manageBooking.start(phone, name || existingCustomer?.customer_name, /date|tarikh|reschedule|改期/i.test(body) ? 'change' : null);
+      if (started) {
+        response.text = started;
         return;
       }
     }
@@ -262,6 +330,7 @@ class JarvisBrain {
       try {
         aiResult = await aiRouter.route(body, history, {
           isAdmin,
+          phone,
           systemPrompt: personalContext,
           intent: classification.intent,
           forceTools: true,  // Always give AI access to tools
@@ -314,6 +383,7 @@ class JarvisBrain {
     try {
       aiResult = await aiRouter.route(body, history, {
         isAdmin,
+        phone,
         systemPrompt: personalContext,
         intent: classification.intent,
       });
@@ -357,7 +427,7 @@ class JarvisBrain {
         }
         // Customers: start booking flow
         if (!bookingFlow.isActive(phone)) {
-          response.text = await bookingFlow.start(phone, msg.name || existingCustomer?.customer_name, isAdmin);
+          response.text = await bookingFlow.start(phone, msg.name || existingCustomer?.customer_name, isAdmin, body);
         } else {
           const cache = syncEngine.getCache();
           const validatedCars = cache.validatedCars || cache.cars;
@@ -386,6 +456,14 @@ class JarvisBrain {
       }
 
       case INTENTS.EXTENSION_INQUIRY: {
+        // Customers with a running rental get a quote and can confirm it
+        if (!isAdmin && !manageBooking.isActive(phone)) {
+          const started = await manageBooking.start(phone, msg.name || existingCustomer?.customer_name, 'extend', body);
+          if (started) {
+            response.text = started;
+            return true;
+          }
+        }
         if (customerHistory && customerHistory.activeRentals.length > 0) {
           response.text = customerFlows.extensionInfo(customerHistory.activeRentals[0], 1, lang);
         } else {
@@ -404,6 +482,14 @@ class JarvisBrain {
       }
 
       case INTENTS.CANCELLATION: {
+        // Customers with an upcoming booking can request the cancellation here
+        if (!isAdmin && !manageBooking.isActive(phone)) {
+          const started = await manageBooking.start(phone, msg.name || existingCustomer?.customer_name, 'cancel');
+          if (started) {
+            response.text = started;
+            return true;
+          }
+        }
         if (customerHistory && customerHistory.activeRentals.length > 0) {
           response.text = customerFlows.cancellationInfo(customerHistory.activeRentals[0], lang);
         } else {
@@ -487,8 +573,10 @@ class JarvisBrain {
       return;
     }
 
-    // Format location response with zone matching + maps links
-    response.text = await locationService.formatLocationResponse(lat, lng, name, isAdmin);
+    // A pin sent while booking is the delivery location; otherwise show zone + maps links
+    const address = msg.location.description || msg.location.address || '';
+    response.text = await bookingFlow.handleLocation(phone, { lat, lng, address })
+      || await locationService.formatLocationResponse(lat, lng, name, isAdmin);
 
     // Forward to admin with location details
     if (!isAdmin) {
@@ -508,18 +596,29 @@ class JarvisBrain {
   async _handleImage(msg, response, isAdmin, classification) {
     const { phone, media, body } = msg;
     const prompt = body || 'What do you see in this image? If there is a car plate, read it.';
+    const paymentCaption = /pay|bayar|receipt|resit|transfer|bukti/i.test(body || '');
 
-    const analysis = await imageReader.analyze(media.data, prompt);
-    response.text = `*Image Analysis:*\n\`\`\`${analysis.description}\`\`\``;
+    // A customer's captioned payment screenshot goes straight to the receipt
+    // reader; otherwise one generic read, reused if it turns out to be a receipt
+    const analysis = paymentCaption && !isAdmin ? null : await imageReader.analyze(media.data, prompt);
+    if (analysis) response.text = `*Image Analysis:*\n\`\`\`${analysis.description}\`\`\``;
 
-    const isPayment = /pay|bayar|receipt|resit|transfer|bukti/i.test(body || '') || /receipt|payment|transfer/i.test(analysis.description || '');
+    const isPayment = paymentCaption || /receipt|payment|transfer/i.test(analysis?.description || '');
 
-    if (isPayment) {
+    if (isPayment && !isAdmin) {
+      try {
+        response.text = await paymentProofs.submit(phone, msg.name, media.data, analysis);
+      } catch (err) {
+        console.warn('[JARVIS] Payment proof pipeline failed:', err.message);
+        response.text = `${response.text ? `${response.text}\n\n` : ''}*Payment proof noted!* Our team will verify shortly.`;
+        notifications.onPaymentProof(phone, msg.name, null).catch(e => console.warn('[JARVIS] Image payment proof notification failed:', e.message));
+      }
+    } else if (isPayment) {
       response.text += `\n\n*Payment proof noted!* Our team will verify shortly.`;
       notifications.onPaymentProof(phone, msg.name, null).catch(err => console.warn('[JARVIS] Image payment proof notification failed:', err.message));
     }
 
-    if (analysis.text) {
+    if (analysis?.text) {
       const plate = analysis.text.replace(/[^A-Z0-9]/gi, '').trim();
       if (plate.length >= 4) {
         const car = await fleetService.getCarByPlate(plate);
@@ -710,7 +809,8 @@ class JarvisBrain {
     // Boss-only tool commands
     if (lower.startsWith('/tool ') && isBoss) {
       const parts = text.slice(6).trim().split(/\s+/);
-      return { cmd: 'tool', toolCmd: parts[0], toolArgs: parts.slice(1) };
+      const raw = text.slice(6).trim().replace(/^\S+[ \t]*/, ''); // keeps line breaks
+      return { cmd: 'tool', toolCmd: parts[0], toolArgs: parts.slice(1), toolText: raw };
     }
 
     // Reminder commands
@@ -730,10 +830,11 @@ class JarvisBrain {
 
     // Booking
     if (lower === '/book' || lower === '/booking') return { cmd: 'book' };
+    if (lower.startsWith('/book ')) return { cmd: 'book', arg: text.slice(6).trim() };
 
     if (lower === '/status' || lower === '/health') return { cmd: 'status' };
     if (lower === '/cars' || lower === '/fleet') return { cmd: 'fleet' };
-    if (lower === '/available') return { cmd: 'available' };
+    if (lower === '/available' || lower.startsWith('/available ')) return { cmd: 'available', arg: text.slice(10).trim() };
     if (lower === '/bookings') return { cmd: 'bookings' };
     if (lower.startsWith('/search ')) return { cmd: 'search', arg: text.slice(8).trim() };
     if (lower === '/pricing' || lower === '/price' || lower === '/harga') return { cmd: 'pricing' };
@@ -749,6 +850,22 @@ class JarvisBrain {
     if (lower === '/fleet-report' && isAdmin) return { cmd: 'fleet-report' };
     if (lower === '/expiring' && isAdmin) return { cmd: 'expiring' };
     if (lower === '/overdue' && isAdmin) return { cmd: 'overdue' };
+    if (lower.match(/^\/overdue\s+(pause|resume)\s+\S/) && isAdmin) {
+      const [, action, plate] = text.trim().match(/^\/overdue\s+(\w+)\s+(.+)$/i);
+      return { cmd: 'overdue-pause', action: action.toLowerCase(), plate: plate.trim() };
+    }
+    if (lower.match(/^\/latefee\s+\S/) && isAdmin) {
+      // /latefee <plate> [returned HH:MM] [send]
+      const [, plate, rest] = text.trim().match(/^\/latefee\s+(\S+)\s*(.*)$/i);
+      return { cmd: 'latefee', plate, returnedTime: parseTimeOfDay(rest), send: /\bsend\b/i.test(rest) };
+    }
+    if (lower === '/approvals' && isAdmin) return { cmd: 'approvals' };
+    if (lower === '/waitlist' && isAdmin) return { cmd: 'waitlist' };
+    if (lower === '/optouts' && isAdmin) return { cmd: 'optouts' };
+    if (lower.match(/^\/balances?\b/) && isAdmin) return { cmd: 'balances', args: text.trim().replace(/^\/balances?[ \t]*/i, '') };
+    if (lower.match(/^\/docs?\b/) && isAdmin) return { cmd: 'docs', args: text.trim().replace(/^\/docs?[ \t]*/i, '') };
+    if (lower.match(/^\/notify\b/) && isAdmin) return { cmd: 'notify', args: text.trim().slice(7) };
+    if (lower.match(/^\/campaigns?\b/) && isBoss) return { cmd: 'campaign', args: text.trim().replace(/^\/campaigns?[ \t]*/i, '') };
     if (lower === '/help' || lower === '/commands' || lower === '/cmd') return { cmd: 'help', isAdmin, isBoss };
 
     // Catch unrecognized slash commands — prevent AI hallucination
@@ -761,8 +878,10 @@ class JarvisBrain {
     switch (command.cmd) {
       // --- Boss-only tools ---
       case 'tool': {
-        const result = await adminTools.execute(command.toolCmd, command.toolArgs, msg.phone, msg.name);
-        if (result.type === 'site') {
+        const result = await adminTools.execute(command.toolCmd, command.toolArgs, msg.phone, msg.name, command.toolText);
+        if (result.type === 'text') {
+          response.text = result.text;
+        } else if (result.type === 'site') {
           response.text = `*Site Generated*\n\`\`\`\n${result.description}\n${result.html.length} chars of HTML\n\`\`\`\n\nHTML code is ready. Use /tool export to download.`;
           response.siteHtml = result.html;
         } else {
@@ -811,7 +930,7 @@ class JarvisBrain {
 
       // --- Booking ---
       case 'book': {
-        response.text = await bookingFlow.start(msg.phone, msg.name, isAdmin);
+        response.text = await bookingFlow.start(msg.phone, msg.name, isAdmin, command.arg || '');
         break;
       }
 
@@ -837,15 +956,24 @@ class JarvisBrain {
         break;
       }
       case 'available': {
-        // Fetch fresh data (don't rely on cache which may be empty if sync failed)
-        const [avCars, avAgreements] = await Promise.all([
-          fleetService.getAllCars(),
-          agreementsService.getActiveAgreements(),
-        ]);
-        const { validated: avValidated } = validateFleetStatus(avCars, avAgreements);
+        // "/available" = today, "/available 2026-03-01 2026-03-04" = that window
+        const today = todayMYT();
+        let start = today, end = today;
+        if (command.arg) {
+          const dates = command.arg.match(/\d{4}-\d{2}-\d{2}/g);
+          if (!dates) {
+            response.text = '*Usage:* `/available` or `/available 2026-03-01 2026-03-04`';
+            break;
+          }
+          start = dates[0];
+          end = dates[1] || dates[0];
+          if (end < start) [start, end] = [end, start];
+        }
+        const avFleet = await availabilityService.getFleetForWindow(start, end);
         response.text = isAdmin
-          ? customerFlows.formatAvailableCarsForAdmin(avValidated)
-          : customerFlows.formatAvailableCarsForCustomer(avValidated);
+          ? customerFlows.formatAvailableCarsForAdmin(avFleet)
+          : customerFlows.formatAvailableCarsForCustomer(avFleet);
+        if (command.arg) response.text = `*${start} → ${end}*\n` + response.text;
         break;
       }
       case 'bookings': {
@@ -916,16 +1044,80 @@ class JarvisBrain {
         break;
       }
       case 'overdue': {
-        const overdue = await agreementsService.getOverdueAgreements();
+        const [overdue, cars] = await Promise.all([
+          agreementsService.getOverdueAgreements(),
+          fleetService.getAllCars(),
+        ]);
         if (overdue.length === 0) {
           response.text = '*Overdue Returns*\n```None overdue - all good!```';
         } else {
+          const carFor = a => cars.find(c => (c.plate_number || '').toUpperCase() === (a.plate_number || '').toUpperCase()) || null;
           response.text = `*Overdue Returns (${overdue.length})*\n\`\`\`\n` +
-            overdue.map(a => `${a.plate_number} - ${a.customer_name}\n  Was due: ${(a.date_end || '').slice(0, 10)}\n  Phone: ${a.mobile || 'N/A'}`).join('\n') +
-            `\n\`\`\``;
+            overdue.map(a => {
+              const fee = pricing.lateFee(a, carFor(a));
+              return `${a.plate_number} - ${a.customer_name}\n  Was due: ${(a.date_end || '').slice(0, 10)}\n  Phone: ${a.mobile || 'N/A'}\n` +
+                `  Late fee: RM${fee.amount} (${fee.label})\n  ${overduePlaybook.describe(a)}`;
+            }).join('\n') +
+            `\n\`\`\`\n_/overdue pause <plate> stops follow-ups for a car._\n_/latefee <plate> drafts the charge notice._`;
         }
         break;
       }
+      case 'latefee': {
+        const returnedAt = command.returnedTime ? mytDateTime(todayMYT(), command.returnedTime) : undefined;
+        if (returnedAt && returnedAt > new Date()) {
+          response.text = `*Late fee*\n\`\`\`Return time ${command.returnedTime} is still ahead — use the time the car came back.\`\`\``;
+          break;
+        }
+        // Only the running rental for this plate whose return time has passed
+        const plateKey = command.plate.replace(/\s+/g, '').toUpperCase();
+        const agreement = (await agreementsService.getDueAgreements()).find(a =>
+          (a.plate_number || '').replace(/\s+/g, '').toUpperCase() === plateKey &&
+          pricing.returnDueAt(a) < (returnedAt || new Date()));
+        if (!agreement) {
+          response.text = `*Late fee*\n\`\`\`No active rental for ${command.plate} is past its return time.\`\`\``;
+          break;
+        }
+        const notice = await documents.lateFeeNotice(agreement, { returnedAt, issuer: msg.phone });
+        if (!command.send) {
+          response.text = `${notice.content}\n\n_Preview only. Send to +${(agreement.mobile || '').replace(/\D/g, '') || 'N/A'}: */latefee ${agreement.plate_number}${command.returnedTime ? ` ${command.returnedTime}` : ''} send*_`;
+          break;
+        }
+        const sent = agreement.mobile && await notifications.sendToPhone(agreement.mobile.replace(/\D/g, ''), notice.content);
+        if (sent) {
+          await documents.renderPdf(notice, { agreementId: agreement.id })
+            .then(pdf => documents.sendPdf(agreement.mobile.replace(/\D/g, ''), pdf, `Late return notice ${notice.docNumber}`))
+            .catch(err => console.warn('[JARVIS] Late fee PDF failed:', err.message));
+        }
+        response.text = sent
+          ? `*Late fee notice sent* ✅\n\`\`\`\n${notice.docNumber} → ${agreement.customer_name || 'N/A'} (${agreement.plate_number})\nRM${notice.fee.amount} — ${notice.fee.label}\n\`\`\``
+          : `*Late fee notice not sent*\n\`\`\`No WhatsApp number on the booking, or WhatsApp is disconnected.\`\`\``;
+        break;
+      }
+      case 'overdue-pause': {
+        response.text = command.action === 'pause'
+          ? await overduePlaybook.pause(command.plate, msg.phone)
+          : await overduePlaybook.resume(command.plate);
+        break;
+      }
+      case 'approvals': { response.text = approvals.formatPending(); break; }
+      case 'waitlist': { response.text = waitlist.formatList(); break; }
+      case 'optouts': { response.text = consent.formatOptOuts(); break; }
+      case 'balances': {
+        response.text = await ledger.handleCommand(command.args, msg.phone);
+        break;
+      }
+      case 'docs': {
+        response.text = await documents.handleCommand(command.args, msg.phone);
+        break;
+      }
+      case 'notify': {
+        response.text = await notifications.handleCommand(policies.getAdmin(msg.phone), command.args);
+        break;
+      }
+      case 'campaign': {
+        response.text = await campaigns.handleCommand(command.args);
+        break;
+      }
       case 'unknown': {
         response.text = `*Unknown command:* \`${command.raw}\`\n\nType /commands to see available commands.`;
         break;
@@ -936,10 +1128,12 @@ class JarvisBrain {
         response.text += `*General:*\n\`\`\`\n` +
           `/commands    All commands\n` +
           `/cars        Fleet status\n` +
-          `/available   Available cars\n` +
+          `/available   Available cars (today)\n` +
+          `/available <from> <to>  Free for dates\n` +
           `/bookings    Active bookings\n` +
           `/pricing     Rate card\n` +
           `/book        Start booking\n` +
+          `/book <what> e.g. /book mpv 3-5 dec\n` +
           `/search <q>  Search cars/customers\n` +
           `/reminders   Your reminders\n` +
           `/remind <t>  Set a reminder\n` +
@@ -957,8 +1151,17 @@ class JarvisBrain {
             `/report6     Summary/Totals\n` +
             `/fleet-report Fleet validation\n` +
             `/earnings    Revenue report\n` +
+            `/balances    Who owes + deposits to refund\n` +
             `/expiring    Expiring in 3 days\n` +
             `/overdue     Overdue returns\n` +
+            `/overdue pause <plate>  Stop follow-ups\n` +
+            `/overdue resume <plate> Restart follow-ups\n` +
+            `/latefee <plate> [HH:MM] [send] Late charge notice\n` +
+            `/docs        Issued documents (find, void)\n` +
+            `/approvals   Pending customer requests\n` +
+            `/waitlist    Customers waiting for a car\n` +
+            `/optouts     Customers who said STOP\n` +
+            `/notify      Your alert settings (events, quiet hours, digest)\n` +
             `\`\`\`\n`;
 
           response.text += `\n*Admin Tools:*\n\`\`\`\n` +
@@ -983,6 +1186,8 @@ class JarvisBrain {
             `/tool pc           PC performance\n` +
             `/tool site <desc>  Generate website\n` +
             `/tool broadcast    Message all admins\n` +
+            `/tool broadcast customers  Segment broadcast\n` +
+            `/campaign          Win-back campaigns (new/preview/start/report)\n` +
             `/tool export       Export data\n` +
             `/tool config       Show config\n` +
             `/tool set <k> <v>  Change setting\n` +
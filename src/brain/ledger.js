@@ -0,0 +1,218 @@
+/**
+ * Ledger — who still owes money and which deposits are waiting for a refund.
+ *
+ * Built on agreementsService.getLedger():
+ *   receivables  open or completed agreements with total_price - paid > 0
+ *   deposits     Completed agreements with deposit_price > 0, deposit_refunded false
+ *
+ * Admin commands:
+ *   /balances                       both lists with totals
+ *   /balances owing | deposits      one list
+ *   /balances refunded <plate|id>   mark a deposit refunded
+ * The same data backs the get_outstanding_payments AI tool and
+ * /api/earnings?view=receivables.
+ *
+ * Deposit refund reminders (scheduler): policies.depositRefund.remindAfterDays
+ * after a Completed return the admins get one message listing every deposit
+ * now due (notify event "deposit"), repeated every repeatDays until it is
+ * marked refunded. Returns older than lookbackDays are listed but not chased.
+ *
+ * Storage: bot_data_store "deposit_refund:<agreementId>" (last reminder)
+ */
+
+const policies = require('./policies');
+const notifications = require('./notifications');
+const { agreementsService, dataStoreService } = require('../supabase/services');
+const { todayMYT } = require('../utils/time');
+
+const STATE_PREFIX = 'deposit_refund:';
+const LIST_MAX = 30;
+
+class Ledger {
+  constructor() {
+    this._states = new Map(); // agreementId → { agreementId, remindedAt, count, resolvedAt }
+    this._loaded = false;
+  }
+
+  async load() {
+    try {
+      const [rows, config] = await Promise.all([
+        dataStoreService.getByKeyPrefix(STATE_PREFIX),
+        dataStoreService.getByKey('deposit_refund'),
+      ]);
+      for (const row of rows || []) {
+        const state = typeof row.value === 'string' ? JSON.parse(row.value) : row.value;
+        if (state && !state.resolvedAt) this._states.set(String(state.agreementId), state);
+      }
+      if (config) policies.updateFromStore([{ key: 'deposit_refund', value: config }]);
+      console.log(`[Ledger] Loaded ${this._states.size} deposit reminders`);
+    } catch (err) {
+      console.error('[Ledger] Failed to load:', err.message);
+    }
+    this._loaded = true;
+  }
+
+  // ─── /balances ─────────────────────────────────────────
+
+  async handleCommand(args, adminPhone) {
+    const [action, ...rest] = (args || '').trim().split(/\s+/);
+    switch ((action || '').toLowerCase()) {
+      case '':
+        return this.format();
+      case 'owing':
+      case 'owed':
+      case 'receivables':
+        return this.format({ deposits: false });
+      case 'deposits':
+      case 'deposit':
+        return this.format({ receivables: false });
+      case 'refunded':
+        return this.markRefunded(rest.join(' '), adminPhone);
+      default:
+        return `*Balances*\n\`\`\`\n` +
+          `/balances                      Owing + deposits\n` +
+          `/balances owing                Customers who still owe\n` +
+          `/balances deposits             Deposits to refund\n` +
+          `/balances refunded <plate|id>  Mark a deposit refunded\n` +
+          `\`\`\``;
+    }
+  }
+
+  async format({ receivables = true, deposits = true } = {}) {
+    const ledger = await agreementsService.getLedger();
+    let text = '';
+
+    if (receivables) {
+      text += `*💸 Owing — RM${ledger.totalOutstanding.toFixed(2)} (${ledger.receivables.length})*\n\`\`\`\n`;
+      if (ledger.receivables.length === 0) text += 'Nobody owes anything.\n';
+      for (const a of ledger.receivables.slice(0, LIST_MAX)) {
+        text += `${a.customer_name || 'N/A'} | ${a.plate_number || '-'} | ${a.status}\n`;
+        text += `  ${this._period(a)} | RM${a.outstanding} of RM${a.total_price || 0}\n`;
+      }
+      if (ledger.receivables.length > LIST_MAX) text += `... and ${ledger.receivables.length - LIST_MAX} more\n`;
+      text += '```\n';
+    }
+
+    if (deposits) {
+      if (text) text += '\n';
+      text += `*🔁 Deposits to refund — RM${ledger.totalDeposits.toFixed(2)} (${ledger.deposits.length})*\n\`\`\`\n`;
+      if (ledger.deposits.length === 0) text += 'No deposits waiting.\n';
+      for (const a of ledger.deposits.slice(0, LIST_MAX)) {
+        text += `${a.customer_name || 'N/A'} | ${a.plate_number || '-'} | RM${a.deposit}\n`;
+        text += `  returned ${this._returned(a)}${a.daysSinceReturn !== null ? ` (${a.daysSinceReturn}d ago)` : ''} | ${a.mobile || 'no phone'}\n`;
+      }
+      if (ledger.deposits.length > LIST_MAX) text += `... and ${ledger.deposits.length - LIST_MAX} more\n`;
+      text += '```\n';
+      if (ledger.deposits.length > 0) text += `_Refunded one? */balances refunded <plate>*_`;
+    }
+
+    return text.trim();
+  }
+
+  /**
+   * Set deposit_refunded on a Completed agreement still holding a deposit.
+   * @param {string} query - plate or agreement id
+   */
+  async markRefunded(query, adminPhone) {
+    const q = (query || '').replace(/\s+/g, '').toUpperCase();
+    if (!q) return `*Balances*\n\`\`\`Usage: /balances refunded <plate|agreement id>\`\`\``;
+
+    const { deposits } = await agreementsService.getLedger();
+    const matches = deposits.filter(a =>
+      String(a.id).toUpperCase() === q || (a.plate_number || '').replace(/\s+/g, '').toUpperCase() === q);
+    if (matches.length === 0) return `*Balances*\n\`\`\`No deposit waiting for "${query}".\`\`\``;
+    if (matches.length > 1) {
+      return `*Balances*\n\`\`\`\n${matches.length} deposits waiting for ${query} — use the agreement id:\n` +
+        matches.map(a => `${a.id} | ${a.customer_name || 'N/A'} | returned ${this._returned(a)} | RM${a.deposit}`).join('\n') +
+        `\n\`\`\``;
+    }
+
+    const a = matches[0];
+    const admin = policies.getAdmin(adminPhone);
+    await agreementsService.updateAgreement(a.id, {
+      deposit_refunded: true,
+      remarks: this._appendRemark(a.remarks, `Deposit RM${a.deposit} refunded (${admin ? admin.name : adminPhone})`),
+    });
+    await this._resolve(a.id);
+
+    console.log(`[Ledger] Deposit refunded: ${a.plate_number} ${a.id} by ${adminPhone}`);
+    return `*Deposit refunded ✅*\n\`\`\`\n${a.customer_name || 'N/A'} | ${a.plate_number}\nRM${a.deposit}, returned ${this._returned(a)}\n\`\`\``;
+  }
+
+  // ─── Deposit refund reminders ──────────────────────────
+
+  /**
+   * Remind admins of deposits due for a refund (called by the scheduler).
+   */
+  async run() {
+    if (!this._loaded) await this.load();
+
+    const { remindAfterDays, repeatDays, lookbackDays } = policies.depositRefund;
+    const { deposits } = await agreementsService.getLedger();
+    const now = Date.now();
+    const waiting = new Set(deposits.map(a => String(a.id)));
+
+    // Refunded outside the bot (dashboard) — stop chasing
+    for (const id of [...this._states.keys()]) {
+      if (!waiting.has(id)) await this._resolve(id);
+    }
+
+    const due = deposits.filter(a => {
+      if (a.daysSinceReturn === null || a.daysSinceReturn < remindAfterDays || a.daysSinceReturn > lookbackDays) return false;
+      const state = this._states.get(String(a.id));
+      return !state || now - new Date(state.remindedAt).getTime() >= repeatDays * 24 * 60 * 60 * 1000;
+    });
+    if (due.length === 0) return 0;
+
+    let text = `*🔁 Deposit refunds due (${due.length})*\n\`\`\`\n`;
+    for (const a of due) {
+      text += `${a.customer_name || 'N/A'} | ${a.plate_number || '-'} | RM${a.deposit}\n`;
+      text += `  returned ${this._returned(a)} (${a.daysSinceReturn}d ago) | ${a.mobile || 'no phone'}\n`;
+    }
+    text += `\`\`\`\nOnce paid back: */balances refunded <plate>*`;
+    await notifications.route('deposit', text);
+
+    for (const a of due) {
+      const prev = this._states.get(String(a.id));
+      await this._save({
+        agreementId: String(a.id),
+        remindedAt: new Date(now).toISOString(),
+        count: prev ? prev.count + 1 : 1,
+        resolvedAt: null,
+      });
+    }
+    console.log(`[Ledger] Reminded admins of ${due.length} deposit refunds`);
+    return due.length;
+  }
+
+  // ─── Helpers ───────────────────────────────────────────
+
+  _period(a) {
+    return `${(a.date_start || '').slice(0, 10)} → ${(a.date_end || '').slice(0, 10)}`;
+  }
+
+  _returned(a) {
+    return (a.date_end || '').slice(0, 10) || '?';
+  }
+
+  _appendRemark(existing, note) {
+    const line = `${todayMYT()}: ${note}`;
+    return existing ? `${existing} | ${line}` : line;
+  }
+
+  async _resolve(agreementId) {
+    const state = this._states.get(String(agreementId));
+    if (!state) return;
+    this._states.delete(String(agreementId));
+    await dataStoreService.setValue(`${STATE_PREFIX}${agreementId}`, { ...state, resolvedAt: new Date().toISOString() })
+      .catch(err => console.warn(`[Ledger] Failed to save ${agreementId}:`, err.message));
+  }
+
+  async _save(state) {
+    this._states.set(state.agreementId, state);
+    await dataStoreService.setValue(`${STATE_PREFIX}${state.agreementId}`, state)
+      .catch(err => console.warn(`[Ledger] Failed to save ${state.agreementId}:`, err.message));
+  }
+}
+
+module.exports = new Ledger();
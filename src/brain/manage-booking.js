@@ -0,0 +1,573 @@
+/**
+ * Manage Booking Flow — customers change dates or cancel an upcoming booking,
+ * or extend a rental that is already running.
+ *
+ * Flow:
+ * 1. "manage my booking" / "change my booking" / cancel intent
+ *    → find upcoming agreements for the phone (getAgreementsByPhone)
+ * 2. Pick the booking (skipped if only one)
+ * 3. Pick action: change dates or cancel (skipped if the intent said so)
+ * 4. Dates: check the same car is free (ignoring this booking), re-quote,
+ *    show the price difference. Cancel: show the fee from policies.
+ * 5. Customer confirms → approval request to Vir
+ * 6. Vir replies "approve <code>" → agreement updated (Editted / Cancelled)
+ *    and the customer is told; "reject <code> <reason>" → customer is told.
+ *
+ * Extension ("extend 3 days", "sambung 2 hari", "extend until 2026-03-12"):
+ * active rentals only; the extra days are quoted from the current return
+ * date, the car must not be booked by anyone else for them, and the boss
+ * approves. Approved → date_end, booking_duration_days, total_price updated
+ * and status Extended.
+ *
+ * Nothing touches the agreement until an admin approves.
+ *
+ * Sessions idle for SESSION_TTL_MS expire. A reply the current step can't
+ * use gets the prompt again once; a second one ends the session and the
+ * message is handled as normal chat.
+ */
+
+const policies = require('./policies');
+const pricing = require('./pricing');
+const approvals = require('./approvals');
+const notifications = require('./notifications');
+const { agreementsService, availabilityService, fleetService } = require('../supabase/services');
+const { agreements: agreementsSchema } = require('../supabase/schemas');
+const { daysBetween, addDays, todayMYT, parseDateTimeRange } = require('../utils/time');
+
+const MANAGE_STATES = {
+  SELECTING_BOOKING: 'selecting_booking',
+  CHOOSING_ACTION: 'choosing_action',
+  ENTERING_DATES: 'entering_dates',
+  ENTERING_EXTENSION: 'entering_extension',
+  CONFIRMING: 'confirming',
+};
+
+// Bookings that can still be changed: not started, not finished
+const CHANGEABLE_STATUSES = [agreementsSchema.STATUS.NEW, agreementsSchema.STATUS.EDITTED];
+
+// Rentals that can be extended: picked up and not yet returned
+const EXTENDABLE_STATUSES = agreementsSchema.ACTIVE_STATUSES;
+
+// "cancel" is an action here, so leaving the flow uses other words.
+// "stop" is not one of them: it is the STOP consent keyword (consent.js).
+const EXIT_WORDS = ['exit', 'keluar', 'never mind', 'nevermind', 'tak jadi'];
+
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000;  // idle sessions are dropped after 2 hours
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+const MAX_RETRIES = 1;                      // re-prompts before an off-topic reply leaves the flow
+
+class ManageBookingFlow {
+  constructor() {
+    // Active sessions: phone → session
+    this.sessions = new Map();
+    this._sweeper = null;
+
+    approvals.registerHandler('booking_change', {
+      onApprove: req => this._applyDateChange(req),
+      onReject: (req, reason) => this._notifyRejected(req, reason),
+    });
+    approvals.registerHandler('booking_cancel', {
+      onApprove: req => this._applyCancellation(req),
+      onReject: (req, reason) => this._notifyRejected(req, reason),
+    });
+    approvals.registerHandler('booking_extend', {
+      onApprove: req => this._applyExtension(req),
+      onReject: (req, reason) => this._notifyRejected(req, reason),
+    });
+  }
+
+  isActive(phone) {
+    const session = this.sessions.get(phone);
+    if (!session) return false;
+    if (this._isExpired(session)) {
+      this.sessions.delete(phone);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Start managing bookings for a phone.
+   * @param {string|null} action - 'change', 'cancel' or 'extend' if the message already said
+   * @param {string} text - opening message; for 'extend' it may already say how long
+   * @returns {Promise<string|null>} null when the customer has no matching booking
+   */
+  async start(phone, name, action = null, text = '') {
+    const today = todayMYT();
+    const rows = await agreementsService.getAgreementsByPhone(phone);
+    const upcoming = rows
+      .filter(a => action === 'extend'
+        ? EXTENDABLE_STATUSES.includes(a.status) && (a.date_start || '').slice(0, 10) <= today
+        : CHANGEABLE_STATUSES.includes(a.status) && (a.date_start || '').slice(0, 10) >= today)
+      .sort((a, b) => (a.date_start || '').localeCompare(b.date_start || ''));
+
+    if (upcoming.length === 0) return null;
+
+    const session = {
+      state: MANAGE_STATES.SELECTING_BOOKING,
+      phone,
+      name,
+      action,
+      bookings: upcoming,
+      booking: null,
+      newStart: null,
+      newEnd: null,
+      pendingStart: null, // new pickup date given without a return date yet
+      quote: null,
+      cancelFee: null,
+      openingText: text,
+      retries: 0,
+      createdAt: new Date(),
+      lastActivity: Date.now(),
+    };
+    this.sessions.set(phone, session);
+
+    if (upcoming.length === 1) return this._selectBooking(session, upcoming[0]);
+
+    let list = action === 'extend' ? `*Your current rentals*\n\n` : `*Your upcoming bookings*\n\n`;
+    upcoming.forEach((a, i) => {
+      list += `*${i + 1}.* ${a.car_type || 'Car'} ${a.plate_number || ''} — ${this._period(a)}\n`;
+    });
+    list += `\nReply with the *number* of the booking.\nType "exit" to leave.`;
+    return list;
+  }
+
+  /**
+   * Process a message within the flow.
+   * @returns {Promise<string|null>} null when the message is not for this flow
+   */
+  async process(phone, text) {
+    if (!this.isActive(phone)) return null;
+    const session = this.sessions.get(phone);
+
+    const lower = text.toLowerCase().trim();
+    if (EXIT_WORDS.includes(lower)) {
+      this.sessions.delete(phone);
+      return '*No changes made*\n```Your booking stays as it is.```';
+    }
+
+    session.lastActivity = Date.now();
+    session.unrecognised = false;
+    const reply = await this._route(session, text, lower);
+    if (!session.unrecognised) {
+      session.retries = 0;
+      return reply;
+    }
+
+    // Off-topic replies don't hold the customer in the flow
+    if (session.retries >= MAX_RETRIES) {
+      this.sessions.delete(phone);
+      console.log(`[ManageBooking] ${phone} left the flow at ${session.state}`);
+      return null;
+    }
+    session.retries++;
+    return reply;
+  }
+
+  async _route(session, text, lower) {
+    switch (session.state) {
+      case MANAGE_STATES.SELECTING_BOOKING: {
+        const num = parseInt(lower);
+        if (isNaN(num) || num < 1 || num > session.bookings.length) {
+          return this._retry(session, `Please reply with a number between 1 and ${session.bookings.length}.\nType "exit" to leave.`);
+        }
+        return this._selectBooking(session, session.bookings[num - 1]);
+      }
+
+      case MANAGE_STATES.CHOOSING_ACTION:
+        if (lower === '1' || /date|tarikh|tukar|ubah|change|reschedule|改/i.test(lower)) {
+          return this._askDates(session);
+        }
+        if (lower === '2' || /cancel|batal|取消/i.test(lower)) {
+          return this._quoteCancellation(session);
+        }
+        return this._retry(session, `Reply *1* to change dates or *2* to cancel.\nType "exit" to leave.`);
+
+      case MANAGE_STATES.ENTERING_DATES:
+        return this._handleNewDates(session, text);
+
+      case MANAGE_STATES.ENTERING_EXTENSION: {
+        const newEnd = this._parseExtension(text, this._endDate(session.booking));
+        if (!newEnd) {
+          return this._retry(session, `How many extra days? e.g. *3* or *extend until 2026-03-12*\nType "exit" to leave.`);
+        }
+        return this._quoteExtension(session, newEnd);
+      }
+
+      case MANAGE_STATES.CONFIRMING:
+        if (['confirm', 'yes', 'ya', 'ok', 'proceed'].includes(lower)) {
+          return this._submit(session);
+        }
+        return this._retry(session, `Reply *"confirm"* to send the request, or "exit" to keep your booking.`);
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Mark the reply as not understood and return the prompt to repeat.
+   */
+  _retry(session, prompt) {
+    session.unrecognised = true;
+    return prompt;
+  }
+
+  // ─── Steps ─────────────────────────────────────────────
+
+  _selectBooking(session, booking) {
+    session.booking = booking;
+
+    if (approvals.listPending({ agreementId: booking.id }).length > 0) {
+      this.sessions.delete(session.phone);
+      return `*Request already pending*\n\`\`\`Your earlier change request for this booking is still with our team.\`\`\`\n\nWe'll message you once it's reviewed.`;
+    }
+
+    if (session.action === 'cancel') return this._quoteCancellation(session);
+    if (session.action === 'change') return this._askDates(session);
+    if (session.action === 'extend') {
+      const newEnd = this._parseExtension(session.openingText, this._endDate(booking));
+      if (newEnd) return this._quoteExtension(session, newEnd);
+      session.state = MANAGE_STATES.ENTERING_EXTENSION;
+      return `*Extend Rental*\n\`\`\`\nCar: ${booking.car_type || 'Car'} ${booking.plate_number || ''}\nReturn: ${this._endDate(booking)}\n\`\`\`\n\n` +
+        `How many extra days? e.g. *3* or *extend until 2026-03-12*\nType "exit" to leave.`;
+    }
+
+    session.state = MANAGE_STATES.CHOOSING_ACTION;
+    let text = `*Manage Booking*\n\`\`\`\n`;
+    text += `Car: ${booking.car_type || 'Car'}\n`;
+    text += `Period: ${this._period(booking)}\n`;
+    text += `Total: RM${booking.total_price || 0}\n`;
+    text += `\`\`\`\n\n`;
+    text += `*1.* Change dates\n*2.* Cancel booking\n\nType "exit" to leave.`;
+    return text;
+  }
+
+  _askDates(session) {
+    session.state = MANAGE_STATES.ENTERING_DATES;
+    return `*New dates?*\n\`\`\`\nCurrent: ${this._period(session.booking)}\n\`\`\`\n\n` +
+      `Send the new dates, e.g. \`2026-03-06 - 2026-03-09\`\nType "exit" to leave.`;
+  }
+
+  async _handleNewDates(session, input) {
+    // An earlier reply may have given only the new pickup date
+    const dates = parseDateTimeRange(input, session.pendingStart ? { start: session.pendingStart } : {});
+    if (!dates) {
+      return this._retry(session, `*Could not parse dates*\n\`\`\`\nPlease send dates like:\n2026-02-20 - 2026-02-25\ntomorrow - 3 days\n12 hb sampai 15 hb\n下星期三到星期五\n\`\`\``);
+    }
+    if (dates.ambiguity) {
+      session.pendingStart = dates.needs === 'end' ? dates.start : null;
+      return `*${dates.ambiguity}*`;
+    }
+    session.pendingStart = null;
+    if (daysBetween(dates.start, dates.end) <= 0) return `End date must be after start date. Please try again.`;
+    if (dates.start < todayMYT()) return `Start date can't be in the past. Please try again.`;
+
+    const booking = session.booking;
+    const check = await availabilityService.isCarAvailable(booking.plate_number, dates.start, dates.end, {
+      phone: session.phone,
+      excludeAgreementId: booking.id,
+    });
+    if (!check.available) {
+      return `*Sorry, your car is not free for ${dates.start} → ${dates.end}.*\n\nPlease try other dates, or type "exit" to keep your booking.`;
+    }
+
+    const car = await fleetService.getCarByPlate(booking.plate_number);
+    const quote = pricing.quote(car || { body_type: null, _carName: booking.car_type }, dates.start, dates.end);
+    session.newStart = dates.start;
+    session.newEnd = dates.end;
+    session.quote = quote;
+    session.state = MANAGE_STATES.CONFIRMING;
+
+    const diff = quote.total - (parseFloat(booking.total_price) || 0);
+    let text = `*Date Change*\n\`\`\`\n`;
+    text += `From: ${this._period(booking)}\n`;
+    text += `To:   ${dates.start} → ${dates.end} (${quote.days}d)\n\n`;
+    text += pricing.formatQuote(quote) + `\n`;
+    text += `Was:   RM${booking.total_price || 0}\n`;
+    text += `${diff >= 0 ? 'To pay' : 'Refund/credit'}: RM${Math.abs(diff)}\n`;
+    text += `\`\`\`\n\n`;
+    text += `Reply *"confirm"* to send this request to our team.\nType "exit" to keep your booking.`;
+    return text;
+  }
+
+  async _quoteCancellation(session) {
+    const booking = session.booking;
+    const car = await fleetService.getCarByPlate(booking.plate_number).catch(() => null);
+    const dailyRate = car ? pricing.ratesFor(car).daily : (policies.getCategoryPricing('economy')?.daily || 80);
+    const fee = policies.getCancellationFee(booking, dailyRate);
+
+    session.action = 'cancel';
+    session.cancelFee = fee;
+    session.state = MANAGE_STATES.CONFIRMING;
+
+    let text = `*Cancel Booking*\n\`\`\`\n`;
+    text += `Car: ${booking.car_type || 'Car'}\n`;
+    text += `Period: ${this._period(booking)}\n`;
+    text += `${fee.note}\n`;
+    text += `\`\`\`\n\n`;
+    text += `Reply *"confirm"* to request cancellation.\nType "exit" to keep your booking.`;
+    return text;
+  }
+
+  async _quoteExtension(session, newEnd) {
+    const booking = session.booking;
+    const oldEnd = this._endDate(booking);
+    if (newEnd <= oldEnd) return `The new return date must be after ${oldEnd}. Please try again.`;
+
+    // Extra days only — this rental's own agreement doesn't count as a clash
+    const check = await availabilityService.isCarAvailable(booking.plate_number, oldEnd, newEnd, {
+      phone: session.phone,
+      excludeAgreementId: booking.id,
+    });
+    if (!check.available) {
+      const next = check.conflict ? ` from ${(check.conflict.date_start || '').slice(0, 10)}` : '';
+      return `*Sorry, this car is booked by another customer${next}.*\n\n` +
+        `Try fewer days, or type "exit" and we'll help you with another car.`;
+    }
+
+    const car = await fleetService.getCarByPlate(booking.plate_number);
+    const quote = pricing.quote(car || { _carName: booking.car_type }, oldEnd, newEnd);
+    const oldTotal = parseFloat(booking.total_price) || 0;
+
+    session.action = 'extend';
+    session.newStart = (booking.date_start || '').slice(0, 10);
+    session.newEnd = newEnd;
+    session.quote = quote;
+    session.state = MANAGE_STATES.CONFIRMING;
+
+    let text = `*Extend Rental*\n\`\`\`\n`;
+    text += `Car: ${booking.car_type || 'Car'} ${booking.plate_number || ''}\n`;
+    text += `Return: ${oldEnd} → ${newEnd} (+${quote.days}d)\n\n`;
+    text += pricing.formatQuote(quote) + `\n`;
+    text += `New rental total: RM${oldTotal + quote.total}\n`;
+    text += `\`\`\`\n\n`;
+    text += `${policies.extension.note}\n\n`;
+    text += `Reply *"confirm"* to send this request to our team.\nType "exit" to keep your current return date.`;
+    return text;
+  }
+
+  async _submit(session) {
+    const booking = session.booking;
+    this.sessions.delete(session.phone);
+
+    if (session.action === 'extend') {
+      const quote = session.quote;
+      const oldTotal = parseFloat(booking.total_price) || 0;
+      const oldEnd = this._endDate(booking);
+      await approvals.request({
+        type: 'booking_extend',
+        approver: 'boss',
+        phone: session.phone,
+        name: session.name || booking.customer_name,
+        summary: `EXTEND ${booking.plate_number} ${booking.car_type || ''}\n` +
+          `Return: ${oldEnd} → ${session.newEnd} (+${quote.days}d)\n` +
+          `Extra: RM${quote.total} (total RM${oldTotal} → RM${oldTotal + quote.total})\n` +
+          `Paid so far: RM${booking.paid || 0}`,
+        payload: {
+          agreementId: booking.id,
+          plate: booking.plate_number,
+          oldEnd,
+          newEnd: session.newEnd,
+          dateEndValue: session.newEnd + (booking.date_end || '').slice(10),
+          days: daysBetween(session.newStart, session.newEnd),
+          extraDays: quote.days,
+          extraAmount: quote.total,
+          newTotal: oldTotal + quote.total,
+          oldTotal,
+          remarks: booking.remarks || '',
+        },
+      });
+      return `*Extension requested*\n\`\`\`\nNew return: ${session.newEnd}\nExtra: RM${quote.total}\n\`\`\`\n\nWe'll confirm once approved.`;
+    }
+
+    if (session.action === 'cancel') {
+      const fee = session.cancelFee;
+      await approvals.request({
+        type: 'booking_cancel',
+        phone: session.phone,
+        name: session.name || booking.customer_name,
+        summary: `CANCEL ${booking.plate_number} ${booking.car_type || ''}\n` +
+          `Period: ${this._period(booking)}\n` +
+          `Paid: RM${booking.paid || 0} of RM${booking.total_price || 0}\n` +
+          `${fee.note}`,
+        payload: {
+          agreementId: booking.id,
+          plate: booking.plate_number,
+          fee: fee.fee,
+          feeType: fee.type,
+          remarks: booking.remarks || '',
+        },
+      });
+      return `*Cancellation requested*\n\`\`\`${fee.note}\`\`\`\n\nOur team will confirm shortly.`;
+    }
+
+    const quote = session.quote;
+    const oldTotal = parseFloat(booking.total_price) || 0;
+    await approvals.request({
+      type: 'booking_change',
+      phone: session.phone,
+      name: session.name || booking.customer_name,
+      summary: `DATE CHANGE ${booking.plate_number} ${booking.car_type || ''}\n` +
+        `Old: ${this._period(booking)} RM${oldTotal}\n` +
+        `New: ${session.newStart} → ${session.newEnd} RM${quote.total}\n` +
+        `Difference: RM${quote.total - oldTotal}`,
+      payload: {
+        agreementId: booking.id,
+        plate: booking.plate_number,
+        newStart: session.newStart,
+        newEnd: session.newEnd,
+        days: quote.days,
+        newTotal: quote.total,
+        oldTotal,
+        oldPeriod: this._period(booking),
+        remarks: booking.remarks || '',
+      },
+    });
+    return `*Date change requested*\n\`\`\`\n${session.newStart} → ${session.newEnd}\nNew total: RM${quote.total}\n\`\`\`\n\nOur team will confirm shortly.`;
+  }
+
+  // ─── Approval handlers ─────────────────────────────────
+
+  async _applyDateChange(req) {
+    const p = req.payload;
+
+    // The car may have been booked by someone else while this waited
+    const check = await availabilityService.isCarAvailable(p.plate, p.newStart, p.newEnd, { excludeAgreementId: p.agreementId });
+    if (!check.available) throw new Error(`${p.plate} is no longer free for ${p.newStart} → ${p.newEnd}. Reject with a reason.`);
+
+    await agreementsService.updateAgreement(p.agreementId, {
+      date_start: p.newStart,
+      date_end: p.newEnd,
+      booking_duration_days: p.days,
+      total_price: p.newTotal,
+      status: agreementsSchema.STATUS.EDITTED,
+      remarks: this._appendRemark(p.remarks, `Dates changed via WhatsApp (was ${p.oldPeriod}, RM${p.oldTotal}) [${req.id}]`),
+    });
+
+    const diff = p.newTotal - p.oldTotal;
+    await notifications.sendToPhone(req.phone,
+      `*Booking updated ✅*\n\`\`\`\n${p.newStart} → ${p.newEnd}\nNew total: RM${p.newTotal}\n` +
+      (diff > 0 ? `Balance to pay: RM${diff}\n` : diff < 0 ? `Credit: RM${Math.abs(diff)}\n` : '') +
+      `\`\`\``
+    );
+    return `${p.plate} moved to ${p.newStart} → ${p.newEnd} (RM${p.newTotal}). Customer notified.`;
+  }
+
+  async _applyExtension(req) {
+    const p = req.payload;
+
+    const check = await availabilityService.isCarAvailable(p.plate, p.oldEnd, p.newEnd, { excludeAgreementId: p.agreementId });
+    if (!check.available) throw new Error(`${p.plate} is no longer free until ${p.newEnd}. Reject with a reason.`);
+
+    await agreementsService.updateAgreement(p.agreementId, {
+      date_end: p.dateEndValue,
+      booking_duration_days: p.days,
+      total_price: p.newTotal,
+      status: agreementsSchema.STATUS.EXTENDED,
+      remarks: this._appendRemark(p.remarks, `Extended via WhatsApp ${p.oldEnd} → ${p.newEnd}, +RM${p.extraAmount} [${req.id}]`),
+    });
+
+    await notifications.sendToPhone(req.phone,
+      `*Rental extended ✅*\n\`\`\`\nNew return date: ${p.newEnd}\nExtension: RM${p.extraAmount}\nNew total: RM${p.newTotal}\n\`\`\`\n\n` +
+      `Please send payment for the extension and proof of transfer here. Thank you!`
+    );
+    return `${p.plate} extended to ${p.newEnd} (+RM${p.extraAmount}, total RM${p.newTotal}). Customer notified.`;
+  }
+
+  async _applyCancellation(req) {
+    const p = req.payload;
+    const feeNote = p.fee ? `fee RM${p.fee} (${p.feeType})` : 'no fee';
+    await agreementsService.cancelAgreement(p.agreementId,
+      this._appendRemark(p.remarks, `Cancelled via WhatsApp, ${feeNote} [${req.id}]`));
+
+    await notifications.sendToPhone(req.phone,
+      `*Booking cancelled*\n\`\`\`\n${p.fee ? `Cancellation fee: RM${p.fee}` : 'No cancellation fee.'}\n\`\`\`\n\nHope to see you again soon!`
+    );
+    return `${p.plate} booking cancelled (${feeNote}). Customer notified.`;
+  }
+
+  async _notifyRejected(req, reason) {
+    await notifications.sendToPhone(req.phone,
+      `*Request not approved*\n\`\`\`Your booking stays as it is.${reason ? `\nReason: ${reason}` : ''}\`\`\`\n\n` +
+      `Questions? WhatsApp +${policies.admins.businessNumber}.`
+    );
+    return `Customer told their request was not approved.`;
+  }
+
+  // ─── Helpers ───────────────────────────────────────────
+
+  _period(a) {
+    return `${(a.date_start || '').slice(0, 10)} → ${(a.date_end || '').slice(0, 10)}`;
+  }
+
+  _endDate(a) {
+    return (a.date_end || '').slice(0, 10);
+  }
+
+  /**
+   * New return date from an extension message, relative to the current one.
+   * "3", "3 days", "extend 2 hari", "延长3天", "1 week", "until Friday", "sampai 25 hb".
+   */
+  _parseExtension(text, currentEnd) {
+    if (!text || !currentEnd) return null;
+
+    // Durations count from the current return date; dates are taken as-is
+    const range = parseDateTimeRange(text, { start: currentEnd });
+    if (range && range.end && !range.ambiguity) return range.end;
+
+    // A bare number in reply to "how many more days?"
+    const days = text.trim().match(/^(\d{1,2})$/);
+    if (days && parseInt(days[1]) > 0) return addDays(currentEnd, parseInt(days[1]));
+
+    return null;
+  }
+
+  _appendRemark(existing, note) {
+    const line = `${todayMYT()}: ${note}`;
+    return existing ? `${existing} | ${line}` : line;
+  }
+
+  cancel(phone) {
+    this.sessions.delete(phone);
+  }
+
+  // ─── Expiry ────────────────────────────────────────────
+
+  _isExpired(session) {
+    return Date.now() - (session.lastActivity || 0) > SESSION_TTL_MS;
+  }
+
+  /**
+   * Drop sessions nobody has touched for SESSION_TTL_MS.
+   */
+  sweep() {
+    let dropped = 0;
+    for (const [phone, session] of [...this.sessions]) {
+      if (!this._isExpired(session)) continue;
+      this.sessions.delete(phone);
+      dropped++;
+    }
+    if (dropped) console.log(`[ManageBooking] Expired ${dropped} idle sessions`);
+    return dropped;
+  }
+
+  /**
+   * Run sweep() periodically (idempotent).
+   */
+  startSweeper() {
+    if (this._sweeper) return;
+    this._sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+  }
+
+  stopSweeper() {
+    if (this._sweeper) clearInterval(this._sweeper);
+    this._sweeper = null;
+  }
+
+  getStats() {
+    return { activeSessions: this.sessions.size };
+  }
+}
+
+module.exports = new ManageBookingFlow();
@@ -6,9 +6,45 @@
  * - HIGH/CRITICAL intents get immediate escalation alerts
  * - Payment proofs forwarded for verification
  * - Overdue returns trigger admin alerts
+ *
+ * Routing: every on* alert is an event type (see EVENTS). Each admin has a
+ * rule — which events they get, optional quiet hours, optional digest — in
+ * bot_data_store "notify_routes", edited with /notify. Admins without a rule
+ * get the defaults above (superadmin: everything, others: critical, overdue
+ * and low ratings).
+ * Alerts held for quiet hours or a digest go out as one message later
+ * (flushHeld, every minute). CRITICAL escalations always go out immediately.
+ *
+ * LOW-priority customer updates are batched per customer first: one summary
+ * (message count, intent counts, last message and reply) per customer per
+ * window (default 15 min, "/notify batch <minutes>"). MEDIUM and above go out
+ * at once, after any batch already pending for that customer.
  */
 
 const policies = require('./policies');
+const outbox = require('../channels/outbox');
+const { dataStoreService } = require('../supabase/services');
+const { formatMYT, parseTimeOfDay } = require('../utils/time');
+
+const ROUTES_KEY = 'notify_routes';
+const HELD_KEY = 'notify_held';
+const FLUSH_INTERVAL_MS = 60 * 1000;
+const DEFAULT_BATCH_MINUTES = 15;
+const DIGEST_MAX_ITEMS = 20;
+
+// Event types admins can subscribe to with /notify
+const EVENTS = {
+  customer: 'Every customer message + JARVIS reply',
+  escalation: 'HIGH priority customer messages',
+  critical: 'CRITICAL priority (ignores quiet hours/digest)',
+  booking: 'New bookings',
+  payment: 'Payment proofs',
+  location: 'Customer locations',
+  overdue: 'Overdue returns',
+  expiring: 'Rentals ending soon',
+  feedback: 'Low customer ratings',
+  deposit: 'Deposit refunds due',
+};
 
 class NotificationManager {
   constructor() {
@@ -16,8 +52,11 @@ class NotificationManager {
     this.whatsapp = null;
     this.superadminPhone = policies.admins.superadmin.phone;
     this.superadminChatId = `${this.superadminPhone}@c.us`;
-    this.queue = [];
-    this.processing = false;
+    this.routes = {};     // admin phone → { events, quiet: { from, to }|null, digestMinutes }
+    this._held = {};      // admin phone → [{ event, text, at }]
+    this.customerBatchMinutes = DEFAULT_BATCH_MINUTES; // 0 = send every update
+    this._batches = new Map(); // customer phone → pending LOW updates
+    this._flusher = null;
   }
 
   /**
@@ -27,26 +66,37 @@ class NotificationManager {
     this.whatsapp = whatsappChannel;
   }
 
+  async load() {
+    try {
+      const [routes, held] = await Promise.all([
+        dataStoreService.getByKey(ROUTES_KEY),
+        dataStoreService.getByKey(HELD_KEY),
+      ]);
+      if (routes) {
+        const stored = typeof routes === 'string' ? JSON.parse(routes) : routes;
+        this.routes = stored.admins || {};
+        if (typeof stored.customerBatchMinutes === 'number') this.customerBatchMinutes = stored.customerBatchMinutes;
+      }
+      if (held) this._held = typeof held === 'string' ? JSON.parse(held) : held;
+      console.log(`[Notify] Loaded ${Object.keys(this.routes).length} routing rules`);
+    } catch (err) {
+      console.error('[Notify] Failed to load routing rules:', err.message);
+    }
+  }
+
   /**
    * Send notification to superadmin Vir.
-   * Queues if WhatsApp not ready, sends immediately if available.
+   * Goes through the outbox, which holds it until WhatsApp is connected.
    */
   async notifySuperadmin(text) {
     if (!text) return;
 
     // In dev mode (no WhatsApp), just log
-    if (!this.whatsapp || !this.whatsapp.isConnected || !this.whatsapp.isConnected()) {
+    if (!this.whatsapp) {
       console.log(`[Notify → Vir] ${text.replace(/\n/g, ' | ').slice(0, 200)}`);
-      this.queue.push({ text, timestamp: Date.now() });
       return;
     }
-
-    try {
-      await this.whatsapp.sendText(this.superadminChatId, text);
-    } catch (err) {
-      console.error('[Notify] Failed to send to superadmin:', err.message);
-      this.queue.push({ text, timestamp: Date.now() });
-    }
+    await outbox.send(this.superadminChatId, text, { source: 'notify' });
   }
 
   /**
@@ -54,23 +104,46 @@ class NotificationManager {
    */
   async notifyAllAdmins(text) {
     for (const admin of policies.admins.list) {
-      const chatId = `${admin.phone}@c.us`;
-      if (this.whatsapp && this.whatsapp.isConnected && this.whatsapp.isConnected()) {
-        try {
-          await this.whatsapp.sendText(chatId, text);
-        } catch (err) {
-          console.error(`[Notify] Failed to send to ${admin.name}:`, err.message);
-        }
-      } else {
-        console.log(`[Notify → ${admin.name}] ${text.replace(/\n/g, ' | ').slice(0, 150)}`);
-      }
+      await this._sendToAdmin(admin, text);
     }
   }
 
+  async _sendToAdmin(admin, text) {
+    if (!this.whatsapp) {
+      console.log(`[Notify → ${admin.name}] ${text.replace(/\n/g, ' | ').slice(0, 150)}`);
+      return;
+    }
+    await outbox.send(`${admin.phone}@c.us`, text, { source: 'notify' });
+  }
+
   /**
-   * Customer interaction update (sent on EVERY customer message).
+   * Send a message straight to one phone (customer or a specific admin).
+   * Returns true once the outbox has sent it or is holding it for retry;
+   * false in dev mode or if it failed for good.
+   * @param {string} source - outbox label shown in the dashboard
+   */
+  async sendToPhone(phone, text, source = 'customer') {
+    if (!text) return false;
+    if (!this.whatsapp) {
+      console.log(`[Notify → +${phone}] ${text.replace(/\n/g, ' | ').slice(0, 150)}`);
+      return false;
+    }
+    const item = await outbox.send(`${phone}@c.us`, text, { source });
+    return !!item && item.status !== 'failed';
+  }
+
+  /**
+   * Customer interaction update (sent on EVERY customer message; LOW
+   * priority ones are batched per customer, see _batchCustomerUpdate).
    */
   async onCustomerMessage(phone, name, text, classification, isExisting, jarvisResponse) {
+    if (classification.priority === 'LOW' && this.customerBatchMinutes > 0) {
+      this._batchCustomerUpdate(phone, name, text, classification, isExisting, jarvisResponse);
+      return;
+    }
+    // Keep order: anything batched for this customer goes first
+    if (this._batches.has(phone)) await this._sendBatch(phone);
+
     const customerType = isExisting ? 'Returning' : 'New';
     const msg = `*Customer ${classification.priority === 'LOW' ? 'Update' : classification.priority + ' Alert'}*\n` +
       `\`\`\`\n` +
@@ -81,7 +154,7 @@ class NotificationManager {
       `*JARVIS replied:*\n` +
       `\`\`\`\n${jarvisResponse?.slice(0, 300) || '[processing]'}\n\`\`\``;
 
-    await this.notifySuperadmin(msg);
+    await this.route('customer', msg);
   }
 
   /**
@@ -97,12 +170,7 @@ class NotificationManager {
       `\`\`\`\n` +
       `Please respond directly to this customer.`;
 
-    // Critical goes to ALL admins, High goes to superadmin
-    if (classification.priority === 'CRITICAL') {
-      await this.notifyAllAdmins(msg);
-    } else {
-      await this.notifySuperadmin(msg);
-    }
+    await this.route(classification.priority === 'CRITICAL' ? 'critical' : 'escalation', msg);
   }
 
   /**
@@ -116,7 +184,7 @@ class NotificationManager {
       `\`\`\`\n` +
       `Please verify and confirm.`;
 
-    await this.notifySuperadmin(msg);
+    await this.route('payment', msg);
   }
 
   /**
@@ -132,7 +200,7 @@ class NotificationManager {
       `\`\`\`\n` +
       `Contact customer immediately.`;
 
-    await this.notifyAllAdmins(msg);
+    await this.route('overdue', msg);
   }
 
   /**
@@ -146,7 +214,23 @@ class NotificationManager {
       `Ends: ${(agreement.date_end || '').slice(0, 10)} (${daysLeft} days)\n` +
       `\`\`\``;
 
-    await this.notifySuperadmin(msg);
+    await this.route('expiring', msg);
+  }
+
+  /**
+   * Low post-rental rating (see feedback.js).
+   */
+  async onLowFeedback(fb) {
+    const msg = `*👎 LOW RATING ${fb.rating}/5*\n` +
+      `\`\`\`\n` +
+      `Customer: ${fb.name || 'N/A'}\n` +
+      `Phone: +${fb.phone}\n` +
+      `Car: ${fb.plate || 'N/A'} ${fb.carType || ''}\n` +
+      `Comment: ${fb.comment || '(none)'}\n` +
+      `\`\`\`\n` +
+      `_Customer was told our team will contact them._`;
+
+    await this.route('feedback', msg);
   }
 
   /**
@@ -163,11 +247,19 @@ class NotificationManager {
       `Period: ${(agreement.date_start || '').slice(0, 10)} → ${(agreement.date_end || '').slice(0, 10)}\n` +
       `Amount: RM${agreement.total_price || 'TBD'}\n` +
       (agreement.delivery ? `${agreement.delivery}\n` : '') +
+      (agreement.deliveryFees ? `Fees: ${agreement.deliveryFees}\n` : '') +
+      (agreement.bookingRef ? `Ref: ${agreement.bookingRef}\n` : '') +
       `\`\`\`\n` +
+      (agreement.mapsLink ? `Maps: ${agreement.mapsLink}\n` : '') +
+      (agreement.bookingRef
+        ? (agreement.id
+          ? `_Saved as agreement ${agreement.id} (New, pending payment)._\n`
+          : `_⚠️ Could not save to agreements — please key in manually._\n`)
+        : '') +
       `_Customer has NOT been given the plate number._\n` +
       `_Share plate details on pickup/delivery day._`;
 
-    await this.notifySuperadmin(msg);
+    await this.route('booking', msg);
   }
 
   /**
@@ -186,7 +278,7 @@ class NotificationManager {
   async onLocationReceived(phone, name, lat, lng, zone, geo) {
     const locationService = require('../utils/location');
     const msg = locationService.formatLocationNotification(phone, name, lat, lng, zone, geo);
-    await this.notifySuperadmin(msg);
+    await this.route('location', msg);
   }
 
   /**
@@ -205,20 +297,20 @@ class NotificationManager {
       (caption ? `\nCaption: ${caption.slice(0, 100)}` : '') +
       (cloudUrl ? `\nCloud: ${cloudUrl}` : '');
 
-    if (this.whatsapp && this.whatsapp.isConnected && this.whatsapp.isConnected()) {
-      try {
-        // Send actual media to superadmin
-        await this.whatsapp.forwardMediaToAdmin(
-          media.data,
-          media.mimetype,
-          media.filename || `${mediaType}_${Date.now()}`,
-          forwardCaption
-        );
-        console.log(`[Notify] Forwarded ${mediaType} from ${name} to admin`);
+    if (this.whatsapp) {
+      // Send actual media to superadmin (held in memory by the outbox until sent)
+      const item = await outbox.send(this.superadminChatId, {
+        kind: 'buffer',
+        data: media.data.toString('base64'),
+        mimetype: media.mimetype,
+        filename: media.filename || `${mediaType}_${Date.now()}`,
+        caption: forwardCaption,
+      }, { source: 'media' });
+      if (item.status !== 'failed') {
+        console.log(`[Notify] Forwarded ${mediaType} from ${name} to admin (${item.status})`);
         return;
-      } catch (err) {
-        console.warn('[Notify] Media forward failed, falling back to text:', err.message);
       }
+      console.warn('[Notify] Media forward failed, falling back to text:', item.error);
     }
 
     // Fallback: send text notification with cloud URL
@@ -233,29 +325,295 @@ class NotificationManager {
     await this.notifySuperadmin(textMsg);
   }
 
+  // ─── Routing ────────────────────────────────────────────
+
+  /**
+   * Send an alert to every admin subscribed to the event — now, or held for
+   * their quiet hours / digest.
+   * @param {string} event - key of EVENTS
+   * @param {string} text
+   */
+  async route(event, text) {
+    if (!text) return;
+    for (const admin of policies.admins.list) {
+      const rule = this.getRule(admin.phone);
+      if (!rule.events.includes(event)) continue;
+
+      if (event !== 'critical' && (rule.digestMinutes > 0 || this._inQuietHours(rule))) {
+        this._hold(admin.phone, event, text);
+        continue;
+      }
+      await this._sendToAdmin(admin, text);
+    }
+  }
+
+  /**
+   * An admin's routing rule (stored, or the default for their role).
+   * @returns {{ events: string[], quiet: { from: string, to: string }|null, digestMinutes: number }}
+   */
+  getRule(phone) {
+    const stored = this.routes[phone];
+    if (stored) return { events: [], quiet: null, digestMinutes: 0, ...stored };
+    const events = phone === this.superadminPhone ? Object.keys(EVENTS) : ['critical', 'overdue', 'feedback'];
+    return { events, quiet: null, digestMinutes: 0 };
+  }
+
+  async setRule(phone, changes) {
+    this.routes[phone] = { ...this.getRule(phone), ...changes };
+    await this._saveRoutes();
+    return this.routes[phone];
+  }
+
+  async resetRule(phone) {
+    delete this.routes[phone];
+    await this._saveRoutes();
+    return this.getRule(phone);
+  }
+
+  _saveRoutes() {
+    return dataStoreService.setValue(ROUTES_KEY, { admins: this.routes, customerBatchMinutes: this.customerBatchMinutes });
+  }
+
+  // ─── Customer update batches ────────────────────────────
+
+  _batchCustomerUpdate(phone, name, text, classification, isExisting, jarvisResponse) {
+    let batch = this._batches.get(phone);
+    if (!batch) {
+      batch = { phone, name, isExisting, count: 0, intents: {}, firstAt: new Date().toISOString() };
+      this._batches.set(phone, batch);
+    }
+    batch.name = name || batch.name;
+    batch.count++;
+    batch.intents[classification.intent] = (batch.intents[classification.intent] || 0) + 1;
+    batch.lastAt = new Date().toISOString();
+    batch.lastMsg = text?.slice(0, 200) || '[media]';
+    batch.lastReply = jarvisResponse?.slice(0, 300) || '[processing]';
+  }
+
+  async _sendBatch(phone) {
+    const b = this._batches.get(phone);
+    if (!b) return;
+    this._batches.delete(phone);
+
+    const intents = Object.entries(b.intents)
+      .sort((x, y) => y[1] - x[1])
+      .map(([intent, n]) => `${intent} ${n}`)
+      .join(' · ');
+    const span = b.count > 1 ? `${formatMYT(b.firstAt, 'time')}–${formatMYT(b.lastAt, 'time')}` : formatMYT(b.lastAt, 'time');
+    const msg = `*Customer Update${b.count > 1 ? `s (${b.count})` : ''}*\n` +
+      `\`\`\`\n` +
+      `${b.isExisting ? 'Returning' : 'New'}: ${b.name} (+${phone})\n` +
+      `${b.count} msg${b.count > 1 ? 's' : ''} · ${span}\n` +
+      `Intents: ${intents}\n` +
+      `Last msg: ${b.lastMsg}\n` +
+      `\`\`\`\n` +
+      `*JARVIS last replied:*\n` +
+      `\`\`\`\n${b.lastReply}\n\`\`\``;
+
+    await this.route('customer', msg);
+  }
+
+  /**
+   * Send customer batches whose window has passed (all of them with force).
+   */
+  async flushCustomerBatches(force = false) {
+    const cutoff = Date.now() - this.customerBatchMinutes * 60000;
+    for (const [phone, batch] of [...this._batches]) {
+      if (force || new Date(batch.firstAt).getTime() <= cutoff) await this._sendBatch(phone);
+    }
+  }
+
+  async setCustomerBatchMinutes(minutes) {
+    this.customerBatchMinutes = minutes;
+    await this._saveRoutes();
+    if (minutes === 0) await this.flushCustomerBatches(true);
+  }
+
+  _inQuietHours(rule, now = new Date()) {
+    if (!rule.quiet) return false;
+    const hhmm = formatMYT(now, 'iso').slice(11, 16);
+    const { from, to } = rule.quiet;
+    // Windows may wrap past midnight (23:00-07:00)
+    return from <= to ? (hhmm >= from && hhmm < to) : (hhmm >= from || hhmm < to);
+  }
+
+  _hold(phone, event, text) {
+    if (!this._held[phone]) this._held[phone] = [];
+    this._held[phone].push({ event, text, at: new Date().toISOString() });
+    this._saveHeld();
+  }
+
+  /**
+   * Send due customer batches, then held alerts as one digest per admin once
+   * their quiet hours are over and their digest window (from the oldest held
+   * alert) has passed.
+   */
+  async flushHeld() {
+    await this.flushCustomerBatches();
+
+    const now = Date.now();
+    for (const admin of policies.admins.list) {
+      const items = this._held[admin.phone];
+      if (!items || items.length === 0) continue;
+
+      const rule = this.getRule(admin.phone);
+      if (this._inQuietHours(rule)) continue;
+      if (rule.digestMinutes > 0 && now - new Date(items[0].at).getTime() < rule.digestMinutes * 60000) continue;
+
+      delete this._held[admin.phone];
+      await this._sendToAdmin(admin, this._formatDigest(items));
+    }
+    await this._saveHeld();
+  }
+
+  _formatDigest(items) {
+    const counts = {};
+    for (const item of items) counts[item.event] = (counts[item.event] || 0) + 1;
+    const shown = items.slice(-DIGEST_MAX_ITEMS);
+
+    let text = `*🔔 Digest — ${items.length} alert${items.length === 1 ? '' : 's'} since ${formatMYT(items[0].at, 'time')}*\n` +
+      `\`\`\`${Object.entries(counts).map(([e, n]) => `${e} ${n}`).join(' · ')}\`\`\`\n`;
+    if (shown.length < items.length) text += `_Showing the latest ${shown.length}._\n`;
+    for (const item of shown) {
+      text += `\n_${formatMYT(item.at, 'time')} · ${item.event}_\n${item.text}\n`;
+    }
+    return text;
+  }
+
+  _saveHeld() {
+    return dataStoreService.setValue(HELD_KEY, this._held).catch(err =>
+      console.warn('[Notify] Failed to save held alerts:', err.message)
+    );
+  }
+
   /**
-   * Flush queued notifications (called when WhatsApp reconnects).
+   * Run flushHeld() every minute (idempotent).
    */
-  async flushQueue() {
-    if (this.processing || this.queue.length === 0) return;
-    this.processing = true;
-
-    const toSend = [...this.queue];
-    this.queue = [];
-
-    for (const item of toSend) {
-      // Skip notifications older than 1 hour
-      if (Date.now() - item.timestamp > 60 * 60 * 1000) continue;
-      try {
-        await this.notifySuperadmin(item.text);
-        await new Promise(r => setTimeout(r, 500)); // Rate limit
-      } catch (err) {
-        console.error('[Notify] Queue flush error:', err.message);
+  startFlusher() {
+    if (this._flusher) return;
+    this._flusher = setInterval(() => {
+      this.flushHeld().catch(err => console.error('[Notify] Flush failed:', err.message));
+    }, FLUSH_INTERVAL_MS);
+  }
+
+  stopFlusher() {
+    if (this._flusher) clearInterval(this._flusher);
+    this._flusher = null;
+  }
+
+  /**
+   * WhatsApp summary of one admin's rule for /notify.
+   */
+  formatRule(admin) {
+    const rule = this.getRule(admin.phone);
+    const lines = Object.entries(EVENTS).map(([e, label]) =>
+      `${rule.events.includes(e) ? '✓' : '·'} ${e.padEnd(10)} ${label}`
+    );
+    return `*Notifications — ${admin.name}*${this.routes[admin.phone] ? '' : ' (default)'}\n\`\`\`\n${lines.join('\n')}\n\n` +
+      `Quiet hours: ${rule.quiet ? `${rule.quiet.from}-${rule.quiet.to}` : 'off'}\n` +
+      `Digest: ${rule.digestMinutes > 0 ? `every ${rule.digestMinutes} min` : 'off (instant)'}\n\`\`\``;
+  }
+
+  /**
+   * /notify for an admin. Others' rules can be edited by boss/superadmin by
+   * putting their name first ("/notify Amisha digest 60").
+   *   /notify                       own settings
+   *   /notify all                   everyone's settings
+   *   /notify on|off <event…|all>   subscribe / unsubscribe
+   *   /notify quiet 23:00-07:00     hold alerts in that window (MYT) — "quiet off"
+   *   /notify digest 60             bundle alerts every 60 min — "digest off"
+   *   /notify reset                 back to the default for their role
+   *   /notify batch 15              window for batched LOW customer updates (boss/superadmin) — "batch off"
+   */
+  async handleCommand(admin, args) {
+    if (!admin) return `*Notifications*\n\`\`\`Your number isn't on the admin list.\`\`\``;
+    const words = (args || '').trim().split(/\s+/).filter(Boolean);
+    if (words[0]?.toLowerCase() === 'all') {
+      return policies.admins.list.map(a => this.formatRule(a)).join('\n\n');
+    }
+
+    if (words[0]?.toLowerCase() === 'batch') {
+      if (!admin.isBoss && !admin.isSuperadmin) {
+        return `*Notifications*\n\`\`\`Only the boss or superadmin can change customer update batching.\`\`\``;
+      }
+      const off = /^(off|none|0)$/i.test(words[1] || '');
+      const minutes = off ? 0 : parseInt(words[1], 10);
+      if (!off && !(minutes >= 1 && minutes <= 240)) {
+        return `*Customer update batching*\n\`\`\`Now: ${this.customerBatchMinutes ? `every ${this.customerBatchMinutes} min` : 'off'}\nSet: /notify batch <1-240> | batch off\`\`\``;
+      }
+      await this.setCustomerBatchMinutes(minutes);
+      return `*Customer update batching*\n\`\`\`${minutes ? `LOW-priority updates are summarised per customer every ${minutes} min.` : 'Off — every customer update is sent as it happens.'}\nMEDIUM, HIGH and CRITICAL always go out immediately.\`\`\``;
+    }
+
+    let target = admin;
+    const named = words.length && policies.admins.list.find(a => a.name.toLowerCase() === words[0].toLowerCase());
+    if (named) {
+      if (named.phone !== admin.phone && !admin.isBoss && !admin.isSuperadmin) {
+        return `*Notifications*\n\`\`\`Only the boss or superadmin can change ${named.name}'s notifications.\`\`\``;
       }
+      target = named;
+      words.shift();
     }
 
-    this.processing = false;
+    const action = (words.shift() || '').toLowerCase();
+    const rule = this.getRule(target.phone);
+    const usage = `*Notifications*\n\`\`\`\n/notify on|off <event…|all>\n/notify quiet 23:00-07:00 | quiet off\n/notify digest <minutes> | digest off\n/notify reset\n/notify batch <minutes> | batch off\n\nEvents: ${Object.keys(EVENTS).join(', ')}\n\`\`\``;
+
+    switch (action) {
+      case '':
+        return this.formatRule(target);
+
+      case 'on':
+      case 'off': {
+        const wanted = words.map(w => w.toLowerCase());
+        const events = wanted.includes('all') ? Object.keys(EVENTS) : wanted.filter(e => EVENTS[e]);
+        const unknown = wanted.filter(e => e !== 'all' && !EVENTS[e]);
+        if (events.length === 0) return usage;
+        const next = action === 'on'
+          ? [...new Set([...rule.events, ...events])]
+          : rule.events.filter(e => !events.includes(e));
+        await this.setRule(target.phone, { events: next });
+        return this.formatRule(target) + (unknown.length ? `\n_Unknown event: ${unknown.join(', ')}_` : '');
+      }
+
+      case 'quiet': {
+        if (/^(off|none)$/i.test(words[0] || '')) {
+          await this.setRule(target.phone, { quiet: null });
+          return this.formatRule(target);
+        }
+        const [from, to] = words.join(' ').split(/\s*(?:-|to|until)\s*/i).map(t => this._clockTime(t));
+        if (!from || !to || from === to) return usage;
+        await this.setRule(target.phone, { quiet: { from, to } });
+        return this.formatRule(target);
+      }
+
+      case 'digest': {
+        if (/^(off|none|0)$/i.test(words[0] || '')) {
+          await this.setRule(target.phone, { digestMinutes: 0 });
+          return this.formatRule(target);
+        }
+        const minutes = parseInt(words[0], 10);
+        if (!(minutes >= 5 && minutes <= 24 * 60)) return `*Notifications*\n\`\`\`Digest interval must be 5-1440 minutes.\`\`\``;
+        await this.setRule(target.phone, { digestMinutes: minutes });
+        return this.formatRule(target);
+      }
+
+      case 'reset':
+        await this.resetRule(target.phone);
+        return this.formatRule(target);
+
+      default:
+        return usage;
+    }
+  }
+
+  // "23:00", "7", "7am", "11pm" → "HH:MM"
+  _clockTime(text) {
+    const bare = (text || '').trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+    if (bare && +bare[1] < 24 && +(bare[2] || 0) < 60) return `${bare[1].padStart(2, '0')}:${bare[2] || '00'}`;
+    return parseTimeOfDay(text);
   }
 }
 
 module.exports = new NotificationManager();
+module.exports.EVENTS = EVENTS;
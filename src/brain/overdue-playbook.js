@@ -0,0 +1,265 @@
+/**
+ * Overdue Playbook — escalating follow-up for cars not returned on time.
+ *
+ * Each overdue agreement walks the ladder in policies.overduePlaybook:
+ *   +1h  remind  — friendly WhatsApp reminder to the customer
+ *   +6h  firm    — firmer message with the late-fee estimate
+ *   +24h voice   — voice note via caller.sendVoiceMessage
+ *   +48h boss    — escalation to the boss
+ * Every step is sent once; what was sent is stored per agreement so restarts
+ * don't repeat it. When the bot finds an agreement late in the ladder only
+ * the latest due step is sent (earlier ones are marked skipped). Admins are
+ * alerted once when the rental first goes overdue.
+ *
+ * Admins pause/resume a plate with "/overdue pause VNH3600" / "/overdue resume VNH3600".
+ * An extension (new date_end) restarts the ladder.
+ *
+ * Storage: bot_data_store "overdue:<agreementId>" and "overdue_paused"
+ */
+
+const policies = require('./policies');
+const pricing = require('./pricing');
+const notifications = require('./notifications');
+const { agreementsService, dataStoreService, fleetService } = require('../supabase/services');
+const { formatMYT } = require('../utils/time');
+const { waPhone } = require('../utils/phone');
+
+const STATE_PREFIX = 'overdue:';
+const PAUSED_KEY = 'overdue_paused';
+
+class OverduePlaybook {
+  constructor() {
+    this._states = new Map(); // agreementId → state
+    this._paused = {};        // PLATE → { by, at }
+    this._loaded = false;
+  }
+
+  async load() {
+    try {
+      const [rows, paused, config, lateFee] = await Promise.all([
+        dataStoreService.getByKeyPrefix(STATE_PREFIX),
+        dataStoreService.getByKey(PAUSED_KEY),
+        dataStoreService.getByKey('overdue_playbook'),
+        dataStoreService.getByKey('late_fee'),
+      ]);
+      for (const row of rows || []) {
+        const state = typeof row.value === 'string' ? JSON.parse(row.value) : row.value;
+        if (state && !state.resolvedAt) this._states.set(String(state.agreementId), state);
+      }
+      if (paused) this._paused = (typeof paused === 'string' ? JSON.parse(paused) : paused).plates || {};
+      if (config) policies.updateFromStore([{ key: 'overdue_playbook', value: config }]);
+      if (lateFee) policies.updateFromStore([{ key: 'late_fee', value: lateFee }]);
+      console.log(`[Overdue] Loaded ${this._states.size} overdue rentals, ${Object.keys(this._paused).length} paused plates`);
+    } catch (err) {
+      console.error('[Overdue] Failed to load:', err.message);
+    }
+    this._loaded = true;
+  }
+
+  /**
+   * Walk every overdue agreement one step up the ladder where due.
+   * @param {object} opts - { caller } voice caller (optional; falls back to text)
+   */
+  async run({ caller = null } = {}) {
+    if (!this._loaded) await this.load();
+
+    const now = Date.now();
+    const due = await agreementsService.getDueAgreements();
+    const seen = new Set();
+
+    for (const agreement of due) {
+      const dueAt = this.dueAt(agreement);
+      const hoursLate = (now - dueAt.getTime()) / 3600000;
+      if (hoursLate <= 0) continue;
+      seen.add(String(agreement.id));
+
+      let state = this._states.get(String(agreement.id));
+      if (!state || state.dueAt !== dueAt.toISOString()) {
+        state = this._newState(agreement, dueAt);
+        this._states.set(String(agreement.id), state);
+        await notifications.onOverdueReturn(agreement);
+        await this._save(state);
+      }
+      if (this.isPaused(agreement.plate_number)) continue;
+
+      await this._advance(state, agreement, hoursLate, caller).catch(err =>
+        console.error(`[Overdue] ${agreement.plate_number} step failed:`, err.message)
+      );
+    }
+
+    // Returned, extended or cancelled since the last run
+    for (const [id, state] of this._states) {
+      if (seen.has(id)) continue;
+      state.resolvedAt = new Date().toISOString();
+      this._states.delete(id);
+      await this._save(state);
+      console.log(`[Overdue] ${state.plate} resolved`);
+    }
+  }
+
+  /**
+   * Return moment of an agreement (see pricing.returnDueAt).
+   */
+  dueAt(agreement) {
+    return pricing.returnDueAt(agreement);
+  }
+
+  async _advance(state, agreement, hoursLate, caller) {
+    const ladder = [...policies.overduePlaybook.ladder].sort((a, b) => a.afterHours - b.afterHours);
+    const reached = ladder.filter(s => hoursLate >= s.afterHours);
+    const latest = reached[reached.length - 1];
+    if (!latest || state.steps[latest.step]) return;
+
+    // Only the latest due step goes out; earlier unsent ones are skipped
+    for (const s of reached.slice(0, -1)) {
+      if (!state.steps[s.step]) state.steps[s.step] = { skipped: true, at: new Date().toISOString() };
+    }
+
+    const sent = await this._send(latest.step, agreement, hoursLate, caller);
+    const unreachable = latest.step !== 'boss' && !agreement.mobile;
+    if (!sent && !unreachable) {
+      // e.g. WhatsApp disconnected — try this step again on the next run
+      await this._save(state);
+      console.warn(`[Overdue] ${agreement.plate_number} step "${latest.step}" not sent, will retry`);
+      return;
+    }
+    state.steps[latest.step] = { at: new Date().toISOString(), ok: sent };
+    await this._save(state);
+    console.log(`[Overdue] ${agreement.plate_number} step "${latest.step}" ${sent ? 'sent' : 'failed'} (${Math.floor(hoursLate)}h late)`);
+  }
+
+  async _send(step, agreement, hoursLate, caller) {
+    const phone = waPhone(agreement.mobile);
+    const name = agreement.customer_name || 'Customer';
+    const plate = agreement.plate_number;
+    const was = formatMYT(this.dueAt(agreement), 'datetime');
+
+    switch (step) {
+      case 'remind': {
+        if (!phone) return false;
+        return notifications.sendToPhone(phone,
+          `*Car return reminder*\n\`\`\`\nCar: ${plate}\nWas due: ${was}\n\`\`\`\n\n` +
+          `Hi ${name}, your rental has ended. Please return the car, or reply here if you need to extend.\n\n` +
+          `_Sewa anda telah tamat. Sila pulangkan kereta atau balas di sini untuk sambung sewa._`);
+      }
+
+      case 'firm': {
+        if (!phone) return false;
+        const fee = await this._lateFee(agreement);
+        return notifications.sendToPhone(phone,
+          `*Overdue return — action needed*\n\`\`\`\nCar: ${plate}\nWas due: ${was}\nLate: ${this._duration(hoursLate)}\n` +
+          `Late charges so far: ~RM${fee}\n\`\`\`\n\n` +
+          `Please return the car as soon as possible or reply to extend. Late charges keep adding up (${policies.extension.lateReturn}).\n\n` +
+          `_Kereta sudah lewat dipulangkan. Caj lewat dikenakan — sila pulangkan segera atau balas untuk sambung sewa._`);
+      }
+
+      case 'voice': {
+        if (!phone) return false;
+        const text = `Hello ${name}. This is JARVIS from JRV Car Rental. ` +
+          `The car ${plate.split('').join(' ')} was due back on ${formatMYT(this.dueAt(agreement), 'date')}. ` +
+          `Please return it today or contact us to extend. Late charges apply. ` +
+          `Call us at plus 60 1 2 6 5 6 5 4 7 7. Thank you.`;
+        if (caller) {
+          const result = await caller.sendVoiceMessage(phone, text, 'en');
+          if (result.success) return true;
+        }
+        // No voice — send the same words as text so the step isn't lost
+        return notifications.sendToPhone(phone, `*Urgent: car overdue*\n\`\`\`\n${text}\n\`\`\``);
+      }
+
+      case 'boss': {
+        const boss = policies.admins.list.find(a => a.isBoss);
+        const state = this._states.get(String(agreement.id));
+        const history = Object.entries(state.steps)
+          .map(([s, r]) => `${s}: ${r.skipped ? 'skipped' : formatMYT(r.at, 'datetime')}`)
+          .join('\n');
+        const fee = await this._lateFee(agreement);
+        return notifications.sendToPhone(boss.phone,
+          `*🚨 OVERDUE ESCALATION*\n\`\`\`\nCar: ${plate}\nCustomer: ${name}\nPhone: +${phone || 'N/A'}\n` +
+          `Was due: ${was}\nLate: ${this._duration(hoursLate)} (~RM${fee})\n\n${history}\n\`\`\`\n` +
+          `Customer has been reminded${state.steps.voice ? ' and sent a voice note' : ''}. ` +
+          `Reply */overdue pause ${plate}* to stop follow-ups.`);
+      }
+
+      default:
+        console.warn(`[Overdue] Unknown step "${step}"`);
+        return false;
+    }
+  }
+
+  async _lateFee(agreement) {
+    const car = await fleetService.getCarByPlate(agreement.plate_number).catch(() => null);
+    return pricing.lateFee(agreement, car).amount;
+  }
+
+  _duration(hours) {
+    const days = Math.floor(hours / 24);
+    const rest = Math.floor(hours % 24);
+    return days > 0 ? `${days}d ${rest}h` : `${rest}h`;
+  }
+
+  // ─── Pause ──────────────────────────────────────────────
+
+  isPaused(plate) {
+    return !!this._paused[this._norm(plate)];
+  }
+
+  async pause(plate, adminPhone) {
+    this._paused[this._norm(plate)] = { by: adminPhone, at: new Date().toISOString() };
+    await dataStoreService.setValue(PAUSED_KEY, { plates: this._paused });
+    return `*Overdue follow-ups paused*\n\`\`\`${this._norm(plate)} — no more customer reminders or escalation until resumed.\`\`\`\nResume: */overdue resume ${this._norm(plate)}*`;
+  }
+
+  async resume(plate) {
+    const norm = this._norm(plate);
+    if (!this._paused[norm]) return `*Overdue follow-ups*\n\`\`\`${norm} was not paused.\`\`\``;
+    delete this._paused[norm];
+    await dataStoreService.setValue(PAUSED_KEY, { plates: this._paused });
+    return `*Overdue follow-ups resumed*\n\`\`\`${norm} — the next due step goes out on the next check.\`\`\``;
+  }
+
+  /**
+   * One line per step for /overdue, e.g. "remind ✓ firm ✓ voice · boss ·".
+   */
+  describe(agreement) {
+    if (this.isPaused(agreement.plate_number)) return 'Follow-ups: PAUSED';
+    const state = this._states.get(String(agreement.id));
+    if (!state) return 'Follow-ups: not started';
+    const marks = policies.overduePlaybook.ladder.map(({ step }) => {
+      const r = state.steps[step];
+      return `${step} ${!r ? '·' : r.skipped ? '–' : '✓'}`;
+    });
+    return `Follow-ups: ${marks.join(' ')}`;
+  }
+
+  // ─── Internal ───────────────────────────────────────────
+
+  _newState(agreement, dueAt) {
+    return {
+      agreementId: agreement.id,
+      plate: agreement.plate_number,
+      phone: agreement.mobile || null,
+      customerName: agreement.customer_name || null,
+      dueAt: dueAt.toISOString(),
+      steps: {}, // step → { at, ok } | { at, skipped }
+      createdAt: new Date().toISOString(),
+      resolvedAt: null,
+    };
+  }
+
+  _norm(plate) {
+    return (plate || '').replace(/\s+/g, '').toUpperCase();
+  }
+
+  _save(state) {
+    return dataStoreService.setValue(`${STATE_PREFIX}${state.agreementId}`, state).catch(err =>
+      console.warn(`[Overdue] Failed to save ${state.agreementId}:`, err.message)
+    );
+  }
+
+  getStats() {
+    return { overdue: this._states.size, paused: Object.keys(this._paused).length };
+  }
+}
+
+module.exports = new OverduePlaybook();
@@ -0,0 +1,258 @@
+/**
+ * Payment Proofs — match customers' transfer screenshots to their bookings.
+ *
+ * Flow (a customer sends an image JARVIS reads as a payment):
+ * 1. imageReader.readPaymentProof → amount, date, reference, bank
+ *    (vision first; when only Tesseract is left its text is parsed the same way)
+ * 2. Duplicates: the same image (sha256) is not filed again — the customer is
+ *    told it's already in (or that it was not accepted); the same bank reference as an earlier proof is
+ *    filed but flagged for the admin
+ * 3. Match to the sender's open agreement (getAgreementsByPhone, active
+ *    statuses, outstanding = total_price - paid > 0): the booking whose
+ *    balance equals the amount, else the earliest one still owing
+ * 4. Approval request to Vir (approvals.js, type "payment_proof")
+ * 5. "approve <code>" → paid += amount, booking_payment Paid / Partially Paid,
+ *    customer told the balance. "approve <code> 250" corrects a misread
+ *    amount. "reject <code> <reason>" → customer told.
+ *
+ * Proofs with no open booking or no readable amount are still filed so staff
+ * see them; approving one without a booking only records it.
+ *
+ * Storage: bot_data_store "payment:<approval code>"
+ */
+
+const crypto = require('crypto');
+const approvals = require('./approvals');
+const notifications = require('./notifications');
+const policies = require('./policies');
+const imageReader = require('../media/image-reader');
+const { agreementsService, dataStoreService } = require('../supabase/services');
+const agreementsSchema = require('../supabase/schemas/agreements');
+const { todayMYT } = require('../utils/time');
+
+const PREFIX = 'payment:';
+
+// Amounts this close (RM) to the balance count as paying it off
+const TOLERANCE = 1;
+
+class PaymentProofs {
+  constructor() {
+    this._proofs = new Map(); // id → proof
+
+    approvals.registerHandler('payment_proof', {
+      onApprove: (req, note) => this._approve(req, note),
+      onReject: (req, reason) => this._reject(req, reason),
+    });
+  }
+
+  async load() {
+    try {
+      const rows = await dataStoreService.getByKeyPrefix(PREFIX);
+      for (const row of rows || []) {
+        const proof = typeof row.value === 'string' ? JSON.parse(row.value) : row.value;
+        if (proof && proof.id) this._proofs.set(proof.id, proof);
+      }
+      console.log(`[PaymentProofs] Loaded ${this._proofs.size} proofs`);
+    } catch (err) {
+      console.error('[PaymentProofs] Failed to load:', err.message);
+    }
+  }
+
+  /**
+   * Read, match and file a customer's payment screenshot.
+   * @param {Buffer} image
+   * @param {object|null} analysis - imageReader.analyze() result already made for this image
+   * @returns {Promise<string>} reply for the customer
+   */
+  async submit(phone, name, image, analysis = null) {
+    const hash = crypto.createHash('sha256').update(image).digest('hex');
+
+    const same = this._find(p => p.hash === hash);
+    if (same) {
+      console.log(`[PaymentProofs] ${phone} resent proof ${same.id} (${same.status})`);
+      if (same.status === 'approved') {
+        return `*Already received ✅*\n\nThis payment was confirmed on ${same.resolvedAt.slice(0, 10)}. Thank you!`;
+      }
+      if (same.status === 'rejected') {
+        return `*Payment not confirmed*\n\`\`\`This receipt was checked on ${same.resolvedAt.slice(0, 10)} and not accepted.${same.rejectReason ? `\nReason: ${same.rejectReason}` : ''}\`\`\`\n\n` +
+          `Please send a new proof, or WhatsApp +${policies.admins.businessNumber} if you think this is a mistake.`;
+      }
+      return `*Already received*\n\nWe have this receipt and our team is checking it. No need to send it again.`;
+    }
+
+    const read = await imageReader.readPaymentProof(image, analysis);
+    const duplicateOf = read.reference
+      ? this._find(p => p.reference === read.reference && p.status !== 'rejected')
+      : null;
+    const match = await this._match(phone, read.amount);
+
+    const proof = {
+      id: null,
+      phone,
+      name,
+      amount: read.amount,
+      date: read.date,
+      reference: read.reference,
+      bank: read.bank,
+      engine: read.engine,
+      hash,
+      agreementId: match.agreement ? match.agreement.id : null,
+      match: match.kind,
+      duplicateOf: duplicateOf ? duplicateOf.id : null,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      resolvedAt: null,
+    };
+
+    const req = await approvals.request({
+      type: 'payment_proof',
+      phone,
+      name,
+      summary: this._summary(proof, match),
+      payload: { agreementId: proof.agreementId, amount: proof.amount },
+    });
+    proof.id = req.id;
+    await this._save(proof);
+
+    console.log(`[PaymentProofs] ${proof.id} filed for ${phone}: RM${proof.amount ?? '?'} (${proof.match})${proof.duplicateOf ? `, same reference as ${proof.duplicateOf}` : ''}`);
+    return `*Payment proof received!*\n\`\`\`\n` +
+      `${proof.amount ? `Amount: RM${proof.amount}\n` : ''}` +
+      `${match.agreement ? `Booking: ${this._booking(match.agreement)}\n` : ''}` +
+      `\`\`\`\nOur team will verify it shortly and confirm here.`;
+  }
+
+  // ─── Matching ───────────────────────────────────────────
+
+  /**
+   * The sender's open agreement this amount most likely pays.
+   * @returns {{ agreement: object|null, outstanding: number, kind: 'exact'|'partial'|'over'|'unknown amount'|'no booking' }}
+   */
+  async _match(phone, amount) {
+    const rows = await agreementsService.getAgreementsByPhone(phone).catch(err => {
+      console.warn('[PaymentProofs] Agreement lookup failed:', err.message);
+      return [];
+    });
+    const open = (rows || [])
+      .filter(a => agreementsSchema.ACTIVE_STATUSES.includes(a.status) && this._outstanding(a) > 0)
+      .sort((a, b) => (a.date_start || '').localeCompare(b.date_start || ''));
+    if (open.length === 0) return { agreement: null, outstanding: 0, kind: 'no booking' };
+
+    const exact = amount ? open.find(a => Math.abs(this._outstanding(a) - amount) <= TOLERANCE) : null;
+    const agreement = exact || open[0];
+    const outstanding = this._outstanding(agreement);
+    const kind = exact ? 'exact' : !amount ? 'unknown amount' : amount < outstanding ? 'partial' : 'over';
+    return { agreement, outstanding, kind };
+  }
+
+  _outstanding(a) {
+    return this._round((Number(a.total_price) || 0) - (Number(a.paid) || 0));
+  }
+
+  // ─── Approval handlers ─────────────────────────────────
+
+  async _approve(req, note) {
+    const proof = this._proofs.get(req.id);
+    if (!proof) throw new Error('Proof record missing. Update the agreement by hand.');
+
+    const corrected = parseFloat((note || '').replace(/rm|,/gi, ''));
+    const amount = corrected > 0 ? this._round(corrected) : proof.amount;
+    if (!amount) throw new Error(`Amount unreadable. Reply "approve ${req.id} <amount>".`);
+
+    const approved = () => Object.assign(proof, { amount, status: 'approved', resolvedAt: new Date().toISOString() });
+
+    if (!proof.agreementId) {
+      await this._save(approved());
+      await notifications.sendToPhone(proof.phone, `*Payment confirmed ✅*\n\`\`\`\nAmount: RM${amount}\n\`\`\`\n\nThank you!`);
+      return `RM${amount} recorded — no open booking matched, update the agreement by hand. Customer notified.`;
+    }
+
+    const a = await agreementsService.getAgreementById(proof.agreementId);
+    if (!a) throw new Error(`Agreement ${proof.agreementId} not found. Reject and handle manually.`);
+
+    const paid = this._round((Number(a.paid) || 0) + amount);
+    const total = Number(a.total_price) || 0;
+    const balance = this._round(Math.max(total - paid, 0));
+    await agreementsService.updateAgreement(a.id, {
+      paid,
+      booking_payment: balance === 0 ? agreementsSchema.PAID : agreementsSchema.PARTIALLY_PAID,
+      remarks: this._appendRemark(a.remarks, `Paid RM${amount} via WhatsApp proof${proof.reference ? ` ref ${proof.reference}` : ''} [${req.id}]`),
+    });
+    await this._save(approved());
+
+    await notifications.sendToPhone(proof.phone,
+      `*Payment confirmed ✅*\n\`\`\`\nAmount: RM${amount}\nBooking: ${this._booking(a)}\n` +
+      `${balance > 0 ? `Balance: RM${balance}` : 'Fully paid'}\n\`\`\`\n\nThank you!`
+    );
+    return `RM${amount} added to ${a.plate_number} (${a.id}): paid RM${paid} of RM${total}${balance > 0 ? `, RM${balance} left` : ', fully paid'}. Customer notified.`;
+  }
+
+  async _reject(req, reason) {
+    const proof = this._proofs.get(req.id);
+    if (proof) {
+      proof.status = 'rejected';
+      proof.rejectReason = reason || null;
+      proof.resolvedAt = new Date().toISOString();
+      await this._save(proof);
+    }
+    await notifications.sendToPhone(req.phone,
+      `*Payment not confirmed*\n\`\`\`We could not verify this payment.${reason ? `\nReason: ${reason}` : ''}\`\`\`\n\n` +
+      `Questions? WhatsApp +${policies.admins.businessNumber}.`
+    );
+    return `Customer told the payment was not confirmed.`;
+  }
+
+  // ─── Helpers ───────────────────────────────────────────
+
+  _summary(proof, match) {
+    const lines = [
+      `Payment proof (${proof.engine})`,
+      `Amount: ${proof.amount ? `RM${proof.amount}` : 'unreadable — approve with the amount'}`,
+      `Date: ${proof.date || '?'}`,
+      `Reference: ${proof.reference || '?'}`,
+      `Bank: ${proof.bank || '?'}`,
+    ];
+    if (match.agreement) {
+      const a = match.agreement;
+      lines.push('',
+        `Booking: ${a.id} ${this._booking(a)}`,
+        `Total RM${a.total_price || 0}, paid RM${a.paid || 0}, owing RM${match.outstanding}`,
+        `Match: ${match.kind}`);
+    } else {
+      lines.push('', 'Booking: no open booking owing money for this number');
+    }
+    if (proof.duplicateOf) {
+      const earlier = this._proofs.get(proof.duplicateOf);
+      lines.push('', `⚠️ DUPLICATE reference — same as ${proof.duplicateOf} (${earlier.status}, +${earlier.phone})`);
+    }
+    return lines.join('\n');
+  }
+
+  _booking(a) {
+    return `${a.plate_number || a.car_type || ''} ${(a.date_start || '').slice(0, 10)} → ${(a.date_end || '').slice(0, 10)}`.trim();
+  }
+
+  _find(predicate) {
+    for (const proof of this._proofs.values()) {
+      if (predicate(proof)) return proof;
+    }
+    return null;
+  }
+
+  _round(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  _appendRemark(existing, note) {
+    const line = `${todayMYT()}: ${note}`;
+    return existing ? `${existing} | ${line}` : line;
+  }
+
+  async _save(proof) {
+    this._proofs.set(proof.id, proof);
+    await dataStoreService.setValue(`${PREFIX}${proof.id}`, proof).catch(err =>
+      console.warn(`[PaymentProofs] Failed to save ${proof.id}:`, err.message)
+    );
+  }
+}
+
+module.exports = new PaymentProofs();
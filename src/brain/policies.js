@@ -51,6 +51,23 @@ const PRICING = {
   },
 };
 
+// cars.body_type → PRICING category, for cars without their own rates
+const BODY_TYPE_CATEGORY = {
+  sedan: 'economy',
+  hatchback: 'compact',
+  'mpv/van': 'mpv',
+  mpv: 'mpv',
+  van: 'mpv',
+  suv: 'suv',
+  sports: 'premium',
+};
+
+// Per-car weekday_discount_percent applies to these days (0 = Sun … 6 = Sat)
+const RATE_RULES = {
+  weekdayDiscountDays: [1, 2, 3, 4], // Mon–Thu; Fri–Sun are peak days
+  note: 'Weekday discount applies Monday to Thursday. Packages (3-day/weekly/monthly) are not discounted further.',
+};
+
 // ─── Delivery Zones (from bot_data_store) ────────────────────
 
 const DELIVERY_ZONES = {
@@ -89,6 +106,19 @@ const PAYMENT = {
   instructions: 'Please transfer to Maybank 555135160390 (JRV GLOBAL SERVICES) and send proof of payment.',
 };
 
+// ─── Business Details (document letterhead) ─────────────────
+
+const BUSINESS = {
+  name: 'JRV Car Rental',
+  company: 'JRV GLOBAL SERVICES',
+  branches: [
+    '195, Jalan S2 B14, Seremban 2, 70300 Seremban, Negeri Sembilan',
+    'Lot 12071, Jalan Sungai Ujong, Taman Ast, 70200 Seremban, Negeri Sembilan',
+  ],
+  whatsapp: '60126565477',
+  website: 'https://jrvservices.co',
+};
+
 // ─── Deposit Policy ──────────────────────────────────────────
 
 const DEPOSIT = {
@@ -110,6 +140,8 @@ const DOCUMENTS = {
 // ─── Cancellation Policy ─────────────────────────────────────
 
 const CANCELLATION = {
+  freeHours: 24,   // cancel at least this long before pickup = no fee
+  lateFee: 50,     // cancelled within freeHours
   freeCancellation: '24 hours before pickup',
   lateCancellation: 'RM50 fee if cancelled within 24 hours',
   noShow: 'Full day charge if no show',
@@ -121,8 +153,82 @@ const CANCELLATION = {
 const EXTENSION = {
   sameRate: true,
   mustNotifyBefore: '24 hours before current end date',
-  lateReturn: 'RM50 per hour for first 3 hours, then full day rate',
-  note: 'Extensions at same rate. Must notify 24h before. Late returns: RM50/hr (first 3hrs), then full day.',
+  lateReturn: 'RM30-60 per hour by car category for the first 3 hours, then full day rate',
+  note: 'Extensions at same rate. Must notify 24h before. Late returns: 30 min grace, then RM30-60/hr (first 3hrs), then full day.',
+};
+
+// ─── Late Return Fees ────────────────────────────────────────
+// Charged from the return time once the grace period is over: per started
+// hour for the first maxHours hours (never more than one day's rate), then
+// the car's daily rate per started day. See pricing.lateFee().
+
+const LATE_FEE = {
+  graceMinutes: 30,
+  defaultReturnTime: '18:00', // when date_end has no time
+  categories: {
+    economy: { hourly: 30, maxHours: 3 },
+    compact: { hourly: 40, maxHours: 3 },
+    suv: { hourly: 50, maxHours: 3 },
+    premium: { hourly: 60, maxHours: 3 },
+    mpv: { hourly: 50, maxHours: 3 },
+  },
+  default: { hourly: 50, maxHours: 3 },
+};
+
+// ─── Overdue Playbook ────────────────────────────────────────
+// Steps sent once each, by hours past the return time (see overdue-playbook.js).
+// Override with bot_data_store key "overdue_playbook".
+
+const OVERDUE_PLAYBOOK = {
+  ladder: [
+    { step: 'remind', afterHours: 1 },  // friendly WhatsApp reminder to the customer
+    { step: 'firm', afterHours: 6 },    // firmer message with late-fee estimate
+    { step: 'voice', afterHours: 24 },  // voice note to the customer
+    { step: 'boss', afterHours: 48 },   // escalate to the boss
+  ],
+};
+
+// ─── Expiry Reminders ────────────────────────────────────────
+// Customer reminders before the return time, each sent once per rental
+// (see expiry-reminders.js). Override with bot_data_store key "expiry_reminders".
+
+const EXPIRY_REMINDERS = {
+  offsets: [
+    { hoursBefore: 48 },
+    { hoursBefore: 24, voice: true }, // also a voice note
+    { hoursBefore: 3 },
+  ],
+};
+
+// ─── Deposit Refunds ─────────────────────────────────────────
+// Admins are reminded of deposits not yet refunded, remindAfterDays after a
+// Completed return and then every repeatDays, for returns in the last
+// lookbackDays (see ledger.js). Override with bot_data_store key "deposit_refund".
+
+const DEPOSIT_REFUND = {
+  remindAfterDays: 3,
+  repeatDays: 7,
+  lookbackDays: 60,
+};
+
+// ─── E-Invoice (LHDN MyInvois) ───────────────────────────────
+// Supplier details and tax treatment for the MyInvois export (see
+// einvoice.js). The TIN, BRN and email are not known here — set them with
+// bot_data_store key "einvoice". Invoice totals are what the customer
+// pays, so tax is taken out of them, never added on top.
+
+const EINVOICE = {
+  supplierTin: null,
+  supplierBrn: null,
+  sstNumber: 'NA',
+  tourismTaxNumber: 'NA',
+  msicCode: '77101',
+  activity: 'Renting and operational leasing of passenger cars (without driver)',
+  email: null,
+  address: { line: '195, Jalan S2 B14, Seremban 2', city: 'Seremban', postcode: '70300', state: '05' },
+  taxType: '06', // 06 Not Applicable, 02 Service Tax
+  taxRate: 0,
+  classification: '022', // Others
 };
 
 // ─── Fuel Policy ─────────────────────────────────────────────
@@ -205,7 +311,7 @@ const OPERATIONAL_RULES = [
   'ALL customer interactions must be forwarded to superadmin Vir',
   'When customer asks for available cars, show only cars with NO active agreements',
   'Cross-validate car status with agreements before showing availability',
-  'Expiring rentals: contact customer 2 days before end date',
+  'Expiring rentals: remind customer 48h, 24h and 3h before the return time',
   'Overdue returns: alert admins immediately, contact customer',
   'Payment proof received: forward to superadmin for verification',
   'Never share admin phone numbers with customers',
@@ -229,12 +335,20 @@ const OPERATIONAL_RULES = [
 class Policies {
   constructor() {
     this.pricing = PRICING;
+    this.bodyTypeCategory = BODY_TYPE_CATEGORY;
+    this.rateRules = RATE_RULES;
     this.deliveryZones = DELIVERY_ZONES;
     this.payment = PAYMENT;
+    this.business = BUSINESS;
     this.deposit = DEPOSIT;
     this.documents = DOCUMENTS;
     this.cancellation = CANCELLATION;
     this.extension = EXTENSION;
+    this.lateFee = LATE_FEE;
+    this.overduePlaybook = OVERDUE_PLAYBOOK;
+    this.expiryReminders = EXPIRY_REMINDERS;
+    this.depositRefund = DEPOSIT_REFUND;
+    this.einvoice = EINVOICE;
     this.fuel = FUEL;
     this.cleanliness = CLEANLINESS;
     this.insurance = INSURANCE;
@@ -266,6 +380,46 @@ class Policies {
           if (zoneData) Object.assign(this.deliveryZones, zoneData);
         } catch (e) { /* keep defaults */ }
       }
+
+      // Update overdue playbook ladder
+      if (entry.key === 'overdue_playbook') {
+        try {
+          const playbook = typeof entry.value === 'string' ? JSON.parse(entry.value) : entry.value;
+          if (playbook) Object.assign(this.overduePlaybook, playbook);
+        } catch (e) { /* keep defaults */ }
+      }
+
+      // Update expiry reminder offsets
+      if (entry.key === 'expiry_reminders') {
+        try {
+          const reminders = typeof entry.value === 'string' ? JSON.parse(entry.value) : entry.value;
+          if (reminders) Object.assign(this.expiryReminders, reminders);
+        } catch (e) { /* keep defaults */ }
+      }
+
+      // Update deposit refund reminders
+      if (entry.key === 'deposit_refund') {
+        try {
+          const refund = typeof entry.value === 'string' ? JSON.parse(entry.value) : entry.value;
+          if (refund) Object.assign(this.depositRefund, refund);
+        } catch (e) { /* keep defaults */ }
+      }
+
+      // Update e-invoice supplier details
+      if (entry.key === 'einvoice') {
+        try {
+          const einvoice = typeof entry.value === 'string' ? JSON.parse(entry.value) : entry.value;
+          if (einvoice) Object.assign(this.einvoice, einvoice);
+        } catch (e) { /* keep defaults */ }
+      }
+
+      // Update late-return fee rules
+      if (entry.key === 'late_fee') {
+        try {
+          const lateFee = typeof entry.value === 'string' ? JSON.parse(entry.value) : entry.value;
+          if (lateFee) Object.assign(this.lateFee, lateFee);
+        } catch (e) { /* keep defaults */ }
+      }
     }
   }
 
@@ -285,11 +439,42 @@ class Policies {
   }
 
   /**
-   * Get pricing for a car category.
+   * Late-return hourly rule for a car category. Accepts a cars.body_type too.
+   * @returns {{ hourly: number, maxHours: number }}
+   */
+  getLateFeeRule(category) {
+    const cat = category?.toLowerCase();
+    const { categories } = this.lateFee;
+    return categories[cat] || categories[this.bodyTypeCategory[cat]] || this.lateFee.default;
+  }
+
+  /**
+   * Get pricing for a car category. Accepts a cars.body_type too ("Sedan").
    */
   getCategoryPricing(category) {
     const cat = category?.toLowerCase();
-    return this.pricing[cat] || null;
+    return this.pricing[cat] || this.pricing[this.bodyTypeCategory[cat]] || null;
+  }
+
+  /**
+   * Cancellation fee for an agreement at a given moment.
+   * Pickup time is date_start; no-shows (already started) pay one day.
+   * @param {object} agreement - needs date_start
+   * @param {number} dailyRate - the car's daily rate (for no-show)
+   * @returns {{ fee: number, type: 'free'|'late'|'no_show', hoursUntilStart: number, note: string }}
+   */
+  getCancellationFee(agreement, dailyRate, now = new Date()) {
+    const start = new Date(agreement.date_start || agreement.start_date);
+    const hoursUntilStart = (start - now) / (1000 * 60 * 60);
+    const c = this.cancellation;
+
+    if (hoursUntilStart >= c.freeHours) {
+      return { fee: 0, type: 'free', hoursUntilStart, note: `Free cancellation (${c.freeCancellation})` };
+    }
+    if (hoursUntilStart > 0) {
+      return { fee: c.lateFee, type: 'late', hoursUntilStart, note: `Late cancellation fee: RM${c.lateFee}` };
+    }
+    return { fee: dailyRate, type: 'no_show', hoursUntilStart, note: `No-show: Full day charge RM${dailyRate}` };
   }
 
   /**
@@ -0,0 +1,263 @@
+/**
+ * Pricing Engine — Quotes a specific car for a specific date range.
+ *
+ * Rates come from the car's own columns (daily_price, price_3_days,
+ * weekly_price, monthly_price, deposit_price, weekday_discount_percent,
+ * promo_price). Cars without a daily_price fall back to the policies
+ * category card for their body type.
+ *
+ * Rental days are priced day-by-day (promo rate, or daily rate less the
+ * weekday discount on policies.rateRules days), then packages are applied
+ * wherever they make the rental cheaper. The customer always gets the
+ * lowest combination.
+ *
+ * Pure module (no Supabase) — also used by the Vercel /api/pricing function.
+ *
+ * Late returns are charged by lateFee() from policies.lateFee.
+ *
+ * Usage:
+ *   const quote = pricing.quote(car, '2026-03-06', '2026-03-09', { deliveryFee: 50 });
+ *   pricing.formatQuote(quote)  → WhatsApp text block
+ *   pricing.lateFee(agreement, car, returnedAt)  → late-return charge
+ */
+
+const policies = require('./policies');
+const { daysBetween, addDays, dayOfWeek, mytDateTime } = require('../utils/time');
+
+const DEFAULT_DAILY = 80;
+
+const PACKAGES = [
+  { key: 'monthly', days: 30, label: 'Monthly' },
+  { key: 'weekly', days: 7, label: 'Weekly' },
+  { key: 'threeDays', days: 3, label: '3-Day' },
+];
+
+function num(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function money(n) {
+  return Math.round(n * 100) / 100;
+}
+
+class PricingEngine {
+  /**
+   * Resolve the rate card for a car.
+   * @returns {{ daily, threeDays, weekly, monthly, deposit, promo, promoLabel, weekdayDiscountPercent, source }}
+   */
+  ratesFor(car) {
+    const category = policies.getCategoryPricing(car?.body_type) || {};
+    const ownDaily = num(car?.daily_price);
+
+    // Packages only make sense against the daily rate they were set with:
+    // use the car's own card when it has one, otherwise the category card.
+    const card = ownDaily
+      ? {
+        daily: ownDaily,
+        threeDays: num(car.price_3_days),
+        weekly: num(car.weekly_price),
+        monthly: num(car.monthly_price),
+        source: 'car',
+      }
+      : {
+        daily: num(category.daily) || DEFAULT_DAILY,
+        threeDays: num(category.threeDays),
+        weekly: num(category.weekly),
+        monthly: num(category.monthly),
+        source: category.daily ? 'category' : 'default',
+      };
+
+    // promo_price is free text ("RM69", "69/day") — take the first number
+    const promoMatch = String(car?.promo_price || '').match(/\d+(?:\.\d+)?/);
+    const promo = promoMatch ? num(promoMatch[0]) : null;
+
+    return {
+      ...card,
+      deposit: num(car?.deposit_price) || num(category.deposit) || 0,
+      promo: promo && promo < card.daily ? promo : null,
+      promoLabel: car?.promo_label || null,
+      weekdayDiscountPercent: num(car?.weekday_discount_percent) || 0,
+    };
+  }
+
+  /**
+   * Rate shown in car lists: promo if any, else daily.
+   */
+  displayRate(car) {
+    const rates = this.ratesFor(car);
+    return rates.promo || rates.daily;
+  }
+
+  /**
+   * Quote a car for [startDate, endDate) — endDate is the return date.
+   * @param {object} car - cars row
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   * @param {object} opts - { deliveryFee, deliveryLabel, collectionFee, collectionLabel, customerType }
+   */
+  quote(car, startDate, endDate, opts = {}) {
+    const days = daysBetween(startDate, endDate);
+    if (!(days > 0)) return { error: 'End date must be after start date' };
+
+    const rates = this.ratesFor(car);
+    const weekdays = policies.rateRules.weekdayDiscountDays;
+
+    // Day-by-day cost (promo replaces the daily rate; discounts don't stack on promo)
+    const dayCosts = [];
+    for (let i = 0; i < days; i++) {
+      const date = addDays(startDate, i);
+      const discounted = !rates.promo && rates.weekdayDiscountPercent > 0 && weekdays.includes(dayOfWeek(date));
+      const base = rates.promo || rates.daily;
+      const discount = discounted ? money(base * rates.weekdayDiscountPercent / 100) : 0;
+      dayCosts.push({ date, base, discount, cost: base - discount });
+    }
+
+    const plan = this._bestPlan(dayCosts, rates);
+    const lines = this._planLines(plan, rates);
+    const rental = money(plan.reduce((sum, p) => sum + p.cost, 0));
+    const discount = money(plan.filter(p => p.type === 'day').reduce((sum, p) => sum + p.day.discount, 0));
+
+    const deliveryFee = num(opts.deliveryFee) || 0;
+    if (deliveryFee) lines.push({ label: opts.deliveryLabel || 'Delivery', amount: deliveryFee });
+    const collectionFee = num(opts.collectionFee) || 0;
+    if (collectionFee) lines.push({ label: opts.collectionLabel || 'Collection', amount: collectionFee });
+
+    let deposit = rates.deposit;
+    if (opts.customerType && policies.isDepositRequired(opts.customerType)) {
+      deposit = Math.max(deposit, policies.deposit.amount);
+    }
+
+    const total = money(rental + deliveryFee + collectionFee);
+
+    return {
+      carName: car?._carName || car?.body_type || 'Car',
+      plate: car?.plate_number || null,
+      startDate,
+      endDate,
+      days,
+      rates,
+      lines,
+      rental,
+      discount,
+      deliveryFee,
+      collectionFee,
+      total,
+      deposit,
+      payable: money(total + deposit),
+    };
+  }
+
+  // ─── Late Returns ─────────────────────────────────────
+
+  /**
+   * When an agreement is due back: date_end's time if it has one, else
+   * policies.lateFee.defaultReturnTime (MYT).
+   * @returns {Date}
+   */
+  returnDueAt(agreement) {
+    const end = agreement.date_end || '';
+    const time = end.match(/[T ](\d{2}:\d{2})/);
+    return mytDateTime(end.slice(0, 10), time ? time[1] : policies.lateFee.defaultReturnTime);
+  }
+
+  /**
+   * Late-return charge for an agreement. Nothing is charged within the grace
+   * period; after it, every started hour from the return time is charged at
+   * the category's hourly rate (capped at one day) up to maxHours, then every
+   * started day at the car's daily rate.
+   * @param {object} agreement - needs date_end
+   * @param {object} car - cars row (body_type and rates), may be null
+   * @param {Date|string} returnedAt - actual return time; defaults to now (car still out)
+   * @returns {{ dueAt, returnedAt, minutesLate, hours, days, mode: 'on_time'|'grace'|'hourly'|'daily', rate, amount, label }}
+   */
+  lateFee(agreement, car, returnedAt = new Date()) {
+    const dueAt = this.returnDueAt(agreement);
+    const returned = new Date(returnedAt);
+    const minutesLate = Math.max(0, Math.round((returned - dueAt) / 60000));
+    const hours = Math.ceil(minutesLate / 60);
+    const base = { dueAt, returnedAt: returned, minutesLate, hours, days: 0 };
+
+    if (minutesLate === 0) return { ...base, mode: 'on_time', rate: 0, amount: 0, label: 'Returned on time' };
+    if (minutesLate <= policies.lateFee.graceMinutes) {
+      return { ...base, mode: 'grace', rate: 0, amount: 0, label: `Within ${policies.lateFee.graceMinutes} min grace` };
+    }
+
+    const rule = policies.getLateFeeRule(car?.body_type);
+    const daily = this.ratesFor(car).daily;
+    if (hours <= rule.maxHours) {
+      const amount = money(Math.min(hours * rule.hourly, daily));
+      return { ...base, mode: 'hourly', rate: rule.hourly, amount, label: `Late ${hours}h × RM${rule.hourly}${amount < hours * rule.hourly ? ` (capped at 1 day)` : ''}` };
+    }
+
+    const days = Math.ceil(hours / 24);
+    return { ...base, days, mode: 'daily', rate: daily, amount: money(days * daily), label: `Late ${days}d × RM${daily}` };
+  }
+
+  /**
+   * Cheapest way to cover the days: each block is either one day at its
+   * day cost, or a package starting at that day (a package may run past
+   * the last day when that is still cheaper).
+   */
+  _bestPlan(dayCosts, rates) {
+    const n = dayCosts.length;
+    const packs = PACKAGES.filter(p => rates[p.key]);
+    const best = new Array(n + 1).fill(null);
+    best[n] = { cost: 0, steps: [] };
+
+    for (let i = n - 1; i >= 0; i--) {
+      const day = dayCosts[i];
+      let choice = { cost: day.cost + best[i + 1].cost, steps: [{ type: 'day', day, cost: day.cost }, ...best[i + 1].steps] };
+
+      for (const pack of packs) {
+        const next = Math.min(n, i + pack.days);
+        const cost = rates[pack.key] + best[next].cost;
+        if (cost < choice.cost) {
+          choice = { cost, steps: [{ type: 'pack', pack, cost: rates[pack.key] }, ...best[next].steps] };
+        }
+      }
+      best[i] = choice;
+    }
+    return best[0].steps;
+  }
+
+  _planLines(plan, rates) {
+    const lines = [];
+
+    for (const pack of PACKAGES) {
+      const count = plan.filter(p => p.type === 'pack' && p.pack.key === pack.key).length;
+      if (count) lines.push({ label: `${pack.label} × ${count}`, amount: money(count * rates[pack.key]) });
+    }
+
+    const dayItems = plan.filter(p => p.type === 'day');
+    if (dayItems.length) {
+      const rate = rates.promo || rates.daily;
+      const label = rates.promo ? `Promo${rates.promoLabel ? ` (${rates.promoLabel})` : ''}` : 'Daily';
+      lines.push({ label: `${label} RM${rate} × ${dayItems.length}`, amount: money(rate * dayItems.length) });
+
+      const discounted = dayItems.filter(p => p.day.discount > 0);
+      if (discounted.length) {
+        const off = money(discounted.reduce((sum, p) => sum + p.day.discount, 0));
+        lines.push({ label: `Weekday -${rates.weekdayDiscountPercent}% × ${discounted.length}`, amount: -off });
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * WhatsApp-formatted breakdown (goes inside a ``` block).
+   */
+  formatQuote(quote) {
+    if (quote.error) return quote.error;
+    const rows = quote.lines.map(l => {
+      const amount = l.amount < 0 ? `-RM${Math.abs(l.amount)}` : `RM${l.amount}`;
+      return `${l.label.padEnd(22)} ${amount}`;
+    });
+    rows.push('─'.repeat(30));
+    rows.push(`${'Total'.padEnd(22)} RM${quote.total}`);
+    if (quote.deposit) rows.push(`${'Deposit (refundable)'.padEnd(22)} RM${quote.deposit}`);
+    return rows.join('\n');
+  }
+}
+
+module.exports = new PricingEngine();
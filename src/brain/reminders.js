@@ -4,13 +4,16 @@
  * Features:
  * - One-time reminders (e.g., "remind me in 2 hours to call customer")
  * - Recurring reminders (e.g., "every Monday send fleet report")
- * - Natural language parsing for time (supports EN/MS)
+ * - Natural language parsing for time (EN/MS/ZH/TA, via utils/time)
  * - Persists to memory (optionally to Supabase bot_data_store)
  * - Integrated with notification system for delivery via WhatsApp
+ * - Reminders set for a customer by someone else respect their opt-out (consent.js)
  */
 
-const { todayMYT, formatMYT } = require('../utils/time');
+const { todayMYT, formatMYT, addDays, dayOfWeek, parseDateTime, parseTimeOfDay, parseWeekday, mytDateTime } = require('../utils/time');
 const notifications = require('./notifications');
+const outbox = require('../channels/outbox');
+const consent = require('./consent');
 
 class ReminderManager {
   constructor() {
@@ -69,7 +72,8 @@ class ReminderManager {
 
   /**
    * Parse natural language time and create reminder.
-   * Supports: "in 2 hours", "tomorrow at 9am", "in 30 minutes", "every day at 8am"
+   * Supports: "in 2 hours", "tomorrow at 9am", "in 30 minutes", "every day at 8am",
+   * "esok pukul 9 pagi", "明天下午3点", "every Monday 9am"
    */
   createFromText(text, phone, name) {
     const parsed = this._parseTime(text);
@@ -171,15 +175,17 @@ class ReminderManager {
     const msg = `*Reminder*\n\`\`\`\n${reminder.text}\n\`\`\`\n` +
       `${reminder.repeat ? `(Repeats ${reminder.repeat})` : ''}`;
 
+    // A customer's own reminders always go out; ones set for them by someone else need consent
+    if (reminder.createdBy !== reminder.phone && !consent.allows(reminder.phone, 'reminders')) {
+      console.log(`[Reminders] #${reminder.id} not sent — ${reminder.phone} opted out of reminders`);
+      return;
+    }
+
     console.log(`[Reminders] Firing #${reminder.id}: "${reminder.text}" → ${reminder.phone}`);
 
-    // Send via WhatsApp if available
-    if (this.whatsapp && this.whatsapp.isConnected && this.whatsapp.isConnected()) {
-      try {
-        await this.whatsapp.sendText(`${reminder.phone}@c.us`, msg);
-      } catch (err) {
-        console.error(`[Reminders] Failed to send #${reminder.id}:`, err.message);
-      }
+    // Send via WhatsApp if available (the outbox retries and holds it while disconnected)
+    if (this.whatsapp) {
+      await outbox.send(`${reminder.phone}@c.us`, msg, { source: 'reminder' });
     } else {
       // Log to console in dev mode
       console.log(`[Reminders → ${reminder.name}] ${reminder.text}`);
@@ -206,86 +212,55 @@ class ReminderManager {
     return next;
   }
 
+  /**
+   * Parse when a reminder is due (MYT). One-off times use the shared
+   * parser in utils/time (EN/MS/ZH/TA: "in 2 hours", "esok pukul 9 pagi",
+   * "明天下午3点", "Friday 10am"); repeats are handled here.
+   */
   _parseTime(text) {
     const lower = text.toLowerCase();
     const now = new Date();
-    // Convert to MYT
-    const mytOffset = 8 * 60 * 60 * 1000;
-
-    // "in X minutes/hours/days"
-    const inMatch = lower.match(/in\s+(\d+)\s*(min(?:ute)?s?|hour?s?|jam|day?s?|hari|week?s?|minggu)/);
-    if (inMatch) {
-      const amount = parseInt(inMatch[1]);
-      const unit = inMatch[2];
-      const dueAt = new Date(now);
-
-      if (/min/.test(unit)) dueAt.setMinutes(dueAt.getMinutes() + amount);
-      else if (/hour|jam/.test(unit)) dueAt.setHours(dueAt.getHours() + amount);
-      else if (/day|hari/.test(unit)) dueAt.setDate(dueAt.getDate() + amount);
-      else if (/week|minggu/.test(unit)) dueAt.setDate(dueAt.getDate() + amount * 7);
-
-      return { dueAt, repeat: null };
-    }
-
-    // "tomorrow at Xam/pm"
-    const tomorrowMatch = lower.match(/tomorrow\s+(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/);
-    if (tomorrowMatch) {
-      let hour = parseInt(tomorrowMatch[1]);
-      const min = parseInt(tomorrowMatch[2] || '0');
-      const ampm = tomorrowMatch[3];
-      if (ampm === 'pm' && hour < 12) hour += 12;
-      if (ampm === 'am' && hour === 12) hour = 0;
-
-      const dueAt = new Date(now);
-      dueAt.setDate(dueAt.getDate() + 1);
-      dueAt.setHours(hour, min, 0, 0);
-      return { dueAt, repeat: null };
-    }
 
-    // "every day/daily at Xam"
-    const everyMatch = lower.match(/every\s*(day|daily|hour|hourly|week|weekly|monday|tuesday|wednesday|thursday|friday|saturday|sunday)/);
+    // "every day/daily at Xam", "setiap hari pukul 8 pagi", "every Monday 9am", "每天早上8点"
+    const everyMatch = lower.match(/(?:every|setiap|tiap)\s*(day|daily|hari|hour|hourly|jam|week|weekly|minggu|monday|tuesday|wednesday|thursday|friday|saturday|sunday|isnin|selasa|rabu|khamis|jumaat|sabtu|ahad)|(daily|hourly|weekly)|每(天|日|小时|小時|周|週|星期|礼拜)/);
     if (everyMatch) {
-      const freq = everyMatch[1];
-      let repeat = 'daily';
-      if (/hour/.test(freq)) repeat = 'hourly';
-      else if (/week|monday|tuesday|wednesday|thursday|friday|saturday|sunday/.test(freq)) repeat = 'weekly';
-
-      // Try to parse time
-      const timeMatch = lower.match(/at\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/);
-      const dueAt = new Date(now);
-      if (timeMatch) {
-        let hour = parseInt(timeMatch[1]);
-        const min = parseInt(timeMatch[2] || '0');
-        const ampm = timeMatch[3];
-        if (ampm === 'pm' && hour < 12) hour += 12;
-        if (ampm === 'am' && hour === 12) hour = 0;
-        dueAt.setHours(hour, min, 0, 0);
-        if (dueAt <= now) {
-          // Next occurrence
-          if (repeat === 'hourly') dueAt.setHours(dueAt.getHours() + 1);
-          else dueAt.setDate(dueAt.getDate() + 1);
-        }
+      const freq = everyMatch[1] || everyMatch[2] || everyMatch[3];
+      let repeat = 'weekly'; // "every week" or a weekday
+      if (/hour|jam|小时|小時/.test(freq)) repeat = 'hourly';
+      else if (/^(day|daily|hari|天|日)$/.test(freq)) repeat = 'daily';
+
+      const time = parseTimeOfDay(text) || this._bareHour(lower);
+      const weekday = repeat === 'weekly' ? parseWeekday(text) : null;
+      if (!time && weekday === null) return { dueAt: new Date(now), repeat };
+
+      let date = todayMYT();
+      if (weekday !== null) date = addDays(date, (weekday - dayOfWeek(date) + 7) % 7);
+      const dueAt = mytDateTime(date, time || formatMYT(now, 'iso').slice(11, 16));
+      while (dueAt <= now) {
+        if (repeat === 'hourly') dueAt.setTime(dueAt.getTime() + 60 * 60 * 1000);
+        else dueAt.setTime(dueAt.getTime() + (repeat === 'weekly' ? 7 : 1) * 24 * 60 * 60 * 1000);
       }
-
       return { dueAt, repeat };
     }
 
-    // "at Xam/pm today"
-    const atMatch = lower.match(/at\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/);
-    if (atMatch) {
-      let hour = parseInt(atMatch[1]);
-      const min = parseInt(atMatch[2] || '0');
-      const ampm = atMatch[3];
-      if (ampm === 'pm' && hour < 12) hour += 12;
-      if (ampm === 'am' && hour === 12) hour = 0;
-
-      const dueAt = new Date(now);
-      dueAt.setHours(hour, min, 0, 0);
-      if (dueAt <= now) dueAt.setDate(dueAt.getDate() + 1);
-      return { dueAt, repeat: null };
-    }
+    const parsed = parseDateTime(text, { now });
+    const hour = this._bareHour(lower);
+    if (parsed && (parsed.timeGiven || !hour)) return { dueAt: parsed.dueAt, repeat: null };
 
-    return null;
+    // "at 3" with no am/pm: that hour on the parsed day, else today (tomorrow once passed)
+    if (!hour) return null;
+    let dueAt = mytDateTime(parsed ? parsed.date : todayMYT(), hour);
+    if (!parsed && dueAt <= now) dueAt = mytDateTime(addDays(todayMYT(), 1), hour);
+    return { dueAt, repeat: null };
+  }
+
+  /**
+   * "at 3", "at 15:30" → 'HH:MM' (the date/time parser wants am/pm or pukul/点).
+   */
+  _bareHour(lower) {
+    const m = lower.match(/\bat\s+(\d{1,2})(?::(\d{2}))?(?!\s*(?:am|pm)\b)(?![\d:])/);
+    if (!m || +m[1] > 23 || +(m[2] || 0) > 59) return null;
+    return `${m[1].padStart(2, '0')}:${m[2] || '00'}`;
   }
 
   _extractReminderText(text) {
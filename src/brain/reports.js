@@ -2,6 +2,7 @@ const { fleetService, agreementsService, dataStoreService } = require('../supaba
 const { validateFleetStatus, getEndDate, getStartDate } = require('../utils/validators');
 const { formatMYT, todayMYT, daysBetween, nowMYT } = require('../utils/time');
 const policies = require('./policies');
+const pricing = require('./pricing');
 
 /**
  * Report Generator — Matches OpenClaw jrv-bot report format.
@@ -153,11 +154,14 @@ class ReportGenerator {
 
   // ─── Report 4: Follow-up Required ─────────────────────
   async followUpReport() {
-    const [expiring, overdue, allAgreements] = await Promise.all([
+    const [expiring, overdue, allAgreements, cars] = await Promise.all([
       agreementsService.getExpiringAgreements(3),
       agreementsService.getOverdueAgreements(),
       agreementsService.getAllAgreements(),
+      fleetService.getAllCars(),
     ]);
+    const plateKey = p => (p || '').replace(/\s+/g, '').toUpperCase();
+    const carByPlate = new Map(cars.map(c => [plateKey(c.plate_number), c]));
 
     const today = todayMYT();
 
@@ -172,12 +176,17 @@ class ReportGenerator {
     // Overdue section
     report += `*🚨 OVERDUE (${overdue.length}):*\n`;
     if (overdue.length > 0) {
+      let lateTotal = 0;
       for (const a of overdue) {
         const endDate = (getEndDate(a) || '').slice(0, 10);
         const daysLate = daysBetween(endDate, today);
+        const fee = pricing.lateFee(a, carByPlate.get(plateKey(a.plate_number)));
+        lateTotal += fee.amount;
         report += `  • ${a.customer_name || 'N/A'} - ${a.car_type || 'N/A'} (${a.plate_number})\n`;
         report += `    ${daysLate}d overdue | Due: ${endDate} | 📱 ${a.mobile || 'N/A'}\n`;
+        report += `    Late fee so far: RM${fee.amount} (${fee.label})\n`;
       }
+      report += `  *Late fees outstanding: RM${lateTotal}*\n`;
     } else {
       report += `  None - all good! ✅\n`;
     }
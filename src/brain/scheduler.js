@@ -2,22 +2,34 @@
  * Proactive Scheduler - Auto-runs tasks on a schedule.
  *
  * Tasks:
- * 1. Contact expiring customers (2 days before end)
- * 2. Alert admins about overdue returns
+ * 1. Remind customers before the return time (48h / 24h / 3h, configurable)
+ * 2. Overdue-return playbook (customer reminders → voice note → boss)
  * 3. Send daily summary report to superadmin
  * 4. Cleanup expired conversations
  * 5. Re-sync data periodically
  * 6. Check and fire reminders
- * 7. Auto-call expiring customers (voice message)
+ * 7. Voice-note expiring customers (offsets with voice: true)
+ * 8. Nudge customers who abandoned a booking halfway
+ * 9. Pass on lapsed waitlist offers, drop entries past their dates
+ * 10. Send admin alerts held for quiet hours / digests
+ * 11. Send queued campaign messages (throttled) and count bookings
+ * 12. Send customer broadcasts (same throttle) with progress to the boss
+ * 13. Remind admins of deposits not refunded after a Completed return
  */
 
-const { agreementsService } = require('../supabase/services');
-const { daysBetween, todayMYT } = require('../utils/time');
+const { todayMYT } = require('../utils/time');
 const notifications = require('./notifications');
-const customerFlows = require('./customer-flows');
 const conversation = require('./conversation');
 const reports = require('./reports');
 const reminders = require('./reminders');
+const bookingFlow = require('./booking-flow');
+const manageBooking = require('./manage-booking');
+const waitlist = require('./waitlist');
+const overduePlaybook = require('./overdue-playbook');
+const expiryReminders = require('./expiry-reminders');
+const campaigns = require('./campaigns');
+const broadcasts = require('./broadcasts');
+const ledger = require('./ledger');
 
 class Scheduler {
   constructor() {
@@ -46,25 +58,45 @@ class Scheduler {
     this.running = true;
     console.log('[Scheduler] Starting proactive tasks...');
 
-    // Expiry check: every 4 hours
-    this.tasks.push(setInterval(() => this._checkExpiringRentals(), 4 * 60 * 60 * 1000));
+    // Expiry reminders: every 30 minutes (the nearest offset is a few hours)
+    this.tasks.push(setInterval(() => this._checkExpiringRentals(), 30 * 60 * 1000));
 
     // Overdue check: every 2 hours
-    this.tasks.push(setInterval(() => this._checkOverdueReturns(), 2 * 60 * 60 * 1000));
+    this.tasks.push(setInterval(() => this._checkOverdueReturns(), 15 * 60 * 1000));
 
     // Daily report: every hour (fires at 8am MYT)
     this.tasks.push(setInterval(() => this._dailyReportCheck(), 60 * 60 * 1000));
 
+    // Deposit refund reminders: every 6 hours (due by the day)
+    this.tasks.push(setInterval(() => this._checkDepositRefunds(), 6 * 60 * 60 * 1000));
+
     // Conversation cleanup: every 15 minutes
     this.tasks.push(setInterval(() => conversation.cleanup(), 15 * 60 * 1000));
 
     // Start reminder checker
     reminders.start();
 
+    // Abandoned booking nudges
+    bookingFlow.startSweeper();
+
+    // Idle manage-booking sessions
+    manageBooking.startSweeper();
+
+    // Waitlist offers that lapsed / entries past their dates
+    waitlist.startSweeper();
+
+    // Admin alerts held for quiet hours / digests
+    notifications.startFlusher();
+
+    // Win-back campaigns and customer broadcasts, one message at a time
+    campaigns.startRunner();
+    broadcasts.startRunner();
+
     // Initial run after 30 seconds
     setTimeout(() => {
       this._checkExpiringRentals().catch(e => console.error('[Scheduler] Expiry check failed:', e.message));
       this._checkOverdueReturns().catch(e => console.error('[Scheduler] Overdue check failed:', e.message));
+      this._checkDepositRefunds();
     }, 30000);
   }
 
@@ -73,70 +105,49 @@ class Scheduler {
     this.tasks.forEach(t => clearInterval(t));
     this.tasks = [];
     reminders.stop();
+    bookingFlow.stopSweeper();
+    manageBooking.stopSweeper();
+    waitlist.stopSweeper();
+    notifications.stopFlusher();
+    campaigns.stopRunner();
+    broadcasts.stopRunner();
     if (this.caller) this.caller.stop();
     console.log('[Scheduler] Stopped.');
   }
 
   /**
-   * Check for rentals expiring in 2 days and notify customers + admins.
+   * Send the expiry reminders that are due (each offset once per rental).
    */
   async _checkExpiringRentals() {
     try {
-      const expiring = await agreementsService.getExpiringAgreements(2);
-      if (expiring.length === 0) return;
-
-      console.log(`[Scheduler] ${expiring.length} rentals expiring in 2 days`);
-
-      for (const agreement of expiring) {
-        const daysLeft = daysBetween(todayMYT(), agreement.end_date);
-
-        // Send WhatsApp text message to customer
-        if (this.whatsapp && this.whatsapp.isConnected && this.whatsapp.isConnected() && agreement.customer_phone) {
-          const msg = customerFlows.expiringRentalMessage(agreement, daysLeft, 'en');
-          try {
-            await this.whatsapp.sendText(`${agreement.customer_phone}@c.us`, msg);
-            console.log(`[Scheduler] Sent expiry reminder to ${agreement.customer_name}`);
-          } catch (err) {
-            console.warn(`[Scheduler] Failed to contact ${agreement.customer_name}:`, err.message);
-          }
-        }
-
-        // Send voice message for urgent cases (1 day left)
-        if (this.caller && daysLeft <= 1) {
-          try {
-            await this.caller.callExpiringCustomer(agreement, daysLeft);
-            console.log(`[Scheduler] Sent voice reminder to ${agreement.customer_name}`);
-          } catch (err) {
-            console.warn(`[Scheduler] Voice call to ${agreement.customer_name} failed:`, err.message);
-          }
-        }
-
-        // Notify superadmin
-        await notifications.onExpiringRental(agreement, daysLeft);
-      }
+      await expiryReminders.run({ caller: this.caller });
     } catch (err) {
       console.error('[Scheduler] Expiry check error:', err.message);
     }
   }
 
   /**
-   * Check for overdue returns and alert admins.
+   * Move overdue returns along the playbook ladder (each step sent once).
    */
   async _checkOverdueReturns() {
     try {
-      const overdue = await agreementsService.getOverdueAgreements();
-      if (overdue.length === 0) return;
-
-      console.log(`[Scheduler] ${overdue.length} overdue returns detected`);
-
-      for (const agreement of overdue) {
-        await notifications.onOverdueReturn(agreement);
-      }
+      await overduePlaybook.run({ caller: this.caller });
     } catch (err) {
       console.error('[Scheduler] Overdue check error:', err.message);
     }
   }
 
+  /**
+   * Remind admins of deposits still held after a Completed return.
+   */
+  async _checkDepositRefunds() {
+    try {
+      await ledger.run();
+    } catch (err) {
+      console.error('[Scheduler] Deposit refund check error:', err.message);
+    }
+  }
+
   /**
    * Send daily report at 8am MYT.
    */
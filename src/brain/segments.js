@@ -0,0 +1,189 @@
+/**
+ * Segments — pick customers for campaigns and broadcasts.
+ *
+ * A segment is a comma-separated list of terms that must all match:
+ *   all                                    everyone we know
+ *   active | not active                    has a rental open right now
+ *   rentals>=2 | rentals<2 | rentals=1     rentals (open or completed)
+ *   last>90d | last<30d                    days since the last return
+ *   spent>=1000                            total rental value (RM)
+ *   car alza                               last car contains the word
+ *   tag vip | not tag blacklist            customer profile tags
+ *   search ali                             customerProfiles.search (name, phone, tag, notes)
+ *
+ * Customers are everyone in the agreements history (one per WhatsApp
+ * number — "012-…" and "+6012…" are merged) plus everyone with a profile
+ * (people who chatted but never rented have rentals=0). Admins are never
+ * included. Consent is up to the caller (consent.js).
+ *
+ * Messages are personalised with {name} (first name), {lastCar}, {rentals}.
+ */
+
+const customerProfiles = require('./customer-profiles');
+const policies = require('./policies');
+const { agreementsService } = require('../supabase/services');
+const { todayMYT, daysBetween } = require('../utils/time');
+const { waPhone } = require('../utils/phone');
+
+const CACHE_MS = 10 * 60 * 1000;
+
+class Segments {
+  constructor() {
+    this._cache = null; // { at, list }
+  }
+
+  /**
+   * "rentals>=2, last>90d, not tag blacklist" → { terms }, or { error }.
+   */
+  parse(text) {
+    const terms = [];
+    for (const part of (text || '').trim().split(/\s*,\s*|\s+and\s+/i).filter(Boolean)) {
+      if (/^(all|everyone|semua)$/i.test(part)) continue;
+      const active = part.match(/^(not\s+|-)?active$/i);
+      if (active) {
+        terms.push({ field: 'active', negate: !!active[1] });
+        continue;
+      }
+      const cmp = part.match(/^(rentals|last|spent)\s*(>=|<=|>|<|=)\s*(?:rm)?(\d+(?:\.\d+)?)\s*d?$/i);
+      if (cmp) {
+        terms.push({ field: cmp[1].toLowerCase(), op: cmp[2], value: parseFloat(cmp[3]) });
+        continue;
+      }
+      const tag = part.match(/^(not\s+|-)?tag[\s:]+(\S+)$/i);
+      if (tag) {
+        terms.push({ field: 'tag', negate: !!tag[1], value: tag[2].toLowerCase() });
+        continue;
+      }
+      const word = part.match(/^(car|search)[\s:]+(.+)$/i);
+      if (word) {
+        terms.push({ field: word[1].toLowerCase(), value: word[2].trim().toLowerCase() });
+        continue;
+      }
+      return { error: `Don't understand "${part}"` };
+    }
+    return { terms };
+  }
+
+  describe(terms, fallback = 'all customers') {
+    return terms.map(t => {
+      switch (t.field) {
+        case 'active': return t.negate ? 'not active' : 'active';
+        case 'tag': return `${t.negate ? 'not ' : ''}tag ${t.value}`;
+        case 'car':
+        case 'search': return `${t.field} ${t.value}`;
+        default: return `${t.field}${t.op}${t.field === 'last' ? `${t.value}d` : t.value}`;
+      }
+    }).join(', ') || fallback;
+  }
+
+  /**
+   * Customers matching the terms.
+   * @returns {Promise<Array<{ phone, name, rentals, totalSpent, lastEnd, lastCar, active }>>}
+   */
+  async match(terms) {
+    const today = todayMYT();
+    const searches = terms.filter(t => t.field === 'search')
+      .map(t => new Set(customerProfiles.search(t.value).map(p => p.phone)));
+
+    const result = [];
+    for (const c of await this.customers()) {
+      if (searches.some(found => !found.has(c.phone))) continue;
+      const tags = (customerProfiles.peek(c.phone)?.tags || []).map(t => t.toLowerCase());
+      const daysSince = c.lastEnd ? daysBetween(c.lastEnd, today) : null;
+      if (this._matches(terms, { ...c, tags, daysSince })) result.push(c);
+    }
+    return result;
+  }
+
+  /**
+   * Everyone we could message, one entry per WhatsApp number. Cached
+   * briefly since senders re-check each recipient before sending.
+   */
+  async customers() {
+    if (this._cache && Date.now() - this._cache.at < CACHE_MS) return this._cache.list;
+
+    const merged = new Map();
+    for (const c of await agreementsService.getCustomerSummaries()) {
+      const phone = this.phone(c.phone);
+      if (!phone) continue;
+      const prev = merged.get(phone);
+      if (!prev) {
+        merged.set(phone, { ...c, phone });
+        continue;
+      }
+      prev.rentals += c.rentals;
+      prev.totalSpent += c.totalSpent;
+      prev.active = prev.active || c.active;
+      if (c.lastEnd && (!prev.lastEnd || c.lastEnd > prev.lastEnd)) Object.assign(prev, { lastEnd: c.lastEnd, lastCar: c.lastCar, name: c.name });
+    }
+    for (const profile of customerProfiles.search('')) {
+      if (merged.has(profile.phone)) continue;
+      merged.set(profile.phone, {
+        phone: profile.phone, name: profile.name, rentals: 0, totalSpent: 0, lastEnd: null, lastCar: null, active: false,
+      });
+    }
+    for (const phone of merged.keys()) {
+      if (policies.isAdmin(phone)) merged.delete(phone);
+    }
+
+    this._cache = { at: Date.now(), list: [...merged.values()] };
+    return this._cache.list;
+  }
+
+  /**
+   * Fill {name}, {lastCar}, {rentals} for one customer.
+   */
+  render(template, customer) {
+    const first = (customer.name || '').trim().split(/\s+/)[0] || 'there';
+    const name = first.charAt(0).toUpperCase() + first.slice(1).toLowerCase();
+    return template
+      .replace(/\{name\}/gi, name)
+      .replace(/\{lastCar\}/gi, customer.lastCar || 'car')
+      .replace(/\{rentals\}/gi, String(customer.rentals || 0));
+  }
+
+  /**
+   * Agreement mobiles come as "012-345 6789", "+6012…" — WhatsApp wants 6012….
+   */
+  phone(mobile) {
+    return waPhone(mobile);
+  }
+
+  // ─── Internal ───────────────────────────────────────────
+
+  _matches(terms, c) {
+    for (const term of terms) {
+      switch (term.field) {
+        case 'active':
+          if (c.active === term.negate) return false;
+          break;
+        case 'rentals':
+        case 'spent':
+        case 'last': {
+          const value = term.field === 'rentals' ? c.rentals : term.field === 'spent' ? c.totalSpent : c.daysSince;
+          if (value === null || !this._compare(value, term.op, term.value)) return false;
+          break;
+        }
+        case 'car':
+          if (!(c.lastCar || '').toLowerCase().includes(term.value)) return false;
+          break;
+        case 'tag':
+          if (c.tags.includes(term.value) === term.negate) return false;
+          break;
+      }
+    }
+    return true;
+  }
+
+  _compare(a, op, b) {
+    switch (op) {
+      case '>': return a > b;
+      case '>=': return a >= b;
+      case '<': return a < b;
+      case '<=': return a <= b;
+      default: return a === b;
+    }
+  }
+}
+
+module.exports = new Segments();
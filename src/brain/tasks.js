@@ -20,7 +20,7 @@
  */
 
 const { dataStoreService } = require('../supabase/services');
-const { todayMYT, formatMYT } = require('../utils/time');
+const { todayMYT, formatMYT, parseDateTime } = require('../utils/time');
 
 class TaskManager {
   constructor() {
@@ -248,25 +248,14 @@ class TaskManager {
   _parseDueDate(input) {
     if (!input) return null;
 
-    const str = String(input).toLowerCase().trim();
-
-    if (str === 'today') {
-      return todayMYT() + 'T23:59:00+08:00';
-    }
-    if (str === 'tomorrow') {
-      const d = new Date();
-      d.setDate(d.getDate() + 1);
-      return d.toISOString().slice(0, 10) + 'T23:59:00+08:00';
-    }
-    if (str.match(/^in (\d+) days?$/)) {
-      const days = parseInt(str.match(/\d+/)[0]);
-      const d = new Date();
-      d.setDate(d.getDate() + days);
-      return d.toISOString().slice(0, 10) + 'T23:59:00+08:00';
-    }
+    const str = String(input).trim();
 
     // If it looks like ISO, use as-is
-    if (str.match(/^\d{4}-\d{2}-\d{2}/)) return input;
+    if (/^\d{4}-\d{2}-\d{2}/.test(str)) return input;
+
+    // "today", "tomorrow", "in 3 days", "Friday", "esok", "后天下午3点" — end of day unless a time is given
+    const parsed = parseDateTime(str, { defaultTime: '23:59' });
+    if (parsed) return `${parsed.date}T${parsed.timeGiven ? parsed.time : '23:59'}:00+08:00`;
 
     return input; // Return as-is, AI will format it
   }
@@ -0,0 +1,307 @@
+/**
+ * Waitlist — customers waiting for a car when nothing fits their dates.
+ *
+ * The booking flow offers the waitlist when no car (or none of the wanted
+ * type) is free. The sync engine reports plates that free up — a booking
+ * cancelled or completed, or a car back from maintenance — and the first
+ * waiting customer (in join order) the car fits is messaged with a hold:
+ *   "book" → booking flow starts with that car and dates
+ *   "no"   → off the list, the car goes to the next customer
+ * An offer not taken within OFFER_HOLD_MS goes to the next customer; the
+ * first one stays on the list. Entries lapse once their start date passes.
+ *
+ * Storage: Supabase bot_data_store with key prefix "waitlist:"
+ */
+
+const notifications = require('./notifications');
+const { dataStoreService, fleetService, availabilityService, syncEngine } = require('../supabase/services');
+const { todayMYT, formatMYT } = require('../utils/time');
+
+const WAITLIST_PREFIX = 'waitlist:';
+const OFFER_HOLD_MS = 2 * 60 * 60 * 1000; // a freed car is held 2 hours for the customer
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+const ACCEPT_PATTERN = /^(book|yes|ya|ok|okay|nak|boleh|好|要)\b/i;
+const DECLINE_PATTERN = /^(no|tak nak|tidak|tak|不要|不用)\b/i;
+const LEAVE_PATTERN = /\b(leave|cancel|exit)\s+(the\s+)?waitlist\b|keluar\s+senarai\s+menunggu|取消候补/i;
+
+class Waitlist {
+  constructor() {
+    this._entries = new Map(); // id → open entry (waiting / offered)
+    this._sweeper = null;
+  }
+
+  async load() {
+    try {
+      const rows = await dataStoreService.getByKeyPrefix(WAITLIST_PREFIX);
+      for (const row of rows || []) {
+        const entry = typeof row.value === 'string' ? JSON.parse(row.value) : row.value;
+        if (!entry || (entry.status !== 'waiting' && entry.status !== 'offered')) continue;
+        this._entries.set(entry.id, entry);
+
+        // Holds live in memory — put back the ones still running
+        if (entry.status === 'offered' && new Date(entry.offer.expiresAt).getTime() > Date.now()) {
+          availabilityService.hold(entry.offer.plate, entry.phone, entry.start, entry.end,
+            new Date(entry.offer.expiresAt).getTime() - Date.now());
+        }
+      }
+      console.log(`[Waitlist] Loaded ${this._entries.size} open entries`);
+    } catch (err) {
+      console.error('[Waitlist] Failed to load:', err.message);
+    }
+
+    syncEngine.onCarsFreed(freed => this.onCarsFreed(freed));
+  }
+
+  /**
+   * Add a customer for a date range. Re-joining replaces their earlier entry
+   * but keeps their place in the queue.
+   * @param {object} opts - { phone, name, criteria: { bodyType, seats, transmission }, start, end }
+   * @returns {{ entry: object, position: number }}
+   */
+  async join({ phone, name, criteria = {}, start, end }) {
+    const existing = this.getEntry(phone);
+    const entry = {
+      id: existing ? existing.id : this._newId(),
+      phone,
+      name,
+      criteria: { bodyType: criteria.bodyType || null, seats: criteria.seats || null, transmission: criteria.transmission || null },
+      start,
+      end,
+      status: 'waiting',
+      offer: null,
+      skippedPlates: [],
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      closedAt: null,
+    };
+    if (existing && existing.offer) availabilityService.releaseHolds(phone);
+
+    this._entries.set(entry.id, entry);
+    await this._save(entry);
+
+    const position = this._queue().findIndex(e => e.id === entry.id) + 1;
+    console.log(`[Waitlist] ${phone} joined #${position}: ${this._describe(entry)} ${start} → ${end}`);
+    notifications.notifySuperadmin(
+      `*📝 WAITLIST #${position}*\n\`\`\`\n${name || 'N/A'} (+${phone})\nWants: ${this._describe(entry)}\nPeriod: ${start} → ${end}\n\`\`\``
+    ).catch(() => {});
+
+    return { entry, position };
+  }
+
+  getEntry(phone) {
+    return [...this._entries.values()].find(e => e.phone === phone) || null;
+  }
+
+  has(phone) {
+    return !!this.getEntry(phone);
+  }
+
+  async leave(phone, status = 'left') {
+    const entry = this.getEntry(phone);
+    if (!entry) return null;
+    // Accepting keeps the hold — the booking flow takes it over
+    const passOn = entry.offer && status !== 'accepted' ? entry.offer.plate : null;
+    if (passOn) availabilityService.releaseHolds(phone);
+    await this._close(entry, status);
+
+    // A car that was held for them goes to the next customer
+    if (passOn) await this._offerPlate(passOn);
+    return entry;
+  }
+
+  /**
+   * A customer message while on the waitlist. Handles "book"/"no" to an
+   * offer and "leave waitlist" at any time.
+   * @returns {string|null} reply, or null when the message isn't about the waitlist
+   */
+  async handleReply(phone, name, text) {
+    const entry = this.getEntry(phone);
+    if (!entry) return null;
+    const lower = (text || '').toLowerCase().trim();
+
+    if (LEAVE_PATTERN.test(lower)) {
+      await this.leave(phone);
+      return `*Removed from waitlist*\n\`\`\`You won't get messages about ${entry.start} → ${entry.end} any more.\`\`\``;
+    }
+
+    if (entry.status !== 'offered') return null;
+
+    if (ACCEPT_PATTERN.test(lower)) {
+      const { plate } = entry.offer;
+      await this.leave(phone, 'accepted');
+      return this._bookingFlow().start(phone, name || entry.name, false, '', { start: entry.start, end: entry.end, plate });
+    }
+
+    if (DECLINE_PATTERN.test(lower)) {
+      await this.leave(phone, 'declined');
+      return `*No problem*\n\`\`\`We've passed the car on and taken you off the waitlist.\`\`\`\n\nJust say "book" whenever you need a car.`;
+    }
+
+    return null;
+  }
+
+  // ─── Freed cars ─────────────────────────────────────────
+
+  /**
+   * Called by the sync engine with plates that just became free.
+   * @param {Array<{ plate: string, reason: string }>} freed
+   */
+  async onCarsFreed(freed) {
+    for (const { plate, reason } of freed) {
+      console.log(`[Waitlist] ${plate} freed (${reason})`);
+      await this._offerPlate(plate).catch(err =>
+        console.error(`[Waitlist] Offer for ${plate} failed:`, err.message)
+      );
+    }
+  }
+
+  /**
+   * Offer a plate to the first waiting customer it fits and is free for.
+   * @returns {object|null} the entry that got the offer
+   */
+  async _offerPlate(plate) {
+    const waiting = this._queue().filter(e => e.status === 'waiting' && !e.skippedPlates.includes(plate));
+    if (waiting.length === 0) return null;
+
+    const car = await fleetService.getCarByPlate(plate);
+    if (!car || car.status === 'maintenance') return null;
+
+    for (const entry of waiting) {
+      if (!this._bookingFlow()._matchesCriteria(car, entry.criteria)) continue;
+      const check = await availabilityService.isCarAvailable(plate, entry.start, entry.end, { phone: entry.phone });
+      if (!check.available) continue;
+
+      const expiresAt = new Date(Date.now() + OFFER_HOLD_MS);
+      availabilityService.hold(plate, entry.phone, entry.start, entry.end, OFFER_HOLD_MS);
+
+      const carName = car._carName || car.body_type || 'Car';
+      const text = `*Good news — a car is free!* 🚗\n\`\`\`\n` +
+        `Car: ${carName}\n` +
+        `Period: ${entry.start} → ${entry.end}\n` +
+        `Held for you until ${formatMYT(expiresAt, 'time')}\n` +
+        `\`\`\`\n\n` +
+        `Reply *"book"* to book it now, or *"no"* to pass it to the next customer.`;
+
+      const sent = await notifications.sendToPhone(entry.phone, text);
+      if (!sent) {
+        availabilityService.releaseHolds(entry.phone);
+        continue;
+      }
+
+      entry.status = 'offered';
+      entry.offer = { plate, carName, offeredAt: new Date().toISOString(), expiresAt: expiresAt.toISOString() };
+      await this._save(entry);
+      console.log(`[Waitlist] Offered ${plate} to ${entry.phone} until ${expiresAt.toISOString()}`);
+      return entry;
+    }
+    return null;
+  }
+
+  // ─── Sweeper ────────────────────────────────────────────
+
+  /**
+   * Pass on offers nobody took in time and drop entries whose dates passed.
+   */
+  async sweep() {
+    const now = Date.now();
+    const today = todayMYT();
+
+    for (const entry of this._queue()) {
+      if (entry.start < today) {
+        if (entry.offer) availabilityService.releaseHolds(entry.phone);
+        await this._close(entry, 'expired');
+        await notifications.sendToPhone(entry.phone,
+          `*Waitlist update*\n\`\`\`Sorry, no car freed up for ${entry.start} → ${entry.end}.\`\`\`\n\nSay "book" to check other dates.`);
+        continue;
+      }
+
+      if (entry.status === 'offered' && new Date(entry.offer.expiresAt).getTime() <= now) {
+        const { plate } = entry.offer;
+        availabilityService.releaseHolds(entry.phone);
+        entry.status = 'waiting';
+        entry.skippedPlates.push(plate);
+        entry.offer = null;
+        await this._save(entry);
+        console.log(`[Waitlist] Offer of ${plate} to ${entry.phone} lapsed`);
+        await notifications.sendToPhone(entry.phone,
+          `*Hold expired*\n\`\`\`The car we held for you has gone to the next customer.\`\`\`\n\nYou're still on the waitlist for ${entry.start} → ${entry.end}.`);
+        await this._offerPlate(plate);
+      }
+    }
+  }
+
+  /**
+   * Run sweep() periodically (idempotent).
+   */
+  startSweeper() {
+    if (this._sweeper) return;
+    this._sweeper = setInterval(() => {
+      this.sweep().catch(err => console.error('[Waitlist] Sweep failed:', err.message));
+    }, SWEEP_INTERVAL_MS);
+  }
+
+  stopSweeper() {
+    if (this._sweeper) clearInterval(this._sweeper);
+    this._sweeper = null;
+  }
+
+  // ─── Admin view ─────────────────────────────────────────
+
+  /**
+   * WhatsApp summary for /waitlist.
+   */
+  formatList() {
+    const queue = this._queue();
+    if (queue.length === 0) return '*Waitlist*\n```Empty```';
+
+    let text = `*Waitlist (${queue.length})*\n\`\`\`\n`;
+    queue.forEach((e, i) => {
+      text += `${i + 1}. ${e.name || e.phone} (+${e.phone})\n`;
+      text += `   ${this._describe(e)} | ${e.start} → ${e.end}\n`;
+      if (e.offer) text += `   Offered ${e.offer.plate} until ${formatMYT(e.offer.expiresAt, 'time')}\n`;
+    });
+    text += `\`\`\``;
+    return text;
+  }
+
+  // ─── Internal ───────────────────────────────────────────
+
+  _queue() {
+    return [...this._entries.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // Lazy: booking-flow requires this module
+  _bookingFlow() {
+    return require('./booking-flow');
+  }
+
+  _describe(entry) {
+    return this._bookingFlow()._describeCriteria(entry.criteria || {}) || 'Any car';
+  }
+
+  async _close(entry, status) {
+    entry.status = status;
+    entry.offer = null;
+    entry.closedAt = new Date().toISOString();
+    this._entries.delete(entry.id);
+    await this._save(entry);
+    console.log(`[Waitlist] ${entry.phone} ${status}`);
+  }
+
+  _save(entry) {
+    return dataStoreService.setValue(`${WAITLIST_PREFIX}${entry.id}`, entry).catch(err =>
+      console.warn(`[Waitlist] Failed to save ${entry.id}:`, err.message)
+    );
+  }
+
+  _newId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+  }
+
+  getStats() {
+    const queue = this._queue();
+    return { waiting: queue.filter(e => e.status === 'waiting').length, offered: queue.filter(e => e.status === 'offered').length };
+  }
+}
+
+module.exports = new Waitlist();
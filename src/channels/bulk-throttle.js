@@ -0,0 +1,72 @@
+const { todayMYT, formatMYT } = require('../utils/time');
+
+/**
+ * Bulk throttle — shared pace for messages sent to many customers at once
+ * (campaigns, customer broadcasts), so together they never look like spam
+ * to WhatsApp:
+ *   - one message every GAP_MS, ±50% jitter
+ *   - only between SEND_HOURS (MYT)
+ *   - at most DAILY_CAP a day
+ * The outbox still rate-limits per recipient; this limits the total.
+ *
+ * Usage:
+ *   if (!bulkThrottle.ready()) return;   // try again on the next tick
+ *   await outbox.send(...);
+ *   bulkThrottle.sent();
+ */
+
+const GAP_MS = 60 * 1000;
+const SEND_HOURS = { from: 9, to: 20 };
+const DAILY_CAP = 150;
+
+class BulkThrottle {
+  constructor() {
+    this._nextAt = 0;
+    this._today = { date: null, count: 0 };
+  }
+
+  /**
+   * May a bulk message go out right now?
+   */
+  ready() {
+    if (Date.now() < this._nextAt || !this.inSendHours()) return false;
+    return this._count() < DAILY_CAP;
+  }
+
+  /**
+   * Record a bulk message and push the next slot out.
+   */
+  sent() {
+    this._count();
+    this._today.count++;
+    this._nextAt = Date.now() + GAP_MS * (0.5 + Math.random());
+  }
+
+  inSendHours() {
+    const hour = parseInt(formatMYT(new Date(), 'iso').slice(11, 13), 10);
+    return hour >= SEND_HOURS.from && hour < SEND_HOURS.to;
+  }
+
+  /**
+   * Rough minutes to send n messages at this pace (ignores hours/cap).
+   */
+  estimateMinutes(n) {
+    return Math.ceil(n * GAP_MS / 60000);
+  }
+
+  describe() {
+    return `about 1 a minute, ${SEND_HOURS.from}:00-${SEND_HOURS.to}:00 MYT, max ${DAILY_CAP}/day`;
+  }
+
+  _count() {
+    const today = todayMYT();
+    if (this._today.date !== today) this._today = { date: today, count: 0 };
+    return this._today.count;
+  }
+
+  getStats() {
+    return { sentToday: this._count(), dailyCap: DAILY_CAP };
+  }
+}
+
+module.exports = new BulkThrottle();
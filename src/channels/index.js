@@ -1,4 +1,6 @@
 const whatsapp = require('./whatsapp');
 const phone = require('./phone');
+const outbox = require('./outbox');
+const bulkThrottle = require('./bulk-throttle');
 
-module.exports = { whatsapp, phone };
+module.exports = { whatsapp, phone, outbox, bulkThrottle };
@@ -0,0 +1,359 @@
+const { dataStoreService } = require('../supabase/services');
+
+/**
+ * Outbox — every outbound WhatsApp message goes through here.
+ *
+ * - Persistent: queued, failed and recently sent messages are saved to
+ *   bot_data_store "outbox", so a crash or disconnect doesn't lose them.
+ *   Media sent from a Buffer is kept in memory only (too big to store).
+ * - Retry: failed sends are retried with exponential backoff
+ *   (10s, 20s, 40s … capped at 15 min), up to MAX_ATTEMPTS.
+ *   While WhatsApp is disconnected nothing is attempted; the queue drains
+ *   on reconnect. Messages still queued after MAX_AGE_MS are given up.
+ * - Rate limiting per recipient (min gap + per-minute cap); messages to the
+ *   same chat always go out in order.
+ * - Receipts: whatsapp-web.js message_ack updates each sent message
+ *   (server → delivered → read → played).
+ *
+ * The dashboard reads the same key through /api/outbox.
+ *
+ * Usage:
+ *   outbox.send('60123456789@c.us', 'Hello')                      → item
+ *   outbox.send(chatId, { kind: 'buffer', data, mimetype, filename, asVoice: true })
+ *   outbox.send(chatId, { kind: 'file', path, caption })
+ *   outbox.send(chatId, { kind: 'file', path, asDocument: true, filename, caption })   → PDF etc.
+ */
+
+const OUTBOX_KEY = 'outbox';
+const TICK_MS = 2000;
+const BASE_RETRY_MS = 10 * 1000;
+const MAX_RETRY_MS = 15 * 60 * 1000;
+const MAX_ATTEMPTS = 6;
+const MAX_AGE_MS = 12 * 60 * 60 * 1000;
+const KEEP_SENT = 100;
+const KEEP_FAILED = 100;
+
+// Per recipient
+const RATE_LIMIT = { minGapMs: 800, perMinute: 20 };
+
+// whatsapp-web.js MessageAck values
+const ACK = { '-1': 'error', 0: 'pending', 1: 'server', 2: 'delivered', 3: 'read', 4: 'played' };
+
+class Outbox {
+  constructor() {
+    this.whatsapp = null;
+    this._items = [];           // queued / sending / failed / recent sent, oldest first
+    this._recent = new Map();   // chatId → send timestamps (last minute)
+    this._running = null;       // current drain promise
+    this._again = false;
+    this._timer = null;
+    this._saveTimer = null;
+  }
+
+  /**
+   * Attach the WhatsApp channel, restore the saved queue and start draining.
+   */
+  async init(whatsappChannel) {
+    this.whatsapp = whatsappChannel;
+    if (whatsappChannel) whatsappChannel.onAck = (waId, ack) => this.onAck(waId, ack);
+    await this.load();
+    this.start();
+  }
+
+  async load() {
+    try {
+      const stored = await dataStoreService.getByKey(OUTBOX_KEY);
+      const items = (typeof stored === 'string' ? JSON.parse(stored) : stored)?.items || [];
+      const known = new Set(this._items.map(i => i.id));
+      for (const item of items) {
+        if (known.has(item.id)) continue;
+        if (item.status === 'sending') item.status = 'queued'; // crashed mid-send
+        if (item.status === 'queued' && item.payload.kind === 'buffer' && !item.payload.data) {
+          this._fail(item, 'Media was not kept across restart');
+        }
+        this._items.push(item);
+      }
+      this._items.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      const queued = this._items.filter(i => i.status === 'queued').length;
+      console.log(`[Outbox] Loaded ${this._items.length} messages (${queued} queued)`);
+    } catch (err) {
+      console.error('[Outbox] Failed to load:', err.message);
+    }
+  }
+
+  isEnabled() {
+    return !!this.whatsapp;
+  }
+
+  /**
+   * Queue a message and start a drain without waiting for it, so a slow
+   * or rate-limited queue never holds up the caller.
+   * @param {string} to - chat ID ("6012…@c.us") or phone
+   * @param {string|object} payload - text, or { kind: 'text'|'file'|'buffer', … }
+   * @param {object} opts - { source } label shown in the dashboard
+   * @returns {object|null} the outbox item (usually still queued), null in dev mode
+   */
+  async send(to, payload, opts = {}) {
+    const chatId = to.includes('@') ? to : `${to.replace(/\D/g, '')}@c.us`;
+    const body = typeof payload === 'string' ? { kind: 'text', text: payload } : payload;
+
+    if (!this.whatsapp) {
+      console.log(`[Outbox → ${chatId.replace(/@.*/, '')}] ${this._preview(body).slice(0, 150)}`);
+      return null;
+    }
+
+    const item = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      to: chatId,
+      payload: body,
+      source: opts.source || null,
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: null,
+      createdAt: new Date().toISOString(),
+      sentAt: null,
+      waId: null,
+      ack: null,
+      ackAt: null,
+      error: null,
+    };
+    this._items.push(item);
+    this._save();
+
+    this._process().catch(err => console.error('[Outbox] Drain failed:', err.message));
+    return item;
+  }
+
+  // ─── Draining ───────────────────────────────────────────
+
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => {
+      this._process().catch(err => console.error('[Outbox] Drain failed:', err.message));
+    }, TICK_MS);
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+    if (this._saveTimer) {
+      clearTimeout(this._saveTimer);
+      this._saveTimer = null;
+      this._persist();
+    }
+  }
+
+  /**
+   * Run one drain, or ask the running one to go round again (so a message
+   * queued mid-drain is picked up without waiting for the next tick).
+   */
+  _process() {
+    if (this._running) {
+      this._again = true;
+      return this._running;
+    }
+    this._running = (async () => {
+      do {
+        this._again = false;
+        await this._drain();
+      } while (this._again);
+    })().finally(() => { this._running = null; });
+    return this._running;
+  }
+
+  async _drain() {
+    const now = Date.now();
+    const blocked = new Set(); // chats with an earlier message still waiting
+
+    for (const item of this._items) {
+      if (item.status !== 'queued') continue;
+
+      if (now - new Date(item.createdAt).getTime() > MAX_AGE_MS) {
+        this._fail(item, item.error ? `Gave up: ${item.error}` : 'Expired in queue');
+        continue;
+      }
+      if (!this._connected()) return;
+      if (blocked.has(item.to)) continue;
+      if (item.nextAttemptAt && new Date(item.nextAttemptAt).getTime() > now) {
+        blocked.add(item.to);
+        continue;
+      }
+
+      const wait = this._rateWait(item.to);
+      if (wait > RATE_LIMIT.minGapMs) {
+        blocked.add(item.to);
+        continue;
+      }
+      if (wait > 0) await new Promise(r => setTimeout(r, wait));
+
+      await this._attempt(item);
+      if (item.status === 'queued') blocked.add(item.to);
+    }
+  }
+
+  async _attempt(item) {
+    item.status = 'sending';
+    item.attempts++;
+    try {
+      const sent = await this._deliver(item);
+      item.status = 'sent';
+      item.sentAt = new Date().toISOString();
+      item.waId = sent?.id?._serialized || null;
+      item.error = null;
+      if (item.payload.kind === 'buffer') delete item.payload.data;
+      this._markSent(item.to);
+    } catch (err) {
+      item.status = 'queued';
+      item.error = err.message;
+      if (!this._connected()) {
+        item.attempts--; // dropped connection, not this message's fault
+      } else if (item.attempts >= MAX_ATTEMPTS) {
+        this._fail(item, err.message);
+        console.error(`[Outbox] Gave up on ${item.id} to ${item.to} after ${item.attempts} attempts:`, err.message);
+      } else {
+        const delay = Math.min(BASE_RETRY_MS * 2 ** (item.attempts - 1), MAX_RETRY_MS);
+        item.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        console.warn(`[Outbox] Send to ${item.to} failed (attempt ${item.attempts}), retrying in ${Math.round(delay / 1000)}s:`, err.message);
+      }
+    }
+    this._save();
+  }
+
+  _deliver(item) {
+    const { to, payload: p } = item;
+    switch (p.kind) {
+      case 'text':
+        return this.whatsapp.sendText(to, p.text);
+      case 'file':
+        if (p.asDocument) return this.whatsapp.sendDocument(to, p.path, p.filename, p.caption || '');
+        return p.asVoice ? this.whatsapp.sendVoice(to, p.path) : this.whatsapp.sendImage(to, p.path, p.caption || '');
+      case 'buffer':
+        if (!p.data) throw new Error('Media data missing');
+        return this.whatsapp.sendMediaBuffer(to, Buffer.from(p.data, 'base64'), p.mimetype, p.filename, p.caption || '',
+          p.asVoice ? { sendAudioAsVoice: true } : {});
+      default:
+        throw new Error(`Unknown outbox payload: ${p.kind}`);
+    }
+  }
+
+  _fail(item, reason) {
+    item.status = 'failed';
+    item.error = reason;
+    item.failedAt = new Date().toISOString();
+    if (item.payload.kind === 'buffer') delete item.payload.data;
+    this._save();
+  }
+
+  _connected() {
+    return !!(this.whatsapp && this.whatsapp.isConnected && this.whatsapp.isConnected());
+  }
+
+  // ─── Rate limiting ──────────────────────────────────────
+
+  _rateWait(chatId) {
+    const now = Date.now();
+    const times = (this._recent.get(chatId) || []).filter(t => now - t < 60000);
+    this._recent.set(chatId, times);
+    if (times.length === 0) return 0;
+    if (times.length >= RATE_LIMIT.perMinute) return times[0] + 60000 - now;
+    return Math.max(0, times[times.length - 1] + RATE_LIMIT.minGapMs - now);
+  }
+
+  _markSent(chatId) {
+    if (!this._recent.has(chatId)) this._recent.set(chatId, []);
+    this._recent.get(chatId).push(Date.now());
+  }
+
+  // ─── Receipts ───────────────────────────────────────────
+
+  /**
+   * whatsapp-web.js message_ack for one of our messages.
+   * @param {string} waId - serialized message id
+   * @param {number} ack - MessageAck value
+   */
+  onAck(waId, ack) {
+    if (!waId) return;
+    const item = this._items.find(i => i.waId === waId);
+    if (!item) return;
+    item.ack = ACK[ack] || String(ack);
+    item.ackAt = new Date().toISOString();
+    if (ack === -1) this._fail(item, 'WhatsApp reported a send error');
+    this._save();
+  }
+
+  // ─── Views ──────────────────────────────────────────────
+
+  getStats() {
+    const stats = { queued: 0, failed: 0, sent: 0, delivered: 0, read: 0 };
+    for (const item of this._items) {
+      if (item.status === 'queued' || item.status === 'sending') stats.queued++;
+      else if (item.status === 'failed') stats.failed++;
+      else {
+        stats.sent++;
+        if (['delivered', 'read', 'played'].includes(item.ack)) stats.delivered++;
+        if (['read', 'played'].includes(item.ack)) stats.read++;
+      }
+    }
+    return stats;
+  }
+
+  /**
+   * Requeue failed messages (all, or the ones to one chat/phone).
+   * @returns {number} how many were requeued
+   */
+  async retryFailed(to = null) {
+    const match = to ? to.replace(/\D/g, '') : null;
+    let count = 0;
+    for (const item of this._items) {
+      if (item.status !== 'failed' || item.payload.kind === 'buffer') continue;
+      if (match && !item.to.startsWith(match)) continue;
+      Object.assign(item, { status: 'queued', attempts: 0, nextAttemptAt: null, error: null, createdAt: new Date().toISOString() });
+      count++;
+    }
+    if (count) {
+      this._items.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      this._save();
+      await this._process();
+    }
+    return count;
+  }
+
+  // ─── Persistence ────────────────────────────────────────
+
+  /**
+   * Save soon — several changes in a burst become one write.
+   */
+  _save() {
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this._persist();
+    }, 1000);
+  }
+
+  _persist() {
+    this._trim();
+    const items = this._items.map(i => (i.payload.kind === 'buffer' && i.payload.data
+      ? { ...i, payload: { ...i.payload, data: null } }
+      : i));
+    return dataStoreService.setValue(OUTBOX_KEY, { items, stats: this.getStats(), updatedAt: new Date().toISOString() })
+      .catch(err => console.warn('[Outbox] Failed to save:', err.message));
+  }
+
+  _trim() {
+    const sent = this._items.filter(i => i.status === 'sent');
+    const failed = this._items.filter(i => i.status === 'failed');
+    const drop = new Set([
+      ...sent.slice(0, Math.max(0, sent.length - KEEP_SENT)),
+      ...failed.slice(0, Math.max(0, failed.length - KEEP_FAILED)),
+    ]);
+    if (drop.size) this._items = this._items.filter(i => !drop.has(i));
+  }
+
+  _preview(payload) {
+    if (payload.kind === 'text') return payload.text.replace(/\n/g, ' | ');
+    return `[${payload.asVoice ? 'voice' : payload.asDocument ? 'document' : 'media'}] ${payload.caption || payload.filename || payload.path || ''}`;
+  }
+}
+
+module.exports = new Outbox();
@@ -1,6 +1,7 @@
 const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
 const config = require('../config');
+const outbox = require('./outbox');
 const fs = require('fs');
 const path = require('path');
 
@@ -15,6 +16,7 @@ class WhatsAppChannel {
     this.ready = false;
     this.onMessage = null; // Callback: (msg) => {}
     this.onReady = null;
+    this.onAck = null;     // Callback: (messageId, ack) => {} — set by the outbox
     // LID → phone mapping cache (WhatsApp LIDs are opaque identifiers)
     this._lidCache = new Map();
     this._lidSavedToDb = new Set(); // Track which LIDs have been saved to Supabase
@@ -64,6 +66,11 @@ class WhatsAppChannel {
       }
     });
 
+    // Delivery receipts for messages we sent
+    this.client.on('message_ack', (msg, ack) => {
+      if (this.onAck && msg.fromMe) this.onAck(msg.id?._serialized, ack);
+    });
+
     this.client.on('disconnected', (reason) => {
       this.ready = false;
       console.warn('[WhatsApp] Disconnected:', reason);
@@ -202,9 +209,9 @@ class WhatsAppChannel {
       hasMedia: msg.hasMedia,
       media: null,
       location: null,
-      reply: async (text) => this.sendText(msg.from, text),
-      replyWithVoice: async (audioPath) => this.sendVoice(msg.from, audioPath),
-      replyWithImage: async (imagePath, caption) => this.sendImage(msg.from, imagePath, caption),
+      reply: async (text) => outbox.send(msg.from, text, { source: 'reply' }),
+      replyWithVoice: async (audioPath) => outbox.send(msg.from, { kind: 'file', path: audioPath, asVoice: true }, { source: 'reply' }),
+      replyWithImage: async (imagePath, caption) => outbox.send(msg.from, { kind: 'file', path: imagePath, caption }, { source: 'reply' }),
     };
 
     // Parse location if present
@@ -268,30 +275,33 @@ class WhatsAppChannel {
   }
 
   // ─── Send Methods ─────────────────────────────────────
+  // Low-level: app code sends through channels/outbox (retry, receipts).
+  // Each returns the sent whatsapp-web.js Message.
 
   async sendText(to, text) {
     if (!this.ready) throw new Error('WhatsApp not connected');
-    await this.client.sendMessage(to, text);
+    return this.client.sendMessage(to, text);
   }
 
   async sendVoice(to, audioPath) {
     if (!this.ready) throw new Error('WhatsApp not connected');
     const media = MessageMedia.fromFilePath(audioPath);
-    await this.client.sendMessage(to, media, { sendAudioAsVoice: true });
+    return this.client.sendMessage(to, media, { sendAudioAsVoice: true });
   }
 
   async sendImage(to, imagePath, caption = '') {
     if (!this.ready) throw new Error('WhatsApp not connected');
     const media = MessageMedia.fromFilePath(imagePath);
-    await this.client.sendMessage(to, media, { caption });
+    return this.client.sendMessage(to, media, { caption });
   }
 
-  async sendDocument(to, filePath, filename) {
+  async sendDocument(to, filePath, filename, caption = '') {
     if (!this.ready) throw new Error('WhatsApp not connected');
     const media = MessageMedia.fromFilePath(filePath);
-    await this.client.sendMessage(to, media, {
+    media.filename = filename || path.basename(filePath);
+    return this.client.sendMessage(to, media, {
       sendMediaAsDocument: true,
-      filename: filename || path.basename(filePath),
+      caption: caption || undefined,
     });
   }
 
@@ -306,7 +316,7 @@ class WhatsAppChannel {
     if (!this.ready) throw new Error('WhatsApp not connected');
     const Location = require('whatsapp-web.js').Location;
     const loc = new Location(lat, lng, description);
-    await this.client.sendMessage(to, loc);
+    return this.client.sendMessage(to, loc);
   }
 
   /**
@@ -320,7 +330,7 @@ class WhatsAppChannel {
   async sendMediaFromUrl(to, url, caption = '', asDocument = false) {
     if (!this.ready) throw new Error('WhatsApp not connected');
     const media = await MessageMedia.fromUrl(url, { unsafeMime: true });
-    await this.client.sendMessage(to, media, {
+    return this.client.sendMessage(to, media, {
       caption,
       sendMediaAsDocument: asDocument,
     });
@@ -333,17 +343,18 @@ class WhatsAppChannel {
    * @param {string} mimetype - MIME type (e.g., 'image/jpeg')
    * @param {string} filename - Filename
    * @param {string} caption - Optional caption
+   * @param {object} options - Extra sendMessage options (e.g. { sendAudioAsVoice: true })
    */
-  async sendMediaBuffer(to, buffer, mimetype, filename, caption = '') {
+  async sendMediaBuffer(to, buffer, mimetype, filename, caption = '', options = {}) {
     if (!this.ready) throw new Error('WhatsApp not connected');
     const b64 = buffer.toString('base64');
     const media = new MessageMedia(mimetype, b64, filename);
-    await this.client.sendMessage(to, media, { caption });
+    return this.client.sendMessage(to, media, { caption, ...options });
   }
 
   async sendToAdmin(text) {
     if (config.admin.bossPhone) {
-      await this.sendText(`${config.admin.bossPhone}@c.us`, text);
+      await outbox.send(`${config.admin.bossPhone}@c.us`, text, { source: 'system' });
     }
   }
 
@@ -362,7 +373,7 @@ class WhatsAppChannel {
     }
     const b64 = buffer.toString('base64');
     const media = new MessageMedia(mimetype, b64, filename);
-    await this.client.sendMessage(superadminChatId, media, { caption });
+    return this.client.sendMessage(superadminChatId, media, { caption });
   }
 
   /**
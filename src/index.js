@@ -4,7 +4,11 @@ const aiRouter = require('./ai/router');
 const providers = require('./ai/providers');
 const jarvis = require('./brain/jarvis');
 const conversation = require('./brain/conversation');
+const bookingFlow = require('./brain/booking-flow');
+const notifications = require('./brain/notifications');
+const scheduler = require('./brain/scheduler');
 const whatsapp = require('./channels/whatsapp');
+const outbox = require('./channels/outbox');
 const phone = require('./channels/phone');
 const { display, camera, gpio } = require('./hardware');
 const fs = require('fs');
@@ -52,6 +56,9 @@ async function boot() {
   console.log('[Boot] Initializing AI engines (OpenClaw provider rotation)...');
   await aiRouter.init();
 
+  // Half-finished booking chats survive restarts and relinks
+  await bookingFlow.restore();
+
   // ─── 3. Initialize hardware (Jetson or laptop stubs) ──
   console.log('[Boot] Initializing hardware...');
   await Promise.all([camera.init(), gpio.init()]);
@@ -81,6 +88,16 @@ async function boot() {
     whatsapp.sendToAdmin('*JARVIS v2.0 Online — OpenClaw Edition*\n```\nProvider rotation: Kimi → Groq → Ollama\nWorkspace: .agent/SOUL.md loaded\nSelf-healing: 5-min health checks\nAll systems operational.\n```');
   };
 
+  // Every outbound message goes through the outbox (persistent queue, retry, receipts)
+  await outbox.init(whatsapp);
+
+  // Approvals, abandoned-booking nudges and waitlist offers go out through the notification manager
+  notifications.init(whatsapp);
+
+  // Proactive tasks: expiry reminders, overdue playbook, reminders, sweepers, digests
+  scheduler.init(whatsapp);
+  scheduler.start();
+
   await whatsapp.init(async (msg) => {
     // ═══ OpenClaw Agent Loop ═══
     // Receive → Typing → Process → Track → Respond
@@ -153,6 +170,9 @@ async function boot() {
       console.log('[JARVIS] Force re-checking all AI providers...');
       const status = await aiRouter.recheckProviders();
       console.log('[JARVIS] Provider status:', JSON.stringify(status.providers.map(p => `${p.name}: ${p.available ? 'OK' : 'DOWN'}`)));
+    } else if (command === 'retry-outbox') {
+      const count = await outbox.retryFailed();
+      console.log(`[JARVIS] Requeued ${count} failed outbox messages.`);
     }
   });
 
@@ -161,6 +181,8 @@ async function boot() {
     console.log(`\n[JARVIS] Shutting down (${signal})...`);
     gpio.setStatus('error');
     providers.destroy(); // Stop health check timers
+    scheduler.stop();
+    outbox.stop();
     syncEngine.stop();
     await whatsapp.destroy();
     await phone.destroy();
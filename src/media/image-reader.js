@@ -2,6 +2,7 @@ const config = require('../config');
 const fs = require('fs');
 const path = require('path');
 const geminiClient = require('../ai/gemini-client');
+const { parseDateTimeRange } = require('../utils/time');
 
 /**
  * Image Reader - Analyzes images using AI vision.
@@ -212,6 +213,56 @@ class ImageReader {
     return this.analyze(image,
       'Analyze this car image for any visible damage, scratches, dents, or issues. Describe the severity and location of each issue found.');
   }
+
+  /**
+   * Read a bank transfer / DuitNow receipt.
+   * Vision engines are asked for labelled lines; when only Tesseract is
+   * left, the raw OCR text is parsed the same way. An analyze() result
+   * already made for the image is parsed instead of reading it again.
+   * @returns {{ amount: number|null, date: string|null, reference: string|null, bank: string|null, engine: string, text: string }}
+   */
+  async readPaymentProof(image, analysis = null) {
+    const result = analysis || await this.analyze(image,
+      'This is a bank transfer or DuitNow payment receipt. Reply with exactly these lines, writing "unknown" for anything you cannot read:\n' +
+      'Amount: <amount in RM, digits only>\nDate: <transfer date, YYYY-MM-DD>\nReference: <reference / transaction number>\nBank: <sending bank or e-wallet>');
+    const text = `${result.description || ''}\n${result.text || ''}`;
+    return { ...this._parsePayment(text), engine: result.engine, text: text.trim() };
+  }
+
+  _parsePayment(text) {
+    const field = label => {
+      const m = text.match(new RegExp(`^\\W*${label}\\W*:\\s*(.+)$`, 'im'));
+      return m && !/^unknown\b/i.test(m[1].trim()) ? m[1].trim() : null;
+    };
+
+    let amount = null;
+    const amountText = field('amount') || (text.match(/(?:RM|MYR)\s*([\d,]+(?:\.\d{1,2})?)/i) || [])[1];
+    if (amountText) {
+      const n = parseFloat(amountText.replace(/rm|myr|,|\s/gi, ''));
+      if (n > 0) amount = Math.round(n * 100) / 100;
+    }
+
+    let date = null;
+    const dateText = field('date') || (text.match(/^.*(?:\d{4}|jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec).*$/im) || [])[0];
+    if (dateText && /\d{4}/.test(dateText)) {
+      const range = parseDateTimeRange(dateText);
+      if (range) date = range.start;
+    }
+
+    let reference = field('reference');
+    if (!reference) {
+      const m = text.match(/(?:ref(?:erence)?\.?\s*(?:no\.?|number|id)?|transaction\s*(?:id|no\.?)|no\.?\s*rujukan|rujukan|recipient\s*reference)\s*[:#]?\s*((?=[A-Z-]*\d)[A-Z0-9][A-Z0-9-]{5,})/i);
+      if (m) reference = m[1];
+    }
+    if (reference) reference = reference.replace(/\s+/g, '').toUpperCase();
+
+    const bank = field('bank') || (text.match(BANK_PATTERN) || [])[0] || null;
+
+    return { amount, date, reference, bank };
+  }
 }
 
+// Malaysian banks / e-wallets as they appear on receipts
+const BANK_PATTERN = /maybank2u|maybank|cimb(?:\s*clicks)?|public\s*bank|pbe(?:ngage)?|rhb|hong\s*leong|ambank|bank\s*islam|bank\s*rakyat|bsn|affin|alliance|ocbc|uob|hsbc|standard\s*chartered|agro\s*bank|muamalat|touch\s*'?n\s*go|tng\s*ewallet|boost|grabpay|shopeepay|duitnow/i;
+
 module.exports = new ImageReader();
@@ -1,5 +1,6 @@
 const imageReader = require('./image-reader');
 const imageGenerator = require('./image-generator');
 const cloudinary = require('./cloudinary');
+const pdfRenderer = require('./pdf-renderer');
 
-module.exports = { imageReader, imageGenerator, cloudinary };
+module.exports = { imageReader, imageGenerator, cloudinary, pdfRenderer };
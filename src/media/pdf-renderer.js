@@ -0,0 +1,210 @@
+const config = require('../config');
+const fs = require('fs');
+const path = require('path');
+const policies = require('../brain/policies');
+
+/**
+ * PDF Renderer — turns a document spec into an A4 PDF on the JRV letterhead.
+ *
+ * Spec (built by DocumentGenerator for every document type):
+ *   {
+ *     title: 'INVOICE', docNumber: 'INV-2026-00123', date: '2026-10-19',
+ *     details:  [['Customer', 'Ali'], ['Car', 'Perodua Bezza'], ...],
+ *     body:     ['paragraph line', ...],              // free text (notices, custom)
+ *     items:    [{ description, amount }],          // amount in RM, or text
+ *     totals:   [{ label, amount, bold }],
+ *     sections: [{ heading, lines: ['...'] }],      // payment, terms, notes
+ *     signatures: ['Renter', 'JRV Car Rental'],     // optional signing lines
+ *   }
+ * WhatsApp markup (*bold*, _italic_, ```) and emoji are stripped; the
+ * built-in fonts only cover Latin text.
+ *
+ * Files are written to generated/documents/<docNumber>.pdf.
+ */
+
+const PAGE = { size: 'A4', margin: 50 };
+const BRAND = '#0b3d91';
+const GREY = '#555555';
+
+class PdfRenderer {
+  constructor() {
+    this.outDir = path.join(config.paths.generated, 'documents');
+  }
+
+  /**
+   * Render a spec to a PDF file.
+   * @param {object} spec - see module header
+   * @param {string} fileName - without extension (defaults to the doc number)
+   * @returns {Promise<string>} file path
+   */
+  async render(spec, fileName = null) {
+    const PDFDocument = require('pdfkit');
+    if (!fs.existsSync(this.outDir)) fs.mkdirSync(this.outDir, { recursive: true });
+
+    const name = (fileName || spec.docNumber || `doc_${Date.now()}`).replace(/[^\w.-]+/g, '_');
+    const filePath = path.join(this.outDir, `${name}.pdf`);
+
+    const doc = new PDFDocument({ size: PAGE.size, margin: PAGE.margin, info: { Title: `${spec.title} ${spec.docNumber || ''}`.trim(), Author: policies.business.name } });
+    const done = new Promise((resolve, reject) => {
+      const stream = fs.createWriteStream(filePath);
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+      doc.pipe(stream);
+    });
+
+    this._letterhead(doc);
+    this._heading(doc, spec);
+    if (spec.details && spec.details.length) this._details(doc, spec.details);
+    if (spec.body) this._section(doc, { lines: spec.body });
+    if ((spec.items && spec.items.length) || (spec.totals && spec.totals.length)) this._items(doc, spec.items || [], spec.totals || []);
+    for (const section of spec.sections || []) this._section(doc, section);
+    if (spec.signatures) this._signatures(doc, spec.signatures);
+    this._footer(doc);
+
+    doc.end();
+    await done;
+    return filePath;
+  }
+
+  // ─── Blocks ─────────────────────────────────────────────
+
+  _letterhead(doc) {
+    const b = policies.business;
+    const left = doc.page.margins.left;
+    doc.fillColor(BRAND).font('Helvetica-Bold').fontSize(20).text(b.name, left, 45);
+    doc.fillColor(GREY).font('Helvetica').fontSize(8.5).text(b.company);
+    for (const branch of b.branches) doc.text(branch);
+    doc.text(`WhatsApp +${b.whatsapp}  |  ${b.website.replace(/^https?:\/\//, '')}`);
+    doc.moveDown(0.6);
+    this._rule(doc, BRAND, 1.5);
+    doc.moveDown(0.8);
+  }
+
+  _heading(doc, spec) {
+    const left = doc.page.margins.left;
+    const width = this._width(doc);
+    const y = doc.y;
+    doc.fillColor('black').font('Helvetica-Bold').fontSize(16).text(this._clean(spec.title).toUpperCase(), left, y, { width: width / 2 });
+    doc.font('Helvetica').fontSize(9.5);
+    const meta = [spec.docNumber ? `No: ${spec.docNumber}` : null, spec.date ? `Date: ${spec.date}` : null].filter(Boolean).join('\n');
+    doc.text(meta, left + width / 2, y + 2, { width: width / 2, align: 'right' });
+    doc.x = left;
+    doc.y = Math.max(doc.y, y + 22);
+    doc.moveDown(0.8);
+  }
+
+  _details(doc, details) {
+    const left = doc.page.margins.left;
+    doc.fontSize(10);
+    for (const [label, value] of details) {
+      if (value === null || value === undefined || value === '') continue;
+      const y = doc.y;
+      doc.fillColor(GREY).font('Helvetica').text(this._clean(label), left, y, { width: 110 });
+      doc.fillColor('black').font('Helvetica-Bold').text(this._clean(String(value)), left + 115, y, { width: this._width(doc) - 115 });
+      doc.moveDown(0.2);
+    }
+    doc.x = left;
+    doc.moveDown(0.8);
+  }
+
+  _items(doc, items, totals) {
+    const left = doc.page.margins.left;
+    const width = this._width(doc);
+    const amountX = left + width - 110;
+
+    doc.rect(left, doc.y, width, 18).fill(BRAND);
+    const headY = doc.y + 5;
+    doc.fillColor('white').font('Helvetica-Bold').fontSize(9.5)
+      .text('Description', left + 6, headY, { width: amountX - left - 12 })
+      .text('Amount (RM)', amountX, headY, { width: 104, align: 'right' });
+    doc.y = headY + 18;
+
+    doc.fillColor('black').font('Helvetica').fontSize(10);
+    for (const item of items) {
+      const y = doc.y;
+      doc.text(this._clean(item.description), left + 6, y, { width: amountX - left - 12 });
+      const rowEnd = doc.y;
+      doc.text(this._amount(item.amount), amountX, y, { width: 104, align: 'right' });
+      doc.y = Math.max(rowEnd, doc.y) + 4;
+    }
+    this._rule(doc, '#cccccc', 0.5);
+    doc.moveDown(0.4);
+
+    for (const t of totals) {
+      const y = doc.y;
+      doc.font(t.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(t.bold ? 11 : 10)
+        .text(this._clean(t.label), left + width / 2 - 60, y, { width: width / 2 - 56, align: 'right' })
+        .text(this._amount(t.amount), amountX, y, { width: 104, align: 'right' });
+      doc.moveDown(0.25);
+    }
+    doc.x = left;
+    doc.moveDown(0.8);
+  }
+
+  _section(doc, { heading, lines }) {
+    const text = (lines || []).filter(l => l !== null && l !== undefined).map(l => this._clean(l));
+    if (!heading && text.every(l => !l.trim())) return;
+    const left = doc.page.margins.left;
+    if (heading) doc.fillColor(BRAND).font('Helvetica-Bold').fontSize(10.5).text(this._clean(heading), left);
+    doc.fillColor('black').font('Helvetica').fontSize(9.5);
+    for (const line of text) doc.text(line || ' ', left, doc.y, { width: this._width(doc) });
+    doc.moveDown(0.8);
+  }
+
+  _signatures(doc, parties) {
+    const left = doc.page.margins.left;
+    const width = this._width(doc);
+    const col = width / parties.length;
+    doc.moveDown(2);
+    const y = doc.y;
+    parties.forEach((party, i) => {
+      const x = left + i * col;
+      doc.moveTo(x, y).lineTo(x + col - 30, y).strokeColor('black').lineWidth(0.5).stroke();
+      doc.fillColor(GREY).font('Helvetica').fontSize(9).text(party, x, y + 4, { width: col - 30 });
+    });
+    doc.x = left;
+    doc.moveDown(1);
+  }
+
+  _footer(doc) {
+    const b = policies.business;
+    const margin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0; // writing below the margin would start a new page
+    doc.fillColor(GREY).font('Helvetica').fontSize(8)
+      .text(`${b.name} (${b.company})  |  This is a computer-generated document.`, doc.page.margins.left, doc.page.height - margin + 15, {
+        width: this._width(doc), align: 'center', lineBreak: false,
+      });
+    doc.page.margins.bottom = margin;
+  }
+
+  // ─── Helpers ───────────────────────────────────────────
+
+  _rule(doc, color, width) {
+    const left = doc.page.margins.left;
+    doc.moveTo(left, doc.y).lineTo(left + this._width(doc), doc.y).strokeColor(color).lineWidth(width).stroke();
+  }
+
+  _width(doc) {
+    return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  }
+
+  _amount(amount) {
+    if (typeof amount === 'number') return amount.toFixed(2);
+    return amount ? this._clean(String(amount)) : '';
+  }
+
+  /**
+   * WhatsApp text → plain Latin text the standard PDF fonts can draw.
+   */
+  _clean(text) {
+    return String(text || '')
+      .replace(/```/g, '')
+      .replace(/(^|\s)[*_]([^*_\n]+)[*_](?=\s|$|[.,:;!?])/g, '$1$2')
+      .replace(/→/g, '-')
+      .replace(/[•]/g, '-')
+      .replace(/[^\x20-\x7E\u00A0-\u00FF\u2013\u2014\u2018\u2019\u201C\u201D\n]/g, '')
+      .trim();
+  }
+}
+
+module.exports = new PdfRenderer();
@@ -36,9 +36,10 @@ const TABLE = 'agreements';
 
 const FIELDS = {
   ALL: '*',
-  ACTIVE: 'id, customer_name, mobile, plate_number, car_type, date_start, date_end, status, total_price',
+  ACTIVE: 'id, customer_name, mobile, plate_number, car_type, date_start, date_end, status, total_price, remarks',
   SUMMARY: 'id, customer_name, plate_number, date_start, date_end, status, total_price',
   FINANCIAL: 'id, customer_name, total_price, deposit_price, paid, booking_payment',
+  LEDGER: 'id, customer_name, mobile, plate_number, car_type, date_start, date_end, status, total_price, deposit_price, deposit_refunded, paid, booking_payment, remarks',
 };
 
 // Status values match DB (capitalized)
@@ -54,4 +55,15 @@ const STATUS = {
 // Statuses that mean car is currently rented (before checking date_end)
 const ACTIVE_STATUSES = ['New', 'Editted', 'Extended'];
 
-module.exports = { TABLE, FIELDS, STATUS, ACTIVE_STATUSES };
+// booking_payment value for chat bookings that have not been paid yet.
+// Staff replace it once payment is verified.
+const PENDING_PAYMENT = 'Pending Payment';
+
+// booking_payment values written when an admin approves a payment proof
+const PAID = 'Paid';
+const PARTIALLY_PAID = 'Partially Paid';
+
+// Written to creator_email on rows inserted by the bot (no staff login)
+const BOT_CREATOR = 'jarvis@jrv.bot';
+
+module.exports = { TABLE, FIELDS, STATUS, ACTIVE_STATUSES, PENDING_PAYMENT, PAID, PARTIALLY_PAID, BOT_CREATOR };
@@ -20,6 +20,15 @@
  *   "escalation:"     - Escalation logs
  *   "jarvis_error_"   - Error logs
  *   "car_media:"      - Car media URLs
+ *   "testimonial"     - Customer testimonials (website + AI prompt)
+ *   "feedback:"       - Post-rental ratings per agreement
+ *   "campaign:"       - Win-back campaigns with recipients and results
+ *   "broadcast:"      - Customer broadcasts with queue and progress
+ *   "payment:"        - Customer payment proofs (amount, reference, image hash, match)
+ *   "deposit_refund:" - Last deposit refund reminder per agreement
+ *   "doc_counter:"    - Document number sequence per type and year (e.g. doc_counter:INV-2026)
+ *   "doc:"            - Issued document registry (number, type, customer, amount, issuer, void)
+ *   "einvoice"        - MyInvois supplier details (TIN, BRN, SST, MSIC, tax type/rate)
  */
 
 const TABLE = 'bot_data_store';
@@ -3,6 +3,7 @@ const { agreements } = require('../schemas');
 const { ACTIVE_STATUSES } = agreements;
 const { EXCLUDED_AGREEMENT_STATUSES } = require('../../utils/validators');
 const { todayMYT, daysFromNowMYT, formatMYT } = require('../../utils/time');
+const { LEDGER_STATUSES, summarize } = require('../../utils/receivables');
 
 /**
  * Agreements Service
@@ -63,6 +64,18 @@ class AgreementsService {
     return data;
   }
 
+  /**
+   * Active agreements due back today or earlier (the caller checks the time).
+   */
+  async getDueAgreements() {
+    const { data, error } = await this._baseQuery(agreements.FIELDS.ACTIVE)
+      .in('status', ACTIVE_STATUSES)
+      .lt('date_end', daysFromNowMYT(1))
+      .order('date_end');
+    if (error) throw error;
+    return data;
+  }
+
   async getExpiringAgreements(daysAhead = 3) {
     const today = todayMYT();
     const cutoff = daysFromNowMYT(daysAhead);
@@ -76,6 +89,22 @@ class AgreementsService {
     return data;
   }
 
+  /**
+   * Active-status agreements that may touch [start, end] (YYYY-MM-DD).
+   * Also returns rentals that ended in the past month without being closed,
+   * so overdue cars keep blocking new bookings. Caller does the exact overlap.
+   */
+  async getAgreementsInWindow(start, end) {
+    const monthAgo = daysFromNowMYT(-30);
+    const { data, error } = await this._baseQuery(agreements.FIELDS.ACTIVE)
+      .in('status', ACTIVE_STATUSES)
+      .lte('date_start', `${end}T23:59:59`)
+      .gte('date_end', start < monthAgo ? start : monthAgo)
+      .order('date_start');
+    if (error) throw error;
+    return data;
+  }
+
   async getAgreementsByPhone(phone) {
     const clean = phone.replace(/\D/g, '');
     const { data, error } = await this._baseQuery()
@@ -142,6 +171,21 @@ class AgreementsService {
     return this.getEarnings(start, end);
   }
 
+  /**
+   * Money still owed and deposits still held.
+   *   receivables: open or completed agreements with total_price - paid > 0, oldest first
+   *   deposits: Completed agreements with a deposit not yet refunded, oldest return first
+   * The calculation is utils/receivables, shared with /api/earnings.
+   */
+  async getLedger() {
+    const data = await this._fetchAll(
+      this._baseQuery(agreements.FIELDS.LEDGER)
+        .in('status', LEDGER_STATUSES)
+        .order('date_start', { ascending: true })
+    );
+    return summarize(data);
+  }
+
   // ─── Status Updates ───────────────────────────────────
 
   async updateStatus(id, status) {
@@ -159,6 +203,87 @@ class AgreementsService {
     return data;
   }
 
+  /**
+   * Update arbitrary columns on an agreement (date changes, extensions).
+   * Like updateStatus, refuses to soft-delete — use cancelAgreement for that.
+   */
+  async updateAgreement(id, fields) {
+    if (fields.status && EXCLUDED_AGREEMENT_STATUSES.includes(fields.status)) {
+      throw new Error('Cannot set status to deleted/cancelled via this method');
+    }
+    const updates = { ...fields, updated_at: new Date().toISOString() };
+    const { data, error } = await supabase
+      .from(agreements.TABLE)
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Cancel an agreement (explicit path — status Cancelled hides it from every
+   * default query). Optional remarks replace the existing remarks text.
+   */
+  async cancelAgreement(id, remarks = null) {
+    const updates = { status: agreements.STATUS.CANCELLED, updated_at: new Date().toISOString() };
+    if (remarks) updates.remarks = remarks;
+    const { data, error } = await supabase
+      .from(agreements.TABLE)
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  // ─── Inserts ──────────────────────────────────────────
+
+  /**
+   * Find an agreement by the booking reference stamped into its remarks.
+   * Used to keep chat-created bookings idempotent across retries/restarts.
+   */
+  async getAgreementByBookingRef(ref) {
+    const { data, error } = await this._baseQuery()
+      .ilike('remarks', `%${ref}%`)
+      .limit(1);
+    if (error) throw error;
+    return data[0] || null;
+  }
+
+  /**
+   * Insert a new agreement row (chat bookings).
+   * If bookingRef is given and a row already carries it, that row is returned
+   * instead of inserting a second one.
+   */
+  async createAgreement(fields, bookingRef = null) {
+    if (bookingRef) {
+      const existing = await this.getAgreementByBookingRef(bookingRef);
+      if (existing) return existing;
+    }
+
+    const now = new Date().toISOString();
+    const row = {
+      status: agreements.STATUS.NEW,
+      booking_payment: agreements.PENDING_PAYMENT,
+      paid: 0,
+      creator_email: agreements.BOT_CREATOR,
+      ...fields,
+      created_at: now,
+      updated_at: now,
+    };
+
+    const { data, error } = await supabase
+      .from(agreements.TABLE)
+      .insert(row)
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
   // ─── Customer Queries (from agreements data) ──────────
 
   async getUniqueCustomers() {
@@ -222,6 +347,47 @@ class AgreementsService {
       .slice(0, limit);
   }
 
+  /**
+   * One row per customer (by mobile) for campaign segments: rental count,
+   * spend, last return date and car, and whether a rental is still open.
+   */
+  async getCustomerSummaries() {
+    const data = await this._fetchAll(
+      this._baseQuery('customer_name, mobile, car_type, date_end, total_price, status')
+        .in('status', [...ACTIVE_STATUSES, agreements.STATUS.COMPLETED])
+    );
+
+    const map = new Map();
+    for (const row of data) {
+      if (!row.mobile) continue;
+      if (!map.has(row.mobile)) {
+        map.set(row.mobile, { name: row.customer_name, phone: row.mobile, rentals: 0, totalSpent: 0, lastEnd: null, lastCar: null, active: false });
+      }
+      const entry = map.get(row.mobile);
+      entry.rentals++;
+      entry.totalSpent += parseFloat(row.total_price) || 0;
+      if (ACTIVE_STATUSES.includes(row.status)) entry.active = true;
+      const end = (row.date_end || '').slice(0, 10);
+      if (end && (!entry.lastEnd || end > entry.lastEnd)) {
+        entry.lastEnd = end;
+        entry.lastCar = row.car_type || entry.lastCar;
+        entry.name = row.customer_name || entry.name;
+      }
+    }
+    return Array.from(map.values());
+  }
+
+  /**
+   * Agreements created since an ISO timestamp (campaign conversions).
+   */
+  async getAgreementsCreatedSince(since) {
+    return this._fetchAll(
+      this._baseQuery('id, customer_name, mobile, total_price, status, created_at')
+        .gte('created_at', since)
+        .order('created_at')
+    );
+  }
+
   // ─── Stats ────────────────────────────────────────────
 
   async getStats() {
@@ -0,0 +1,151 @@
+const fleetService = require('./fleet-service');
+const agreementsService = require('./agreements-service');
+const { getPlate, getStartDate, getEndDate, FINISHED_STATUSES } = require('../../utils/validators');
+const { todayMYT } = require('../../utils/time');
+
+// How long an in-progress booking session keeps a car reserved
+const HOLD_TTL_MS = 20 * 60 * 1000; // 20 minutes
+
+/**
+ * Availability Service
+ * Answers "which cars are free from date_start to date_end?" from agreements,
+ * not from cars.status (which only says whether a car is out *today*).
+ *
+ * A plate is blocked for a window when:
+ * - a non-finished agreement overlaps it (dates inclusive — a car due back
+ *   on the 15th is not offered from the 15th)
+ * - it is overdue (date_end passed, not Completed) — blocked until returned
+ * - another customer's booking session holds it
+ * Maintenance cars are never available.
+ */
+class AvailabilityService {
+  constructor() {
+    // plate → [{ phone, start, end, expiresAt }]
+    this._holds = new Map();
+  }
+
+  _normPlate(plate) {
+    return (plate || '').replace(/\s+/g, '').toUpperCase();
+  }
+
+  /**
+   * Agreements whose rental period touches [start, end] (YYYY-MM-DD).
+   * Overdue rentals are treated as running until today.
+   */
+  async getBookingsInWindow(start, end) {
+    const today = todayMYT();
+    const rows = await agreementsService.getAgreementsInWindow(start, end);
+
+    return rows.filter(a => {
+      if (FINISHED_STATUSES.includes(a.status)) return false;
+      const aStart = (getStartDate(a) || '').slice(0, 10);
+      let aEnd = (getEndDate(a) || '').slice(0, 10);
+      if (!aStart || !aEnd) return false;
+      if (aEnd < today) aEnd = today; // not returned yet
+      return aStart <= end && aEnd >= start;
+    });
+  }
+
+  /**
+   * All cars with _validatedStatus for the window:
+   * 'available', 'booked', 'held' or 'maintenance'.
+   * Same shape as validateFleetStatus() so existing formatters work.
+   * @param {object} opts - { phone: ignore this session's own holds, excludeAgreementId }
+   */
+  async getFleetForWindow(start, end, opts = {}) {
+    const [cars, bookings] = await Promise.all([
+      fleetService.getAllCars(),
+      this.getBookingsInWindow(start, end),
+    ]);
+
+    const booked = new Map(); // plate → agreement
+    for (const a of bookings) {
+      if (opts.excludeAgreementId && a.id === opts.excludeAgreementId) continue;
+      const plate = this._normPlate(getPlate(a));
+      if (plate && !booked.has(plate)) booked.set(plate, a);
+    }
+
+    return cars.map(car => {
+      const plate = this._normPlate(getPlate(car));
+      const copy = { ...car };
+      if (car.status === 'maintenance') {
+        copy._validatedStatus = 'maintenance';
+      } else if (booked.has(plate)) {
+        copy._validatedStatus = 'booked';
+        copy._booking = booked.get(plate);
+      } else if (this._activeHolds(plate, start, end, opts.phone).length > 0) {
+        copy._validatedStatus = 'held';
+      } else {
+        copy._validatedStatus = 'available';
+      }
+      return copy;
+    });
+  }
+
+  /**
+   * Cars free for the whole window.
+   */
+  async getAvailableCars(start, end, opts = {}) {
+    const fleet = await this.getFleetForWindow(start, end, opts);
+    return fleet.filter(c => c._validatedStatus === 'available');
+  }
+
+  /**
+   * Check one plate for a window.
+   * @returns {{ available: boolean, reason: string|null, conflict: object|null }}
+   */
+  async isCarAvailable(plate, start, end, opts = {}) {
+    const norm = this._normPlate(plate);
+    const fleet = await this.getFleetForWindow(start, end, opts);
+    const car = fleet.find(c => this._normPlate(getPlate(c)) === norm);
+
+    if (!car) return { available: false, reason: 'not_found', conflict: null };
+    if (car._validatedStatus === 'available') return { available: true, reason: null, conflict: null };
+    return { available: false, reason: car._validatedStatus, conflict: car._booking || null };
+  }
+
+  // ─── Holds (in-progress booking sessions) ─────────────
+
+  /**
+   * Reserve a plate for a session while the customer finishes booking.
+   * Re-holding by the same phone replaces its previous hold.
+   */
+  hold(plate, phone, start, end, ttlMs = HOLD_TTL_MS) {
+    this.releaseHolds(phone);
+    const norm = this._normPlate(plate);
+    const list = this._holds.get(norm) || [];
+    list.push({ phone, start, end, expiresAt: Date.now() + ttlMs });
+    this._holds.set(norm, list);
+  }
+
+  /**
+   * Drop every hold owned by a phone (booking confirmed or cancelled).
+   */
+  releaseHolds(phone) {
+    for (const [plate, list] of this._holds) {
+      const kept = list.filter(h => h.phone !== phone);
+      if (kept.length > 0) this._holds.set(plate, kept);
+      else this._holds.delete(plate);
+    }
+  }
+
+  _activeHolds(plate, start, end, excludePhone = null) {
+    const now = Date.now();
+    const list = (this._holds.get(plate) || []).filter(h => h.expiresAt > now);
+    if (list.length > 0) this._holds.set(plate, list);
+    else this._holds.delete(plate);
+
+    return list.filter(h => h.phone !== excludePhone && h.start <= end && h.end >= start);
+  }
+
+  getStats() {
+    const now = Date.now();
+    let holds = 0;
+    for (const list of this._holds.values()) {
+      holds += list.filter(h => h.expiresAt > now).length;
+    }
+    return { activeHolds: holds };
+  }
+}
+
+module.exports = new AvailabilityService();
@@ -66,6 +66,36 @@ class DataStoreService {
     }
   }
 
+  /**
+   * Add 1 to a numeric counter and return the new value.
+   * Compare-and-set on the stored value, so a number is never handed out
+   * twice; retried when another writer got in first.
+   */
+  async incrementCounter(key, retries = 5) {
+    for (let attempt = 0; attempt < retries; attempt++) {
+      const current = await this.getByKey(key);
+      const next = (typeof current === 'number' ? current : 0) + 1;
+
+      if (current === null) {
+        const { error } = await supabase
+          .from(dataStore.TABLE)
+          .insert({ key, value: next });
+        if (!error) return next;
+        continue; // created meanwhile — read it again
+      }
+
+      const { data, error } = await supabase
+        .from(dataStore.TABLE)
+        .update({ value: next, updated_at: new Date().toISOString() })
+        .eq('key', key)
+        .eq('value', current)
+        .select('key');
+      if (error) throw error;
+      if (data && data.length > 0) return next;
+    }
+    throw new Error(`Counter ${key} is busy — try again`);
+  }
+
   // ─── Specific getters (by key prefix) ─────────────────
 
   async getPricing() {
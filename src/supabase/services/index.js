@@ -1,11 +1,13 @@
 const fleetService = require('./fleet-service');
 const agreementsService = require('./agreements-service');
 const dataStoreService = require('./data-store-service');
+const availabilityService = require('./availability-service');
 const syncEngine = require('./sync');
 
 module.exports = {
   fleetService,
   agreementsService,
   dataStoreService,
+  availabilityService,
   syncEngine,
 };
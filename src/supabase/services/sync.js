@@ -33,6 +33,8 @@ class SyncEngine {
     this._lastControlTimestamp = null;
     this._paused = false;
     this._onCommand = null; // callback for control commands
+    this._onCarsFreed = null; // callback for plates that became free
+    this._onAgreementsEnded = null; // callback for agreements that left the active set
   }
 
   async sync() {
@@ -59,6 +61,10 @@ class SyncEngine {
         mismatches.forEach(m => console.warn(`  ${m.plate || m.carLabel}: ${m.dbStatus} → ${m.actualStatus} (${m.reason})`));
       }
 
+      // Compare with the previous sync (none on the first one)
+      const freed = this.cache.lastSync ? this._freedPlates(this.cache, cars, agreements) : [];
+      const ended = this.cache.lastSync ? this._endedAgreements(this.cache, agreements) : [];
+
       this.cache = {
         cars,
         validatedCars: validated,
@@ -76,6 +82,17 @@ class SyncEngine {
       };
 
       console.log(`[Sync] OK - ${cars.length} cars, ${agreements.length} active bookings, ${customers.length} customers, ${mismatches.length} mismatches`);
+
+      if (freed.length > 0 && this._onCarsFreed) {
+        Promise.resolve(this._onCarsFreed(freed)).catch(err =>
+          console.error('[Sync] Freed-car callback failed:', err.message)
+        );
+      }
+      if (ended.length > 0 && this._onAgreementsEnded) {
+        Promise.resolve(this._onAgreementsEnded(ended)).catch(err =>
+          console.error('[Sync] Ended-agreement callback failed:', err.message)
+        );
+      }
       return true;
     } catch (err) {
       console.error('[Sync] Failed:', err.message);
@@ -83,6 +100,35 @@ class SyncEngine {
     }
   }
 
+  /**
+   * Plates that became free since the last sync: an active agreement left
+   * the active set (cancelled, completed, deleted) or a car left maintenance.
+   * @returns {Array<{ plate: string, reason: string }>}
+   */
+  _freedPlates(prev, cars, agreements) {
+    const freed = new Map(); // plate → reason
+    const stillActive = new Set(agreements.map(a => a.id));
+    for (const a of prev.agreements) {
+      if (!stillActive.has(a.id) && getPlate(a)) freed.set(getPlate(a), 'booking ended');
+    }
+
+    const wasInMaintenance = new Set(prev.cars.filter(c => c.status === 'maintenance').map(getPlate));
+    for (const car of cars) {
+      if (wasInMaintenance.has(getPlate(car)) && car.status !== 'maintenance') freed.set(getPlate(car), 'back from maintenance');
+    }
+
+    return [...freed].map(([plate, reason]) => ({ plate, reason }));
+  }
+
+  /**
+   * Agreements active on the last sync that no longer are (completed,
+   * cancelled, deleted). Rows are as last seen — status is the old one.
+   */
+  _endedAgreements(prev, agreements) {
+    const stillActive = new Set(agreements.map(a => a.id));
+    return prev.agreements.filter(a => !stillActive.has(a.id));
+  }
+
   /**
    * Write bot heartbeat to Supabase so the dashboard knows we're alive.
    */
@@ -258,6 +304,20 @@ class SyncEngine {
     this._onCommand = callback;
   }
 
+  /**
+   * Set callback for plates that became free (waitlist offers).
+   */
+  onCarsFreed(callback) {
+    this._onCarsFreed = callback;
+  }
+
+  /**
+   * Set callback for agreements that left the active set (feedback requests).
+   */
+  onAgreementsEnded(callback) {
+    this._onAgreementsEnded = callback;
+  }
+
   /**
    * Check if bot is paused by dashboard.
    */
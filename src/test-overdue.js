@@ -0,0 +1,59 @@
+/**
+ * Test Overdue Playbook — who each customer step is addressed to.
+ * Run: npm run test:overdue
+ *
+ * No sends: outbox.send and the voice caller are replaced with recorders,
+ * so only the chat IDs the ladder would use are checked.
+ */
+require('dotenv').config();
+const notifications = require('./brain/notifications');
+const overduePlaybook = require('./brain/overdue-playbook');
+const outbox = require('./channels/outbox');
+
+let failed = 0;
+
+function check(label, actual, expected) {
+  const pass = JSON.stringify(actual) === JSON.stringify(expected);
+  if (!pass) failed++;
+  console.log(`  ${pass ? '✓' : '✗'} ${label.padEnd(40)} ${JSON.stringify(actual)}${pass ? '' : `  EXPECTED ${JSON.stringify(expected)}`}`);
+}
+
+async function run() {
+  console.log('═══════════════════════════════════════');
+  console.log('  JARVIS Overdue Playbook Test');
+  console.log('═══════════════════════════════════════\n');
+
+  const sent = [];
+  notifications.whatsapp = {};
+  outbox.send = async (to) => { sent.push(to); return { status: 'sent' }; };
+  const caller = { sendVoiceMessage: async (phone) => { sent.push(`voice:${phone}`); return { success: true }; } };
+
+  // Steps that go to the customer, by the mobile as typed on the agreement
+  async function chatIds(step, mobile, voice = null) {
+    sent.length = 0;
+    const agreement = { id: 1, mobile, customer_name: 'Ali', plate_number: 'VNH3600', date_end: '2026-03-06' };
+    await overduePlaybook._send(step, agreement, 2, voice);
+    return [...sent];
+  }
+
+  // ─── 1. Customer chat IDs ────────────────────────
+  console.log('1. Customer Chat IDs\n');
+
+  check('remind, "012-345 6789"', await chatIds('remind', '012-345 6789'), ['60123456789@c.us']);
+  check('remind, "+60 12-345 6789"', await chatIds('remind', '+60 12-345 6789'), ['60123456789@c.us']);
+  check('firm, "012-345 6789"', await chatIds('firm', '012-345 6789'), ['60123456789@c.us']);
+  check('voice, "012-345 6789"', await chatIds('voice', '012-345 6789', caller), ['voice:60123456789']);
+  check('voice without caller → text', await chatIds('voice', '012-345 6789'), ['60123456789@c.us']);
+  check('no mobile → nothing sent', await chatIds('remind', ''), []);
+
+  // ─── Summary ─────────────────────────────────────
+  console.log('\n═══════════════════════════════════════');
+  console.log(`  Overdue Test Complete — ${failed ? `${failed} FAILED` : 'all passed'}`);
+  console.log('═══════════════════════════════════════\n');
+  if (failed) process.exitCode = 1;
+}
+
+run().catch(err => {
+  console.error('Overdue test crashed:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,105 @@
+/**
+ * Test Pricing Engine — package selection, weekday discounts, promos,
+ * deposits and late-return fees.
+ * Run: npm run test:pricing
+ *
+ * Pure: no Supabase or network. 2026-03-02 is a Monday; the weekday
+ * discount applies Monday to Thursday (policies.rateRules).
+ */
+const pricing = require('./brain/pricing');
+
+const CAR = {
+  plate_number: 'VNH3600',
+  body_type: 'Sedan',
+  _carName: 'Perodua Bezza',
+  daily_price: 100,
+  price_3_days: 250,
+  weekly_price: 550,
+  monthly_price: 2000,
+  deposit_price: 200,
+  weekday_discount_percent: 10,
+};
+
+let failed = 0;
+
+function check(label, actual, expected) {
+  const pass = JSON.stringify(actual) === JSON.stringify(expected);
+  if (!pass) failed++;
+  console.log(`  ${pass ? '✓' : '✗'} ${label.padEnd(40)} ${JSON.stringify(actual)}${pass ? '' : `  EXPECTED ${JSON.stringify(expected)}`}`);
+}
+
+function lines(quote) {
+  return quote.lines.map(l => `${l.label} = ${l.amount}`);
+}
+
+function fee(agreement, car, returnedAt) {
+  const f = pricing.lateFee(agreement, car, returnedAt);
+  return `${f.mode} RM${f.amount}`;
+}
+
+function run() {
+  console.log('═══════════════════════════════════════');
+  console.log('  JARVIS Pricing Engine Test');
+  console.log('═══════════════════════════════════════\n');
+
+  // ─── 1. Rate cards ───────────────────────────────
+  console.log('1. Rate Cards\n');
+
+  check('car with its own daily_price', pricing.ratesFor(CAR).source, 'car');
+  check('Sedan without prices → category card', pricing.ratesFor({ body_type: 'Sedan' }).source, 'category');
+  check('unknown car → default rate', pricing.ratesFor({}).daily, 80);
+  check('promo text "RM69/day" → 69', pricing.ratesFor({ ...CAR, promo_price: 'RM69/day' }).promo, 69);
+  check('promo above the daily rate is ignored', pricing.ratesFor({ ...CAR, promo_price: '120' }).promo, null);
+
+  // ─── 2. Weekday discounts ────────────────────────
+  console.log('\n2. Weekday Discounts (day by day)\n');
+
+  const monTue = pricing.quote(CAR, '2026-03-02', '2026-03-04');
+  check('Mon–Tue: both days discounted', [monTue.total, monTue.discount], [180, 20]);
+  check('Mon–Tue: itemised', lines(monTue), ['Daily RM100 × 2 = 200', 'Weekday -10% × 2 = -20']);
+  const friSat = pricing.quote(CAR, '2026-03-06', '2026-03-08');
+  check('Fri–Sat: peak days, no discount', [friSat.total, friSat.discount], [200, 0]);
+  const promo = pricing.quote({ ...CAR, promo_price: 'RM69', promo_label: 'Raya' }, '2026-03-02', '2026-03-04');
+  check('promo replaces the rate, no extra discount', lines(promo), ['Promo (Raya) RM69 × 2 = 138']);
+
+  // ─── 3. Packages (cheapest combination) ──────────
+  console.log('\n3. Packages\n');
+
+  check('3 days → 3-Day package', lines(pricing.quote(CAR, '2026-03-06', '2026-03-09')), ['3-Day × 1 = 250']);
+  check('6 days → two 3-Day packages', pricing.quote(CAR, '2026-03-06', '2026-03-12').total, 500);
+  check('6 days, cheap weekly → Weekly covers it', lines(pricing.quote({ ...CAR, weekly_price: 450 }, '2026-03-06', '2026-03-12')), ['Weekly × 1 = 450']);
+  check('8 days from Mon → Weekly + discounted day', lines(pricing.quote(CAR, '2026-03-02', '2026-03-10')),
+    ['Weekly × 1 = 550', 'Daily RM100 × 1 = 100', 'Weekday -10% × 1 = -10']);
+  check('33 days → Monthly + 3-Day', lines(pricing.quote(CAR, '2026-03-01', '2026-04-03')), ['Monthly × 1 = 2000', '3-Day × 1 = 250']);
+  check('same-day range is refused', pricing.quote(CAR, '2026-03-06', '2026-03-06').error, 'End date must be after start date');
+
+  // ─── 4. Delivery and deposit ─────────────────────
+  console.log('\n4. Delivery And Deposit\n');
+
+  const delivered = pricing.quote(CAR, '2026-03-06', '2026-03-08', { deliveryFee: 50, deliveryLabel: 'Delivery (Nilai)' });
+  check('delivery added to the total', [delivered.rental, delivered.total], [200, 250]);
+  check('car deposit on top → payable', [delivered.deposit, delivered.payable], [200, 450]);
+  const student = pricing.quote({ ...CAR, deposit_price: null }, '2026-03-06', '2026-03-08', { customerType: 'student' });
+  check('student without car deposit → policy deposit', student.deposit, 150);
+
+  // ─── 5. Late-return fees ─────────────────────────
+  console.log('\n5. Late-Return Fees (due 18:00 when date_end has no time)\n');
+
+  const due = { date_end: '2026-03-06' };
+  check('back at 17:00', fee(due, CAR, '2026-03-06T17:00:00+08:00'), 'on_time RM0');
+  check('back at 18:20 (grace)', fee(due, CAR, '2026-03-06T18:20:00+08:00'), 'grace RM0');
+  check('back at 19:10 → 2 started hours × RM30', fee(due, CAR, '2026-03-06T19:10:00+08:00'), 'hourly RM60');
+  check('back at 20:45 → 3h × RM30', fee(due, CAR, '2026-03-06T20:45:00+08:00'), 'hourly RM90');
+  check('hourly capped at one day', fee(due, { daily_price: 100 }, '2026-03-06T20:45:00+08:00'), 'hourly RM100');
+  check('back at 23:30 → 1 day × daily', fee(due, CAR, '2026-03-06T23:30:00+08:00'), 'daily RM100');
+  check('back 31h late → 2 days × daily', fee(due, CAR, '2026-03-08T01:00:00+08:00'), 'daily RM200');
+  check('date_end time is the return time', fee({ date_end: '2026-03-06T10:00' }, CAR, '2026-03-06T11:30:00+08:00'), 'hourly RM60');
+
+  // ─── Summary ─────────────────────────────────────
+  console.log('\n═══════════════════════════════════════');
+  console.log(`  Pricing Test Complete — ${failed ? `${failed} FAILED` : 'all passed'}`);
+  console.log('═══════════════════════════════════════\n');
+  if (failed) process.exitCode = 1;
+}
+
+run();
@@ -0,0 +1,104 @@
+/**
+ * Test Time Utilities — multilingual date/time parsing in MYT.
+ * Run: npm run test:time
+ *
+ * Pure: no Supabase or network. Everything is pinned to Wednesday
+ * 2026-03-04, 10:00 MYT so the results don't depend on the clock.
+ */
+const time = require('./utils/time');
+
+const TODAY = '2026-03-04';
+const NOW = new Date(`${TODAY}T10:00:00+08:00`);
+
+let failed = 0;
+
+function check(label, actual, expected) {
+  const pass = JSON.stringify(actual) === JSON.stringify(expected);
+  if (!pass) failed++;
+  console.log(`  ${pass ? '✓' : '✗'} ${label.padEnd(38)} ${JSON.stringify(actual)}${pass ? '' : `  EXPECTED ${JSON.stringify(expected)}`}`);
+}
+
+function range(text, opts = {}) {
+  const r = time.parseDateTimeRange(text, { today: TODAY, ...opts });
+  return r && { start: r.start, end: r.end, startTime: r.startTime, endTime: r.endTime, hours: r.hours, needs: r.needs };
+}
+
+function moment(text) {
+  const r = time.parseDateTime(text, { now: NOW });
+  return r && `${r.date} ${r.time}${r.timeGiven ? '' : ' (default)'}`;
+}
+
+function run() {
+  console.log('═══════════════════════════════════════');
+  console.log('  JARVIS Time Parser Test');
+  console.log('═══════════════════════════════════════\n');
+
+  // ─── 1. Rental ranges (EN) ───────────────────────
+  console.log('1. Rental Ranges — English\n');
+
+  const period = (start, end) => ({ start, end, startTime: null, endTime: null, hours: null, needs: null });
+  check('2026-02-20 - 2026-02-25', range('2026-02-20 - 2026-02-25'), period('2026-02-20', '2026-02-25'));
+  check('20/02/2026 - 25/02/2026', range('20/02/2026 - 25/02/2026'), period('2026-02-20', '2026-02-25'));
+  check('tomorrow - 3 days', range('tomorrow - 3 days'), period('2026-03-05', '2026-03-08'));
+  check('this Friday to Monday', range('this Friday to Monday'), period('2026-03-06', '2026-03-09'));
+  check('3-5 Dec, pickup 9am return 6pm', range('3-5 Dec, pickup 9am return 6pm'),
+    { start: '2026-12-03', end: '2026-12-05', startTime: '09:00', endTime: '18:00', hours: null, needs: null });
+  check('tomorrow 9am 5 hours (hourly)', range('tomorrow 9am 5 hours'),
+    { start: '2026-03-05', end: '2026-03-05', startTime: '09:00', endTime: '14:00', hours: 5, needs: null });
+
+  // ─── 2. Rental ranges (MS / ZH / TA) ─────────────
+  console.log('\n2. Rental Ranges — Malay, Chinese, Tamil\n');
+
+  check('12 hb sampai 15 hb', range('12 hb sampai 15 hb'), period('2026-03-12', '2026-03-15'));
+  check('lusa 2 hari', range('lusa 2 hari'), period('2026-03-06', '2026-03-08'));
+  check('esok sampai ahad', range('esok sampai ahad'), period('2026-03-05', '2026-03-08'));
+  check('12 mac hingga 15 mac', range('12 mac hingga 15 mac'), period('2026-03-12', '2026-03-15'));
+  check('下星期三到星期五', range('下星期三到星期五'), period('2026-03-11', '2026-03-13'));
+  check('明天到后天', range('明天到后天'), period('2026-03-05', '2026-03-06'));
+  check('வெள்ளி முதல் திங்கள் வரை', range('வெள்ளி முதல் திங்கள் வரை'), period('2026-03-06', '2026-03-09'));
+  check('நாளை 3 நாட்கள்', range('நாளை 3 நாட்கள்'), period('2026-03-05', '2026-03-08'));
+
+  // ─── 3. Ambiguity prompts ────────────────────────
+  console.log('\n3. Missing Or Unclear Parts\n');
+
+  check('pickup 9pm → asks for the end', range('pickup 9pm'),
+    { start: '2026-03-04', end: null, startTime: '21:00', endTime: null, hours: null, needs: 'end' });
+  check('Friday → asks for the end', range('Friday')?.needs, 'end');
+  check('… then "3 days" completes it', range('3 days', { start: '2026-03-06' })?.end, '2026-03-09');
+  check('"next friday to sunday" → asks which', range('next friday to sunday')?.needs, 'dates');
+  check('no date at all', range('hello there'), null);
+
+  // ─── 4. Single moments (reminders / tasks) ───────
+  console.log('\n4. Single Moments\n');
+
+  check('in 2 hours', moment('in 2 hours'), '2026-03-04 12:00');
+  check('dalam 30 minit', moment('dalam 30 minit'), '2026-03-04 10:30');
+  check('2 jam lagi', moment('2 jam lagi'), '2026-03-04 12:00');
+  check('3小时后', moment('3小时后'), '2026-03-04 13:00');
+  check('tomorrow 9am', moment('tomorrow 9am'), '2026-03-05 09:00');
+  check('Friday 3 petang', moment('Friday 3 petang'), '2026-03-06 15:00');
+  check('明天下午3点', moment('明天下午3点'), '2026-03-05 15:00');
+  check('at 5pm (later today)', moment('at 5pm'), '2026-03-04 17:00');
+  check('at 8am (passed → tomorrow)', moment('at 8am'), '2026-03-05 08:00');
+  check('esok (date only)', moment('esok'), '2026-03-05 09:00 (default)');
+  check('in 3 days (whole-day offset)', moment('in 3 days'), '2026-03-07 10:00 (default)');
+
+  // ─── 5. Pieces ───────────────────────────────────
+  console.log('\n5. Times, Weekdays, Months\n');
+
+  check('pukul 9 malam', time.parseTimeOfDay('pukul 9 malam'), '21:00');
+  check('晚上9点', time.parseTimeOfDay('晚上9点'), '21:00');
+  check('21:00', time.parseTimeOfDay('21:00'), '21:00');
+  check('khamis', time.parseWeekday('khamis'), 4);
+  check('星期五', time.parseWeekday('星期五'), 5);
+  check('2026-10', time.parseMonth('2026-10'), '2026-10');
+  check('ogos 2026', time.parseMonth('ogos 2026'), '2026-08');
+
+  // ─── Summary ─────────────────────────────────────
+  console.log('\n═══════════════════════════════════════');
+  console.log(`  Time Test Complete — ${failed ? `${failed} FAILED` : 'all passed'}`);
+  console.log('═══════════════════════════════════════\n');
+  if (failed) process.exitCode = 1;
+}
+
+run();
@@ -3,7 +3,7 @@
  *
  * Features:
  * 1. Generate Google Maps links from coordinates or place names
- * 2. Reverse geocode (lat/lng → address) using Nominatim (free, no key)
+ * 2. Reverse/forward geocode (lat/lng ↔ address) using Nominatim (free, no key)
  * 3. Match coordinates to JRV delivery zones by distance
  * 4. Calculate delivery fees based on GPS location
  * 5. Parse WhatsApp location messages
@@ -103,6 +103,31 @@ class LocationService {
     }
   }
 
+  /**
+   * Geocode a typed address/area to coordinates using Nominatim (Malaysia only).
+   * @param {string} query - e.g. "Taman Rasah Jaya, Seremban"
+   * @returns {{ lat: number, lng: number, fullAddress: string }|null}
+   */
+  async geocode(query) {
+    if (!query || query.trim().length < 3) return null;
+    try {
+      const url = `https://nominatim.openstreetmap.org/search?format=json&limit=1&countrycodes=my&q=${encodeURIComponent(query.trim())}`;
+      const res = await fetch(url, {
+        headers: { 'User-Agent': 'JRV-Bot/1.0 (car rental assistant)' },
+        signal: AbortSignal.timeout(5000),
+      });
+
+      if (!res.ok) throw new Error(`Nominatim error ${res.status}`);
+
+      const [hit] = await res.json();
+      if (!hit) return null;
+      return { lat: parseFloat(hit.lat), lng: parseFloat(hit.lon), fullAddress: hit.display_name || '' };
+    } catch (err) {
+      console.warn('[Location] Geocode failed:', err.message);
+      return null;
+    }
+  }
+
   /**
    * Calculate distance between two points (Haversine formula).
    * @returns {number} Distance in kilometers
@@ -0,0 +1,21 @@
+/**
+ * Phone numbers — agreement mobiles to WhatsApp numbers.
+ *
+ * Agreements store mobiles as typed: "012-345 6789", "+60 12-345 6789",
+ * "60123456789". WhatsApp chat IDs, customer profiles, consent and
+ * feedback are all keyed by the sender number "60123456789", so a local
+ * "0…" number gets the Malaysian 6 prefix.
+ *
+ * Usage:
+ *   const { waPhone } = require('../utils/phone');
+ *   waPhone('012-345 6789')  → '60123456789'
+ *   waPhone('')              → null
+ */
+
+function waPhone(mobile) {
+  const digits = String(mobile || '').replace(/\D/g, '');
+  if (!digits) return null;
+  return digits.startsWith('0') ? `6${digits}` : digits;
+}
+
+module.exports = { waPhone };
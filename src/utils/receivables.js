@@ -0,0 +1,45 @@
+/**
+ * Receivables — money still owed and deposits still held, from agreement rows.
+ *
+ * Pure module (no Supabase) — shared by agreementsService.getLedger() and the
+ * Vercel /api/earnings?view=receivables function.
+ *   receivables: agreements with total_price - paid > 0, in row order
+ *   deposits: Completed agreements with a deposit not yet refunded, oldest return first
+ *
+ * Usage:
+ *   const { summarize } = require('../utils/receivables');
+ *   summarize(rows)  → { receivables, deposits, totalOutstanding, totalDeposits }
+ */
+
+const { STATUS, ACTIVE_STATUSES } = require('../supabase/schemas/agreements');
+const { todayMYT, daysBetween } = require('./time');
+
+// Statuses that can still owe money or hold a deposit
+const LEDGER_STATUSES = [...ACTIVE_STATUSES, STATUS.COMPLETED];
+
+const round = n => Math.round(n * 100) / 100;
+
+function summarize(rows, today = todayMYT()) {
+  const receivables = [];
+  const deposits = [];
+  for (const a of rows || []) {
+    const outstanding = round((parseFloat(a.total_price) || 0) - (parseFloat(a.paid) || 0));
+    if (outstanding > 0) receivables.push({ ...a, outstanding });
+
+    const deposit = parseFloat(a.deposit_price) || 0;
+    if (a.status === STATUS.COMPLETED && deposit > 0 && !a.deposit_refunded) {
+      const returned = (a.date_end || '').slice(0, 10);
+      deposits.push({ ...a, deposit, daysSinceReturn: returned ? daysBetween(returned, today) : null });
+    }
+  }
+  deposits.sort((a, b) => (a.date_end || '').localeCompare(b.date_end || ''));
+
+  return {
+    receivables,
+    deposits,
+    totalOutstanding: round(receivables.reduce((sum, a) => sum + a.outstanding, 0)),
+    totalDeposits: round(deposits.reduce((sum, a) => sum + a.deposit, 0)),
+  };
+}
+
+module.exports = { LEDGER_STATUSES, summarize };
@@ -82,6 +82,605 @@ function daysBetween(date1, date2) {
   return Math.ceil((d2 - d1) / (1000 * 60 * 60 * 24));
 }
 
+/**
+ * Add N days to a YYYY-MM-DD date string (calendar arithmetic, no timezone drift).
+ */
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr.slice(0, 10)}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Day of week for a YYYY-MM-DD date string (0 = Sunday … 6 = Saturday).
+ */
+function dayOfWeek(dateStr) {
+  return new Date(`${dateStr.slice(0, 10)}T00:00:00Z`).getUTCDay();
+}
+
+// ─── Natural-language dates & times (EN / MS / ZH / TA) ─────────
+//
+// Chat text is scanned for date, duration and time mentions, which are then
+// resolved in order against today's MYT date: "this Friday to Monday",
+// "12 hb sampai 15 hb", "下星期三到星期五", "lusa 2 hari", "pickup 9pm",
+// "நாளை காலை 9 மணி". Later mentions resolve relative to earlier ones
+// (the Monday after that Friday).
+
+const MONTH_NAMES = [
+  ['january', 'jan', 'januari', 'ஜனவரி'],
+  ['february', 'feb', 'februari', 'பிப்ரவரி'],
+  ['march', 'mar', 'mac', 'மார்ச்'],
+  ['april', 'apr', 'ஏப்ரல்'],
+  ['may', 'mei', 'மே'],
+  ['june', 'jun', 'ஜூன்'],
+  ['july', 'jul', 'julai', 'ஜூலை'],
+  ['august', 'aug', 'ogos', 'ஆகஸ்ட்'],
+  ['september', 'sept', 'sep', 'செப்டம்பர்'],
+  ['october', 'oct', 'oktober', 'okt', 'அக்டோபர்'],
+  ['november', 'nov', 'நவம்பர்'],
+  ['december', 'dec', 'disember', 'dis', 'டிசம்பர்'],
+];
+
+// Index = day of week (0 = Sunday)
+const WEEKDAY_NAMES = [
+  ['sunday', 'sun', 'ahad', 'ஞாயிறு'],
+  ['monday', 'mon', 'isnin', 'திங்கள்', 'திங்கட்'],
+  ['tuesday', 'tues', 'tue', 'selasa', 'செவ்வாய்'],
+  ['wednesday', 'wed', 'rabu', 'புதன்'],
+  ['thursday', 'thurs', 'thur', 'thu', 'khamis', 'வியாழன்'],
+  ['friday', 'fri', 'jumaat', 'jumat', 'வெள்ளி'],
+  ['saturday', 'sat', 'sabtu', 'சனி'],
+];
+
+const ZH_WEEKDAY = { 日: 0, 天: 0, 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6 };
+const WORD_NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  satu: 1, se: 1, dua: 2, tiga: 3, empat: 4, lima: 5, enam: 6, tujuh: 7, lapan: 8, sembilan: 9, sepuluh: 10,
+};
+const ZH_DIGITS = { 零: 0, 一: 1, 二: 2, 两: 2, 兩: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+// Days from today
+const RELATIVE_DAYS = [
+  { words: ['day after tomorrow', 'overmorrow', 'lusa', 'நாளை மறுநாள்'], days: 2 },
+  { words: ['tomorrow', 'tmrw', 'tmr', 'esok', 'besok', 'நாளை'], days: 1 },
+  { words: ['today', 'tonight', 'hari ini', 'harini', 'malam ini', 'இன்று'], days: 0 },
+  { words: ['next week', 'minggu depan', 'minggu hadapan', 'அடுத்த வாரம்'], days: 7 },
+];
+const ZH_RELATIVE_DAYS = { 大后天: 3, 大後天: 3, 后天: 2, 後天: 2, 明天: 1, 明日: 1, 明晚: 1, 明早: 1, 今天: 0, 今日: 0, 今晚: 0, 今早: 0 };
+
+// Start-of-word / end-of-word for Latin words (Tamil and Chinese have their own rules)
+const WB = '(?<![a-z])';
+const WE = '(?![a-z])';
+const ZHN = '[零一二两兩三四五六七八九十]{1,3}';
+const SEP = '\\s*(?:-|–|~|to|until|till|hingga|sampai|ke|到|至)\\s*';
+const ORD = '(?:st|nd|rd|th|hb)?';
+
+function alternation(words) {
+  return words.slice().sort((a, b) => b.length - a.length)
+    .map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'))
+    .join('|');
+}
+
+function lookup(table, word) {
+  const lower = word.toLowerCase().replace(/\s+/g, ' ');
+  return table.findIndex(names => names.includes(lower));
+}
+
+const MONTH_RE = alternation(MONTH_NAMES.flat());
+const WEEKDAY_RE = alternation(WEEKDAY_NAMES.flat());
+
+const WORDNUM = `${WB}(?:${alternation(Object.keys(WORD_NUMBERS).filter(w => w !== 'se'))})\\s+|${WB}se(?=hari|minggu|bulan|malam)`;
+
+/**
+ * "12", "十二", "二十三", "两", "two", "dua" → number.
+ */
+function zhNumber(str) {
+  if (/^\d+$/.test(str)) return parseInt(str);
+  const word = str.trim().toLowerCase();
+  if (WORD_NUMBERS[word]) return WORD_NUMBERS[word];
+  if (str.includes('十')) {
+    const [tens, ones] = str.split('十');
+    return (tens ? ZH_DIGITS[tens] : 1) * 10 + (ones ? ZH_DIGITS[ones] : 0);
+  }
+  return ZH_DIGITS[str] ?? NaN;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+function ymd(y, m, d) {
+  if (!(m >= 1 && m <= 12 && d >= 1 && d <= 31)) return null;
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1) return null; // 31 Feb etc.
+  return date.toISOString().slice(0, 10);
+}
+
+// ─── Resolvers: (today, prev) → { date, ambiguity? } ────
+
+function fixedDate(y, m, d) {
+  const date = ymd(y < 100 ? 2000 + y : y, m, d);
+  return () => (date ? { date } : null);
+}
+
+/** Month + day without a year: this year, or next year once it has passed. */
+function monthDay(m, d) {
+  return (today, prev) => {
+    const base = prev || today;
+    let y = parseInt(base.slice(0, 4));
+    let date = ymd(y, m, d);
+    if (date && date < base) date = ymd(++y, m, d);
+    return date ? { date } : null;
+  };
+}
+
+/** Day of month only ("15 hb", "15th", "15号"): this month, or the next one. */
+function dayOfMonth(d) {
+  return (today, prev) => {
+    const base = prev || today;
+    let y = parseInt(base.slice(0, 4));
+    let m = parseInt(base.slice(5, 7));
+    for (let i = 0; i < 3; i++) {
+      const date = ymd(y, m, d);
+      if (date && date >= base) return { date };
+      if (++m > 12) { m = 1; y++; }
+    }
+    return null;
+  };
+}
+
+function relativeDays(days) {
+  return today => ({ date: addDays(today, days) });
+}
+
+/**
+ * Weekday with an optional modifier:
+ * 'this' / none → next occurrence (today counts for the first date mentioned)
+ * 'nextweek'    → that day in next Mon–Sun week ("下星期三", "Rabu minggu depan")
+ * 'next'        → same, but flagged when the coming one is still this week
+ *                 ("next Friday" said on a Tuesday could mean either)
+ */
+function weekday(dow, mod) {
+  return (today, prev) => {
+    const base = prev ? addDays(prev, 1) : today;
+    const coming = addDays(base, (dow - dayOfWeek(base) + 7) % 7);
+    if (prev || !mod || mod === 'this') return { date: coming };
+
+    const nextMonday = addDays(today, ((8 - dayOfWeek(today)) % 7) || 7);
+    const inNextWeek = addDays(nextMonday, (dow + 6) % 7);
+    if (mod === 'nextweek' || coming === inNextWeek || coming === today) return { date: inNextWeek };
+    return {
+      date: inNextWeek,
+      ambiguity: `Do you mean ${formatDay(coming)} or ${formatDay(inNextWeek)}?`,
+    };
+  };
+}
+
+function formatDay(dateStr) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  return d.toLocaleDateString('en-MY', { timeZone: 'UTC', weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+function weekdayModifier(word) {
+  if (!word) return null;
+  const w = word.toLowerCase().replace(/\s+/g, ' ');
+  if (['next', 'depan', 'hadapan', 'அடுத்த'].includes(w)) return 'next';
+  if (/minggu (depan|hadapan)|next week/.test(w)) return 'nextweek';
+  return 'this';
+}
+
+// ─── Time of day ───────────────────────────────────────
+
+const PM_WORDS = /^(pm|p\.m\.?|petang|malam|下午|傍晚|晚上|晚|மாலை|இரவு|பிற்பகல்)$/i;
+const AM_WORDS = /^(am|a\.m\.?|pagi|凌晨|早上|早晨|上午|காலை)$/i;
+const NOON_WORDS = /^(tengah\s*hari|tengahari|中午|மதியம்)$/i;
+
+function toClock(hour, min, period) {
+  const p = (period || '').trim();
+  if (PM_WORDS.test(p)) {
+    if (hour < 12) hour += 12;
+    else if (/malam|晚|இரவு/.test(p)) hour = 0; // "12 malam" = midnight
+  } else if (AM_WORDS.test(p)) {
+    if (hour === 12) hour = 0;
+  } else if (NOON_WORDS.test(p)) {
+    if (hour < 11) hour += 12;
+  }
+  if (hour > 23 || min > 59) return null;
+  return `${pad2(hour)}:${pad2(min)}`;
+}
+
+// ─── Scanner ───────────────────────────────────────────
+
+const DURATION_UNITS = [
+  { unit: 'hour', factor: 1, words: /^(hours?|hrs?|h|jam|小时|小時|钟头|鐘頭|மணி\s*நேரம்)$/i },
+  { unit: 'day', factor: 1, words: /^(days?|d|nights?|hari|malam|天|晚|夜|நாட்கள்|நாள்|இரவுகள்)$/i },
+  { unit: 'day', factor: 7, words: /^(weeks?|wks?|minggu|星期|礼拜|禮拜|周|週|வாரங்கள்|வாரம்)$/i },
+  { unit: 'day', factor: 30, words: /^(months?|bulan|月|மாதங்கள்|மாதம்)$/i },
+];
+
+const END_LABEL = /(return|drop\s*-?\s*off|pulang|hantar\s+balik|balik|还车|還車|归还|歸還|திரும்ப)[^\d]{0,12}$/i;
+const START_LABEL = /(pick\s*-?\s*up|collect|ambil|取车|取車|எடு)[^\d]{0,12}$/i;
+
+const PATTERNS = [
+  // ── Date ranges sharing a month: "3-5 Dec", "Nov 12 to 15", "11月12到15号"
+  {
+    re: new RegExp(`(?<!\\d)(\\d{1,2})${ORD}${SEP}(\\d{1,2})${ORD}\\s*(?:of\\s+)?${WB}(${MONTH_RE})${WE}(?:\\s*,?\\s*(\\d{4}))?`, 'gi'),
+    build: m => {
+      const mon = lookup(MONTH_NAMES, m[3]) + 1;
+      const d1 = parseInt(m[1]);
+      const d2 = parseInt(m[2]);
+      return m[4]
+        ? { dates: [fixedDate(+m[4], mon, d1), fixedDate(+m[4], mon, d2)] }
+        : { dates: [monthDay(mon, d1), monthDay(mon, d2)] };
+    },
+  },
+  {
+    re: new RegExp(`${WB}(${MONTH_RE})\\s*(\\d{1,2})(?:st|nd|rd|th)?${SEP}(\\d{1,2})(?:st|nd|rd|th)?(?!\\d)`, 'gi'),
+    build: m => {
+      const mon = lookup(MONTH_NAMES, m[1]) + 1;
+      return { dates: [monthDay(mon, parseInt(m[2])), monthDay(mon, parseInt(m[3]))] };
+    },
+  },
+  {
+    re: new RegExp(`(\\d{1,2}|${ZHN})\\s*月\\s*(\\d{1,2}|${ZHN})\\s*[日号號]?\\s*(?:-|到|至|~)\\s*(\\d{1,2}|${ZHN})\\s*[日号號]`, 'g'),
+    build: m => {
+      const mon = zhNumber(m[1]);
+      return { dates: [monthDay(mon, zhNumber(m[2])), monthDay(mon, zhNumber(m[3]))] };
+    },
+  },
+
+  // ── Single dates
+  {
+    re: /(?<!\d)(\d{4})-(\d{1,2})-(\d{1,2})(?!\d)/g,
+    build: m => ({ dates: [fixedDate(+m[1], +m[2], +m[3])] }),
+  },
+  {
+    // dd/mm[/yyyy] or dd.mm.yyyy (a bare "2.5" is a number, not 2 May)
+    re: /(?<![\d/.])(\d{1,2})(?:\/(\d{1,2})(?:\/(\d{2,4}))?|\.(\d{1,2})\.(\d{2,4}))(?![\d/.])/g,
+    build: m => {
+      const d = +m[1];
+      const mon = +(m[2] || m[4]);
+      const y = m[3] || m[5];
+      return { dates: [y ? fixedDate(+y, mon, d) : monthDay(mon, d)] };
+    },
+  },
+  {
+    re: new RegExp(`(?<!\\d)(\\d{1,2})${ORD}\\s*(?:of\\s+|-)?${WB}(${MONTH_RE})${WE}(?:\\s*,?\\s*(\\d{4}))?`, 'gi'),
+    build: m => {
+      const mon = lookup(MONTH_NAMES, m[2]) + 1;
+      return { dates: [m[3] ? fixedDate(+m[3], mon, +m[1]) : monthDay(mon, +m[1])] };
+    },
+  },
+  {
+    re: new RegExp(`${WB}(${MONTH_RE})\\s*(\\d{1,2})(?:st|nd|rd|th)?(?:\\s*,?\\s*(\\d{4}))?(?!\\d)`, 'gi'),
+    build: m => {
+      const mon = lookup(MONTH_NAMES, m[1]) + 1;
+      return { dates: [m[3] ? fixedDate(+m[3], mon, +m[2]) : monthDay(mon, +m[2])] };
+    },
+  },
+  {
+    re: new RegExp(`(?:(\\d{4})\\s*年\\s*)?(\\d{1,2}|${ZHN})\\s*月\\s*(\\d{1,2}|${ZHN})\\s*[日号號]?`, 'g'),
+    build: m => {
+      const mon = zhNumber(m[2]);
+      const d = zhNumber(m[3]);
+      return { dates: [m[1] ? fixedDate(+m[1], mon, d) : monthDay(mon, d)] };
+    },
+  },
+  {
+    // Day of month only: "15 hb", "hb 15", "15th", "15号", "15ஆம் தேதி"
+    re: new RegExp(`(?<!\\d)(\\d{1,2})\\s*(?:hb|haribulan)${WE}|${WB}(?:hb|haribulan)\\s*(\\d{1,2})(?!\\d)|(?<!\\d)(\\d{1,2})(?:st|nd|rd|th)${WE}|(?<![月\\d零一二两兩三四五六七八九十])(\\d{1,2}|${ZHN})\\s*[号號日](?![子本])|(?<!\\d)(\\d{1,2})\\s*-?\\s*(?:ஆம்)?\\s*தேதி`, 'gi'),
+    build: m => ({ dates: [dayOfMonth(zhNumber(m[1] || m[2] || m[3] || m[4] || m[5]))] }),
+  },
+
+  // ── Relative days and weekdays
+  {
+    re: new RegExp(`${WB}(${alternation(RELATIVE_DAYS.flatMap(r => r.words))})${WE}`, 'gi'),
+    build: m => {
+      const word = m[1].toLowerCase().replace(/\s+/g, ' ');
+      return { dates: [relativeDays(RELATIVE_DAYS.find(r => r.words.includes(word)).days)] };
+    },
+  },
+  {
+    re: new RegExp(alternation(Object.keys(ZH_RELATIVE_DAYS)), 'g'),
+    build: m => ({ dates: [relativeDays(ZH_RELATIVE_DAYS[m[0]])] }),
+  },
+  {
+    re: /下(?:个|個)?(?:星期|礼拜|禮拜|周|週)(?![一二三四五六日天])/g,
+    build: () => ({ dates: [relativeDays(7)] }),
+  },
+  {
+    re: new RegExp(`${WB}(?:(this|coming|next|இந்த|அடுத்த|வரும்)\\s+)?(${WEEKDAY_RE})(?:க்|ட்)?(?:கிழமை)?${WE}(?:\\s+(ini|depan|hadapan|minggu\\s+depan|minggu\\s+hadapan|next\\s+week|this\\s+week)${WE})?`, 'gi'),
+    build: m => ({ dates: [weekday(lookup(WEEKDAY_NAMES, m[2]), weekdayModifier(m[3] || m[1]))] }),
+  },
+  {
+    re: /(下下|下|这|這|本|今)?\s*(?:个|個)?(?:星期|礼拜|禮拜|周|週)([一二三四五六日天])/g,
+    build: m => {
+      const dow = ZH_WEEKDAY[m[2]];
+      if (m[1] === '下下') return { dates: [today => weekday(dow, 'nextweek')(addDays(today, 7))] };
+      return { dates: [weekday(dow, m[1] === '下' ? 'nextweek' : 'this')] };
+    },
+  },
+
+  // ── Durations: "3 days", "2 hari", "两个星期", "5 மணி நேரம்"
+  {
+    re: new RegExp(`(?<![\\d.])(\\d+|${ZHN}|${WORDNUM})\\s*(?:more\\s+|lagi\\s+)?(?:个|個)?\\s*(hours?|hrs?|h|jam|days?|d|nights?|hari|malam|weeks?|wks?|minggu|months?|bulan)${WE}|(?<![\\d.])(\\d+|${ZHN})\\s*(?:个|個)?\\s*(小时|小時|钟头|鐘頭|天|晚|夜|星期|礼拜|禮拜|周|週)(?![一二三四五六日天])|(?<![\\d.])(\\d+|${ZHN})\\s*(?:个|個)\\s*(月)|(?<![\\d.])(\\d+)\\s*(மணி\\s*நேரம்|நாட்கள்|நாள்|இரவுகள்|வாரங்கள்|வாரம்|மாதங்கள்|மாதம்)`, 'gi'),
+    build: m => {
+      const n = zhNumber(m[1] || m[3] || m[5] || m[7]);
+      const word = m[2] || m[4] || m[6] || m[8];
+      const unit = DURATION_UNITS.find(u => u.words.test(word.replace(/\s+/g, ' ')));
+      if (!unit || !(n > 0)) return null;
+      return { duration: { unit: unit.unit, n: n * unit.factor } };
+    },
+  },
+
+  // ── Times of day
+  {
+    re: /(?<![\d:])(\d{1,2})(?:[:.](\d{2}))?\s*(a\.?m\.?|p\.?m\.?)(?![a-z])/gi,
+    build: m => ({ time: toClock(+m[1], +(m[2] || 0), m[3].toLowerCase()) }),
+  },
+  {
+    re: /(?<![\d:/.-])([01]?\d|2[0-3]):([0-5]\d)(?![\d:])/g,
+    build: m => ({ time: toClock(+m[1], +m[2]) }),
+  },
+  {
+    re: /(?<![a-z])(?:pukul|pkl|jam)\s*(\d{1,2})(?:[:.](\d{2}))?(?:\s*(pagi|tengah\s*hari|tengahari|petang|malam))?(?![a-z])|(?<![\d:])(\d{1,2})(?:[:.](\d{2}))?\s*(pagi|tengah\s*hari|tengahari|petang)(?![a-z])/gi,
+    build: m => ({ time: toClock(+(m[1] || m[4]), +(m[2] || m[5] || 0), m[3] || m[6]) }),
+  },
+  {
+    re: new RegExp(`(凌晨|早上|早晨|上午|中午|下午|傍晚|晚上)?\\s*(\\d{1,2}|${ZHN})\\s*[点點](?:\\s*(半|一刻|三刻|(\\d{1,2}|${ZHN})\\s*分))?`, 'g'),
+    build: (m, text) => {
+      const period = m[1] || (text[m.index - 1] === '晚' ? '晚' : '');
+      const min = m[3] === '半' ? 30 : m[3] === '一刻' ? 15 : m[3] === '三刻' ? 45 : m[4] ? zhNumber(m[4]) : 0;
+      return { time: toClock(zhNumber(m[2]), min, period) };
+    },
+  },
+  {
+    re: /(காலை|மதியம்|பிற்பகல்|மாலை|இரவு)?\s*(\d{1,2})(?:[:.](\d{2}))?\s*மணி(?!\s*நேர)/g,
+    build: m => ({ time: toClock(+m[2], +(m[3] || 0), m[1]) }),
+  },
+];
+
+/**
+ * Find date / duration / time mentions in text, in reading order.
+ * Overlapping matches keep the one that starts first (then the longest).
+ */
+function scanDateTime(text) {
+  const found = [];
+  for (const pattern of PATTERNS) {
+    pattern.re.lastIndex = 0;
+    let m;
+    while ((m = pattern.re.exec(text)) !== null) {
+      if (m[0].length === 0) { pattern.re.lastIndex++; continue; }
+      const built = pattern.build(m, text);
+      if (built && (built.dates || built.duration || built.time)) {
+        found.push({ index: m.index, end: m.index + m[0].length, ...built });
+      }
+    }
+  }
+
+  found.sort((a, b) => a.index - b.index || (b.end - b.index) - (a.end - a.index));
+  const kept = [];
+  let lastEnd = -1;
+  for (const f of found) {
+    if (f.index < lastEnd) continue;
+    kept.push(f);
+    lastEnd = f.end;
+  }
+
+  const times = kept.filter(f => f.time).map(f => {
+    const before = text.slice(Math.max(0, f.index - 25), f.index);
+    const label = END_LABEL.test(before) ? 'end' : START_LABEL.test(before) ? 'start' : null;
+    return { time: f.time, label };
+  });
+
+  return {
+    dates: kept.filter(f => f.dates).flatMap(f => f.dates),
+    durations: kept.filter(f => f.duration).map(f => f.duration),
+    times,
+  };
+}
+
+function minutesOf(time) {
+  return parseInt(time.slice(0, 2)) * 60 + parseInt(time.slice(3, 5));
+}
+
+/**
+ * Parse a rental period from chat text (MYT).
+ *
+ * Examples: "2026-02-20 - 2026-02-25", "20/02/2026 - 25/02/2026",
+ * "tomorrow - 3 days", "this Friday to Monday", "12 hb sampai 15 hb",
+ * "下星期三到星期五", "lusa 2 hari", "3-5 Dec, pickup 9am return 6pm",
+ * "tomorrow 9am 5 hours" (hourly).
+ *
+ * When something is missing or unclear, `ambiguity` holds a question to ask
+ * the customer and `needs` says what: 'end' (only the start is known — pass
+ * it back as opts.start with the reply), 'time' or 'dates' (re-ask).
+ *
+ * @param {string} text
+ * @param {object} opts - { today: 'YYYY-MM-DD', start: known start date (text is the end / duration) }
+ * @returns {{ start, end, startTime, endTime, hours, ambiguity, needs }|null}
+ *   start/end YYYY-MM-DD (end = return date, null if not given),
+ *   times 'HH:MM' or null, hours set for hourly / same-day rentals.
+ */
+function parseDateTimeRange(text, opts = {}) {
+  if (!text) return null;
+  const today = opts.today || todayMYT();
+  const { dates: resolvers, durations, times } = scanDateTime(text);
+
+  const dates = opts.start ? [opts.start] : [];
+  let ambiguity = null;
+  let needs = null;
+  for (const resolve of resolvers) {
+    const out = resolve(today, dates[dates.length - 1] || null);
+    if (!out) continue;
+    if (out.ambiguity && !ambiguity) { ambiguity = out.ambiguity; needs = 'dates'; }
+    dates.push(out.date);
+  }
+
+  const duration = durations[0] || null;
+  let start = dates[0] || null;
+  let end = dates[1] || null;
+  if (!start && (duration || times.length)) start = today;
+  if (!start) return null;
+
+  let startTime = (times.find(t => t.label === 'start') || {}).time || null;
+  let endTime = (times.find(t => t.label === 'end') || {}).time || null;
+  for (const t of times.filter(x => !x.label)) {
+    if (!startTime) startTime = t.time;
+    else if (!endTime) endTime = t.time;
+  }
+
+  let hours = null;
+  if (!end && duration) {
+    if (duration.unit === 'hour') {
+      hours = duration.n;
+      if (startTime) {
+        const total = minutesOf(startTime) + hours * 60;
+        end = addDays(start, Math.floor(total / 1440));
+        endTime = `${pad2(Math.floor((total % 1440) / 60))}:${pad2(total % 60)}`;
+      } else {
+        end = addDays(start, Math.floor(hours / 24));
+        if (!ambiguity) { ambiguity = 'What time will you pick up the car?'; needs = 'time'; }
+      }
+    } else {
+      end = addDays(start, duration.n);
+    }
+  } else if (!end && startTime && endTime && minutesOf(endTime) > minutesOf(startTime)) {
+    end = start; // "tomorrow 9am to 6pm"
+  }
+
+  if (end === start && startTime && endTime && !hours) {
+    hours = Math.round((minutesOf(endTime) - minutesOf(startTime)) / 60 * 10) / 10;
+  }
+
+  if (!ambiguity) {
+    if (end && end < start) {
+      ambiguity = `The return date (${end}) is before pickup (${start}). Please send the dates again.`;
+      needs = 'dates';
+    } else if (end && daysBetween(start, end) > 180) {
+      ambiguity = `That's ${daysBetween(start, end)} days (${start} → ${end}). Please check the dates.`;
+      needs = 'dates';
+    } else if (!end) {
+      ambiguity = `Until when? Send the return date or number of days, e.g. "3 days".`;
+      needs = 'end';
+    }
+  }
+
+  return { start, end, startTime, endTime, hours, ambiguity, needs };
+}
+
+/**
+ * Parse a rental date range from chat text (dates in MYT).
+ * Same as parseDateTimeRange() but only returns complete, unambiguous ranges.
+ * @returns {{ start: string, end: string, startTime, endTime, hours }|null} YYYY-MM-DD, end = return date
+ */
+function parseDateRange(text, opts = {}) {
+  const range = parseDateTimeRange(text, opts);
+  if (!range || !range.end || range.ambiguity) return null;
+  return range;
+}
+
+/**
+ * Build a Date from a MYT calendar date and 'HH:MM'.
+ */
+function mytDateTime(dateStr, time = '00:00') {
+  return new Date(`${dateStr.slice(0, 10)}T${time}:00+08:00`);
+}
+
+const OFFSET_UNITS = [
+  { ms: 60 * 1000, words: /^(minutes?|mins?|minit|分钟|分鐘|நிமிட)/i },
+  { ms: 60 * 60 * 1000, words: /^(hours?|hrs?|jam|小时|小時|钟头|鐘頭|மணி)/i },
+  { ms: 24 * 60 * 60 * 1000, words: /^(days?|hari|天|நாள்|நாட்)/i },
+  { ms: 7 * 24 * 60 * 60 * 1000, words: /^(weeks?|minggu|星期|礼拜|周|週|வார)/i },
+];
+
+/**
+ * Parse a single moment ("in 2 hours", "dalam 30 minit", "3小时后",
+ * "tomorrow 9am", "Friday 3 petang", "esok", "at 5pm") in MYT.
+ * Dates without a time use opts.defaultTime; a time without a date is today,
+ * or tomorrow if it has already passed. timeGiven is false when the time was
+ * not in the text (a date alone, or a whole-day offset like "in 3 days").
+ * @param {object} opts - { defaultTime: 'HH:MM' (default 09:00), now: Date }
+ * @returns {{ dueAt: Date, date: string, time: string, timeGiven: boolean, ambiguity: string|null }|null}
+ */
+function parseDateTime(text, opts = {}) {
+  if (!text) return null;
+  const now = opts.now || new Date();
+
+  const offset = text.match(new RegExp(
+    `(?:${WB}in|dalam)\\s+(\\d+|an?)\\s*(minutes?|mins?|minit|hours?|hrs?|jam|days?|hari|weeks?|minggu)${WE}` +
+    `|(\\d+|${ZHN})\\s*(?:个|個)?\\s*(分钟|分鐘|小时|小時|钟头|鐘頭|天|星期|礼拜|周|週)\\s*(?:以后|以後|之后|之後|后|後)` +
+    `|(\\d+)\\s*(minit|jam|hari|minggu)\\s+lagi${WE}` +
+    `|(\\d+)\\s*(நிமிட|மணி\\s*நேரத்|நாட்|நாளி|வாரத்)`, 'i'));
+  if (offset) {
+    const amount = offset[1] ? (/^an?$/i.test(offset[1]) ? 1 : parseInt(offset[1]))
+      : zhNumber(offset[3] || offset[5] || offset[7]);
+    const unit = OFFSET_UNITS.find(u => u.words.test(offset[2] || offset[4] || offset[6] || offset[8]));
+    if (unit && amount > 0) {
+      const dueAt = new Date(now.getTime() + amount * unit.ms);
+      const myt = toMYT(dueAt).toISOString();
+      return { dueAt, date: myt.slice(0, 10), time: myt.slice(11, 16), timeGiven: unit.ms < OFFSET_UNITS[2].ms, ambiguity: null };
+    }
+  }
+
+  const today = toMYT(now).toISOString().slice(0, 10);
+  const { dates: resolvers, times } = scanDateTime(text);
+  const first = resolvers.length ? resolvers[0](today, null) : null;
+  const time = times.length ? times[0].time : null;
+  if (!first && !time) return null;
+
+  const chosenTime = time || opts.defaultTime || '09:00';
+  let date = first ? first.date : today;
+  if (!first && mytDateTime(date, chosenTime) <= now) date = addDays(date, 1);
+
+  return { dueAt: mytDateTime(date, chosenTime), date, time: chosenTime, timeGiven: !!time, ambiguity: first?.ambiguity || null };
+}
+
+/**
+ * First time of day in text as 'HH:MM' ("9pm", "21:00", "pukul 9 malam", "晚上9点").
+ */
+function parseTimeOfDay(text) {
+  if (!text) return null;
+  const { times } = scanDateTime(text);
+  return times.length ? times[0].time : null;
+}
+
+/**
+ * Day of week (0 = Sunday) named in text, in any supported language, or null.
+ */
+function parseWeekday(text) {
+  if (!text) return null;
+  const m = text.match(new RegExp(`${WB}(${WEEKDAY_RE})`, 'i')) || text.match(/(?:星期|礼拜|禮拜|周|週)([一二三四五六日天])/);
+  if (!m) return null;
+  return ZH_WEEKDAY[m[1]] ?? lookup(WEEKDAY_NAMES, m[1]);
+}
+
+/**
+ * Parse a calendar month: "2026-10", "10/2026", "oct", "ogos 2026",
+ * "this month", "last month". A month name alone is the latest one not
+ * in the future.
+ * @returns {string|null} YYYY-MM
+ */
+function parseMonth(text) {
+  const [year, month] = todayMYT().split('-').map(Number);
+  const t = String(text || '').trim().toLowerCase();
+  if (!t || t === 'this month' || t === 'bulan ini') return `${year}-${pad2(month)}`;
+  if (t === 'last month' || t === 'last' || t === 'bulan lepas') {
+    return month === 1 ? `${year - 1}-12` : `${year}-${pad2(month - 1)}`;
+  }
+
+  let m = t.match(/^(\d{4})-(\d{1,2})$/);
+  if (m && +m[2] >= 1 && +m[2] <= 12) return `${m[1]}-${pad2(+m[2])}`;
+  m = t.match(/^(\d{1,2})\/(\d{4})$/);
+  if (m && +m[1] >= 1 && +m[1] <= 12) return `${m[2]}-${pad2(+m[1])}`;
+
+  m = t.match(/^(\S+)(?:\s+(\d{4}))?$/);
+  const index = m ? lookup(MONTH_NAMES, m[1]) : -1;
+  if (index === -1) return null;
+  const y = m[2] ? +m[2] : index + 1 > month ? year - 1 : year;
+  return `${y}-${pad2(index + 1)}`;
+}
+
 /**
  * Check if a date is overdue (past today in MYT).
  */
@@ -98,6 +697,15 @@ module.exports = {
   isTodayMYT,
   daysFromNowMYT,
   daysBetween,
+  addDays,
+  dayOfWeek,
+  parseDateRange,
+  parseDateTimeRange,
+  parseDateTime,
+  parseTimeOfDay,
+  parseWeekday,
+  parseMonth,
+  mytDateTime,
   isOverdue,
   MYT_TIMEZONE,
 };
@@ -14,6 +14,9 @@ const config = require('../config');
 const jarvisVoice = require('./jarvis-voice');
 const tts = require('./tts');
 const notifications = require('../brain/notifications');
+const outbox = require('../channels/outbox');
+const consent = require('../brain/consent');
+const { waPhone } = require('../utils/phone');
 
 class VoiceCaller {
   constructor() {
@@ -44,8 +47,15 @@ class VoiceCaller {
   /**
    * Send voice message via WhatsApp (voice note, not call).
    * This is the most reliable way to send audio via WhatsApp Web.
+   * Not sent to customers who opted out of voice notes ({ optedOut: true }).
    */
   async sendVoiceMessage(phone, text, language = 'en') {
+    if (!consent.allows(phone, 'voice')) {
+      console.log(`[Caller] ${phone} opted out of voice notes — not sent`);
+      this._log(phone, 'voice_message', 'opted_out', text);
+      return { success: false, optedOut: true, error: 'Customer opted out of voice notes' };
+    }
+
     try {
       // Generate TTS audio
       const voice = jarvisVoice.getVoice(language);
@@ -55,33 +65,37 @@ class VoiceCaller {
         speed: jarvisVoice.getSpeed(),
       });
 
-      if (this.whatsapp && this.whatsapp.isConnected && this.whatsapp.isConnected()) {
+      if (this.whatsapp) {
         const chatId = `${phone}@c.us`;
-        const { MessageMedia } = require('whatsapp-web.js');
 
-        let media;
+        let audioBuffer;
         if (audioResult.cloudUrl) {
           // Use Cloudinary URL — fetch to buffer for WhatsApp
           const cloudRes = await fetch(audioResult.cloudUrl);
-          const audioBuffer = Buffer.from(await cloudRes.arrayBuffer());
-          media = new MessageMedia('audio/ogg', audioBuffer.toString('base64'));
+          audioBuffer = Buffer.from(await cloudRes.arrayBuffer());
         } else {
           // Use local file
           const fs = require('fs');
-          const audioBuffer = fs.readFileSync(audioResult.filePath);
-          media = new MessageMedia('audio/ogg', audioBuffer.toString('base64'));
+          audioBuffer = fs.readFileSync(audioResult.filePath);
         }
 
-        await this.whatsapp.sendMessage(chatId, media, { sendAudioAsVoice: true });
-        this._log(phone, 'voice_message', 'sent', cleanText);
-
-        // Cleanup local file if it still exists
+        // Cleanup local file — the outbox keeps the audio until it's sent
         if (audioResult.filePath) {
           const fs = require('fs');
           try { if (fs.existsSync(audioResult.filePath)) fs.unlinkSync(audioResult.filePath); } catch {}
         }
 
-        return { success: true, type: 'voice_message', phone, cloudUrl: audioResult.cloudUrl };
+        const item = await outbox.send(chatId, {
+          kind: 'buffer',
+          data: audioBuffer.toString('base64'),
+          mimetype: 'audio/ogg',
+          filename: 'voice.ogg',
+          asVoice: true,
+        }, { source: 'voice' });
+        if (item.status === 'failed') throw new Error(item.error);
+        this._log(phone, 'voice_message', item.status, cleanText);
+
+        return { success: true, type: 'voice_message', phone, cloudUrl: audioResult.cloudUrl, status: item.status };
       }
 
       // Dev mode - just log
@@ -115,22 +129,39 @@ class VoiceCaller {
   }
 
   /**
-   * Auto-call customers with expiring rentals.
+   * Voice reminder for a rental ending soon (see expiry-reminders.js).
+   * @param {number} hoursLeft - hours until the return time
+   * @param {string} language - 'en' | 'ms' | 'zh' | 'ta'
    */
-  async callExpiringCustomer(agreement, daysLeft) {
-    const phone = agreement.mobile;
+  async callExpiringCustomer(agreement, hoursLeft, language = 'en') {
+    const phone = waPhone(agreement.mobile);
     if (!phone) return;
 
-    const endDate = (agreement.date_end || '').slice(0, 10);
-    const text = daysLeft <= 1
-      ? `Hello ${agreement.customer_name}. This is JARVIS from JRV Car Rental. ` +
-        `Your rental ends tomorrow. Please arrange to return the car or contact us to extend. ` +
-        `Call us at plus 60 1 2 6 5 6 5 4 7 7. Thank you.`
-      : `Hello ${agreement.customer_name}. This is JARVIS from JRV Car Rental. ` +
-        `Your rental ends in ${daysLeft} days on ${endDate}. ` +
-        `Would you like to extend? Please let us know. Thank you.`;
+    const name = agreement.customer_name || '';
+    const days = Math.round(hoursLeft / 24);
+    const hours = Math.max(1, Math.round(hoursLeft));
+    let text;
+    if (language === 'ms') {
+      const left = hoursLeft >= 24 ? `${days} hari` : `${hours} jam`;
+      text = `Hai ${name}. Ini JARVIS dari JRV Car Rental. ` +
+        `Sewa kereta anda tamat dalam ${left}. Sila pulangkan kereta tepat pada masa, atau hubungi kami untuk sambung sewa. ` +
+        `Telefon kami di plus 60 1 2 6 5 6 5 4 7 7. Terima kasih.`;
+    } else if (language === 'zh') {
+      const left = hoursLeft >= 24 ? `${days}天` : `${hours}小时`;
+      text = `${name}您好，我是JRV租车的JARVIS。您的租期还有${left}结束。请准时还车，或联系我们延长租期。谢谢。`;
+    } else if (language === 'ta') {
+      const left = hoursLeft >= 24 ? `${days} நாட்களில்` : `${hours} மணி நேரத்தில்`;
+      text = `வணக்கம் ${name}. நான் JRV Car Rental-இன் JARVIS. ` +
+        `உங்கள் கார் வாடகை இன்னும் ${left} முடிவடைகிறது. காரை சரியான நேரத்தில் திருப்பி ஒப்படைக்கவும், அல்லது வாடகையை நீட்டிக்க எங்களைத் தொடர்பு கொள்ளவும். ` +
+        `எங்கள் எண் plus 60 1 2 6 5 6 5 4 7 7. நன்றி.`;
+    } else {
+      const left = hoursLeft >= 24 ? `${days} day${days === 1 ? '' : 's'}` : `${hours} hour${hours === 1 ? '' : 's'}`;
+      text = `Hello ${name}. This is JARVIS from JRV Car Rental. ` +
+        `Your rental ends in ${left}. Please return the car on time, or contact us to extend. ` +
+        `Call us at plus 60 1 2 6 5 6 5 4 7 7. Thank you.`;
+    }
 
-    return this.sendVoiceMessage(phone, text, 'en');
+    return this.sendVoiceMessage(phone, text, language);
   }
 
   /**